@@ -14,17 +14,31 @@
 
 import * as THREE from 'three';
 import { CONFIG, UI_TEXT, MATH } from './config/constants.js';
-import ConfigPanelView from './views/ConfigPanelView.js';
+import ConfigPanelView, { PanelTarget } from './views/ConfigPanelView.js';
 import GraphPanelView from './views/GraphPanelView.js';
 import Polygon from './models/Polygon.js';
 import Circle from './models/Circle.js';
-import DrawPoint from './models/DrawPoint.js';
+import PolarShape from './models/PolarShape.js';
+import DrawPoint, { DrawPointAnchor } from './models/DrawPoint.js';
 import Cyclogon from './models/Cyclogon.js';
 import InputController, { InputEventType, InputState } from './controllers/InputController.js';
-import CyclogonCalculator, { CurveType } from './services/CyclogonCalculator.js';
+import Road, { RoadType } from './models/Road.js';
+import DrawPointFamily, { FamilyMode } from './models/DrawPointFamily.js';
+import CyclogonCalculator, {
+    CurveType, RollingBase, RollingDirection, StartContact, ExtentMode, SamplingMode
+} from './services/CyclogonCalculator.js';
+import KinematicsService, { KinematicsMode } from './services/KinematicsService.js';
+import CurvatureService from './services/CurvatureService.js';
+import ArchService from './services/ArchService.js';
+import LoopService from './services/LoopService.js';
+import OffsetService from './services/OffsetService.js';
 import ExportService, { ExportFormat } from './services/ExportService.js';
 import { AnimationController } from './controllers/AnimationController.js';
 import { AnimationControlsView } from './views/AnimationControlsView.js';
+import StatsPanelView from './views/StatsPanelView.js';
+import CurveFitService from './services/CurveFitService.js';
+import InverseDesignService, { InverseTarget } from './services/InverseDesignService.js';
+import BeadSimulationService from './services/BeadSimulationService.js';
 
 /**
  * ============================================
@@ -40,13 +54,23 @@ class CyclogonApp {
         // Vistas (FASE 2 y FASE 5 - Arquitectura MVC)
         this.configPanelView = null;
         this.graphPanelView = null;  // FASE 5: Nueva vista del panel gráfico
+        this.statsPanelView = null;  // Áreas y centroides de los arcos
         
         // FASE 3: Controlador de entrada
         this.inputController = null;
         
         // FASE 4: Calculador de ciclógonos
         this.cyclogonCalculator = null;
-        this.currentCyclogon = null; // Modelo Cyclogon actual
+        this.currentCyclogon = null; // Modelo Cyclogon actual (punto activo)
+        this.cyclogonSeries = [];    // Una curva por punto de dibujo (o por punto de la familia) [{name, color, drawPoint, cyclogon}]
+        this.currentOffset = null;   // Curvas paralelas de la curva actual (null si están desactivadas)
+        
+        // Ajuste a muestras medidas
+        this.curveFitService = null;
+        this.inverseDesignService = null;
+        this.beadSimulationService = null;
+        this.currentBeads = null;    // Resultado de la última simulación de descenso (null si está oculta)
+        this.currentFit = null;      // Resultado del último ajuste (null sin medidas)
         
         // FASE 6: Servicio de exportación
         this.exportService = null;
@@ -59,7 +83,41 @@ class CyclogonApp {
         this.state = {
             shapeType: CONFIG.SHAPES.DEFAULT_TYPE,
             polygonSides: CONFIG.SHAPES.DEFAULT_POLYGON_SIDES,
+            polygonDensity: CONFIG.SHAPES.DEFAULT_POLYGON_DENSITY,
+            filletRatio: 0,
+            ellipseRatio: CONFIG.SHAPES.DEFAULT_ELLIPSE_RATIO,
+            reuleauxSides: CONFIG.SHAPES.DEFAULT_REULEAUX_SIDES,
             cycles: CONFIG.CYCLOGON.DEFAULT_CYCLES,
+            extentMode: CONFIG.CYCLOGON.EXTENT.MODE,    // Valor de ExtentMode
+            extentValue: null,                          // Distancia, giro (radianes) o pivotes (los ciclos van en cycles)
+            baseType: CONFIG.BASE.DEFAULT_TYPE,
+            baseRadius: CONFIG.BASE.DEFAULT_RADIUS,
+            roadPoints: CONFIG.ROAD.DEFAULT_POINTS,     // Perfil libre: pares «x, y»
+            roadFunction: CONFIG.ROAD.DEFAULT_FUNCTION, // Función libre: expresión en x
+            rollingDirection: RollingDirection.RIGHT,
+            startContact: StartContact.SIDE,
+            startPhase: 0,                              // Giro rodado antes del primer punto (radianes)
+            slip: 0,                                    // Deslizamiento λ (0 = rodadura sin deslizar)
+            familyMode: 'off',                          // 'off' o un valor de FamilyMode
+            familyCount: CONFIG.FAMILY.DEFAULT_COUNT,
+            familyEdge: 0,
+            familyAngle: CONFIG.FAMILY.DEFAULT_ANGLE,
+            samplingMode: CONFIG.CYCLOGON.SAMPLING.MODE, // Valor de SamplingMode
+            samplingTolerance: CONFIG.CYCLOGON.SAMPLING.CHORD_TOLERANCE,
+            samplingMinPoints: CONFIG.CYCLOGON.SAMPLING.MIN_POINTS,
+            samplingMaxPoints: CONFIG.CYCLOGON.SAMPLING.MAX_POINTS,
+            kinematicsMode: 'off',                      // 'off' o un valor de KinematicsMode
+            kinematicsRate: CONFIG.CYCLOGON.KINEMATICS.ANGULAR_VELOCITY, // ω (rad/s) o v (unidades/s) según el modo
+            kinematicsIncline: CONFIG.CYCLOGON.KINEMATICS.INCLINE,       // Pendiente del plano (radianes, modo con gravedad)
+            offsetMode: 'off',                          // 'off' o 'band' (curvas paralelas a ambos lados)
+            offsetDistance: CONFIG.CYCLOGON.OFFSET.DEFAULT_DISTANCE,
+            inverseTarget: InverseTarget.MAX_HEIGHT,    // Valor de InverseTarget
+            inverseHeight: CONFIG.INVERSE.DEFAULT_HEIGHT,
+            showEvolute: false,
+            showOsculatingCircle: false,
+            showStats: true,
+            showIntersections: false,
+            showBeads: false,
             isShiftPressed: false,
             isDragging: false,
             exportFormat: ExportFormat.CSV,
@@ -106,6 +164,7 @@ class CyclogonApp {
             
             // Configurar eventos (UI)
             this.setupEventListeners();
+            this.updateInverseControls();
             
             // Calcular ciclógono inicial
             this.updateCyclogon();
@@ -154,6 +213,38 @@ class CyclogonApp {
             sidesInput: document.getElementById('sidesInput'),
             sidesMinus: document.getElementById('sidesMinus'),
             sidesPlus: document.getElementById('sidesPlus'),
+            densityInput: document.getElementById('densityInput'),
+            densityMinus: document.getElementById('densityMinus'),
+            densityPlus: document.getElementById('densityPlus'),
+            
+            // Editor de vértices (polígono libre)
+            vertexEditor: document.getElementById('vertexEditor'),
+            vertexCount: document.getElementById('vertexCount'),
+            vertexResetBtn: document.getElementById('vertexResetBtn'),
+            
+            // Redondeo de las esquinas del polígono
+            filletControl: document.getElementById('filletControl'),
+            filletSlider: document.getElementById('filletSlider'),
+            filletValue: document.getElementById('filletValue'),
+            
+            // Proporción de la elipse
+            ellipseRatioControl: document.getElementById('ellipseRatioControl'),
+            ellipseRatioSlider: document.getElementById('ellipseRatioSlider'),
+            ellipseRatioValue: document.getElementById('ellipseRatioValue'),
+            
+            // Lados del polígono de Reuleaux
+            reuleauxSidesControl: document.getElementById('reuleauxSidesControl'),
+            reuleauxSidesSlider: document.getElementById('reuleauxSidesSlider'),
+            reuleauxSidesValue: document.getElementById('reuleauxSidesValue'),
+            
+            // Base de rodadura
+            baseType: document.getElementById('baseType'),
+            baseRadiusControl: document.getElementById('baseRadiusControl'),
+            baseRadiusSlider: document.getElementById('baseRadiusSlider'),
+            baseRadiusValue: document.getElementById('baseRadiusValue'),
+            roadProfileControl: document.getElementById('roadProfileControl'),
+            roadProfileLabel: document.getElementById('roadProfileLabel'),
+            roadProfileInput: document.getElementById('roadProfileInput'),
             
             // Información del punto
             pointX: document.getElementById('pointX'),
@@ -161,9 +252,73 @@ class CyclogonApp {
             pointRadius: document.getElementById('pointRadius'),
             pointDistance: document.getElementById('pointDistance'),
             
+            // Lista de puntos de dibujo
+            drawPointList: document.getElementById('drawPointList'),
+            drawPointAnchor: document.getElementById('drawPointAnchor'),
+            addDrawPointBtn: document.getElementById('addDrawPointBtn'),
+            
             // Controles
+            extentMode: document.getElementById('extentMode'),
+            extentLabel: document.getElementById('extentLabel'),
+            extentInput: document.getElementById('extentInput'),
+            cyclesSliderGroup: document.getElementById('cyclesSliderGroup'),
             cyclesSlider: document.getElementById('cyclesSlider'),
-            cyclesValue: document.getElementById('cyclesValue'),
+            rollingDirection: document.getElementById('rollingDirection'),
+            startContact: document.getElementById('startContact'),
+            startPhaseSlider: document.getElementById('startPhaseSlider'),
+            startPhaseValue: document.getElementById('startPhaseValue'),
+            slipSlider: document.getElementById('slipSlider'),
+            slipValue: document.getElementById('slipValue'),
+            
+            // Familia de curvas
+            familyMode: document.getElementById('familyMode'),
+            familyCountControl: document.getElementById('familyCountControl'),
+            familyCountSlider: document.getElementById('familyCountSlider'),
+            familyCountValue: document.getElementById('familyCountValue'),
+            familyEdgeControl: document.getElementById('familyEdgeControl'),
+            familyEdgeSlider: document.getElementById('familyEdgeSlider'),
+            familyEdgeValue: document.getElementById('familyEdgeValue'),
+            familyAngleControl: document.getElementById('familyAngleControl'),
+            familyAngleSlider: document.getElementById('familyAngleSlider'),
+            familyAngleValue: document.getElementById('familyAngleValue'),
+            
+            // Muestreo
+            samplingMode: document.getElementById('samplingMode'),
+            samplingToleranceControl: document.getElementById('samplingToleranceControl'),
+            samplingToleranceInput: document.getElementById('samplingToleranceInput'),
+            samplingPointsControl: document.getElementById('samplingPointsControl'),
+            samplingMinPointsInput: document.getElementById('samplingMinPointsInput'),
+            samplingMaxPointsInput: document.getElementById('samplingMaxPointsInput'),
+            
+            // Cinemática
+            kinematicsMode: document.getElementById('kinematicsMode'),
+            kinematicsRateControl: document.getElementById('kinematicsRateControl'),
+            kinematicsRateSlider: document.getElementById('kinematicsRateSlider'),
+            kinematicsRateLabel: document.getElementById('kinematicsRateLabel'),
+            kinematicsRateValue: document.getElementById('kinematicsRateValue'),
+            kinematicsInclineControl: document.getElementById('kinematicsInclineControl'),
+            kinematicsInclineSlider: document.getElementById('kinematicsInclineSlider'),
+            kinematicsInclineValue: document.getElementById('kinematicsInclineValue'),
+            
+            // Curvas paralelas
+            offsetMode: document.getElementById('offsetMode'),
+            offsetDistanceControl: document.getElementById('offsetDistanceControl'),
+            offsetDistanceSlider: document.getElementById('offsetDistanceSlider'),
+            offsetDistanceValue: document.getElementById('offsetDistanceValue'),
+            
+            // Ajuste a muestras medidas
+            fitImportBtn: document.getElementById('fitImportBtn'),
+            fitClearBtn: document.getElementById('fitClearBtn'),
+            fitFileInput: document.getElementById('fitFileInput'),
+            fitSampleCount: document.getElementById('fitSampleCount'),
+            
+            // Diseño inverso del punto de dibujo
+            inverseTarget: document.getElementById('inverseTarget'),
+            inverseHeightControl: document.getElementById('inverseHeightControl'),
+            inverseHeightSlider: document.getElementById('inverseHeightSlider'),
+            inverseHeightValue: document.getElementById('inverseHeightValue'),
+            inverseSolveBtn: document.getElementById('inverseSolveBtn'),
+            inverseResult: document.getElementById('inverseResult'),
             resetBtn: document.getElementById('resetBtn'),
             exportBtn: document.getElementById('exportBtn'),
             
@@ -171,6 +326,11 @@ class CyclogonApp {
             zoomInBtn: document.getElementById('zoomInBtn'),
             zoomOutBtn: document.getElementById('zoomOutBtn'),
             fitViewBtn: document.getElementById('fitViewBtn'),
+            evoluteBtn: document.getElementById('evoluteBtn'),
+            osculatingCircleBtn: document.getElementById('osculatingCircleBtn'),
+            statsBtn: document.getElementById('statsBtn'),
+            intersectionsBtn: document.getElementById('intersectionsBtn'),
+            beadsBtn: document.getElementById('beadsBtn'),
             
             // FASE 6: Controles de exportación
             exportFormat: document.getElementById('exportFormat'),
@@ -193,6 +353,7 @@ class CyclogonApp {
         // La vista ya inicializa con un círculo por defecto
         // Actualizamos la UI con la información inicial
         this.updatePointInfo();
+        this.renderDrawPointList();
     }
     
     /**
@@ -205,9 +366,14 @@ class CyclogonApp {
             this.configPanelView.camera
         );
         
-        // Configurar callback de hit testing
+        // Configurar callback de hit testing (los puntos tienen prioridad sobre los vértices)
         this.inputController.setHitTestCallback((worldPos) => {
-            return this.configPanelView.isPointOverDrawPoint(worldPos);
+            const pointIndex = this.configPanelView.getDrawPointAt(worldPos);
+            if (pointIndex >= 0) {
+                return { type: PanelTarget.DRAW_POINT, index: pointIndex };
+            }
+            const vertexIndex = this.configPanelView.getVertexAt(worldPos);
+            return vertexIndex >= 0 ? { type: PanelTarget.VERTEX, index: vertexIndex } : null;
         });
         
         // Suscribirse a eventos del controlador
@@ -215,13 +381,22 @@ class CyclogonApp {
     }
     
     /**
-     * Inicializa el calculador de ciclógonos (FASE 4)
+     * Inicializa el calculador de ciclógonos y los servicios de análisis (FASE 4)
      */
     initCyclogonCalculator() {
         this.cyclogonCalculator = new CyclogonCalculator({
             pointsPerSide: CONFIG.CYCLOGON.POINTS_PER_SIDE,
-            pointsPerRadian: CONFIG.CYCLOGON.POINTS_PER_RADIAN
+            pointsPerRadian: CONFIG.CYCLOGON.POINTS_PER_RADIAN,
+            sampling: this.getSamplingOptions()
         });
+        this.kinematicsService = new KinematicsService();
+        this.curvatureService = new CurvatureService();
+        this.archService = new ArchService();
+        this.loopService = new LoopService();
+        this.offsetService = new OffsetService();
+        this.curveFitService = new CurveFitService(this.cyclogonCalculator);
+        this.inverseDesignService = new InverseDesignService(this.cyclogonCalculator, this.loopService);
+        this.beadSimulationService = new BeadSimulationService();
         
         console.log('CyclogonCalculator inicializado');
     }
@@ -231,6 +406,7 @@ class CyclogonApp {
      */
     initGraphPanelView() {
         this.graphPanelView = new GraphPanelView(this.graphCanvas);
+        this.statsPanelView = new StatsPanelView(document.getElementById('graphStats'));
         console.log('GraphPanelView inicializado');
     }
     
@@ -319,6 +495,12 @@ class CyclogonApp {
         // Evento de inicio de arrastre
         this.inputController.on(InputEventType.DRAG_START, (event) => {
             this.state.isDragging = true;
+            if (event.target?.type === PanelTarget.VERTEX) {
+                this.updateStatus('active', 'Moviendo vértice...');
+                return;
+            }
+            // Arrastrar otro punto lo convierte en el activo
+            this.activateDrawPoint(event.target.index);
             this.configPanelView.setDrawPointDragging(true);
             this.updateStatus('active', 'Arrastrando punto...');
         });
@@ -326,6 +508,19 @@ class CyclogonApp {
         // Evento de movimiento durante arrastre
         this.inputController.on(InputEventType.DRAG_MOVE, (event) => {
             const worldPos = event.worldPosition;
+            
+            if (event.target?.type === PanelTarget.VERTEX) {
+                // Solo se regenera la curva mientras los lados del polígono no se crucen
+                if (this.configPanelView.moveVertex(event.target.index, worldPos)) {
+                    this.updateStatus('active', 'Moviendo vértice...');
+                    this.updatePointInfo();
+                    this.throttledUpdateCyclogon();
+                } else {
+                    this.updateStatus('warning', 'Los lados del polígono no pueden cruzarse');
+                }
+                return;
+            }
+
             const snapMode = event.isSnapMode;
             
             // Mover punto con snap si corresponde
@@ -349,6 +544,12 @@ class CyclogonApp {
         // Evento de fin de arrastre
         this.inputController.on(InputEventType.DRAG_END, (event) => {
             this.state.isDragging = false;
+            if (event.target?.type === PanelTarget.VERTEX) {
+                // Un vértice soltado con lados cruzados vuelve a la última posición válida
+                this.configPanelView.endVertexDrag();
+                this.onCustomPolygonChanged();
+                return;
+            }
             this.configPanelView.setDrawPointDragging(false);
             this.configPanelView.setSnapMode(false);
             this.updateStatus('ready', UI_TEXT.READY);
@@ -356,19 +557,47 @@ class CyclogonApp {
         
         // Evento de hover enter
         this.inputController.on(InputEventType.HOVER_ENTER, (event) => {
-            this.configPanelView.setDrawPointHovered(true);
+            if (event.target?.type === PanelTarget.VERTEX) {
+                this.configPanelView.setVertexHovered(event.target.index);
+            } else if (event.target?.index === this.configPanelView.activeDrawPointIndex) {
+                this.configPanelView.setDrawPointHovered(true);
+            }
         });
         
         // Evento de hover leave
         this.inputController.on(InputEventType.HOVER_LEAVE, (event) => {
+            this.configPanelView.setVertexHovered(-1);
             this.configPanelView.setDrawPointHovered(false);
         });
         
+        // Clic en zona vacía: añadir un vértice al polígono libre
+        this.inputController.on(InputEventType.CLICK, (event) => {
+            if (event.target || !this.configPanelView.isVertexEditMode) return;
+            
+            if (this.configPanelView.addVertex(event.worldPosition)) {
+                this.onCustomPolygonChanged();
+            } else {
+                this.updateStatus('warning', 'No se puede añadir: los lados se cruzarían');
+            }
+        });
+        
+        // Clic derecho (o pulsación larga en pantallas táctiles) sobre un vértice: eliminarlo
+        this.inputController.on(InputEventType.CONTEXT_MENU, (event) => {
+            if (event.target?.type !== PanelTarget.VERTEX) return;
+            
+            if (this.configPanelView.removeVertex(event.target.index)) {
+                this.inputController.reset();
+                this.onCustomPolygonChanged();
+            } else {
+                this.updateStatus('warning', `El polígono necesita al menos ${CONFIG.SHAPES.MIN_POLYGON_SIDES} vértices`);
+            }
+        });
+        
         // Evento de cambio de modo snap
         this.inputController.on(InputEventType.SNAP_MODE_CHANGE, (event) => {
             this.state.isShiftPressed = event.isActive;
             
-            if (this.state.isDragging) {
+            if (this.state.isDragging && event.target?.type === PanelTarget.DRAW_POINT) {
                 this.configPanelView.setSnapMode(event.isActive);
                 
                 // Actualizar posición con nuevo modo snap
@@ -388,20 +617,57 @@ class CyclogonApp {
         
         // Evento de doble clic (resetear posición del punto)
         this.inputController.on(InputEventType.DOUBLE_CLICK, (event) => {
-            // Resetear punto a la posición superior de la forma
-            if (this.state.shapeType === 'circle') {
-                this.configPanelView.setCircle(CONFIG.SHAPES.DEFAULT_RADIUS);
-            } else {
-                this.configPanelView.setPolygon(
-                    this.state.polygonSides,
-                    CONFIG.SHAPES.DEFAULT_RADIUS
-                );
-            }
+            if (event.target?.type !== PanelTarget.DRAW_POINT) return;
+            
+            // Devolver el punto a su posición de referencia (vértice, lado o centro)
+            this.activateDrawPoint(event.target.index);
+            this.configPanelView.resetActiveDrawPoint();
             this.updatePointInfo();
             this.updateCyclogon();
         });
     }
     
+    /**
+     * Refresca la UI, la curva y la copia guardada tras editar el polígono libre
+     */
+    onCustomPolygonChanged() {
+        this.saveCustomPolygon();
+        this.elements.vertexCount.textContent = this.configPanelView.shapeModel.sides;
+        this.updatePointInfo();
+        this.updateCyclogon();
+        this.updateStatus('ready', UI_TEXT.READY);
+    }
+    
+    /**
+     * Recupera el polígono libre guardado (o el de ejemplo si no hay ninguno válido)
+     * @returns {Polygon} Polígono irregular
+     */
+    loadCustomPolygon() {
+        try {
+            const saved = localStorage.getItem(CONFIG.SHAPES.CUSTOM_STORAGE_KEY);
+            if (saved) {
+                return Polygon.fromJSON(JSON.parse(saved));
+            }
+        } catch (error) {
+            console.warn('No se pudo recuperar el polígono guardado:', error);
+        }
+        return Polygon.fromVertices(CONFIG.SHAPES.DEFAULT_CUSTOM_VERTICES);
+    }
+    
+    /**
+     * Guarda el polígono libre actual para la próxima sesión
+     */
+    saveCustomPolygon() {
+        const shape = this.configPanelView.shapeModel;
+        if (!this.configPanelView.isVertexEditMode || !(shape instanceof Polygon)) return;
+        
+        try {
+            localStorage.setItem(CONFIG.SHAPES.CUSTOM_STORAGE_KEY, JSON.stringify(shape.toJSON()));
+        } catch (error) {
+            console.warn('No se pudo guardar el polígono:', error);
+        }
+    }
+    
     /**
      * Actualiza el ciclógono con throttling para mejorar rendimiento
      * FASE 6: Optimización de rendimiento durante arrastres frecuentes
@@ -433,23 +699,69 @@ class CyclogonApp {
     updateCyclogon() {
         const cycles = this.state.cycles;
         
-        // Obtener posición del punto de dibujo desde la vista
-        const drawPointInfo = this.configPanelView.getDrawPointInfo();
-        if (!drawPointInfo) return;
+        // Obtener posición de los puntos de dibujo desde la vista
+        const pointsInfo = this.configPanelView.getDrawPointsInfo();
+        const activeIndex = pointsInfo.findIndex(info => info.isActive);
+        if (activeIndex < 0) return;
         
-        const drawPoint = { x: drawPointInfo.x, y: drawPointInfo.y };
         const shapeModel = this.configPanelView.shapeModel;
+        const options = {
+            ...this.getGenerateOptions(),
+            extent: this.getExtent()
+        };
+        const kinematicsOptions = this.getKinematicsOptions();
+        
+        // Con la familia activa sus puntos sustituyen a los puntos de dibujo
+        this.updateFamilyControls();
+        const family = this.getActiveFamily();
         
-        // Usar el servicio CyclogonCalculator (FASE 4)
+        // Usar el servicio CyclogonCalculator (FASE 4): una curva por punto
         try {
-            this.currentCyclogon = this.cyclogonCalculator.generate(
-                shapeModel,
-                drawPoint,
-                cycles
-            );
+            let primaryIndex = activeIndex;
+            if (family) {
+                this.cyclogonSeries = this.cyclogonCalculator.generateFamily(shapeModel, family, cycles, options);
+                primaryIndex = 0;
+            } else {
+                this.cyclogonSeries = pointsInfo.map(info => {
+                    const drawPoint = { x: info.x, y: info.y };
+                    return {
+                        name: info.name,
+                        color: info.color,
+                        drawPoint,
+                        cyclogon: this.cyclogonCalculator.generate(shapeModel, drawPoint, cycles, options)
+                    };
+                });
+            }
+            if (kinematicsOptions) {
+                this.cyclogonSeries.forEach(entry => this.kinematicsService.compute(entry.cyclogon, kinematicsOptions));
+            }
+            this.currentCyclogon = this.cyclogonSeries[primaryIndex].cyclogon;
+            this.configPanelView.setFamilyPoints(family
+                ? this.cyclogonSeries.map(entry => ({ ...entry.drawPoint, color: entry.color }))
+                : []);
             
-            // FASE 5: Pasar el ciclógono a la vista del panel gráfico
-            this.graphPanelView.setCyclogon(this.currentCyclogon);
+            // FASE 5: Pasar las curvas a la vista del panel gráfico (la activa es la principal)
+            this.graphPanelView.setCyclogonSeries(this.cyclogonSeries, primaryIndex);
+            this.graphPanelView.setCurvatureAnalysis(this.curvatureService.analyze(this.currentCyclogon));
+            this.statsPanelView.setArches(this.archService.analyze(this.currentCyclogon));
+            // Con muchos ciclos (sobre todo alrededor de una base circular) el barrido es muy lento
+            const loops = this.currentCyclogon.pointCount <= CONFIG.CYCLOGON.LOOPS.MAX_POINTS
+                ? this.loopService.analyze(this.currentCyclogon)
+                : null;
+            this.graphPanelView.setLoopAnalysis(loops);
+            this.statsPanelView.setLoops(loops, this.currentCyclogon.getMetadataValue('classification'));
+            // La banda tiene un cruce por cada pasada repetida de la curva: también se limita
+            const isOffsetSkipped = this.state.offsetMode === 'band' &&
+                this.currentCyclogon.pointCount > CONFIG.CYCLOGON.OFFSET.MAX_POINTS;
+            this.currentOffset = this.state.offsetMode === 'band' && !isOffsetSkipped
+                ? this.offsetService.generate(this.currentCyclogon, this.state.offsetDistance)
+                : null;
+            this.graphPanelView.setOffset(this.currentOffset);
+            this.currentBeads = this.state.showBeads
+                ? this.beadSimulationService.compare(this.cyclogonSeries, primaryIndex)
+                : null;
+            this.graphPanelView.setBeadSimulation(this.currentBeads);
+            this.statsPanelView.setBeads(this.currentBeads);
             
             // FASE 7: Preparar animación (sin iniciarla automáticamente)
             // Solo preparamos los elementos visuales y mostramos la curva completa
@@ -458,14 +770,29 @@ class CyclogonApp {
             }
             
             // Resetear controles de animación sin afectar la curva visible
+            // (con la dinámica la animación va en tiempo real)
+            const kinematics = this.currentCyclogon.metadata.kinematics;
+            const isDynamics = kinematics?.mode === KinematicsMode.DYNAMICS && kinematics.duration > 0;
             if (this.animationController) {
                 this.animationController.reset();
+                this.animationController.setSpeed(isDynamics
+                    ? 1 / kinematics.duration
+                    : CONFIG.ANIMATION.PROGRESS_SPEED);
             }
             if (this.animationControlsView) {
                 this.animationControlsView.setPlaying(false);
                 this.animationControlsView.setProgress(0);
             }
             
+            if (isDynamics && kinematics.stopped) {
+                this.updateStatus('warning',
+                    `La forma se detiene a los ${kinematics.duration.toFixed(2)} s, tras ${kinematics.impacts} impactos`);
+            }
+            if (isOffsetSkipped) {
+                this.updateStatus('warning',
+                    `Paralelas sin calcular (más de ${CONFIG.CYCLOGON.OFFSET.MAX_POINTS} puntos)`);
+            }
+            
             // Log de información de la curva (solo en debug)
             if (CONFIG.APP.DEBUG) {
                 console.log(`Curva generada: ${this.currentCyclogon.toString()}`);
@@ -473,9 +800,289 @@ class CyclogonApp {
             }
         } catch (error) {
             console.error('Error al generar ciclógono:', error);
+            this.updateStatus('warning', error.message);
+        }
+    }
+    
+    /**
+     * Extensión de la curva con el modo elegido
+     * @returns {Object} { mode (ExtentMode), value }
+     */
+    getExtent() {
+        return this.state.extentMode === ExtentMode.CYCLES
+            ? { mode: ExtentMode.CYCLES, value: this.state.cycles }
+            : { mode: this.state.extentMode, value: this.state.extentValue };
+    }
+    
+    /**
+     * Muestra el valor de la extensión en su modo (el giro en grados)
+     * El slider solo cubre los ciclos habituales; el campo admite cualquier valor
+     */
+    updateExtentControls() {
+        const labels = {
+            [ExtentMode.CYCLES]: 'Ciclos',
+            [ExtentMode.DISTANCE]: 'Distancia',
+            [ExtentMode.ROTATION]: 'Giro (°)',
+            [ExtentMode.PIVOTS]: 'Pivotes'
+        };
+        const steps = {
+            [ExtentMode.CYCLES]: 0.5,
+            [ExtentMode.DISTANCE]: 0.5,
+            [ExtentMode.ROTATION]: 15,
+            [ExtentMode.PIVOTS]: 1
+        };
+        const mode = this.state.extentMode;
+        const { value } = this.getExtent();
+        
+        this.elements.extentLabel.textContent = labels[mode];
+        this.elements.extentInput.step = steps[mode];
+        this.elements.extentInput.value = mode === ExtentMode.ROTATION
+            ? Math.round(value * MATH.RAD_TO_DEG)
+            : value;
+        this.elements.cyclesSliderGroup.style.display = mode === ExtentMode.CYCLES ? 'block' : 'none';
+    }
+    
+    /**
+     * Ciclos de la curva actual, convertidos desde la extensión elegida
+     * @returns {number} Ciclos (los del estado si aún no hay curva)
+     */
+    getActiveCycles() {
+        return this.currentCyclogon?.getMetadataValue('extent')?.cycles ?? this.state.cycles;
+    }
+    
+    /**
+     * Valor por defecto de la extensión en un modo
+     * @param {string} mode - Valor de ExtentMode distinto de CYCLES
+     * @returns {number} Distancia, giro (radianes) o pivotes
+     */
+    getDefaultExtentValue(mode) {
+        switch (mode) {
+            case ExtentMode.DISTANCE:
+                return CONFIG.CYCLOGON.EXTENT.DEFAULT_DISTANCE;
+            case ExtentMode.ROTATION:
+                return CONFIG.CYCLOGON.EXTENT.DEFAULT_ROTATION;
+            default:
+                return CONFIG.CYCLOGON.EXTENT.DEFAULT_PIVOTS;
         }
     }
     
+    /**
+     * Opciones de generación de la base, el camino y el arranque actuales
+     * @returns {Object} { base, baseRadius, road, direction, startContact, phase, slip }
+     */
+    getGenerateOptions() {
+        return {
+            base: this.getActiveRollingBase(),
+            baseRadius: this.state.baseRadius,
+            road: this.getActiveRoad(),
+            direction: this.state.rollingDirection,
+            startContact: this.state.startContact,
+            phase: this.state.startPhase,
+            slip: this.state.slip
+        };
+    }
+    
+    /**
+     * Obtiene la base de rodadura efectiva para la forma actual
+     * Los caminos (rampa, onda, escalón) son variantes del suelo
+     * @returns {string} Valor de RollingBase
+     */
+    getActiveRollingBase() {
+        const isCircularBase = this.state.baseType === RollingBase.OUTSIDE ||
+            this.state.baseType === RollingBase.INSIDE;
+        return isCircularBase ? this.state.baseType : RollingBase.FLOOR;
+    }
+    
+    /**
+     * Obtiene el perfil del suelo seleccionado
+     * @returns {Road} Camino de rodadura (suelo recto por defecto)
+     */
+    getActiveRoad() {
+        switch (this.state.baseType) {
+            case RoadType.RAMP:
+                return Road.ramp();
+            case RoadType.SINE:
+                return Road.sine();
+            case RoadType.STEP:
+                return Road.step();
+            case RoadType.POLYLINE:
+                return Road.parsePoints(this.state.roadPoints);
+            case RoadType.FUNCTION:
+                return Road.parseFunction(this.state.roadFunction);
+            default:
+                return Road.flat();
+        }
+    }
+    
+    /**
+     * Obtiene la familia de curvas configurada
+     * @returns {DrawPointFamily|null} null si el barrido está desactivado
+     */
+    getActiveFamily() {
+        switch (this.state.familyMode) {
+            case FamilyMode.RAY:
+                return DrawPointFamily.alongRay(this.state.familyAngle, this.state.familyCount);
+            case FamilyMode.EDGE:
+                return DrawPointFamily.alongEdge(this.state.familyEdge, this.state.familyCount);
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Muestreo de la curva elegido en el panel
+     * @returns {Object} Opciones de muestreo de CyclogonCalculator
+     */
+    getSamplingOptions() {
+        return {
+            mode: this.state.samplingMode,
+            chordTolerance: this.state.samplingTolerance,
+            minPoints: this.state.samplingMinPoints,
+            maxPoints: this.state.samplingMaxPoints
+        };
+    }
+    
+    /**
+     * Pasa el muestreo al calculador y regenera la curva
+     * Los valores no válidos se avisan en la barra de estado y no se aplican
+     */
+    applySampling() {
+        try {
+            this.cyclogonCalculator.setSampling(this.getSamplingOptions());
+        } catch (error) {
+            this.updateStatus('warning', error.message);
+            return;
+        }
+        this.updateCyclogon();
+    }
+    
+    /**
+     * Muestra la tolerancia y los límites de puntos solo en el muestreo adaptativo
+     */
+    updateSamplingControls() {
+        const display = this.state.samplingMode === SamplingMode.ADAPTIVE ? 'flex' : 'none';
+        this.elements.samplingToleranceControl.style.display = display;
+        this.elements.samplingPointsControl.style.display = display;
+    }
+    
+    /**
+     * Ley de movimiento para la cinemática de los puntos
+     * @returns {Object|null} Opciones de KinematicsService.compute o null si está desactivada
+     */
+    getKinematicsOptions() {
+        switch (this.state.kinematicsMode) {
+            case KinematicsMode.ANGULAR_VELOCITY:
+                return { mode: KinematicsMode.ANGULAR_VELOCITY, angularVelocity: this.state.kinematicsRate };
+            case KinematicsMode.ROLLING_SPEED:
+                return { mode: KinematicsMode.ROLLING_SPEED, rollingSpeed: this.state.kinematicsRate };
+            case KinematicsMode.DYNAMICS:
+                return {
+                    mode: KinematicsMode.DYNAMICS,
+                    angularVelocity: this.state.kinematicsRate,
+                    incline: this.state.kinematicsIncline
+                };
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Muestra el valor de ω, de v o de ω inicial e inclinación según el modo de la cinemática
+     */
+    updateKinematicsControls() {
+        const mode = this.state.kinematicsMode;
+        const isDynamics = mode === KinematicsMode.DYNAMICS;
+        const isAngular = mode === KinematicsMode.ANGULAR_VELOCITY || isDynamics;
+        
+        this.elements.kinematicsRateControl.style.display = mode !== 'off' ? 'flex' : 'none';
+        this.elements.kinematicsRateLabel.textContent = isDynamics ? 'ω inicial' : isAngular ? 'ω' : 'v (avance)';
+        this.elements.kinematicsRateValue.textContent = 
+            `${this.state.kinematicsRate} ${isAngular ? 'rad/s' : 'u/s'}`;
+        this.elements.kinematicsInclineControl.style.display = isDynamics ? 'flex' : 'none';
+        this.elements.kinematicsInclineValue.textContent =
+            `${Math.round(this.state.kinematicsIncline * MATH.RAD_TO_DEG)}°`;
+    }
+    
+    /**
+     * Muestra la distancia de las curvas paralelas si están activas
+     */
+    updateOffsetControls() {
+        this.elements.offsetDistanceControl.style.display = this.state.offsetMode !== 'off' ? 'flex' : 'none';
+        this.elements.offsetDistanceValue.textContent = this.state.offsetDistance.toFixed(2);
+    }
+    
+    /**
+     * Muestra la altura pedida solo si la condición es de altura y borra la última solución
+     */
+    updateInverseControls() {
+        const isHeight = this.state.inverseTarget === InverseTarget.MAX_HEIGHT;
+        this.elements.inverseHeightControl.style.display = isHeight ? 'flex' : 'none';
+        this.elements.inverseHeightValue.textContent = this.state.inverseHeight.toFixed(2);
+        this.elements.inverseResult.textContent = '—';
+    }
+    
+    /**
+     * Ajusta los controles de la familia a la forma actual
+     * El barrido por un lado solo existe en polígonos y el lado elegido no puede superar sus lados
+     */
+    updateFamilyControls() {
+        const shapeModel = this.configPanelView.shapeModel;
+        const isPolygon = shapeModel instanceof Polygon;
+        
+        this.elements.familyMode.querySelector(`option[value="${FamilyMode.EDGE}"]`).disabled = !isPolygon;
+        if (!isPolygon && this.state.familyMode === FamilyMode.EDGE) {
+            this.state.familyMode = FamilyMode.RAY;
+            this.elements.familyMode.value = this.state.familyMode;
+        }
+        
+        if (isPolygon) {
+            this.state.familyEdge = Math.min(this.state.familyEdge, shapeModel.sides - 1);
+            this.elements.familyEdgeSlider.max = shapeModel.sides - 1;
+            this.elements.familyEdgeSlider.value = this.state.familyEdge;
+            this.elements.familyEdgeValue.textContent = this.state.familyEdge + 1;
+        }
+        
+        const mode = this.state.familyMode;
+        this.elements.familyCountControl.style.display = mode !== 'off' ? 'flex' : 'none';
+        this.elements.familyEdgeControl.style.display = mode === FamilyMode.EDGE ? 'flex' : 'none';
+        this.elements.familyAngleControl.style.display = mode === FamilyMode.RAY ? 'flex' : 'none';
+    }
+    
+    /**
+     * Muestra u oculta los controles de la base de rodadura según el estado
+     */
+    updateBaseControls() {
+        this.elements.baseRadiusControl.style.display = 
+            this.getActiveRollingBase() !== RollingBase.FLOOR ? 'flex' : 'none';
+        
+        // Los caminos libres se escriben: pares «x, y» o una expresión en x
+        const isFunction = this.state.baseType === RoadType.FUNCTION;
+        this.elements.roadProfileControl.style.display = 
+            isFunction || this.state.baseType === RoadType.POLYLINE ? 'flex' : 'none';
+        this.elements.roadProfileLabel.textContent = isFunction ? 'y = f(x)' : 'Puntos (x, y)';
+        this.elements.roadProfileInput.value = isFunction ? this.state.roadFunction : this.state.roadPoints;
+    }
+    
+    /**
+     * Las formas curvas (elipse, r(φ), Reuleaux) y los polígonos redondeados solo ruedan
+     * sobre el suelo recto: desactiva los caminos y las bases circulares y vuelve al suelo
+     * si había otra elegida
+     */
+    updateBaseAvailability() {
+        const shape = this.configPanelView.shapeModel;
+        const isFloorOnly = shape instanceof PolarShape ||
+            (shape instanceof Polygon && shape.filletRadius > 0);
+        
+        this.elements.baseType.querySelectorAll('option').forEach(option => {
+            option.disabled = isFloorOnly && option.value !== RollingBase.FLOOR;
+        });
+        if (isFloorOnly && this.state.baseType !== RollingBase.FLOOR) {
+            this.state.baseType = RollingBase.FLOOR;
+            this.elements.baseType.value = this.state.baseType;
+        }
+        this.updateBaseControls();
+    }
+    
     /**
      * Configura los event listeners (FASE 3 - Simplificado)
      * La interacción con el punto ahora es manejada por InputController
@@ -498,6 +1105,14 @@ class CyclogonApp {
                 this.state.shapeType = e.target.value;
                 this.elements.sidesSelector.style.display = 
                     this.state.shapeType === 'polygon' ? 'flex' : 'none';
+                this.elements.vertexEditor.style.display = 
+                    this.state.shapeType === 'custom' ? 'flex' : 'none';
+                this.elements.filletControl.style.display = 
+                    this.state.shapeType === 'polygon' ? 'block' : 'none';
+                this.elements.ellipseRatioControl.style.display = 
+                    this.state.shapeType === 'ellipse' ? 'block' : 'none';
+                this.elements.reuleauxSidesControl.style.display = 
+                    this.state.shapeType === 'reuleaux' ? 'block' : 'none';
                 
                 // Resetear estado del InputController para evitar congelamiento
                 this.inputController.reset();
@@ -506,13 +1121,22 @@ class CyclogonApp {
                 // Actualizar vista usando la nueva arquitectura
                 if (this.state.shapeType === 'circle') {
                     this.configPanelView.setCircle(CONFIG.SHAPES.DEFAULT_RADIUS);
+                } else if (this.state.shapeType === 'custom') {
+                    this.configPanelView.setCustomPolygon(this.loadCustomPolygon());
+                    this.elements.vertexCount.textContent = this.configPanelView.shapeModel.sides;
+                } else if (this.state.shapeType === 'ellipse') {
+                    this.setEllipseShape();
+                } else if (this.state.shapeType === 'reuleaux') {
+                    this.configPanelView.setReuleaux(this.state.reuleauxSides);
                 } else {
                     this.configPanelView.setPolygon(
                         this.state.polygonSides, 
-                        CONFIG.SHAPES.DEFAULT_RADIUS
+                        CONFIG.SHAPES.DEFAULT_RADIUS,
+                        this.state.polygonDensity
                     );
                 }
                 
+                this.updateBaseAvailability();
                 this.updatePointInfo();
                 this.updateCyclogon();
             });
@@ -527,7 +1151,9 @@ class CyclogonApp {
                 
                 this.state.polygonSides--;
                 this.elements.sidesInput.value = this.state.polygonSides;
-                this.configPanelView.updatePolygonSides(this.state.polygonSides);
+                this.clampPolygonDensity();
+                this.configPanelView.updatePolygonSides(this.state.polygonSides, this.state.polygonDensity);
+                this.updateBaseAvailability();
                 this.updatePointInfo();
                 this.updateCyclogon();
             }
@@ -541,19 +1167,331 @@ class CyclogonApp {
                 
                 this.state.polygonSides++;
                 this.elements.sidesInput.value = this.state.polygonSides;
-                this.configPanelView.updatePolygonSides(this.state.polygonSides);
+                this.configPanelView.updatePolygonSides(this.state.polygonSides, this.state.polygonDensity);
+                this.updateBaseAvailability();
                 this.updatePointInfo();
                 this.updateCyclogon();
             }
         });
         
-        // Slider de ciclos
+        // Selector de salto (polígono estrellado {n/k})
+        this.elements.densityMinus.addEventListener('click', () => {
+            if (this.state.polygonDensity > 1) {
+                this.inputController.reset();
+                this.state.isDragging = false;
+                
+                this.state.polygonDensity--;
+                this.elements.densityInput.value = this.state.polygonDensity;
+                this.updateFilletAvailability();
+                this.configPanelView.updatePolygonSides(this.state.polygonSides, this.state.polygonDensity);
+                this.updateBaseAvailability();
+                this.updatePointInfo();
+                this.updateCyclogon();
+            }
+        });
+        
+        this.elements.densityPlus.addEventListener('click', () => {
+            if (this.state.polygonDensity < this.getMaxPolygonDensity()) {
+                this.inputController.reset();
+                this.state.isDragging = false;
+                
+                this.state.polygonDensity++;
+                this.elements.densityInput.value = this.state.polygonDensity;
+                this.updateFilletAvailability();
+                this.configPanelView.updatePolygonSides(this.state.polygonSides, this.state.polygonDensity);
+                this.updateBaseAvailability();
+                this.updatePointInfo();
+                this.updateCyclogon();
+            }
+        });
+        
+        // Restaurar el polígono libre de ejemplo
+        this.elements.vertexResetBtn.addEventListener('click', () => {
+            this.inputController.reset();
+            this.state.isDragging = false;
+            
+            this.configPanelView.setCustomPolygon(CONFIG.SHAPES.DEFAULT_CUSTOM_VERTICES);
+            this.onCustomPolygonChanged();
+        });
+        
+        // Añadir un punto de dibujo en la posición elegida
+        this.elements.addDrawPointBtn.addEventListener('click', () => {
+            this.inputController.reset();
+            this.state.isDragging = false;
+            
+            const anchor = this.elements.drawPointAnchor.value;
+            if (!this.configPanelView.addDrawPoint(anchor)) {
+                this.updateStatus('warning', `Máximo ${CONFIG.DRAW_POINT.MAX_SERIES} puntos de dibujo`);
+                return;
+            }
+            this.onDrawPointsChanged();
+        });
+        
+        // Lista de puntos: seleccionar, eliminar, renombrar y cambiar color
+        this.elements.drawPointList.addEventListener('click', (e) => {
+            const item = e.target.closest('.draw-point-item');
+            if (!item) return;
+            const index = parseInt(item.dataset.index);
+            
+            if (e.target.closest('.draw-point-remove')) {
+                this.inputController.reset();
+                this.state.isDragging = false;
+                if (this.configPanelView.removeDrawPoint(index)) {
+                    this.onDrawPointsChanged();
+                }
+            } else if (!e.target.matches('input')) {
+                this.activateDrawPoint(index);
+            }
+        });
+        
+        this.elements.drawPointList.addEventListener('input', (e) => {
+            if (!e.target.matches('.draw-point-color')) return;
+            const index = parseInt(e.target.closest('.draw-point-item').dataset.index);
+            this.configPanelView.setDrawPointColor(index, parseInt(e.target.value.slice(1), 16));
+            this.updateCyclogon();
+        });
+        
+        this.elements.drawPointList.addEventListener('change', (e) => {
+            if (!e.target.matches('.draw-point-name')) return;
+            const index = parseInt(e.target.closest('.draw-point-item').dataset.index);
+            this.configPanelView.setDrawPointName(index, e.target.value);
+            this.onDrawPointsChanged();
+        });
+        
+        // Slider del redondeo de las esquinas
+        this.elements.filletSlider.addEventListener('input', (e) => {
+            this.state.filletRatio = parseFloat(e.target.value);
+            this.elements.filletValue.textContent = `${Math.round(this.state.filletRatio * 100)}%`;
+            this.configPanelView.setPolygonFillet(this.state.filletRatio);
+            this.updateBaseAvailability();
+            this.updateCyclogon();
+        });
+        
+        // Slider de la proporción de la elipse
+        this.elements.ellipseRatioSlider.addEventListener('input', (e) => {
+            this.inputController.reset();
+            this.state.isDragging = false;
+            
+            this.state.ellipseRatio = parseFloat(e.target.value);
+            this.elements.ellipseRatioValue.textContent = this.state.ellipseRatio;
+            this.setEllipseShape();
+            this.updatePointInfo();
+            this.updateCyclogon();
+        });
+        
+        // Slider de lados del polígono de Reuleaux
+        this.elements.reuleauxSidesSlider.addEventListener('input', (e) => {
+            this.inputController.reset();
+            this.state.isDragging = false;
+            
+            this.state.reuleauxSides = parseInt(e.target.value);
+            this.elements.reuleauxSidesValue.textContent = this.state.reuleauxSides;
+            this.configPanelView.setReuleaux(this.state.reuleauxSides);
+            this.updatePointInfo();
+            this.updateCyclogon();
+        });
+        
+        // Selector de base de rodadura
+        this.elements.baseType.addEventListener('change', (e) => {
+            this.state.baseType = e.target.value;
+            this.updateBaseControls();
+            this.updateCyclogon();
+        });
+        
+        // Perfil del camino libre: solo se aplica si se puede leer
+        this.elements.roadProfileInput.addEventListener('change', (e) => {
+            const text = e.target.value;
+            try {
+                if (this.state.baseType === RoadType.FUNCTION) {
+                    Road.parseFunction(text);
+                    this.state.roadFunction = text;
+                } else {
+                    Road.parsePoints(text);
+                    this.state.roadPoints = text;
+                }
+            } catch (error) {
+                // El campo recupera el último perfil válido
+                this.updateStatus('error', error.message);
+                this.updateBaseControls();
+                return;
+            }
+            this.updateCyclogon();
+        });
+        
+        // Slider del radio de la base
+        this.elements.baseRadiusSlider.addEventListener('input', (e) => {
+            this.state.baseRadius = parseFloat(e.target.value);
+            this.elements.baseRadiusValue.textContent = this.state.baseRadius;
+            this.updateCyclogon();
+        });
+        
+        // Extensión: modo, valor escrito y slider de ciclos
+        this.elements.extentMode.addEventListener('change', (e) => {
+            this.state.extentMode = e.target.value;
+            if (this.state.extentMode !== ExtentMode.CYCLES) {
+                this.state.extentValue = this.getDefaultExtentValue(this.state.extentMode);
+            }
+            this.updateExtentControls();
+            this.updateCyclogon();
+        });
+        
+        this.elements.extentInput.addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            // Un valor vacío o nulo no se aplica: el campo recupera el anterior
+            if (Number.isFinite(value) && value !== 0) {
+                if (this.state.extentMode === ExtentMode.CYCLES) {
+                    this.state.cycles = value;
+                    this.elements.cyclesSlider.value = value;
+                } else {
+                    this.state.extentValue = this.state.extentMode === ExtentMode.ROTATION
+                        ? value * MATH.DEG_TO_RAD
+                        : value;
+                }
+                this.updateCyclogon();
+            }
+            this.updateExtentControls();
+        });
+        
         this.elements.cyclesSlider.addEventListener('input', (e) => {
             this.state.cycles = parseFloat(e.target.value);
-            this.elements.cyclesValue.textContent = this.state.cycles;
+            this.updateExtentControls();
             this.updateCyclogon();
         });
         
+        // Arranque de la rodadura: sentido, apoyo inicial y fase
+        this.elements.rollingDirection.addEventListener('change', (e) => {
+            this.state.rollingDirection = e.target.value;
+            this.updateCyclogon();
+        });
+        
+        this.elements.startContact.addEventListener('change', (e) => {
+            this.state.startContact = e.target.value;
+            this.updateCyclogon();
+        });
+        
+        this.elements.startPhaseSlider.addEventListener('input', (e) => {
+            const degrees = parseInt(e.target.value, 10);
+            this.state.startPhase = degrees * MATH.DEG_TO_RAD;
+            this.elements.startPhaseValue.textContent = `${degrees}°`;
+            this.updateCyclogon();
+        });
+        
+        this.elements.slipSlider.addEventListener('input', (e) => {
+            this.state.slip = parseFloat(e.target.value);
+            this.elements.slipValue.textContent = this.state.slip;
+            this.updateCyclogon();
+        });
+        
+        // Familia de curvas: modo y parámetros del barrido
+        this.elements.familyMode.addEventListener('change', (e) => {
+            this.state.familyMode = e.target.value;
+            this.updateCyclogon();
+        });
+        
+        this.elements.familyCountSlider.addEventListener('input', (e) => {
+            this.state.familyCount = parseInt(e.target.value, 10);
+            this.elements.familyCountValue.textContent = this.state.familyCount;
+            this.updateCyclogon();
+        });
+        
+        this.elements.familyEdgeSlider.addEventListener('input', (e) => {
+            this.state.familyEdge = parseInt(e.target.value, 10);
+            this.updateCyclogon();
+        });
+        
+        this.elements.familyAngleSlider.addEventListener('input', (e) => {
+            const degrees = parseInt(e.target.value, 10);
+            this.state.familyAngle = degrees * MATH.DEG_TO_RAD;
+            this.elements.familyAngleValue.textContent = `${degrees}°`;
+            this.updateCyclogon();
+        });
+        
+        // Cinemática: ley de movimiento y su velocidad
+        this.elements.kinematicsMode.addEventListener('change', (e) => {
+            this.state.kinematicsMode = e.target.value;
+            this.updateKinematicsControls();
+            this.updateCyclogon();
+        });
+        
+        this.elements.kinematicsRateSlider.addEventListener('input', (e) => {
+            this.state.kinematicsRate = parseFloat(e.target.value);
+            this.updateKinematicsControls();
+            this.updateCyclogon();
+        });
+        
+        this.elements.kinematicsInclineSlider.addEventListener('input', (e) => {
+            this.state.kinematicsIncline = parseInt(e.target.value) * MATH.DEG_TO_RAD;
+            this.updateKinematicsControls();
+            this.updateCyclogon();
+        });
+        
+        // Muestreo: densidad fija o adaptativo con su tolerancia y sus límites de puntos
+        this.elements.samplingMode.addEventListener('change', (e) => {
+            this.state.samplingMode = e.target.value;
+            this.updateSamplingControls();
+            this.applySampling();
+        });
+        
+        this.elements.samplingToleranceInput.addEventListener('change', (e) => {
+            this.state.samplingTolerance = parseFloat(e.target.value);
+            this.applySampling();
+        });
+        
+        this.elements.samplingMinPointsInput.addEventListener('change', (e) => {
+            this.state.samplingMinPoints = parseInt(e.target.value);
+            this.applySampling();
+        });
+        
+        this.elements.samplingMaxPointsInput.addEventListener('change', (e) => {
+            this.state.samplingMaxPoints = parseInt(e.target.value);
+            this.applySampling();
+        });
+        
+        // Curvas paralelas: banda a ambos lados y su distancia
+        this.elements.offsetMode.addEventListener('change', (e) => {
+            this.state.offsetMode = e.target.value;
+            this.updateOffsetControls();
+            this.updateCyclogon();
+        });
+        
+        this.elements.offsetDistanceSlider.addEventListener('input', (e) => {
+            this.state.offsetDistance = parseFloat(e.target.value);
+            this.updateOffsetControls();
+            this.updateCyclogon();
+        });
+        
+        // Ajuste: importar un CSV de muestras medidas o quitarlas
+        this.elements.fitImportBtn.addEventListener('click', () => {
+            this.elements.fitFileInput.click();
+        });
+        
+        this.elements.fitFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';   // Permite volver a importar el mismo archivo
+            if (file) {
+                this.importMeasurements(file);
+            }
+        });
+        
+        this.elements.fitClearBtn.addEventListener('click', () => {
+            this.setFit(null);
+        });
+        
+        // Diseño inverso: condición, altura pedida y búsqueda del punto
+        this.elements.inverseTarget.addEventListener('change', (e) => {
+            this.state.inverseTarget = e.target.value;
+            this.updateInverseControls();
+        });
+        
+        this.elements.inverseHeightSlider.addEventListener('input', (e) => {
+            this.state.inverseHeight = parseFloat(e.target.value);
+            this.updateInverseControls();
+        });
+        
+        this.elements.inverseSolveBtn.addEventListener('click', () => {
+            this.solveInverseDesign();
+        });
+        
         // Botón de reinicio
         this.elements.resetBtn.addEventListener('click', () => {
             this.resetToInitialState();
@@ -596,6 +1534,69 @@ class CyclogonApp {
         this.elements.zoomInBtn.addEventListener('click', () => this.graphPanelView.zoom(0.8));
         this.elements.zoomOutBtn.addEventListener('click', () => this.graphPanelView.zoom(1.25));
         this.elements.fitViewBtn.addEventListener('click', () => this.graphPanelView.fitView());
+        
+        // Evoluta y círculo osculador de la curva principal
+        this.elements.evoluteBtn.addEventListener('click', () => {
+            this.state.showEvolute = !this.state.showEvolute;
+            this.elements.evoluteBtn.classList.toggle('active', this.state.showEvolute);
+            this.graphPanelView.setEvoluteVisible(this.state.showEvolute);
+        });
+        this.elements.osculatingCircleBtn.addEventListener('click', () => {
+            this.state.showOsculatingCircle = !this.state.showOsculatingCircle;
+            this.elements.osculatingCircleBtn.classList.toggle('active', this.state.showOsculatingCircle);
+            this.graphPanelView.setOsculatingCircleVisible(this.state.showOsculatingCircle);
+        });
+        this.elements.intersectionsBtn.addEventListener('click', () => {
+            this.state.showIntersections = !this.state.showIntersections;
+            this.elements.intersectionsBtn.classList.toggle('active', this.state.showIntersections);
+            this.graphPanelView.setIntersectionsVisible(this.state.showIntersections);
+        });
+        this.elements.beadsBtn.addEventListener('click', () => {
+            this.state.showBeads = !this.state.showBeads;
+            this.elements.beadsBtn.classList.toggle('active', this.state.showBeads);
+            this.updateCyclogon();
+            this.graphPanelView.fitView();
+            if (this.state.showBeads && !this.currentBeads) {
+                this.updateStatus('warning', 'El descenso solo está disponible sobre el suelo recto');
+            }
+        });
+        this.elements.statsBtn.addEventListener('click', () => {
+            this.state.showStats = !this.state.showStats;
+            this.elements.statsBtn.classList.toggle('active', this.state.showStats);
+            this.statsPanelView.setVisible(this.state.showStats);
+        });
+    }
+    
+    /**
+     * Aplica la elipse con la proporción actual (semieje horizontal = radio por defecto)
+     */
+    setEllipseShape() {
+        const radiusX = CONFIG.SHAPES.DEFAULT_RADIUS;
+        this.configPanelView.setEllipse(radiusX, radiusX * this.state.ellipseRatio);
+    }
+    
+    /**
+     * Salto máximo de la estrella {n/k} con los lados actuales (k < n/2)
+     * @returns {number}
+     */
+    getMaxPolygonDensity() {
+        return Math.max(1, Math.ceil(this.state.polygonSides / 2) - 1);
+    }
+    
+    /**
+     * Ajusta el salto de la estrella si ya no es válido para los lados actuales
+     */
+    clampPolygonDensity() {
+        this.state.polygonDensity = Math.min(this.state.polygonDensity, this.getMaxPolygonDensity());
+        this.elements.densityInput.value = this.state.polygonDensity;
+        this.updateFilletAvailability();
+    }
+    
+    /**
+     * Las estrellas no se redondean: desactiva el slider de redondeo con salto mayor que 1
+     */
+    updateFilletAvailability() {
+        this.elements.filletSlider.disabled = this.state.polygonDensity > 1;
     }
     
     /**
@@ -605,7 +1606,38 @@ class CyclogonApp {
         // Restaurar estado
         this.state.shapeType = CONFIG.SHAPES.DEFAULT_TYPE;
         this.state.polygonSides = CONFIG.SHAPES.DEFAULT_POLYGON_SIDES;
+        this.state.polygonDensity = CONFIG.SHAPES.DEFAULT_POLYGON_DENSITY;
+        this.state.filletRatio = 0;
+        this.state.ellipseRatio = CONFIG.SHAPES.DEFAULT_ELLIPSE_RATIO;
+        this.state.reuleauxSides = CONFIG.SHAPES.DEFAULT_REULEAUX_SIDES;
         this.state.cycles = CONFIG.CYCLOGON.DEFAULT_CYCLES;
+        this.state.extentMode = CONFIG.CYCLOGON.EXTENT.MODE;
+        this.state.extentValue = null;
+        this.state.baseType = CONFIG.BASE.DEFAULT_TYPE;
+        this.state.baseRadius = CONFIG.BASE.DEFAULT_RADIUS;
+        this.state.roadPoints = CONFIG.ROAD.DEFAULT_POINTS;
+        this.state.roadFunction = CONFIG.ROAD.DEFAULT_FUNCTION;
+        this.state.rollingDirection = RollingDirection.RIGHT;
+        this.state.startContact = StartContact.SIDE;
+        this.state.startPhase = 0;
+        this.state.slip = 0;
+        this.state.familyMode = 'off';
+        this.state.familyCount = CONFIG.FAMILY.DEFAULT_COUNT;
+        this.state.familyEdge = 0;
+        this.state.familyAngle = CONFIG.FAMILY.DEFAULT_ANGLE;
+        this.state.samplingMode = CONFIG.CYCLOGON.SAMPLING.MODE;
+        this.state.samplingTolerance = CONFIG.CYCLOGON.SAMPLING.CHORD_TOLERANCE;
+        this.state.samplingMinPoints = CONFIG.CYCLOGON.SAMPLING.MIN_POINTS;
+        this.state.samplingMaxPoints = CONFIG.CYCLOGON.SAMPLING.MAX_POINTS;
+        this.cyclogonCalculator.setSampling(this.getSamplingOptions());
+        this.state.kinematicsMode = 'off';
+        this.state.kinematicsRate = CONFIG.CYCLOGON.KINEMATICS.ANGULAR_VELOCITY;
+        this.state.kinematicsIncline = CONFIG.CYCLOGON.KINEMATICS.INCLINE;
+        this.state.offsetMode = 'off';
+        this.state.offsetDistance = CONFIG.CYCLOGON.OFFSET.DEFAULT_DISTANCE;
+        this.setFit(null);
+        this.state.inverseTarget = InverseTarget.MAX_HEIGHT;
+        this.state.inverseHeight = CONFIG.INVERSE.DEFAULT_HEIGHT;
         
         // Resetear estado del InputController para evitar congelamiento
         this.inputController.reset();
@@ -614,17 +1646,129 @@ class CyclogonApp {
         // Actualizar UI
         document.querySelector('input[value="circle"]').checked = true;
         this.elements.sidesSelector.style.display = 'none';
+        this.elements.vertexEditor.style.display = 'none';
+        this.elements.filletControl.style.display = 'none';
+        this.elements.filletSlider.value = this.state.filletRatio;
+        this.elements.filletSlider.disabled = false;
+        this.elements.filletValue.textContent = '0%';
+        this.configPanelView.setPolygonFillet(this.state.filletRatio);
+        this.elements.ellipseRatioControl.style.display = 'none';
+        this.elements.ellipseRatioSlider.value = this.state.ellipseRatio;
+        this.elements.ellipseRatioValue.textContent = this.state.ellipseRatio;
+        this.elements.reuleauxSidesControl.style.display = 'none';
+        this.elements.reuleauxSidesSlider.value = this.state.reuleauxSides;
+        this.elements.reuleauxSidesValue.textContent = this.state.reuleauxSides;
         this.elements.sidesInput.value = this.state.polygonSides;
+        this.elements.densityInput.value = this.state.polygonDensity;
         this.elements.cyclesSlider.value = this.state.cycles;
-        this.elements.cyclesValue.textContent = this.state.cycles;
+        this.elements.extentMode.value = this.state.extentMode;
+        this.updateExtentControls();
+        this.elements.baseType.value = this.state.baseType;
+        this.elements.baseRadiusSlider.value = this.state.baseRadius;
+        this.elements.baseRadiusValue.textContent = this.state.baseRadius;
+        this.updateBaseControls();
+        this.elements.rollingDirection.value = this.state.rollingDirection;
+        this.elements.startContact.value = this.state.startContact;
+        this.elements.startPhaseSlider.value = 0;
+        this.elements.startPhaseValue.textContent = '0°';
+        this.elements.slipSlider.value = 0;
+        this.elements.slipValue.textContent = '0';
+        this.elements.familyMode.value = this.state.familyMode;
+        this.elements.familyCountSlider.value = this.state.familyCount;
+        this.elements.familyCountValue.textContent = this.state.familyCount;
+        this.elements.familyAngleSlider.value = Math.round(this.state.familyAngle * MATH.RAD_TO_DEG);
+        this.elements.familyAngleValue.textContent = `${this.elements.familyAngleSlider.value}°`;
+        this.elements.samplingMode.value = this.state.samplingMode;
+        this.elements.samplingToleranceInput.value = this.state.samplingTolerance;
+        this.elements.samplingMinPointsInput.value = this.state.samplingMinPoints;
+        this.elements.samplingMaxPointsInput.value = this.state.samplingMaxPoints;
+        this.updateSamplingControls();
+        this.elements.kinematicsMode.value = this.state.kinematicsMode;
+        this.elements.kinematicsRateSlider.value = this.state.kinematicsRate;
+        this.elements.kinematicsInclineSlider.value = Math.round(this.state.kinematicsIncline * MATH.RAD_TO_DEG);
+        this.updateKinematicsControls();
+        this.elements.offsetMode.value = this.state.offsetMode;
+        this.elements.offsetDistanceSlider.value = this.state.offsetDistance;
+        this.updateOffsetControls();
+        this.elements.inverseTarget.value = this.state.inverseTarget;
+        this.elements.inverseHeightSlider.value = this.state.inverseHeight;
+        this.updateInverseControls();
         
-        // Reiniciar vista usando ConfigPanelView
+        // Reiniciar vista usando ConfigPanelView (con un único punto de dibujo)
         this.configPanelView.setCircle(CONFIG.SHAPES.DEFAULT_RADIUS);
+        this.configPanelView.resetDrawPoints();
+        this.elements.drawPointAnchor.value = DrawPointAnchor.VERTEX;
+        this.updateBaseAvailability();
         
+        this.renderDrawPointList();
         this.updatePointInfo();
         this.updateCyclogon();
     }
     
+    /**
+     * Cambia el punto de dibujo activo (el que se arrastra y guía la animación)
+     * @param {number} index - Índice del punto
+     */
+    activateDrawPoint(index) {
+        if (index === this.configPanelView.activeDrawPointIndex) return;
+        if (!this.configPanelView.setActiveDrawPoint(index)) return;
+        this.onDrawPointsChanged();
+    }
+    
+    /**
+     * Refresca la lista, la información y las curvas tras cambiar los puntos de dibujo
+     */
+    onDrawPointsChanged() {
+        this.renderDrawPointList();
+        this.updatePointInfo();
+        this.updateCyclogon();
+    }
+    
+    /**
+     * Dibuja la lista de puntos de dibujo (color, nombre y botón de eliminar)
+     */
+    renderDrawPointList() {
+        const list = this.elements.drawPointList;
+        const points = this.configPanelView.getDrawPointsInfo();
+        list.innerHTML = '';
+        
+        points.forEach((info, index) => {
+            const item = document.createElement('li');
+            item.className = `draw-point-item${info.isActive ? ' active' : ''}`;
+            item.dataset.index = index;
+            item.title = 'Seleccionar punto';
+            
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.className = 'draw-point-color';
+            color.value = `#${info.color.toString(16).padStart(6, '0')}`;
+            color.setAttribute('aria-label', 'Color de la curva');
+            
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.className = 'draw-point-name';
+            name.value = info.name;
+            name.maxLength = 24;
+            name.setAttribute('aria-label', 'Nombre del punto');
+            
+            const remove = document.createElement('button');
+            remove.className = 'sides-btn draw-point-remove';
+            remove.disabled = points.length <= 1;
+            remove.setAttribute('aria-label', 'Eliminar punto');
+            remove.title = 'Eliminar punto';
+            remove.innerHTML = '<i data-lucide="x"></i>';
+            
+            item.append(color, name, remove);
+            list.appendChild(item);
+        });
+        
+        this.elements.addDrawPointBtn.disabled = points.length >= CONFIG.DRAW_POINT.MAX_SERIES;
+        
+        if (window.lucide) {
+            window.lucide.createIcons({ root: list });
+        }
+    }
+    
     /**
      * Actualiza la información del punto en la UI
      */
@@ -638,9 +1782,83 @@ class CyclogonApp {
         this.elements.pointDistance.textContent = info.distanceFromCenter.toFixed(3);
     }
     
+    /**
+     * Importa muestras medidas de un CSV y ajusta a ellas la curva
+     * @param {File} file - Archivo CSV con columnas X e Y
+     */
+    async importMeasurements(file) {
+        try {
+            const samples = this.curveFitService.parseCSV(await file.text());
+            this.updateStatus('warning', `Ajustando ${samples.length} muestras...`);
+            // Deja pintar el estado antes del ajuste, que bloquea la interfaz
+            await new Promise(resolve => setTimeout(resolve, 0));
+            
+            const fit = this.curveFitService.fit(samples);
+            this.setFit(fit);
+            
+            const shape = fit.sides ? `polígono de ${fit.sides} lados` : 'círculo';
+            this.updateStatus('ready', 
+                `Ajuste: ${shape}, R = ${fit.radius.toFixed(3)}, RMS = ${fit.residuals.rms.toExponential(2)}`
+            );
+        } catch (error) {
+            console.error('Error al ajustar las medidas:', error);
+            this.updateStatus('error', error.message);
+        }
+    }
+    
+    /**
+     * Muestra u oculta el ajuste en el gráfico y en las estadísticas
+     * @param {Object|null} fit - Resultado de CurveFitService.fit
+     */
+    setFit(fit) {
+        this.currentFit = fit;
+        this.graphPanelView.setFit(fit);
+        this.statsPanelView.setFit(fit);
+        this.elements.fitSampleCount.textContent = fit ? fit.residuals.count : '—';
+    }
+    
+    /**
+     * Mueve el punto de dibujo activo a la posición que cumple la condición elegida
+     */
+    solveInverseDesign() {
+        const info = this.configPanelView.getDrawPointInfo();
+        if (!info) return;
+        
+        try {
+            const result = this.inverseDesignService.solve(
+                this.configPanelView.shapeModel,
+                { x: info.x, y: info.y },
+                this.state.inverseTarget,
+                {
+                    value: this.state.inverseHeight,
+                    cycles: this.getActiveCycles(),
+                    generateOptions: this.getGenerateOptions()
+                }
+            );
+            
+            this.configPanelView.setDrawPointPosition(result.drawPoint.x, result.drawPoint.y);
+            this.updatePointInfo();
+            this.updateCyclogon();
+            
+            const labels = {
+                [InverseTarget.MAX_HEIGHT]: 'h',
+                [InverseTarget.LOOPS_TOUCH]: 'd',
+                [InverseTarget.MIN_ARC_LENGTH]: 'L'
+            };
+            this.elements.inverseResult.textContent = `${labels[result.target]} = ${result.value.toFixed(3)}`;
+            this.updateStatus('ready', 
+                `Punto a ${result.distance.toFixed(3)} del centro, ${(result.angle * MATH.RAD_TO_DEG).toFixed(1)}°`
+            );
+        } catch (error) {
+            console.error('Error en el diseño inverso:', error);
+            this.elements.inverseResult.textContent = '—';
+            this.updateStatus('warning', error.message);
+        }
+    }
+    
     /**
      * Exporta los datos del ciclógono usando ExportService
-     * FASE 6: Soporte para múltiples formatos (CSV, SVG, JSON)
+     * FASE 6: Soporte para múltiples formatos (CSV, SVG, JSON, DXF)
      */
     exportCyclogon() {
         // Verificar que hay datos para exportar
@@ -654,34 +1872,59 @@ class CyclogonApp {
             // Agregar metadatos adicionales al ciclógono antes de exportar
             this.currentCyclogon.setMetadata({
                 shapeType: this.state.shapeType,
-                sides: this.state.shapeType === 'polygon' ? this.state.polygonSides : null,
-                cycles: this.state.cycles,
+                sides: this.configPanelView.shapeModel.sides ?? null,
+                cycles: this.getActiveCycles(),
+                rollingBase: this.getActiveRollingBase(),
                 exportedAt: new Date().toISOString()
             });
 
             // Generar nombre de archivo
-            const shapeName = this.state.shapeType === 'circle' ? 
-                'circle' : `polygon${this.state.polygonSides}`;
-            const cyclesStr = this.state.cycles.toString().replace('.', '_');
+            const shapeNames = {
+                circle: 'circle',
+                polygon: this.state.polygonDensity > 1
+                    ? `star${this.state.polygonSides}_${this.state.polygonDensity}`
+                    : `polygon${this.state.polygonSides}` +
+                      (this.state.filletRatio > 0 ? `_round${Math.round(this.state.filletRatio * 100)}` : ''),
+                custom: `custom${this.configPanelView.shapeModel.sides}`,
+                ellipse: `ellipse${this.state.ellipseRatio.toString().replace('.', '_')}`,
+                reuleaux: `reuleaux${this.state.reuleauxSides}`
+            };
+            const shapeName = shapeNames[this.state.shapeType];
+            const cyclesStr = (+this.getActiveCycles().toFixed(2)).toString().replace('.', '_');
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-            const filename = `cyclogon_${shapeName}_${cyclesStr}cycles_${timestamp}`;
+            const family = this.getActiveFamily();
+            const familyStr = family ? `_family${family.mode}${family.count}` : '';
+            const filename = `cyclogon_${shapeName}_${cyclesStr}cycles${familyStr}_${timestamp}`;
 
-            // Usar ExportService para descargar
+            // Usar ExportService para descargar (una serie por punto de dibujo o de la familia)
+            // Cada serie lleva el área y el centroide de sus arcos; las curvas paralelas son de la principal
+            const series = this.cyclogonSeries.map(entry => ({
+                ...entry,
+                arches: this.archService.analyze(entry.cyclogon)
+            }));
             const result = this.exportService.download(
                 this.currentCyclogon,
                 this.state.exportFormat,
-                filename
+                filename,
+                {
+                    series,
+                    family,
+                    arches: this.archService.analyze(this.currentCyclogon),
+                    offset: this.currentOffset
+                }
             );
 
             // Feedback al usuario según formato
             const formatLabels = {
                 [ExportFormat.CSV]: 'CSV',
                 [ExportFormat.SVG]: 'SVG',
-                [ExportFormat.JSON]: 'JSON'
+                [ExportFormat.JSON]: 'JSON',
+                [ExportFormat.DXF]: 'DXF'
             };
             
+            const seriesLabel = result.seriesCount > 1 ? ` en ${result.seriesCount} series` : '';
             this.updateStatus('ready', 
-                `Exportado ${formatLabels[this.state.exportFormat]}: ${result.pointCount} puntos`
+                `Exportado ${formatLabels[this.state.exportFormat]}: ${result.pointCount} puntos${seriesLabel}`
             );
 
             // Log de información de exportación
@@ -19,11 +19,61 @@ export const CONFIG = {
     // CONFIGURACIÓN DE FORMAS
     // ==========================================
     SHAPES: {
-        DEFAULT_TYPE: 'circle',         // 'circle' o 'polygon'
+        DEFAULT_TYPE: 'circle',         // 'circle', 'polygon', 'custom', 'ellipse' o 'reuleaux'
         MIN_POLYGON_SIDES: 3,
         MAX_POLYGON_SIDES: 20,
         DEFAULT_POLYGON_SIDES: 3,
-        DEFAULT_RADIUS: 1.0             // Radio fijo del polígono/círculo
+        DEFAULT_POLYGON_DENSITY: 1,     // Salto k de la estrella {n/k} (1 = polígono regular)
+        DEFAULT_RADIUS: 1.0,            // Radio fijo del polígono/círculo
+        // Polígono libre (editor de vértices)
+        DEFAULT_CUSTOM_VERTICES: [      // Cometa
+            { x: 0, y: -1 },
+            { x: 0.7, y: 0.1 },
+            { x: 0, y: 0.8 },
+            { x: -0.7, y: 0.1 }
+        ],
+        VERTEX_HIT_RADIUS: 0.1,         // Distancia para seleccionar un vértice
+        FILLET_SEGMENTS: 16,            // Segmentos por esquina redondeada al dibujar
+        CUSTOM_STORAGE_KEY: 'cyclogon.customPolygon',
+        // Formas suaves (elipse y r(φ))
+        DEFAULT_ELLIPSE_RATIO: 0.6,     // Semieje vertical / semieje horizontal
+        MIN_ELLIPSE_RATIO: 0.3,
+        MAX_ELLIPSE_RATIO: 1.0,
+        ELLIPSE_RATIO_STEP: 0.05,
+        SMOOTH_SAMPLES: 360,            // Tramos por vuelta (validación, longitud de arco y contacto)
+        // Polígonos de Reuleaux (lados impares)
+        DEFAULT_REULEAUX_SIDES: 3,
+        MAX_REULEAUX_SIDES: 19
+    },
+
+    // ==========================================
+    // CONFIGURACIÓN DE LA BASE DE RODADURA
+    // ==========================================
+    BASE: {
+        DEFAULT_TYPE: 'floor',          // 'floor', 'ramp', 'sine', 'step', 'outside' o 'inside'
+        DEFAULT_RADIUS: 3.0,            // Radio del círculo fijo
+        MIN_RADIUS: 1.5,                // Debe superar al radio de la forma (hipotrocoide)
+        MAX_RADIUS: 10,
+        RADIUS_STEP: 0.5
+    },
+
+    // ==========================================
+    // CONFIGURACIÓN DEL CAMINO DE RODADURA
+    // ==========================================
+    ROAD: {
+        SAMPLE_STEP: 0.02,              // Paso de muestreo de perfiles suaves
+        RAMP_ANGLE: Math.PI / 18,       // 10° de inclinación
+        RAMP_START: 2.0,                // X donde empieza la rampa
+        SINE_AMPLITUDE: 0.25,
+        SINE_WAVELENGTH: 4.0,
+        STEP_HEIGHT: 0.5,
+        STEP_POSITION: 3.0,
+        DEFAULT_POINTS: '0, 0; 2, 0; 3, 0.4; 5, 0.4; 6, 0',  // Perfil libre inicial (pares x, y)
+        DEFAULT_FUNCTION: '0.2 * sin(x)',                   // Función libre inicial
+        DISPLAY_MARGIN: 10,             // Margen de dibujo más allá de la curva
+        SERIALIZE_MIN_X: -20,           // Tramo guardado de las funciones libres
+        SERIALIZE_MAX_X: 100,
+        MAX_ITERATIONS: 200000          // Límite de pasos al rodar sobre el camino
     },
 
     // ==========================================
@@ -34,7 +84,80 @@ export const CONFIG = {
         DEFAULT_ANGLE: Math.PI / 2,     // 90° - parte superior (para círculo)
         SNAP_THRESHOLD: 0.1,            // Distancia para activar snap
         COLOR: 0xf72585,                // Rosa/Magenta
-        HOVER_COLOR: 0xff5ca1
+        HOVER_COLOR: 0xff5ca1,
+        // Varios puntos sobre la misma forma (una curva por punto)
+        MAX_SERIES: 6,
+        SERIES_COLORS: [                // Colores de las curvas, en orden de creación
+            0x00ff88,                   // Verde (el de la curva única)
+            0xffbe0b,                   // Ámbar
+            0x4cc9f0,                   // Azul claro
+            0xff7b00,                   // Naranja
+            0xb388ff,                   // Lavanda
+            0xff5ca1                    // Rosa
+        ]
+    },
+
+    // ==========================================
+    // CONFIGURACIÓN DE LA FAMILIA DE CURVAS
+    // ==========================================
+    FAMILY: {
+        DEFAULT_COUNT: 9,               // Curvas del barrido (extremos incluidos)
+        MIN_COUNT: 2,
+        MAX_COUNT: 24,
+        DEFAULT_ANGLE: Math.PI / 2,     // Radio vertical hacia arriba
+        ANGLE_STEP: Math.PI / 12,       // 15° por paso del slider
+        DISTANCE_RATIO: 2,              // El radio llega al doble del radio de la forma
+        COLOR_RAMP: [                   // De t = 0 (acortada) a t = 1 (alargada)
+            0x4cc9f0,                   // Azul claro
+            0x00ff88,                   // Verde
+            0xf72585                    // Rosa/Magenta
+        ]
+    },
+
+    // ==========================================
+    // AJUSTE A DATOS MEDIDOS
+    // ==========================================
+    FIT: {
+        MAX_SIDES: 8,                   // Se prueban el círculo y los polígonos de 3 a MAX_SIDES lados
+        MIN_SAMPLES: 10,
+        MAX_SEARCH_SAMPLES: 200,        // Muestras usadas en la búsqueda (los residuos usan todas)
+        SEARCH_POINTS_PER_RADIAN: 20,   // Muestreo de las curvas candidatas
+        SEARCH_POINTS_PER_SIDE: 30,
+        SEGMENTS_PER_BUCKET: 8,         // Tramos por cubeta en X al buscar el punto más cercano de la curva
+        PHASE_STARTS: 8,                // Arranques repartidos en la fase
+        ANGLE_STARTS: 4,                // Arranques en el ángulo del punto (polígonos)
+        REFINED_STARTS: 2,              // Mejores arranques que se refinan con Nelder-Mead
+        MAX_ITERATIONS: 200,
+        TOLERANCE: 1e-6                 // Diferencia relativa de error entre vértices del simplex para parar
+    },
+
+    // ==========================================
+    // DISEÑO INVERSO DEL PUNTO DE DIBUJO
+    // ==========================================
+    INVERSE: {
+        MAX_DISTANCE_RATIO: 6,          // Alcance de la búsqueda sobre el radio (× radio de la forma)
+        SCAN_STEPS: 48,                 // Tramos del barrido previo sobre el radio
+        LOOP_CYCLES: 3,                 // Ciclos generados para ver dos bucles consecutivos
+        DEFAULT_HEIGHT: 2,
+        MIN_HEIGHT: 0,
+        MAX_HEIGHT: 6,
+        HEIGHT_STEP: 0.05,
+        START_STEP: 0.25,               // Tamaño del simplex inicial (× radio) al minimizar
+        MAX_ITERATIONS: 200,
+        TOLERANCE: 1e-10                // Anchura final relativa del intervalo / diferencia en el simplex
+    },
+
+    // ==========================================
+    // DESCENSO DE CUENTAS (BRAQUISTÓCRONA Y TAUTÓCRONA)
+    // ==========================================
+    BEADS: {
+        GRAVITY: 9.81,                  // Unidades por s² (con R = 1, un descenso dura del orden de 1 s)
+        RELEASE_FRACTIONS: [1, 0.75, 0.5, 0.25], // Alturas de salida sobre el fondo (fracción de la caída)
+        FLAT_START_RATIO: 1.5,          // Pendiente del 2º tramo / la del 1º a partir de la que la rampa empieza horizontal
+        FRAMES: 240,                    // Posiciones muestreadas por cuenta para la animación
+        LANE_GAP: 0.5,                  // Separación entre la curva y las rampas y entre rampas
+        REST_TIME: 1,                   // Pausa (s) con las cuentas abajo antes de repetir
+        BEAD_SIZE: 0.012                // Radio de la cuenta (fracción de la altura de la vista)
     },
 
     // ==========================================
@@ -43,11 +166,63 @@ export const CONFIG = {
     CYCLOGON: {
         DEFAULT_CYCLES: 1,              // Ciclos completos por defecto
         MIN_CYCLES: 0.5,
-        MAX_CYCLES: 5,
+        MAX_CYCLES: 500,                // También limita la extensión por distancia, giro o pivotes
+        SLIDER_MAX_CYCLES: 5,           // Más allá del slider se escriben los ciclos a mano
         POINTS_PER_SIDE: 50,            // Puntos de discretización por lado (polígonos)
         POINTS_PER_RADIAN: 30,          // Puntos por radián (círculos)
+        MAX_TOTAL_POINTS: 50000,        // Con muchos ciclos se reduce la densidad fija para no pasar de aquí
+        // Extensión de la curva: ciclos, distancia recorrida, giro total o pivotes
+        EXTENT: {
+            MODE: 'cycles',             // 'cycles', 'distance', 'rotation' o 'pivots'
+            DEFAULT_DISTANCE: 10,       // Unidades recorridas sobre la base
+            DEFAULT_ROTATION: 4 * Math.PI, // Giro total (2 vueltas)
+            DEFAULT_PIVOTS: 6           // Lados rodados
+        },
+        SAMPLING: {
+            MODE: 'fixed',              // 'fixed' o 'adaptive'
+            CHORD_TOLERANCE: 0.001,     // Error máximo entre la cuerda y la curva
+            ANGLE_TOLERANCE: Math.PI / 36, // Desviación angular máxima entre segmentos (5°)
+            MIN_POINTS: 64,             // Límites de puntos de la curva completa (modo adaptativo)
+            MAX_POINTS: 5000
+        },
         LINE_COLOR: 0x00ff88,           // Verde brillante
-        LINE_WIDTH: 2
+        LINE_WIDTH: 2,
+        // Cinemática de la rodadura (velocidad, aceleración y centro instantáneo por punto)
+        KINEMATICS: {
+            MODE: 'angular',            // 'angular' (ω constante), 'speed' (avance del centro constante) o 'dynamics' (gravedad)
+            ANGULAR_VELOCITY: 1,        // rad/s (velocidad inicial en el modo con gravedad)
+            ROLLING_SPEED: 1,           // unidades/s
+            INCLINE: Math.PI / 12,      // 15° de pendiente del plano (modo con gravedad)
+            GRAVITY: 9.81,              // unidades/s²
+            MIN_RATE: 0.25,
+            MAX_RATE: 4
+        },
+        // Geometría diferencial (tangente, normal, curvatura y evoluta)
+        CURVATURE: {
+            CUSP_TOLERANCE: 1e-3,       // Rapidez mínima |dP/dφ| por debajo de la cual hay una cúspide
+            MAX_EVOLUTE_RADIUS: 50,     // Radios de curvatura mayores cortan la evoluta (inflexiones, tramos rectos)
+            HOVER_DISTANCE: 12          // Píxeles para mostrar el círculo osculador al pasar el ratón
+        },
+        // Áreas y centroides bajo los arcos
+        ARCHES: {
+            MAX_ROWS: 8                 // Con más arcos la tabla resume mínimo, máximo y media (lista desplegable)
+        },
+        // Autointersecciones y clasificación (acortada, común, alargada)
+        LOOPS: {
+            COMMON_TOLERANCE: 1e-6,     // Distancia al contorno (en radios de la forma) para considerar el punto sobre él
+            MIN_LOOP_AREA: 1e-9,        // Bucles más pequeños se descartan (cruces numéricos)
+            MAX_POINTS: 20000           // Curvas más largas no se analizan en la interfaz (el barrido crece como n²)
+        },
+        // Curvas paralelas (trayectorias de herramienta y bandas)
+        OFFSET: {
+            DEFAULT_DISTANCE: 0.1,      // Distancia a cada lado de la curva
+            MIN_DISTANCE: 0.02,
+            MAX_DISTANCE: 1,
+            DISTANCE_STEP: 0.02,
+            JOIN_STEP: Math.PI / 48,    // Paso angular de las uniones redondas y los remates
+            TRIM_TOLERANCE: 1e-6,       // Fracción de la distancia bajo la que un tramo se recorta
+            MAX_POINTS: 40000           // Curvas más largas no se desplazan en la interfaz (un trozo por cada cruce)
+        }
     },
 
     // ==========================================
@@ -61,6 +236,17 @@ export const CONFIG = {
         DRAW_POINT: 0xf72585,           // Rosa/Magenta
         CYCLOGON_LINE: 0x00ff88,        // Verde brillante
         FLOOR_LINE: 0xffffff,           // Blanco
+        INVALID_SHAPE: 0xff4d6d,        // Rojo (polígono no convexo)
+        EVOLUTE: 0xffbe0b,              // Ámbar
+        OSCULATING_CIRCLE: 0xb388ff,    // Lavanda
+        CUSP: 0xffffff,                 // Blanco
+        INFLECTION: 0xff7b00,           // Naranja
+        SELF_INTERSECTION: 0xff006e,    // Rosa intenso
+        OFFSET: 0x4895ef,               // Azul
+        MEASURED_POINTS: 0xffd60a,      // Amarillo
+        FITTED_CURVE: 0xfb5607,         // Naranja rojizo
+        STRAIGHT_RAMP: 0x6c757d,        // Gris
+        BEAD: 0xffffff,                 // Blanco
         UI_ELEMENTS: 0xadb5bd,          // Gris medio
         ACCENT: 0x7209b7,               // Púrpura
         SECONDARY: 0x3a0ca3             // Azul oscuro
@@ -113,7 +299,16 @@ export const CONFIG = {
     ANIMATION: {
         DURATION_MS: 300,               // Duración de transiciones
         EASING: 'ease-out',
-        FPS_TARGET: 60
+        FPS_TARGET: 60,
+        PROGRESS_SPEED: 0.2             // Progreso de la animación por segundo (la curva completa en 5 s)
+    },
+
+    // ==========================================
+    // ENTRADA TÁCTIL
+    // ==========================================
+    TOUCH: {
+        TAP_TOLERANCE: 10,              // Píxeles que puede desplazarse un toque para contar como clic
+        LONG_PRESS_MS: 600              // Pulsación larga sobre un objetivo: equivale al clic derecho
     },
 
     // ==========================================
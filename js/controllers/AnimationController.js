@@ -8,6 +8,8 @@
  * del ciclógono (play, pause, stop, step, loop).
  */
 
+import { CONFIG } from '../config/constants.js';
+
 export class AnimationController {
     /**
      * @param {Object} options - Configuración
@@ -20,7 +22,7 @@ export class AnimationController {
 
         this._isPlaying = false;
         this._progress = 0; // 0.0 a 1.0
-        this._speed = 0.2; // Progreso por segundo (1 ciclo cada 5s aprox por defecto)
+        this._speed = CONFIG.ANIMATION.PROGRESS_SPEED; // Progreso por segundo
         this._lastTime = 0;
         this._animationFrameId = null;
         
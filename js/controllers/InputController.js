@@ -38,7 +38,8 @@ export const InputEventType = {
     HOVER_LEAVE: 'hoverLeave',
     SNAP_MODE_CHANGE: 'snapModeChange',
     CLICK: 'click',
-    DOUBLE_CLICK: 'doubleClick'
+    DOUBLE_CLICK: 'doubleClick',
+    CONTEXT_MENU: 'contextMenu'
 };
 
 /**
@@ -82,8 +83,16 @@ export class InputController {
 
         // Target actual (objeto sobre el que se detecta interacción)
         this._currentTarget = null;
+        this._dragTarget = null;
         this._hitTestCallback = null;
 
+        // Pulsación sobre zona vacía (para emitir CLICK sin objetivo)
+        this._isPressingEmpty = false;
+
+        // Toque en curso: posición inicial en pantalla y temporizador de la pulsación larga
+        this._touchStartClient = null;
+        this._longPressTimer = null;
+
         // Bind de métodos para event listeners
         this._onMouseDown = this._onMouseDown.bind(this);
         this._onMouseMove = this._onMouseMove.bind(this);
@@ -147,14 +156,20 @@ export class InputController {
         return { ...this._dragStartPosition };
     }
 
+    /** @returns {*} Objetivo bajo el cursor (o el que se arrastra), null si no hay */
+    get currentTarget() {
+        return this._isDragging ? this._dragTarget : this._currentTarget;
+    }
+
     // ==========================================
     // SETTERS / CONFIGURACIÓN
     // ==========================================
 
     /**
      * Establece la función de callback para hit testing
-     * Esta función debe retornar true si el punto dado está sobre un objeto interactivo
-     * @param {Function} callback - (worldPosition) => boolean
+     * Esta función debe retornar un valor verdadero si el punto dado está sobre un
+     * objeto interactivo. Si retorna un objeto, se incluye como `target` en los eventos
+     * @param {Function} callback - (worldPosition) => boolean|Object|null
      */
     setHitTestCallback(callback) {
         this._hitTestCallback = callback;
@@ -212,6 +227,7 @@ export class InputController {
             mousePosition: { ...this._mousePosition },
             worldPosition: { ...this._worldPosition },
             isSnapMode: this._isSnapModeActive,
+            target: this.currentTarget,
             timestamp: Date.now(),
             ...data
         };
@@ -268,6 +284,7 @@ export class InputController {
         this._canvas.removeEventListener('touchstart', this._onTouchStart);
         this._canvas.removeEventListener('touchmove', this._onTouchMove);
         this._canvas.removeEventListener('touchend', this._onTouchEnd);
+        this._cancelTouchPress();
 
         // Keyboard events
         window.removeEventListener('keydown', this._onKeyDown);
@@ -329,14 +346,25 @@ export class InputController {
 
     /**
      * Verifica si el punto actual está sobre un objeto interactivo
+     * Guarda el objetivo detectado en _currentTarget
      * @returns {boolean}
      * @private
      */
     _performHitTest() {
-        if (this._hitTestCallback) {
-            return this._hitTestCallback(this._worldPosition);
-        }
-        return false;
+        const result = this._hitTestCallback ? this._hitTestCallback(this._worldPosition) : null;
+        this._currentTarget = result || null;
+        return Boolean(result);
+    }
+
+    /**
+     * Compara dos objetivos del hit test (por valor si son objetos planos)
+     * @private
+     */
+    _isSameTarget(a, b) {
+        if (a === b) return true;
+        if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
     }
 
     // ==========================================
@@ -358,6 +386,7 @@ export class InputController {
 
         if (isOverTarget) {
             this._isDragging = true;
+            this._dragTarget = this._currentTarget;
             this._dragStartPosition = { ...this._worldPosition };
             this._state = this._isSnapModeActive ? InputState.SNAP_MODE : InputState.DRAGGING;
             this._canvas.style.cursor = 'grabbing';
@@ -372,6 +401,10 @@ export class InputController {
                 this._emit(InputEventType.DOUBLE_CLICK);
             }
             this._lastClickTime = now;
+        } else {
+            // Pulsación sobre zona vacía: puede convertirse en un CLICK sin objetivo
+            this._isPressingEmpty = true;
+            this._dragStartPosition = { ...this._worldPosition };
         }
     }
 
@@ -396,9 +429,14 @@ export class InputController {
             });
         } else {
             // Verificar hover
+            const previousTarget = this._currentTarget;
             const isOverTarget = this._performHitTest();
 
-            if (isOverTarget && !this._isHovering) {
+            if (isOverTarget && this._isHovering && !this._isSameTarget(previousTarget, this._currentTarget)) {
+                // Pasar directamente de un objetivo a otro
+                this._emit(InputEventType.HOVER_LEAVE, { target: previousTarget });
+                this._emit(InputEventType.HOVER_ENTER);
+            } else if (isOverTarget && !this._isHovering) {
                 // Entrar en hover
                 this._isHovering = true;
                 this._state = InputState.HOVERING;
@@ -409,7 +447,7 @@ export class InputController {
                 this._isHovering = false;
                 this._state = InputState.IDLE;
                 this._canvas.style.cursor = 'default';
-                this._emit(InputEventType.HOVER_LEAVE);
+                this._emit(InputEventType.HOVER_LEAVE, { target: previousTarget });
             }
         }
     }
@@ -420,16 +458,26 @@ export class InputController {
      * @private
      */
     _onMouseUp(event) {
+        if (this._isPressingEmpty) {
+            this._isPressingEmpty = false;
+            this._updatePositions(event);
+            this._emitEmptyClick();
+            return;
+        }
+
         if (!this._isDragging) return;
 
         this._updatePositions(event);
         this._isDragging = false;
 
+        const dragTarget = this._dragTarget;
+        this._dragTarget = null;
         const wasOverTarget = this._performHitTest();
         this._state = wasOverTarget ? InputState.HOVERING : InputState.IDLE;
         this._canvas.style.cursor = wasOverTarget ? 'grab' : 'default';
 
         this._emit(InputEventType.DRAG_END, {
+            target: dragTarget,
             startPosition: this._dragStartPosition,
             endPosition: { ...this._worldPosition },
             totalDelta: {
@@ -444,7 +492,21 @@ export class InputController {
             Math.pow(this._worldPosition.y - this._dragStartPosition.y, 2)
         );
         if (distance < 0.01) {
-            this._emit(InputEventType.CLICK);
+            this._emit(InputEventType.CLICK, { target: dragTarget });
+        }
+    }
+
+    /**
+     * Emite CLICK sin objetivo si la pulsación sobre zona vacía no se desplazó
+     * @private
+     */
+    _emitEmptyClick() {
+        const distance = Math.sqrt(
+            Math.pow(this._worldPosition.x - this._dragStartPosition.x, 2) +
+            Math.pow(this._worldPosition.y - this._dragStartPosition.y, 2)
+        );
+        if (distance < 0.01) {
+            this._emit(InputEventType.CLICK, { target: null });
         }
     }
 
@@ -454,6 +516,8 @@ export class InputController {
      * @private
      */
     _onMouseLeave(event) {
+        this._isPressingEmpty = false;
+
         if (this._isDragging) {
             // Terminar arrastre si sale del canvas
             this._onMouseUp(event);
@@ -463,18 +527,24 @@ export class InputController {
             this._isHovering = false;
             this._state = InputState.IDLE;
             this._emit(InputEventType.HOVER_LEAVE);
+            this._currentTarget = null;
         }
 
         this._canvas.style.cursor = 'default';
     }
 
     /**
-     * Previene el menú contextual
+     * Previene el menú contextual y emite CONTEXT_MENU con el objetivo bajo el cursor
      * @param {MouseEvent} event
      * @private
      */
     _onContextMenu(event) {
         event.preventDefault();
+        if (this._isDragging) return;
+
+        this._updatePositions(event);
+        this._performHitTest();
+        this._emit(InputEventType.CONTEXT_MENU);
     }
 
     // ==========================================
@@ -527,20 +597,27 @@ export class InputController {
 
     /**
      * Manejador de touchstart
+     * Un segundo dedo (pellizco) anula el toque y la pulsación larga en curso
      * @param {TouchEvent} event
      * @private
      */
     _onTouchStart(event) {
-        if (event.touches.length !== 1) return;
+        if (event.touches.length !== 1) {
+            this._cancelTouchPress();
+            return;
+        }
         event.preventDefault();
 
         // Simular mousedown con el primer touch
-        this._updatePositions(event.touches[0]);
+        const touch = event.touches[0];
+        this._updatePositions(touch);
+        this._touchStartClient = { x: touch.clientX, y: touch.clientY };
 
         const isOverTarget = this._performHitTest();
 
         if (isOverTarget) {
             this._isDragging = true;
+            this._dragTarget = this._currentTarget;
             this._dragStartPosition = { ...this._worldPosition };
             this._state = InputState.DRAGGING;
 
@@ -548,19 +625,39 @@ export class InputController {
                 startPosition: this._dragStartPosition,
                 isTouch: true
             });
+
+            this._longPressTimer = setTimeout(() => this._onLongPress(), CONFIG.TOUCH.LONG_PRESS_MS);
+        } else {
+            this._isPressingEmpty = true;
+            this._dragStartPosition = { ...this._worldPosition };
         }
     }
 
     /**
      * Manejador de touchmove
+     * Un toque que se desplaza más que TAP_TOLERANCE deja de ser un clic o una
+     * pulsación larga
      * @param {TouchEvent} event
      * @private
      */
     _onTouchMove(event) {
-        if (!this._isDragging || event.touches.length !== 1) return;
+        if (event.touches.length !== 1) {
+            this._cancelTouchPress();
+            return;
+        }
+        if (!this._isDragging && !this._isPressingEmpty) return;
         event.preventDefault();
 
-        this._updatePositions(event.touches[0]);
+        const touch = event.touches[0];
+        this._updatePositions(touch);
+        if (this._touchStartClient && Math.hypot(
+            touch.clientX - this._touchStartClient.x,
+            touch.clientY - this._touchStartClient.y
+        ) > CONFIG.TOUCH.TAP_TOLERANCE) {
+            this._cancelTouchPress();
+        }
+
+        if (!this._isDragging) return;
 
         this._emit(InputEventType.DRAG_MOVE, {
             delta: this.worldDelta,
@@ -578,18 +675,68 @@ export class InputController {
      * @private
      */
     _onTouchEnd(event) {
+        const isTap = this._isPressingEmpty;
+        this._cancelTouchPress();
+
+        if (isTap) {
+            // Un toque sin desplazamiento equivale a un clic en la posición inicial
+            this._emit(InputEventType.CLICK, {
+                target: null,
+                worldPosition: { ...this._dragStartPosition }
+            });
+            return;
+        }
+
         if (!this._isDragging) return;
+        this._endTouchDrag();
+    }
 
+    /**
+     * Pulsación larga sin desplazarse sobre un objetivo: termina el arrastre y
+     * emite CONTEXT_MENU (en pantallas táctiles no hay clic derecho)
+     * @private
+     */
+    _onLongPress() {
+        this._longPressTimer = null;
+        if (!this._isDragging) return;
+
+        const target = this._dragTarget;
+        this._endTouchDrag();
+        this._currentTarget = target;
+        this._emit(InputEventType.CONTEXT_MENU, { target, isTouch: true });
+    }
+
+    /**
+     * Termina el arrastre táctil y emite DRAG_END
+     * @private
+     */
+    _endTouchDrag() {
+        const dragTarget = this._dragTarget;
         this._isDragging = false;
+        this._dragTarget = null;
         this._state = InputState.IDLE;
 
         this._emit(InputEventType.DRAG_END, {
+            target: dragTarget,
             startPosition: this._dragStartPosition,
             endPosition: { ...this._worldPosition },
             isTouch: true
         });
     }
 
+    /**
+     * Anula el toque sobre zona vacía y la pulsación larga pendientes
+     * @private
+     */
+    _cancelTouchPress() {
+        this._isPressingEmpty = false;
+        this._touchStartClient = null;
+        if (this._longPressTimer !== null) {
+            clearTimeout(this._longPressTimer);
+            this._longPressTimer = null;
+        }
+    }
+
     // ==========================================
     // MÉTODOS DE UTILIDAD
     // ==========================================
@@ -598,8 +745,11 @@ export class InputController {
      * Resetea el estado del controlador
      */
     reset() {
+        this._cancelTouchPress();
         this._isDragging = false;
         this._isHovering = false;
+        this._currentTarget = null;
+        this._dragTarget = null;
         this._state = InputState.IDLE;
         this._canvas.style.cursor = 'default';
     }
@@ -614,6 +764,7 @@ export class InputController {
             isDragging: this._isDragging,
             isHovering: this._isHovering,
             isSnapModeActive: this._isSnapModeActive,
+            target: this.currentTarget,
             mousePosition: { ...this._mousePosition },
             worldPosition: { ...this._worldPosition },
             dragStartPosition: this._isDragging ? { ...this._dragStartPosition } : null
@@ -335,6 +335,14 @@ export class Circle {
         return new Circle(this._radius, this._center);
     }
 
+    /**
+     * Crea una copia reflejada respecto al eje vertical (x → -x)
+     * @returns {Circle} Nueva instancia
+     */
+    mirrored() {
+        return new Circle(this._radius, { x: -this._center.x, y: this._center.y });
+    }
+
     // ==========================================
     // MÉTODOS PÚBLICOS - SERIALIZACIÓN
     // ==========================================
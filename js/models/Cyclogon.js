@@ -137,6 +137,14 @@ export class Cyclogon {
         this._metadata = {};
     }
 
+    /**
+     * Conserva solo los primeros puntos de la curva
+     * @param {number} count - Número de puntos que se conservan
+     */
+    truncate(count) {
+        this._points = this._points.slice(0, Math.max(0, count));
+    }
+
     // ==========================================
     // MÉTODOS PÚBLICOS - METADATOS
     // ==========================================
@@ -162,8 +170,67 @@ export class Cyclogon {
     // MÉTODOS PÚBLICOS - CÁLCULOS GEOMÉTRICOS
     // ==========================================
 
+    /**
+     * Obtiene la representación exacta de la curva como cadena de arcos circulares
+     * 
+     * Solo disponible en curvas de polígonos de esquinas vivas (puntos con `pivot` y `rotation`):
+     * mientras el polígono gira alrededor de un pivote, el punto de dibujo describe
+     * un arco centrado en él. Los arcos se recorren en sentido horario, así que
+     * endAngle = startAngle - (rotación del lado); en antihorario si la forma
+     * rueda hacia la izquierda (metadata.direction = 'left').
+     * 
+     * @returns {Array} Arcos [{center, radius, startAngle, endAngle, sideIndex}, ...]
+     *                  (vacío si la curva no es de un polígono)
+     */
+    getArcs() {
+        const points = this._points;
+        const arcs = [];
+
+        if (points.length < 2 || !points[0].pivot || points[0].rotation === undefined) {
+            return arcs;
+        }
+
+        // Con esquinas redondeadas el contacto avanza durante el giro: no son arcos
+        const hasFixedPivots = points.every((p, i) => i === 0 ||
+            p.sideIndex !== points[i - 1].sideIndex ||
+            (p.pivot.x === points[i - 1].pivot.x && p.pivot.y === points[i - 1].pivot.y));
+        if (!hasFixedPivots) {
+            return arcs;
+        }
+
+        const sense = this._metadata.direction === 'left' ? -1 : 1;
+        let start = 0;
+        for (let i = 1; i <= points.length; i++) {
+            if (i < points.length && points[i].sideIndex === points[start].sideIndex) continue;
+
+            const first = points[start];
+            // El último punto de cada lado no se repite: el arco termina en el primero del siguiente
+            const end = i < points.length ? points[i] : points[i - 1];
+            const sweep = end.rotation - first.rotation;
+
+            if (sweep !== 0) {
+                const dx = first.x - first.pivot.x;
+                const dy = first.y - first.pivot.y;
+                const startAngle = Math.atan2(dy, dx);
+
+                arcs.push({
+                    center: { ...first.pivot },
+                    radius: Math.sqrt(dx * dx + dy * dy),
+                    startAngle: startAngle,
+                    endAngle: startAngle - sense * sweep,
+                    sideIndex: first.sideIndex
+                });
+            }
+
+            start = i;
+        }
+
+        return arcs;
+    }
+
     /**
      * Calcula el bounding box de la curva
+     * En curvas de polígonos se calcula de forma exacta a partir de los arcos
      * @returns {Object} {minX, maxX, minY, maxY, width, height}
      */
     getBoundingBox() {
@@ -174,11 +241,30 @@ export class Cyclogon {
         let minX = Infinity, maxX = -Infinity;
         let minY = Infinity, maxY = -Infinity;
 
-        for (const p of this._points) {
+        const include = (p) => {
             minX = Math.min(minX, p.x);
             maxX = Math.max(maxX, p.x);
             minY = Math.min(minY, p.y);
             maxY = Math.max(maxY, p.y);
+        };
+
+        const arcs = this.getArcs();
+
+        if (arcs.length > 0) {
+            for (const arc of arcs) {
+                include(this._getArcPoint(arc, arc.startAngle));
+                include(this._getArcPoint(arc, arc.endAngle));
+
+                // Extremos del círculo (0, π/2, π, 3π/2) que caen dentro del arco
+                for (let k = 0; k < 4; k++) {
+                    const angle = k * Math.PI / 2;
+                    if (this._isAngleInArc(arc, angle)) {
+                        include(this._getArcPoint(arc, angle));
+                    }
+                }
+            }
+        } else {
+            this._points.forEach(include);
         }
 
         return {
@@ -194,9 +280,18 @@ export class Cyclogon {
 
     /**
      * Calcula la longitud total de la curva (perímetro)
-     * @returns {number} Longitud de arco aproximada
+     * Exacta en curvas de polígonos (suma de r·|Δφ| de cada arco);
+     * aproximada por la polilínea en el resto
+     * @returns {number} Longitud de arco
      */
     getArcLength() {
+        const arcs = this.getArcs();
+        if (arcs.length > 0) {
+            return arcs.reduce(
+                (length, arc) => length + arc.radius * Math.abs(arc.startAngle - arc.endAngle), 0
+            );
+        }
+
         if (this._points.length < 2) {
             return 0;
         }
@@ -213,6 +308,36 @@ export class Cyclogon {
         return length;
     }
 
+    /**
+     * Calcula el área con signo entre la curva y el eje y = 0 (∫ y dx)
+     * Positiva si la curva avanza hacia la derecha por encima del eje.
+     * Exacta en curvas de polígonos; por trapecios en el resto
+     * @returns {number} Área
+     */
+    getArea() {
+        const arcs = this.getArcs();
+        if (arcs.length > 0) {
+            // Para x = cx + r·cos φ, y = cy + r·sin φ:
+            // ∫ y dx = cy·r·(cos φ1 - cos φ0) - r²/2 · [(φ - sin φ·cos φ)] de φ0 a φ1
+            return arcs.reduce((area, arc) => {
+                const { center, radius: r, startAngle: a0, endAngle: a1 } = arc;
+                const primitive = (a) => a - Math.sin(a) * Math.cos(a);
+                return area +
+                    center.y * r * (Math.cos(a1) - Math.cos(a0)) -
+                    (r * r / 2) * (primitive(a1) - primitive(a0));
+            }, 0);
+        }
+
+        let area = 0;
+        for (let i = 1; i < this._points.length; i++) {
+            const p0 = this._points[i - 1];
+            const p1 = this._points[i];
+            area += (p1.x - p0.x) * (p0.y + p1.y) / 2;
+        }
+
+        return area;
+    }
+
     /**
      * Encuentra el punto más cercano a una posición dada
      * @param {Object} position - Posición {x, y}
@@ -272,6 +397,14 @@ export class Cyclogon {
         return result;
     }
 
+    /**
+     * Añade propiedades a cada punto (velocidad, aceleración, etc.)
+     * @param {Function} annotate - (punto, índice) → propiedades a añadir
+     */
+    annotatePoints(annotate) {
+        this._points = this._points.map((p, i) => ({ ...p, ...annotate({ ...p }, i) }));
+    }
+
     // ==========================================
     // MÉTODOS PÚBLICOS - TRANSFORMACIONES
     // ==========================================
@@ -282,11 +415,7 @@ export class Cyclogon {
      * @param {number} dy - Desplazamiento en Y
      */
     translate(dx, dy) {
-        this._points = this._points.map(p => ({
-            ...p,
-            x: p.x + dx,
-            y: p.y + dy
-        }));
+        this._transformPoints(p => ({ x: p.x + dx, y: p.y + dy }));
     }
 
     /**
@@ -294,13 +423,31 @@ export class Cyclogon {
      * @param {number} scale - Factor de escala
      */
     scale(scale) {
-        this._points = this._points.map(p => ({
-            ...p,
-            x: p.x * scale,
-            y: p.y * scale
+        this._transformPoints(p => ({ x: p.x * scale, y: p.y * scale }));
+    }
+
+    /**
+     * Gira la curva alrededor de un punto
+     * @param {number} angle - Ángulo en radianes (positivo = antihorario)
+     * @param {Object} center - Centro del giro {x, y}
+     */
+    rotate(angle, center = { x: 0, y: 0 }) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this._transformPoints(p => ({
+            x: center.x + (p.x - center.x) * cos - (p.y - center.y) * sin,
+            y: center.y + (p.x - center.x) * sin + (p.y - center.y) * cos
         }));
     }
 
+    /**
+     * Refleja la curva respecto al eje vertical (x → -x)
+     * Los ángulos girados (theta, rotation) no cambian: siguen creciendo al rodar
+     */
+    mirror() {
+        this._transformPoints(p => ({ x: -p.x, y: p.y }));
+    }
+
     /**
      * Normaliza la curva para que quepa en un rango [0, 1] x [0, 1]
      * @returns {Object} Factores de normalización {offsetX, offsetY, scale}
@@ -311,8 +458,7 @@ export class Cyclogon {
 
         const scale = Math.max(bbox.width, bbox.height);
         
-        this._points = this._points.map(p => ({
-            ...p,
+        this._transformPoints(p => ({
             x: (p.x - bbox.minX) / scale,
             y: (p.y - bbox.minY) / scale
         }));
@@ -324,6 +470,53 @@ export class Cyclogon {
         };
     }
 
+    /**
+     * Aplica una transformación a los puntos y a sus centros y pivotes asociados,
+     * para que los arcos sigan siendo coherentes
+     * @private
+     * @param {Function} transform - Función {x, y} → {x, y}
+     */
+    _transformPoints(transform) {
+        this._points = this._points.map(p => {
+            const point = { ...p, ...transform(p) };
+            if (p.pivot) point.pivot = transform(p.pivot);
+            if (p.center) point.center = transform(p.center);
+            if (p.contact) point.contact = transform(p.contact);
+            if (p.instantCenter) point.instantCenter = transform(p.instantCenter);
+            return point;
+        });
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS - ARCOS
+    // ==========================================
+
+    /**
+     * Punto de un arco en un ángulo dado
+     * @private
+     */
+    _getArcPoint(arc, angle) {
+        return {
+            x: arc.center.x + arc.radius * Math.cos(angle),
+            y: arc.center.y + arc.radius * Math.sin(angle)
+        };
+    }
+
+    /**
+     * Comprueba si un ángulo está dentro del recorrido (horario) de un arco
+     * @private
+     */
+    _isAngleInArc(arc, angle) {
+        const sweep = arc.startAngle - arc.endAngle;
+        if (Math.abs(sweep) >= 2 * Math.PI) return true;
+
+        const twoPi = 2 * Math.PI;
+        if (sweep > 0) {
+            return ((arc.startAngle - angle) % twoPi + twoPi) % twoPi <= sweep;
+        }
+        return ((angle - arc.startAngle) % twoPi + twoPi) % twoPi <= -sweep;
+    }
+
     /**
      * Crea una copia de la curva
      * @returns {Cyclogon} Nueva instancia
@@ -368,7 +561,9 @@ export class Cyclogon {
             metadata: { ...this._metadata },
             timestamp: this._timestamp,
             boundingBox: this.getBoundingBox(),
-            arcLength: this.getArcLength()
+            arcLength: this.getArcLength(),
+            area: this.getArea(),
+            arcs: this.getArcs()
         };
     }
 
@@ -14,6 +14,8 @@
 import { CONFIG } from '../config/constants.js';
 import Polygon from './Polygon.js';
 import Circle from './Circle.js';
+import PolarShape from './PolarShape.js';
+import ReuleauxPolygon from './ReuleauxPolygon.js';
 
 /**
  * Estados visuales del punto de dibujo
@@ -27,6 +29,16 @@ export const DrawPointState = {
     SNAP_DRAGGING: 'snap_dragging'
 };
 
+/**
+ * Posiciones de referencia sobre la forma para colocar un punto de dibujo
+ * @enum {string}
+ */
+export const DrawPointAnchor = {
+    VERTEX: 'vertex',               // Vértice superior (lo más alto del contorno en formas suaves)
+    EDGE_MIDPOINT: 'edgeMidpoint',  // Punto medio del lado más alto (borde lateral en formas suaves)
+    CENTER: 'center'                // Centro de la forma
+};
+
 /**
  * Clase que representa el punto de dibujo
  */
@@ -35,14 +47,23 @@ export class DrawPoint {
      * Crea un punto de dibujo
      * @param {number} x - Coordenada X inicial
      * @param {number} y - Coordenada Y inicial
+     * @param {Object} options - Serie asociada al punto
+     * @param {string} options.name - Nombre de la serie
+     * @param {number} options.seriesColor - Color de la curva trazada (hexadecimal)
+     * @param {DrawPointAnchor} options.anchor - Posición de referencia al cambiar de forma
      */
-    constructor(x = 0, y = 0) {
+    constructor(x = 0, y = 0, options = {}) {
         this._position = { x, y };
         this._targetPosition = { x, y }; // Para animaciones suaves
         this._isSnappedToEdge = false;
         this._snappedEdgeIndex = null;
         this._edgeParameter = 0; // Parámetro t (0-1) de posición en la arista
         this._snappedAngle = null; // Para snap en círculo
+
+        // Serie trazada por el punto
+        this._name = options.name ?? '';
+        this._seriesColor = options.seriesColor ?? CONFIG.COLORS.CYCLOGON_LINE;
+        this._anchor = options.anchor ?? DrawPointAnchor.VERTEX;
         
         // Propiedades visuales
         this._radius = CONFIG.DRAW_POINT.RADIUS;
@@ -162,6 +183,21 @@ export class DrawPoint {
         return { ...this._targetPosition };
     }
 
+    /** @returns {string} Nombre de la serie */
+    get name() {
+        return this._name;
+    }
+
+    /** @returns {number} Color de la curva trazada */
+    get seriesColor() {
+        return this._seriesColor;
+    }
+
+    /** @returns {DrawPointAnchor} Posición de referencia sobre la forma */
+    get anchor() {
+        return this._anchor;
+    }
+
     // ==========================================
     // SETTERS
     // ==========================================
@@ -188,6 +224,19 @@ export class DrawPoint {
         this._snapIndicatorVisible = value;
     }
 
+    /** @param {string} value */
+    set name(value) {
+        this._name = String(value).trim();
+    }
+
+    /** @param {number} value - Color hexadecimal */
+    set seriesColor(value) {
+        if (!Number.isInteger(value) || value < 0 || value > 0xffffff) {
+            throw new Error('Color de serie no válido');
+        }
+        this._seriesColor = value;
+    }
+
     // ==========================================
     // MÉTODOS DE ESTADO VISUAL (FASE 3)
     // ==========================================
@@ -439,9 +488,36 @@ export class DrawPoint {
         };
     }
 
+    /**
+     * Hace snap automático al contorno de una forma suave (proyección radial)
+     * @param {PolarShape} shape - Forma de referencia
+     * @returns {Object} Información del snap { angle, point }
+     */
+    snapToPolarShape(shape) {
+        const projected = shape.projectToBorder(this._targetPosition);
+        
+        // Establecer posición inmediatamente (sin animación) para evitar parpadeo
+        this._position.x = projected.x;
+        this._position.y = projected.y;
+        this._targetPosition.x = projected.x;
+        this._targetPosition.y = projected.y;
+        
+        this._isSnappedToEdge = true;
+        this._snappedEdgeIndex = null;
+        this._edgeParameter = 0;
+        this._snappedAngle = projected.angle;
+        
+        this._updateVisualState();
+
+        return {
+            angle: projected.angle,
+            point: { x: projected.x, y: projected.y }
+        };
+    }
+
     /**
      * Método genérico para snap al borde de cualquier forma
-     * @param {Polygon|Circle} shape - Forma (polígono o círculo)
+     * @param {Polygon|Circle|PolarShape} shape - Forma (polígono, círculo o forma suave)
      * @returns {Object} Información del snap
      */
     snapToShape(shape) {
@@ -449,6 +525,8 @@ export class DrawPoint {
             return this.snapToNearestPolygonEdge(shape);
         } else if (shape instanceof Circle) {
             return this.snapToCircle(shape);
+        } else if (shape instanceof PolarShape) {
+            return this.snapToPolarShape(shape);
         } else {
             throw new Error('Forma no soportada para snap');
         }
@@ -542,18 +620,115 @@ export class DrawPoint {
         this._snappedAngle = null;
     }
 
+    /**
+     * Posiciona el punto en lo más alto del contorno de una forma suave
+     * @param {PolarShape} shape - Forma de referencia
+     */
+    resetToPolarShapeTop(shape) {
+        const topPoint = shape.getTopPoint();
+        this._position.x = topPoint.x;
+        this._position.y = topPoint.y;
+        this._targetPosition.x = topPoint.x;
+        this._targetPosition.y = topPoint.y;
+        this._isSnappedToEdge = true;
+        this._snappedAngle = topPoint.angle;
+        this._snappedEdgeIndex = null;
+        this._edgeParameter = 0;
+    }
+
     /**
      * Método genérico para posicionar en la parte superior de cualquier forma
-     * @param {Polygon|Circle} shape - Forma (polígono o círculo)
+     * @param {Polygon|Circle|PolarShape} shape - Forma (polígono, círculo o forma suave)
      */
     resetToShapeTop(shape) {
         if (shape instanceof Polygon) {
             this.resetToPolygonTop(shape);
         } else if (shape instanceof Circle) {
             this.resetToCircleTop(shape);
+        } else if (shape instanceof PolarShape) {
+            this.resetToPolarShapeTop(shape);
+        } else {
+            throw new Error('Forma no soportada');
+        }
+    }
+
+    /**
+     * Posiciona el punto según su posición de referencia sobre la forma
+     * @param {Polygon|Circle|PolarShape} shape - Forma de referencia
+     * @param {DrawPointAnchor} anchor - Posición de referencia (default: la del punto)
+     */
+    resetToAnchor(shape, anchor = this._anchor) {
+        this._anchor = anchor;
+
+        switch (anchor) {
+            case DrawPointAnchor.CENTER:
+                this._setAnchorPosition({ x: 0, y: 0 });
+                this._clearSnap();
+                break;
+            case DrawPointAnchor.EDGE_MIDPOINT:
+                this._resetToEdgeMidpoint(shape);
+                break;
+            case DrawPointAnchor.VERTEX:
+                this.resetToShapeTop(shape);
+                break;
+            default:
+                throw new Error(`Posición de referencia no soportada: ${anchor}`);
+        }
+    }
+
+    /**
+     * Posiciona el punto en el punto medio del lado más alto
+     * Sin lados rectos: punto medio del arco más alto (Reuleaux) o borde derecho
+     * @private
+     */
+    _resetToEdgeMidpoint(shape) {
+        if (shape instanceof Polygon) {
+            const edge = shape.edges.reduce((top, e) =>
+                e.getMidpoint().y > top.getMidpoint().y + 1e-9 ? e : top);
+            this._setAnchorPosition(edge.getMidpoint());
+            this._isSnappedToEdge = true;
+            this._snappedEdgeIndex = edge.index;
+            this._edgeParameter = 0.5;
+            this._snappedAngle = null;
+            return;
+        }
+
+        let point;
+        if (shape instanceof ReuleauxPolygon) {
+            point = shape.getContactArcs()
+                .filter(arc => arc.type === 'arc')
+                .map(arc => {
+                    const angle = arc.startAngle + arc.sweep / 2;
+                    return {
+                        x: arc.center.x + arc.radius * Math.cos(angle),
+                        y: arc.center.y + arc.radius * Math.sin(angle)
+                    };
+                })
+                .reduce((top, p) => p.y > top.y + 1e-9 ? p : top);
+        } else if (shape instanceof Circle) {
+            point = shape.getRightPoint();
+        } else if (shape instanceof PolarShape) {
+            point = shape.getPoint(0);
         } else {
             throw new Error('Forma no soportada');
         }
+
+        this._setAnchorPosition(point);
+        this._isSnappedToEdge = true;
+        this._snappedAngle = Math.atan2(point.y, point.x);
+        this._snappedEdgeIndex = null;
+        this._edgeParameter = 0;
+    }
+
+    /**
+     * Coloca el punto sin animación
+     * @private
+     */
+    _setAnchorPosition(point) {
+        this._position.x = point.x;
+        this._position.y = point.y;
+        this._targetPosition.x = point.x;
+        this._targetPosition.y = point.y;
     }
 
     // ==========================================
@@ -686,6 +861,9 @@ export class DrawPoint {
             snappedEdgeIndex: this._snappedEdgeIndex,
             edgeParameter: this._edgeParameter,
             snappedAngle: this._snappedAngle,
+            name: this._name,
+            seriesColor: this._seriesColor,
+            anchor: this._anchor,
             distanceFromOrigin: this.getDistanceFromOrigin(),
             angleFromOrigin: this.getAngleFromOrigin()
         };
@@ -697,7 +875,11 @@ export class DrawPoint {
      * @returns {DrawPoint} Nueva instancia
      */
     static fromJSON(json) {
-        const point = new DrawPoint(json.position.x, json.position.y);
+        const point = new DrawPoint(json.position.x, json.position.y, {
+            name: json.name,
+            seriesColor: json.seriesColor,
+            anchor: json.anchor
+        });
         point._isSnappedToEdge = json.isSnappedToEdge;
         point._snappedEdgeIndex = json.snappedEdgeIndex;
         point._edgeParameter = json.edgeParameter;
@@ -710,7 +892,11 @@ export class DrawPoint {
      * @returns {DrawPoint} Nueva instancia
      */
     clone() {
-        const cloned = new DrawPoint(this._position.x, this._position.y);
+        const cloned = new DrawPoint(this._position.x, this._position.y, {
+            name: this._name,
+            seriesColor: this._seriesColor,
+            anchor: this._anchor
+        });
         cloned._isSnappedToEdge = this._isSnappedToEdge;
         cloned._snappedEdgeIndex = this._snappedEdgeIndex;
         cloned._edgeParameter = this._edgeParameter;
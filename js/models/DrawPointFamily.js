@@ -0,0 +1,230 @@
+/**
+ * ============================================
+ * DRAWPOINTFAMILY.JS - Modelo de la Familia de Puntos de Dibujo
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Barrido de N puntos de dibujo repartidos uniformemente a lo
+ * largo de un lado del polígono o de un radio desde el centro.
+ * Cada punto traza su propia curva; sobre un radio se ve la
+ * transición de las curvas acortadas (punto interior) a las
+ * alargadas (punto exterior).
+ */
+
+import { CONFIG } from '../config/constants.js';
+import Polygon from './Polygon.js';
+import DrawPoint from './DrawPoint.js';
+
+/**
+ * Modos de barrido soportados
+ * @enum {string}
+ */
+export const FamilyMode = {
+    EDGE: 'edge',   // A lo largo de un lado del polígono (t = 0 en su vértice inicial)
+    RAY: 'ray'      // Sobre un radio desde el centro (t = 0 en el centro)
+};
+
+/**
+ * Clase que representa una familia de puntos de dibujo
+ */
+export class DrawPointFamily {
+    /**
+     * Crea una familia de puntos
+     * @param {string} mode - Modo de barrido (FamilyMode)
+     * @param {Object} params - Parámetros del barrido
+     * @param {number} params.count - Número de curvas (extremos incluidos)
+     * @param {number} params.edgeIndex - Lado recorrido (modo EDGE)
+     * @param {number} params.angle - Dirección del radio en radianes (modo RAY)
+     * @param {number} params.distanceRatio - Distancia máxima del radio, en radios de la forma (modo RAY)
+     */
+    constructor(mode = FamilyMode.RAY, params = {}) {
+        if (!Object.values(FamilyMode).includes(mode)) {
+            throw new Error(`Modo de familia no soportado: ${mode}`);
+        }
+
+        const count = params.count ?? CONFIG.FAMILY.DEFAULT_COUNT;
+        if (!Number.isInteger(count) || count < CONFIG.FAMILY.MIN_COUNT || count > CONFIG.FAMILY.MAX_COUNT) {
+            throw new Error(
+                `Una familia necesita entre ${CONFIG.FAMILY.MIN_COUNT} y ${CONFIG.FAMILY.MAX_COUNT} curvas`
+            );
+        }
+
+        const distanceRatio = params.distanceRatio ?? CONFIG.FAMILY.DISTANCE_RATIO;
+        if (!(distanceRatio > 0)) {
+            throw new Error('La distancia máxima del radio debe ser positiva');
+        }
+
+        this._mode = mode;
+        this._count = count;
+        this._edgeIndex = params.edgeIndex ?? 0;
+        this._angle = params.angle ?? CONFIG.FAMILY.DEFAULT_ANGLE;
+        this._distanceRatio = distanceRatio;
+    }
+
+    // ==========================================
+    // FÁBRICAS
+    // ==========================================
+
+    /**
+     * Familia a lo largo de un lado del polígono
+     * @param {number} edgeIndex - Índice del lado
+     * @param {number} count - Número de curvas
+     * @returns {DrawPointFamily}
+     */
+    static alongEdge(edgeIndex = 0, count = CONFIG.FAMILY.DEFAULT_COUNT) {
+        return new DrawPointFamily(FamilyMode.EDGE, { edgeIndex, count });
+    }
+
+    /**
+     * Familia sobre un radio desde el centro
+     * @param {number} angle - Dirección del radio en radianes
+     * @param {number} count - Número de curvas
+     * @param {number} distanceRatio - Distancia del último punto, en radios de la forma
+     * @returns {DrawPointFamily}
+     */
+    static alongRay(angle = CONFIG.FAMILY.DEFAULT_ANGLE, count = CONFIG.FAMILY.DEFAULT_COUNT,
+                    distanceRatio = CONFIG.FAMILY.DISTANCE_RATIO) {
+        return new DrawPointFamily(FamilyMode.RAY, { angle, count, distanceRatio });
+    }
+
+    // ==========================================
+    // GETTERS
+    // ==========================================
+
+    /** @returns {string} Modo de barrido */
+    get mode() {
+        return this._mode;
+    }
+
+    /** @returns {number} Número de curvas */
+    get count() {
+        return this._count;
+    }
+
+    /** @returns {number} Índice del lado recorrido */
+    get edgeIndex() {
+        return this._edgeIndex;
+    }
+
+    /** @returns {number} Dirección del radio */
+    get angle() {
+        return this._angle;
+    }
+
+    /** @returns {number} Distancia del último punto del radio, en radios de la forma */
+    get distanceRatio() {
+        return this._distanceRatio;
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS
+    // ==========================================
+
+    /**
+     * Parámetros t de cada curva, repartidos uniformemente en [0, 1]
+     * @returns {Array<number>}
+     */
+    getParameters() {
+        return Array.from({ length: this._count }, (_, i) => i / (this._count - 1));
+    }
+
+    /**
+     * Coloca los puntos de la familia sobre una forma
+     * Cada punto lleva el nombre y el color de la rampa de su parámetro
+     * @param {Polygon|Circle|PolarShape} shape - Forma de referencia
+     * @returns {Array} [{ t, drawPoint }, ...]
+     */
+    createDrawPoints(shape) {
+        if (this._mode === FamilyMode.EDGE && !(shape instanceof Polygon)) {
+            throw new Error('El barrido por un lado solo está disponible en polígonos');
+        }
+
+        const sides = shape.sides ?? 1;
+        const edgeIndex = ((this._edgeIndex % sides) + sides) % sides;
+        const maxDistance = this._distanceRatio * shape.radius;
+
+        return this.getParameters().map(t => {
+            const drawPoint = new DrawPoint(0, 0, {
+                name: DrawPointFamily.formatLabel(t),
+                seriesColor: DrawPointFamily.colorAt(t)
+            });
+
+            if (this._mode === FamilyMode.EDGE) {
+                drawPoint.snapToPolygonEdge(shape, edgeIndex, t);
+            } else {
+                const distance = t * maxDistance;
+                drawPoint.setPosition(distance * Math.cos(this._angle), distance * Math.sin(this._angle), true);
+            }
+
+            return { t, drawPoint };
+        });
+    }
+
+    /**
+     * Color de la rampa para un parámetro (interpolación lineal entre paradas)
+     * @param {number} t - Parámetro en [0, 1]
+     * @returns {number} Color hexadecimal
+     */
+    static colorAt(t) {
+        const stops = CONFIG.FAMILY.COLOR_RAMP;
+        const position = Math.min(1, Math.max(0, t)) * (stops.length - 1);
+        const index = Math.min(stops.length - 2, Math.floor(position));
+        const local = position - index;
+
+        const channel = (color, shift) => (color >> shift) & 0xff;
+        const mix = (shift) => Math.round(
+            channel(stops[index], shift) * (1 - local) + channel(stops[index + 1], shift) * local
+        );
+        return (mix(16) << 16) | (mix(8) << 8) | mix(0);
+    }
+
+    /**
+     * Etiqueta de la curva de parámetro t
+     * @param {number} t - Parámetro
+     * @returns {string}
+     */
+    static formatLabel(t) {
+        return `t=${t.toFixed(3)}`;
+    }
+
+    // ==========================================
+    // MÉTODOS DE SERIALIZACIÓN
+    // ==========================================
+
+    /**
+     * Convierte la familia a un objeto plano
+     * @returns {Object}
+     */
+    toJSON() {
+        const json = { mode: this._mode, count: this._count };
+        if (this._mode === FamilyMode.EDGE) {
+            json.edgeIndex = this._edgeIndex;
+        } else {
+            json.angle = this._angle;
+            json.distanceRatio = this._distanceRatio;
+        }
+        return json;
+    }
+
+    /**
+     * Crea una familia desde un objeto JSON
+     * @param {Object} json - Objeto con datos de la familia
+     * @returns {DrawPointFamily}
+     */
+    static fromJSON(json) {
+        return new DrawPointFamily(json.mode, json);
+    }
+
+    /**
+     * Representación en string para debugging
+     * @returns {string}
+     */
+    toString() {
+        const detail = this._mode === FamilyMode.EDGE
+            ? `edge=${this._edgeIndex}`
+            : `angle=${(this._angle * 180 / Math.PI).toFixed(1)}°, ratio=${this._distanceRatio}`;
+        return `DrawPointFamily(${this._mode}, count=${this._count}, ${detail})`;
+    }
+}
+
+export default DrawPointFamily;
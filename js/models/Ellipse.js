@@ -0,0 +1,122 @@
+/**
+ * ============================================
+ * ELLIPSE.JS - Modelo de la Elipse
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Elipse centrada en el origen con sus semiejes sobre los ejes X e Y.
+ * Es una forma polar con radio y derivada analíticos.
+ */
+
+import { PolarShape } from './PolarShape.js';
+
+/**
+ * Clase que representa una elipse
+ */
+export class Ellipse extends PolarShape {
+    /**
+     * Crea una elipse
+     * Radio polar: r(φ) = ab / √((b·cos φ)² + (a·sin φ)²)
+     * @param {number} radiusX - Semieje horizontal a
+     * @param {number} radiusY - Semieje vertical b
+     */
+    constructor(radiusX, radiusY) {
+        if (!(radiusX > 0) || !(radiusY > 0)) {
+            throw new Error('Los semiejes deben ser positivos');
+        }
+
+        const a = radiusX;
+        const b = radiusY;
+        const denominator = phi => (b * Math.cos(phi)) ** 2 + (a * Math.sin(phi)) ** 2;
+
+        super(phi => a * b / Math.sqrt(denominator(phi)), {
+            // r'(φ) = -ab (a² - b²) sin φ cos φ / (b²cos²φ + a²sin²φ)^(3/2)
+            derivative: phi => -a * b * (a * a - b * b) * Math.sin(phi) * Math.cos(phi) / denominator(phi) ** 1.5,
+            label: `elipse ${+a.toFixed(3)}×${+b.toFixed(3)}`
+        });
+
+        this._radiusX = radiusX;
+        this._radiusY = radiusY;
+    }
+
+    // ==========================================
+    // GETTERS
+    // ==========================================
+
+    /** @returns {number} Semieje horizontal */
+    get radiusX() {
+        return this._radiusX;
+    }
+
+    /** @returns {number} Semieje vertical */
+    get radiusY() {
+        return this._radiusY;
+    }
+
+    /** @returns {number} Excentricidad √(1 - (menor/mayor)²) */
+    get eccentricity() {
+        const major = Math.max(this._radiusX, this._radiusY);
+        const minor = Math.min(this._radiusX, this._radiusY);
+        return Math.sqrt(1 - (minor / major) ** 2);
+    }
+
+    /** @returns {number} Área exacta: π·a·b */
+    get area() {
+        return Math.PI * this._radiusX * this._radiusY;
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - SERIALIZACIÓN
+    // ==========================================
+
+    /**
+     * Crea una copia de la elipse
+     * @returns {Ellipse} Nueva instancia
+     */
+    clone() {
+        return new Ellipse(this._radiusX, this._radiusY);
+    }
+
+    /**
+     * Crea una copia reflejada respecto al eje vertical (la elipse es simétrica)
+     * @returns {Ellipse} Nueva instancia
+     */
+    mirrored() {
+        return this.clone();
+    }
+
+    /**
+     * Convierte la elipse a un objeto plano
+     * @returns {Object} Representación de la elipse
+     */
+    toJSON() {
+        return {
+            type: 'ellipse',
+            radiusX: this._radiusX,
+            radiusY: this._radiusY,
+            eccentricity: this.eccentricity,
+            perimeter: this.perimeter,
+            area: this.area
+        };
+    }
+
+    /**
+     * Crea una elipse desde un objeto JSON
+     * @param {Object} json - Objeto con datos de la elipse
+     * @returns {Ellipse} Nueva instancia
+     */
+    static fromJSON(json) {
+        return new Ellipse(json.radiusX, json.radiusY);
+    }
+
+    /**
+     * Representación en string para debugging
+     * @returns {string}
+     */
+    toString() {
+        return `Ellipse(radiusX=${this._radiusX.toFixed(3)}, radiusY=${this._radiusY.toFixed(3)}, ` +
+               `perimeter=${this.perimeter.toFixed(3)})`;
+    }
+}
+
+export default Ellipse;
@@ -0,0 +1,303 @@
+/**
+ * ============================================
+ * POLARSHAPE.JS - Modelo de Forma Convexa Suave
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Clase que representa una forma convexa suave definida por su
+ * radio polar r(φ) respecto al centro de rotación, con sus
+ * propiedades geométricas calculadas numéricamente.
+ */
+
+import { MATH, CONFIG } from '../config/constants.js';
+
+// Cuadratura de Gauss-Legendre de 5 puntos en [-1, 1]
+const GAUSS_NODES = [0, -0.5384693101056831, 0.5384693101056831, -0.9061798459386640, 0.9061798459386640];
+const GAUSS_WEIGHTS = [0.5688888888888889, 0.4786286704993665, 0.4786286704993665, 0.2369268850561891, 0.2369268850561891];
+
+/**
+ * Clase que representa una forma convexa suave en coordenadas polares
+ * El radio debe ser positivo y periódico (r(φ + 2π) = r(φ))
+ */
+export class PolarShape {
+    /**
+     * Crea una forma a partir de su radio polar
+     * @param {Function} radiusFn - Radio r(φ) respecto al centro
+     * @param {Object} options - Opciones
+     * @param {Function} options.derivative - Derivada r'(φ) (si no se indica se aproxima numéricamente)
+     * @param {string} options.label - Descripción para metadatos
+     */
+    constructor(radiusFn, options = {}) {
+        if (typeof radiusFn !== 'function') {
+            throw new Error('El radio debe ser una función r(φ)');
+        }
+
+        this._radiusFn = radiusFn;
+        this._derivativeFn = options.derivative || null;
+        this._label = options.label || 'r(φ)';
+        this._samples = CONFIG.SHAPES.SMOOTH_SAMPLES;
+        this._maxRadius = 0;
+        this._perimeter = null;         // Se calcula bajo demanda
+
+        this._validate();
+    }
+
+    // ==========================================
+    // GETTERS
+    // ==========================================
+
+    /** @returns {string} Descripción de la forma */
+    get label() {
+        return this._label;
+    }
+
+    /** @returns {number} Radio máximo (círculo circunscrito) */
+    get radius() {
+        return this._maxRadius;
+    }
+
+    /** @returns {number} Perímetro (longitud del contorno) */
+    get perimeter() {
+        if (this._perimeter === null) {
+            this._perimeter = this.getArcLength(0, MATH.TWO_PI);
+        }
+        return this._perimeter;
+    }
+
+    /** @returns {number} Área encerrada: (1/2) ∫ r² dφ */
+    get area() {
+        return this._integrate(phi => this.getRadius(phi) ** 2 / 2, 0, MATH.TWO_PI);
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS
+    // ==========================================
+
+    /**
+     * Comprueba que el radio sea positivo y la forma convexa
+     * Convexidad: curvatura con signo r² + 2r'² - r·r'' ≥ 0 en toda la vuelta
+     * @private
+     */
+    _validate() {
+        const step = MATH.TWO_PI / this._samples;
+        const h = 1e-4;
+
+        for (let i = 0; i < this._samples; i++) {
+            const phi = i * step;
+            const r = this.getRadius(phi);
+            if (!(r > 0) || !Number.isFinite(r)) {
+                throw new Error('El radio r(φ) debe ser positivo en toda la vuelta');
+            }
+
+            const dr = this.getRadiusDerivative(phi);
+            const d2r = (this.getRadiusDerivative(phi + h) - this.getRadiusDerivative(phi - h)) / (2 * h);
+            if (r * r + 2 * dr * dr - r * d2r < -1e-6 * r * r) {
+                throw new Error('La forma debe ser convexa');
+            }
+
+            this._maxRadius = Math.max(this._maxRadius, r);
+        }
+    }
+
+    /**
+     * Integral numérica por Gauss-Legendre compuesta (un tramo por muestra)
+     * @private
+     */
+    _integrate(fn, a, b) {
+        const segments = Math.max(1, Math.ceil(Math.abs(b - a) * this._samples / MATH.TWO_PI));
+        const width = (b - a) / segments;
+        let total = 0;
+
+        for (let i = 0; i < segments; i++) {
+            const mid = a + (i + 0.5) * width;
+            for (let k = 0; k < GAUSS_NODES.length; k++) {
+                total += GAUSS_WEIGHTS[k] * fn(mid + GAUSS_NODES[k] * width / 2);
+            }
+        }
+        return total * width / 2;
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - CONTORNO
+    // ==========================================
+
+    /**
+     * Radio en una dirección
+     * @param {number} phi - Ángulo polar en radianes
+     * @returns {number} r(φ)
+     */
+    getRadius(phi) {
+        return this._radiusFn(phi);
+    }
+
+    /**
+     * Derivada del radio
+     * @param {number} phi - Ángulo polar en radianes
+     * @returns {number} r'(φ)
+     */
+    getRadiusDerivative(phi) {
+        if (this._derivativeFn) return this._derivativeFn(phi);
+        const h = 1e-6;
+        return (this._radiusFn(phi + h) - this._radiusFn(phi - h)) / (2 * h);
+    }
+
+    /**
+     * Punto del contorno en una dirección
+     * @param {number} phi - Ángulo polar en radianes
+     * @returns {Object} Punto {x, y, angle}
+     */
+    getPoint(phi) {
+        const r = this.getRadius(phi);
+        return {
+            x: r * Math.cos(phi),
+            y: r * Math.sin(phi),
+            angle: phi
+        };
+    }
+
+    /**
+     * Ángulo de la normal exterior del contorno: φ - atan(r'/r)
+     * Crece de forma monótona con φ (la forma es convexa)
+     * @param {number} phi - Ángulo polar en radianes
+     * @returns {number} Ángulo de la normal en radianes
+     */
+    getNormalAngle(phi) {
+        return phi - Math.atan(this.getRadiusDerivative(phi) / this.getRadius(phi));
+    }
+
+    /**
+     * Longitud del contorno entre dos ángulos polares: ∫ √(r² + r'²) dφ
+     * @param {number} phi0 - Ángulo inicial
+     * @param {number} phi1 - Ángulo final
+     * @returns {number} Longitud de arco (negativa si phi1 < phi0)
+     */
+    getArcLength(phi0, phi1) {
+        return this._integrate(phi => Math.hypot(this.getRadius(phi), this.getRadiusDerivative(phi)), phi0, phi1);
+    }
+
+    /**
+     * Genera puntos equiespaciados en ángulo sobre el contorno
+     * @param {number} numPoints - Número de puntos
+     * @param {number} startAngle - Ángulo inicial (default: 0)
+     * @returns {Array} Array de puntos [{x, y, angle, index}, ...]
+     */
+    getPoints(numPoints = this._samples, startAngle = 0) {
+        const points = [];
+        const angleStep = MATH.TWO_PI / numPoints;
+
+        for (let i = 0; i < numPoints; i++) {
+            points.push({ ...this.getPoint(startAngle + i * angleStep), index: i });
+        }
+
+        return points;
+    }
+
+    /**
+     * Obtiene el punto más alto del contorno
+     * @returns {Object} Punto {x, y, angle}
+     */
+    getTopPoint() {
+        return this.getPoints(4 * this._samples, -Math.PI)
+            .reduce((top, point) => point.y > top.y ? point : top);
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - CONSULTAS GEOMÉTRICAS
+    // ==========================================
+
+    /**
+     * Calcula el ángulo desde el centro al punto dado
+     * @param {Object} point - Punto {x, y}
+     * @returns {number} Ángulo en radianes
+     */
+    angleToPoint(point) {
+        return Math.atan2(point.y, point.x);
+    }
+
+    /**
+     * Calcula la distancia desde el centro a un punto
+     * @param {Object} point - Punto {x, y}
+     * @returns {number} Distancia
+     */
+    distanceFromCenter(point) {
+        return Math.hypot(point.x, point.y);
+    }
+
+    /**
+     * Verifica si un punto está dentro de la forma
+     * @param {Object} point - Punto {x, y}
+     * @returns {boolean} true si está dentro
+     */
+    containsPoint(point) {
+        return this.distanceFromCenter(point) <= this.getRadius(this.angleToPoint(point));
+    }
+
+    /**
+     * Distancia radial de un punto al contorno
+     * @param {Object} point - Punto {x, y}
+     * @returns {number} Distancia (negativa si está dentro, positiva si está fuera)
+     */
+    distanceToBorder(point) {
+        return this.distanceFromCenter(point) - this.getRadius(this.angleToPoint(point));
+    }
+
+    /**
+     * Proyecta un punto al contorno en la dirección del centro
+     * @param {Object} point - Punto {x, y}
+     * @returns {Object} Punto proyectado {x, y, angle}
+     */
+    projectToBorder(point) {
+        return this.getPoint(this.angleToPoint(point));
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - SERIALIZACIÓN
+    // ==========================================
+
+    /**
+     * Crea una copia de la forma
+     * @returns {PolarShape} Nueva instancia
+     */
+    clone() {
+        return new PolarShape(this._radiusFn, { derivative: this._derivativeFn, label: this._label });
+    }
+
+    /**
+     * Crea una copia reflejada respecto al eje vertical: r(φ) → r(π - φ)
+     * @returns {PolarShape} Nueva instancia
+     */
+    mirrored() {
+        const radiusFn = this._radiusFn;
+        const derivativeFn = this._derivativeFn;
+        return new PolarShape(phi => radiusFn(Math.PI - phi), {
+            derivative: derivativeFn ? phi => -derivativeFn(Math.PI - phi) : null,
+            label: this._label
+        });
+    }
+
+    /**
+     * Convierte la forma a un objeto plano (el contorno se muestrea)
+     * @returns {Object} Representación de la forma
+     */
+    toJSON() {
+        return {
+            type: 'polar',
+            label: this._label,
+            radius: this._maxRadius,
+            perimeter: this.perimeter,
+            area: this.area,
+            points: this.getPoints(72).map(p => ({ x: p.x, y: p.y }))
+        };
+    }
+
+    /**
+     * Representación en string para debugging
+     * @returns {string}
+     */
+    toString() {
+        return `PolarShape(${this._label}, radius=${this._maxRadius.toFixed(3)}, ` +
+               `perimeter=${this.perimeter.toFixed(3)})`;
+    }
+}
+
+export default PolarShape;
@@ -1,14 +1,15 @@
 /**
  * ============================================
- * POLYGON.JS - Modelo del Polígono Regular
+ * POLYGON.JS - Modelo del Polígono
  * Generador de Ciclógonos 2D
  * ============================================
  * 
- * Clase que representa un polígono regular con sus
- * propiedades geométricas y métodos de cálculo.
+ * Clase que representa un polígono (regular, estrellado o definido
+ * por sus vértices) con sus propiedades geométricas y métodos de cálculo.
+ * Los polígonos no convexos ruedan sobre su envolvente convexa.
  */
 
-import { MATH } from '../config/constants.js';
+import { MATH, CONFIG } from '../config/constants.js';
 
 /**
  * Representa una arista del polígono
@@ -117,7 +118,9 @@ export class Edge {
 }
 
 /**
- * Clase principal que representa un polígono regular
+ * Clase principal que representa un polígono
+ * Por defecto es regular; `Polygon.fromVertices` crea polígonos irregulares
+ * (convexos o, con `allowConcave`, cóncavos) y `Polygon.createStar` estrellas {n/k}
  */
 export class Polygon {
     /**
@@ -137,6 +140,9 @@ export class Polygon {
         this._sides = sides;
         this._radius = radius;
         this._rotationOffset = rotationOffset;
+        this._baseVertices = null;      // Vértices sin rotar (solo polígonos irregulares)
+        this._isConvex = true;
+        this._filletRadius = 0;         // Radio de redondeo de las esquinas (0 = esquinas vivas)
         this._vertices = [];
         this._edges = [];
 
@@ -144,6 +150,133 @@ export class Polygon {
         this._calculateGeometry();
     }
 
+    // ==========================================
+    // FÁBRICAS
+    // ==========================================
+
+    /**
+     * Crea un polígono a partir de una lista de vértices
+     * Los vértices se centran en el centroide (centro de rotación de la forma)
+     * y se ordenan en sentido antihorario, como los de un polígono regular
+     * @param {Array} points - Vértices [{x, y}, ...] en orden (horario o antihorario)
+     * @param {Object} options - Opciones
+     * @param {boolean} options.allowConcave - Acepta polígonos no convexos (sin lados que se crucen)
+     * @returns {Polygon} Polígono irregular
+     */
+    static fromVertices(points, options = {}) {
+        if (!Array.isArray(points) || points.length < 3) {
+            throw new Error('Un polígono debe tener al menos 3 lados');
+        }
+
+        const vertices = points.map(p => ({ x: p.x, y: p.y }));
+        const signedArea = Polygon.getSignedArea(vertices);
+        if (signedArea < 0) vertices.reverse();
+
+        // Convexo: todos los giros en el mismo sentido (sin vértices alineados ni repetidos)
+        const n = vertices.length;
+        const scale = Math.max(...vertices.map(v => Math.hypot(v.x, v.y)), 1);
+        const epsilon = 1e-12 * scale * scale;
+        let isConvex = true;
+        for (let i = 0; i < n; i++) {
+            const a = vertices[(i + n - 1) % n];
+            const b = vertices[i];
+            const c = vertices[(i + 1) % n];
+            const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+            if (!(cross > epsilon)) {
+                isConvex = false;
+                break;
+            }
+        }
+
+        if (!isConvex) {
+            if (!options.allowConcave) {
+                throw new Error('Los vértices deben formar un polígono convexo');
+            }
+            if (!(Math.abs(signedArea) > epsilon) || !Polygon._isSimple(vertices, epsilon)) {
+                throw new Error('Los lados del polígono no pueden cruzarse');
+            }
+        }
+
+        // Centrar en el centroide del área
+        const centroid = Polygon.getCentroid(vertices);
+        const centered = vertices.map(v => ({ x: v.x - centroid.x, y: v.y - centroid.y }));
+
+        return Polygon._fromCenteredVertices(centered, isConvex);
+    }
+
+    /**
+     * Crea un polígono estrellado {n/k}
+     * El contorno alterna las n puntas (sobre el radio circunscrito) con los n
+     * cruces interiores, a radio R · cos(πk/n) / cos(π(k-1)/n)
+     * @param {number} points - Número de puntas n (≥5)
+     * @param {number} density - Densidad k (2 ≤ k < n/2)
+     * @param {number} radius - Radio circunscrito
+     * @param {number} rotationOffset - Ángulo de la primera punta (default: -π/2, punta abajo)
+     * @returns {Polygon} Polígono cóncavo de 2n vértices
+     */
+    static createStar(points, density, radius, rotationOffset = -MATH.HALF_PI) {
+        if (!Number.isInteger(points) || points < 5) {
+            throw new Error('Una estrella debe tener al menos 5 puntas');
+        }
+        if (!Number.isInteger(density) || density < 2 || density >= points / 2) {
+            throw new Error('La densidad de la estrella debe estar entre 2 y n/2');
+        }
+        if (radius <= 0) {
+            throw new Error('El radio debe ser positivo');
+        }
+
+        const angleStep = MATH.TWO_PI / points;
+        const innerRadius = radius * Math.cos(Math.PI * density / points) /
+            Math.cos(Math.PI * (density - 1) / points);
+
+        const vertices = [];
+        for (let i = 0; i < points; i++) {
+            const outer = rotationOffset + i * angleStep;
+            const inner = outer + angleStep / 2;
+            vertices.push({ x: Math.cos(outer) * radius, y: Math.sin(outer) * radius });
+            vertices.push({ x: Math.cos(inner) * innerRadius, y: Math.sin(inner) * innerRadius });
+        }
+
+        return Polygon.fromVertices(vertices, { allowConcave: true });
+    }
+
+    /**
+     * Área con signo por la fórmula del cordón (positiva en sentido antihorario)
+     * @param {Array} points - Vértices [{x, y}, ...] de un contorno cerrado
+     * @returns {number} Área con signo
+     */
+    static getSignedArea(points) {
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return area / 2;
+    }
+
+    /**
+     * Calcula el centroide del área encerrada por una lista de vértices
+     * @param {Array} points - Vértices [{x, y}, ...] en cualquier sentido
+     * @returns {Object} Centroide {x, y}
+     */
+    static getCentroid(points) {
+        const signedArea = Polygon.getSignedArea(points);
+        let cx = 0;
+        let cy = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            const cross = a.x * b.y - b.x * a.y;
+            cx += (a.x + b.x) * cross;
+            cy += (a.y + b.y) * cross;
+        }
+        return {
+            x: cx / (6 * signedArea),
+            y: cy / (6 * signedArea)
+        };
+    }
+
     // ==========================================
     // GETTERS
     // ==========================================
@@ -173,6 +306,21 @@ export class Polygon {
         return this._rotationOffset;
     }
 
+    /** @returns {boolean} Si el polígono es regular (todos los lados y ángulos iguales) */
+    get isRegular() {
+        return this._baseVertices === null;
+    }
+
+    /** @returns {boolean} Si el polígono es convexo (si no, rueda sobre su envolvente) */
+    get isConvex() {
+        return this._isConvex;
+    }
+
+    /** @returns {number} Radio de redondeo de las esquinas (0 = esquinas vivas) */
+    get filletRadius() {
+        return this._filletRadius;
+    }
+
     // ==========================================
     // SETTERS
     // ==========================================
@@ -185,20 +333,49 @@ export class Polygon {
         if (newSides < 3) {
             throw new Error('Un polígono debe tener al menos 3 lados');
         }
+        if (!this.isRegular) {
+            throw new Error('No se puede cambiar el número de lados de un polígono irregular');
+        }
         this._sides = newSides;
         this._calculateGeometry();
+        this._filletRadius = Math.min(this._filletRadius, this.getMaxFilletRadius());
     }
 
     /**
      * Cambia el radio y recalcula geometría
+     * En polígonos irregulares escala los vértices para que el más lejano quede a ese radio
      * @param {number} newRadius
      */
     set radius(newRadius) {
         if (newRadius <= 0) {
             throw new Error('El radio debe ser positivo');
         }
+        if (!this.isRegular) {
+            const factor = newRadius / this._radius;
+            this._baseVertices = this._baseVertices.map(v => ({ x: v.x * factor, y: v.y * factor }));
+        }
         this._radius = newRadius;
         this._calculateGeometry();
+        this._filletRadius = Math.min(this._filletRadius, this.getMaxFilletRadius());
+    }
+
+    /**
+     * Cambia el radio de redondeo de las esquinas
+     * Va de 0 (esquinas vivas) a getMaxFilletRadius() (en un polígono regular, el apotema: un círculo)
+     * @param {number} newRadius
+     */
+    set filletRadius(newRadius) {
+        if (!(newRadius >= 0)) {
+            throw new Error('El radio de redondeo no puede ser negativo');
+        }
+        if (newRadius > 0 && !this._isConvex) {
+            throw new Error('Solo se pueden redondear las esquinas de un polígono convexo');
+        }
+        const maxRadius = this.getMaxFilletRadius();
+        if (newRadius > maxRadius * (1 + 1e-9)) {
+            throw new Error('El radio de redondeo supera el máximo del polígono');
+        }
+        this._filletRadius = Math.min(newRadius, maxRadius);
     }
 
     // ==========================================
@@ -217,6 +394,17 @@ export class Polygon {
 
         // Calcular vértices
         for (let i = 0; i < this._sides; i++) {
+            if (this._baseVertices) {
+                // Polígono irregular: vértices base rotados por rotationOffset
+                const base = this._baseVertices[i];
+                const cos = Math.cos(this._rotationOffset);
+                const sin = Math.sin(this._rotationOffset);
+                const x = base.x * cos - base.y * sin;
+                const y = base.x * sin + base.y * cos;
+                this._vertices.push({ x, y, angle: Math.atan2(y, x), index: i });
+                continue;
+            }
+
             const angle = this._rotationOffset + i * angleStep;
             this._vertices.push({
                 x: Math.cos(angle) * this._radius,
@@ -234,6 +422,60 @@ export class Polygon {
         }
     }
 
+    /**
+     * Crea un polígono irregular a partir de vértices ya centrados y en sentido antihorario
+     * @private
+     */
+    static _fromCenteredVertices(vertices, isConvex) {
+        const radius = Math.max(...vertices.map(v => Math.hypot(v.x, v.y)));
+        const polygon = new Polygon(vertices.length, radius, 0);
+        polygon._baseVertices = vertices.map(v => ({ x: v.x, y: v.y }));
+        polygon._isConvex = isConvex;
+        polygon._calculateGeometry();
+        return polygon;
+    }
+
+    /**
+     * Comprueba que ningún par de lados no consecutivos se toque (polígono simple)
+     * @private
+     */
+    static _isSimple(vertices, epsilon) {
+        const n = vertices.length;
+        const orientation = (a, b, c) => {
+            const cross = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+            return cross > epsilon ? 1 : cross < -epsilon ? -1 : 0;
+        };
+        const onSegment = (a, b, p) =>
+            Math.min(a.x, b.x) - 1e-12 <= p.x && p.x <= Math.max(a.x, b.x) + 1e-12 &&
+            Math.min(a.y, b.y) - 1e-12 <= p.y && p.y <= Math.max(a.y, b.y) + 1e-12;
+
+        for (let i = 0; i < n; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % n];
+            if (Math.hypot(b.x - a.x, b.y - a.y) < 1e-12) return false;
+
+            for (let j = i + 2; j < n; j++) {
+                // El último lado es consecutivo al primero
+                if (i === 0 && j === n - 1) continue;
+                const c = vertices[j];
+                const d = vertices[(j + 1) % n];
+
+                const o1 = orientation(a, b, c);
+                const o2 = orientation(a, b, d);
+                const o3 = orientation(c, d, a);
+                const o4 = orientation(c, d, b);
+
+                if (o1 !== o2 && o3 !== o4) return false;
+                // Casos alineados: un extremo sobre el otro lado
+                if ((o1 === 0 && onSegment(a, b, c)) || (o2 === 0 && onSegment(a, b, d)) ||
+                    (o3 === 0 && onSegment(c, d, a)) || (o4 === 0 && onSegment(c, d, b))) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
     // ==========================================
     // MÉTODOS PÚBLICOS - PROPIEDADES GEOMÉTRICAS
     // ==========================================
@@ -243,54 +485,123 @@ export class Polygon {
      * @returns {number} Perímetro total
      */
     getPerimeter() {
+        if (!this.isRegular) {
+            return this._edges.reduce((total, edge) => total + edge.getLength(), 0);
+        }
         return this._sides * this.getSideLength();
     }
 
     /**
-     * Calcula la longitud de cada lado
-     * Fórmula: L = 2R * sin(π/n)
-     * @returns {number} Longitud de un lado
+     * Calcula la longitud de un lado
+     * Fórmula (regular): L = 2R * sin(π/n)
+     * En un polígono irregular, sin índice devuelve la longitud media
+     * @param {number} [index] - Índice del lado (arista que empieza en ese vértice)
+     * @returns {number} Longitud del lado
      */
-    getSideLength() {
+    getSideLength(index) {
+        if (!this.isRegular) {
+            return index === undefined
+                ? this.getPerimeter() / this._sides
+                : this.getEdge(index).getLength();
+        }
         return 2 * this._radius * Math.sin(Math.PI / this._sides);
     }
 
     /**
-     * Calcula el apotema (distancia del centro al punto medio de un lado)
-     * Fórmula: a = R * cos(π/n)
+     * Calcula el apotema (distancia del centro a la recta de un lado)
+     * Fórmula (regular): a = R * cos(π/n)
+     * En un polígono irregular, sin índice devuelve la del lado más cercano al centro
+     * @param {number} [index] - Índice del lado
      * @returns {number} Apotema
      */
-    getApothem() {
+    getApothem(index) {
+        if (!this.isRegular) {
+            const distanceToLine = (edge) => {
+                const normal = edge.getNormal();
+                return normal.x * edge.start.x + normal.y * edge.start.y;
+            };
+            return index === undefined
+                ? Math.min(...this._edges.map(distanceToLine))
+                : distanceToLine(this.getEdge(index));
+        }
         return this._radius * Math.cos(Math.PI / this._sides);
     }
 
     /**
      * Calcula el área del polígono
-     * Fórmula: A = (1/2) * perímetro * apotema
+     * Fórmula (regular): A = (1/2) * perímetro * apotema
      * @returns {number} Área
      */
     getArea() {
+        if (!this.isRegular) {
+            return Math.abs(Polygon.getSignedArea(this._vertices));
+        }
         return 0.5 * this.getPerimeter() * this.getApothem();
     }
 
     /**
      * Calcula el ángulo interior del polígono
-     * Fórmula: (n-2) * π / n
+     * Fórmula (regular): (n-2) * π / n
+     * En un polígono irregular, sin índice devuelve el ángulo medio
+     * @param {number} [index] - Índice del vértice
      * @returns {number} Ángulo interior en radianes
      */
-    getInteriorAngle() {
+    getInteriorAngle(index) {
+        if (!this.isRegular && index !== undefined) {
+            return Math.PI - this.getExteriorAngle(index);
+        }
         return ((this._sides - 2) * Math.PI) / this._sides;
     }
 
     /**
-     * Calcula el ángulo exterior (ángulo de rotación por paso)
-     * Fórmula: 2π / n
+     * Calcula el ángulo exterior (ángulo que gira la forma al pivotar sobre un vértice)
+     * Fórmula (regular): 2π / n
+     * En un polígono irregular, sin índice devuelve el ángulo medio (la suma siempre es 2π)
+     * @param {number} [index] - Índice del vértice
      * @returns {number} Ángulo exterior en radianes
      */
-    getExteriorAngle() {
+    getExteriorAngle(index) {
+        if (!this.isRegular && index !== undefined) {
+            const incoming = this.getEdge(index - 1);
+            const outgoing = this.getEdge(index);
+            const ax = incoming.end.x - incoming.start.x;
+            const ay = incoming.end.y - incoming.start.y;
+            const bx = outgoing.end.x - outgoing.start.x;
+            const by = outgoing.end.y - outgoing.start.y;
+            return Math.atan2(ax * by - ay * bx, ax * bx + ay * by);
+        }
         return MATH.TWO_PI / this._sides;
     }
 
+    /**
+     * Radio de redondeo máximo: aquel con el que los arcos de dos esquinas vecinas
+     * se tocan en algún lado (L_i = r·tan(β_i/2) + r·tan(β_i+1/2))
+     * En un polígono regular es el apotema y la forma redondeada es su círculo inscrito
+     * @returns {number} Radio máximo (0 si el polígono no es convexo)
+     */
+    getMaxFilletRadius() {
+        if (!this._isConvex) return 0;
+        if (this.isRegular) return this.getApothem();
+
+        let maxRadius = Infinity;
+        for (let i = 0; i < this._sides; i++) {
+            const tangents = Math.tan(this.getExteriorAngle(i) / 2) + Math.tan(this.getExteriorAngle(i + 1) / 2);
+            maxRadius = Math.min(maxRadius, this.getSideLength(i) / tangents);
+        }
+        return maxRadius;
+    }
+
+    /**
+     * Calcula la distancia del centro a un vértice (radio de giro al pivotar sobre él)
+     * @param {number} index - Índice del vértice
+     * @returns {number} Distancia
+     */
+    getVertexDistance(index) {
+        if (this.isRegular) return this._radius;
+        const vertex = this.getVertex(index);
+        return Math.hypot(vertex.x, vertex.y);
+    }
+
     // ==========================================
     // MÉTODOS PÚBLICOS - CONSULTAS
     // ==========================================
@@ -315,6 +626,113 @@ export class Polygon {
         return this._edges[normalizedIndex];
     }
 
+    /**
+     * Obtiene la esquina redondeada de un vértice: arco de radio r tangente a sus dos lados
+     * El centro está sobre la bisectriz, a r / cos(β/2) del vértice, y el arco barre el
+     * ángulo exterior β entre las normales de los dos lados. Con r = 0 es el propio vértice.
+     * @param {number} index - Índice del vértice
+     * @returns {Object} {center, radius, startAngle, sweep, tangentLength, vertexIndex}
+     *   startAngle es la normal exterior del lado que llega al vértice y tangentLength
+     *   la distancia del vértice a los puntos de tangencia
+     */
+    getFillet(index) {
+        const vertex = this.getVertex(index);
+        const exteriorAngle = this.getExteriorAngle(index);
+        const incomingNormal = this.getEdge(index - 1).getNormal();
+        const outgoingNormal = this.getEdge(index).getNormal();
+
+        // La bisectriz exterior es la suma de las dos normales
+        const bisectorX = incomingNormal.x + outgoingNormal.x;
+        const bisectorY = incomingNormal.y + outgoingNormal.y;
+        const bisectorLength = Math.hypot(bisectorX, bisectorY);
+        const offset = this._filletRadius / Math.cos(exteriorAngle / 2);
+
+        return {
+            center: {
+                x: vertex.x - bisectorX / bisectorLength * offset,
+                y: vertex.y - bisectorY / bisectorLength * offset
+            },
+            radius: this._filletRadius,
+            startAngle: Math.atan2(incomingNormal.y, incomingNormal.x),
+            sweep: exteriorAngle,
+            tangentLength: this._filletRadius * Math.tan(exteriorAngle / 2),
+            vertexIndex: vertex.index
+        };
+    }
+
+    /**
+     * Contorno real de la forma, con las esquinas redondeadas si hay radio de redondeo
+     * @param {number} pointsPerCorner - Segmentos por esquina redondeada
+     * @returns {Array} Puntos [{x, y}, ...] en sentido antihorario
+     */
+    getOutlinePoints(pointsPerCorner = CONFIG.SHAPES.FILLET_SEGMENTS) {
+        if (this._filletRadius === 0) {
+            return this._vertices.map(v => ({ x: v.x, y: v.y }));
+        }
+
+        const points = [];
+        for (let i = 0; i < this._sides; i++) {
+            const fillet = this.getFillet(i);
+            for (let k = 0; k <= pointsPerCorner; k++) {
+                const angle = fillet.startAngle + (k / pointsPerCorner) * fillet.sweep;
+                points.push({
+                    x: fillet.center.x + fillet.radius * Math.cos(angle),
+                    y: fillet.center.y + fillet.radius * Math.sin(angle)
+                });
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Índices de los vértices que forman la envolvente convexa, en sentido antihorario
+     * Los vértices entrantes y los alineados sobre la envolvente quedan fuera
+     * @returns {Array} Índices de vértices [i, ...]
+     */
+    getHullIndices() {
+        if (this._isConvex) {
+            return this._vertices.map((_, i) => i);
+        }
+
+        // Cadena monótona de Andrew
+        const order = this._vertices.map((_, i) => i).sort((i, j) =>
+            this._vertices[i].x - this._vertices[j].x || this._vertices[i].y - this._vertices[j].y
+        );
+        const cross = (o, a, b) => {
+            const vo = this._vertices[o];
+            const va = this._vertices[a];
+            const vb = this._vertices[b];
+            return (va.x - vo.x) * (vb.y - vo.y) - (va.y - vo.y) * (vb.x - vo.x);
+        };
+        const epsilon = 1e-12 * this._radius * this._radius;
+
+        const buildChain = (indices) => {
+            const chain = [];
+            for (const index of indices) {
+                while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], index) <= epsilon) {
+                    chain.pop();
+                }
+                chain.push(index);
+            }
+            chain.pop();
+            return chain;
+        };
+
+        return [...buildChain(order), ...buildChain([...order].reverse())];
+    }
+
+    /**
+     * Obtiene la envolvente convexa (el propio polígono si ya es convexo)
+     * Comparte centro y orientación con el polígono: sus vértices son los del contorno
+     * indicados por `getHullIndices()`, en el mismo orden
+     * @returns {Polygon} Polígono convexo
+     */
+    getConvexHull() {
+        if (this._isConvex) return this;
+        const vertices = this.getHullIndices().map(i => ({ x: this._vertices[i].x, y: this._vertices[i].y }));
+        return Polygon._fromCenteredVertices(vertices, true);
+    }
+
     /**
      * Obtiene el vértice más cercano a la parte superior
      * @returns {Object} Vértice superior {x, y, angle, index}
@@ -407,7 +825,36 @@ export class Polygon {
      * @returns {Polygon} Nueva instancia del polígono
      */
     clone() {
-        return new Polygon(this._sides, this._radius, this._rotationOffset);
+        let polygon;
+        if (!this.isRegular) {
+            polygon = Polygon._fromCenteredVertices(this._baseVertices, this._isConvex);
+            polygon.rotate(this._rotationOffset);
+        } else {
+            polygon = new Polygon(this._sides, this._radius, this._rotationOffset);
+        }
+        polygon._filletRadius = this._filletRadius;
+        return polygon;
+    }
+
+    /**
+     * Crea una copia reflejada respecto al eje vertical (x → -x)
+     * El vértice i de la copia es el reflejo del vértice (n - i) mod n, de modo
+     * que siguen en sentido antihorario
+     * @returns {Polygon} Nueva instancia
+     */
+    mirrored() {
+        let polygon;
+        if (!this.isRegular) {
+            const vertices = this._vertices.map((_, i) => {
+                const vertex = this._vertices[(this._sides - i) % this._sides];
+                return { x: -vertex.x, y: vertex.y };
+            });
+            polygon = Polygon._fromCenteredVertices(vertices, this._isConvex);
+        } else {
+            polygon = new Polygon(this._sides, this._radius, Math.PI - this._rotationOffset);
+        }
+        polygon._filletRadius = this._filletRadius;
+        return polygon;
     }
 
     // ==========================================
@@ -423,6 +870,9 @@ export class Polygon {
             sides: this._sides,
             radius: this._radius,
             rotationOffset: this._rotationOffset,
+            isRegular: this.isRegular,
+            isConvex: this._isConvex,
+            filletRadius: this._filletRadius,
             vertices: this._vertices.map(v => ({ x: v.x, y: v.y })),
             sideLength: this.getSideLength(),
             apothem: this.getApothem(),
@@ -437,7 +887,12 @@ export class Polygon {
      * @returns {Polygon} Nueva instancia
      */
     static fromJSON(json) {
-        return new Polygon(json.sides, json.radius, json.rotationOffset);
+        // Los vértices guardados de un polígono irregular ya incluyen la rotación y están centrados
+        const polygon = json.isRegular === false
+            ? Polygon.fromVertices(json.vertices, { allowConcave: json.isConvex === false })
+            : new Polygon(json.sides, json.radius, json.rotationOffset);
+        polygon.filletRadius = json.filletRadius || 0;
+        return polygon;
     }
 
     /**
@@ -445,8 +900,13 @@ export class Polygon {
      * @returns {string}
      */
     toString() {
+        if (!this.isRegular) {
+            return `Polygon(${this._isConvex ? 'irregular' : 'concave'}, sides=${this._sides}, radius=${this._radius.toFixed(3)}, ` +
+                   `perimeter=${this.getPerimeter().toFixed(3)}, area=${this.getArea().toFixed(3)})`;
+        }
+        const fillet = this._filletRadius > 0 ? `, fillet=${this._filletRadius.toFixed(3)}` : '';
         return `Polygon(sides=${this._sides}, radius=${this._radius.toFixed(3)}, ` +
-               `sideLength=${this.getSideLength().toFixed(3)}, apothem=${this.getApothem().toFixed(3)})`;
+               `sideLength=${this.getSideLength().toFixed(3)}, apothem=${this.getApothem().toFixed(3)}${fillet})`;
     }
 }
 
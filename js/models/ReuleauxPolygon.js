@@ -0,0 +1,269 @@
+/**
+ * ============================================
+ * REULEAUXPOLYGON.JS - Modelo del Polígono de Reuleaux
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Curva de anchura constante construida sobre un polígono regular
+ * de lados impares: cada lado se sustituye por un arco centrado en
+ * el vértice opuesto, con radio igual a la anchura de la forma.
+ */
+
+import { PolarShape } from './PolarShape.js';
+import { MATH, CONFIG } from '../config/constants.js';
+
+/**
+ * Geometría del polígono de Reuleaux: vértices, anchura y radio polar por tramos
+ * @param {number} sides - Número de lados (impar)
+ * @param {number} radius - Radio circunscrito del polígono base
+ * @param {number} rotationOffset - Ángulo del primer vértice
+ * @returns {Object} {vertices, width, radiusAt, derivativeAt}
+ */
+function buildReuleauxGeometry(sides, radius, rotationOffset) {
+    const vertices = [];
+    for (let i = 0; i < sides; i++) {
+        const angle = rotationOffset + i * MATH.TWO_PI / sides;
+        vertices.push({ x: radius * Math.cos(angle), y: radius * Math.sin(angle), angle, index: i });
+    }
+
+    // Distancia de un vértice a los dos vértices opuestos
+    const width = 2 * radius * Math.cos(Math.PI / (2 * sides));
+    const sectorAngle = MATH.TWO_PI / sides;
+
+    // Centro del arco que cubre la dirección φ (el vértice opuesto a su lado)
+    const arcCenterAt = (phi) => {
+        const local = ((phi - rotationOffset) % MATH.TWO_PI + MATH.TWO_PI) % MATH.TWO_PI;
+        const side = Math.min(sides - 1, Math.floor(local / sectorAngle));
+        return vertices[(side + (sides + 1) / 2) % sides];
+    };
+
+    // Corte del rayo t·(cos φ, sin φ) con la circunferencia |X - V| = w:
+    // t = p + √(p² - R² + w²), con p = u·V
+    const radiusAt = (phi) => {
+        const center = arcCenterAt(phi);
+        const p = Math.cos(phi) * center.x + Math.sin(phi) * center.y;
+        return p + Math.sqrt(p * p - radius * radius + width * width);
+    };
+
+    // t' = p' · t / √(p² - R² + w²), con p' = u'·V
+    const derivativeAt = (phi) => {
+        const center = arcCenterAt(phi);
+        const p = Math.cos(phi) * center.x + Math.sin(phi) * center.y;
+        const dp = -Math.sin(phi) * center.x + Math.cos(phi) * center.y;
+        const root = Math.sqrt(p * p - radius * radius + width * width);
+        return dp * (p + root) / root;
+    };
+
+    return { vertices, width, radiusAt, derivativeAt };
+}
+
+/**
+ * Clase que representa un polígono de Reuleaux (anchura constante)
+ */
+export class ReuleauxPolygon extends PolarShape {
+    /**
+     * Crea un polígono de Reuleaux
+     * @param {number} sides - Número de lados (impar, 3 o más)
+     * @param {number} radius - Radio circunscrito del polígono base
+     * @param {number} rotationOffset - Ángulo del primer vértice (default: π/2, vértice arriba)
+     */
+    constructor(sides, radius = CONFIG.SHAPES.DEFAULT_RADIUS, rotationOffset = MATH.HALF_PI) {
+        if (!Number.isInteger(sides) || sides < 3 || sides % 2 === 0) {
+            throw new Error('Un polígono de Reuleaux necesita un número impar de lados (3 o más)');
+        }
+        if (!(radius > 0)) {
+            throw new Error('El radio debe ser positivo');
+        }
+
+        const geometry = buildReuleauxGeometry(sides, radius, rotationOffset);
+
+        super(geometry.radiusAt, {
+            derivative: geometry.derivativeAt,
+            label: `Reuleaux ${sides}`
+        });
+
+        this._sides = sides;
+        this._circumradius = radius;
+        this._rotationOffset = rotationOffset;
+        this._vertices = geometry.vertices;
+        this._width = geometry.width;
+    }
+
+    // ==========================================
+    // GETTERS
+    // ==========================================
+
+    /** @returns {number} Número de lados */
+    get sides() {
+        return this._sides;
+    }
+
+    /** @returns {number} Radio circunscrito (distancia del centro a los vértices) */
+    get radius() {
+        return this._circumradius;
+    }
+
+    /** @returns {number} Anchura constante (radio de cada arco) */
+    get width() {
+        return this._width;
+    }
+
+    /** @returns {number} Ángulo del primer vértice */
+    get rotationOffset() {
+        return this._rotationOffset;
+    }
+
+    /** @returns {Array} Copia de los vértices [{x, y, angle, index}, ...] */
+    get vertices() {
+        return this._vertices.map(v => ({ ...v }));
+    }
+
+    /** @returns {number} Perímetro exacto (teorema de Barbier): π·w */
+    get perimeter() {
+        return Math.PI * this._width;
+    }
+
+    /** @returns {number} Área exacta: polígono base + n segmentos circulares de ángulo π/n */
+    get area() {
+        const n = this._sides;
+        const polygonArea = n * this._circumradius ** 2 * Math.sin(MATH.TWO_PI / n) / 2;
+        const segmentArea = this._width ** 2 * (Math.PI / n - Math.sin(Math.PI / n)) / 2;
+        return polygonArea + n * segmentArea;
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - CONTORNO
+    // ==========================================
+
+    /**
+     * Tramos de contacto ordenados por el ángulo de la normal exterior
+     * Alterna los arcos (radio w, centrados en el vértice opuesto) con las
+     * esquinas (radio 0, centradas en el propio vértice). Cada tramo barre π/n
+     * y entre todos cubren una vuelta completa de normales.
+     * @returns {Array} [{type, center, radius, startAngle, sweep, vertexIndex}, ...]
+     */
+    getContactArcs() {
+        const n = this._sides;
+        const sweep = Math.PI / n;
+        const arcs = [];
+
+        for (let j = 0; j < n; j++) {
+            const opposite = this._vertices[(j + (n + 1) / 2) % n];
+            const start = this._vertices[j];
+            const end = this._vertices[(j + 1) % n];
+            const startAngle = Math.atan2(start.y - opposite.y, start.x - opposite.x);
+
+            // Arco del lado j (de V_j a V_j+1)
+            arcs.push({
+                type: 'arc',
+                center: { x: opposite.x, y: opposite.y },
+                radius: this._width,
+                startAngle,
+                sweep,
+                vertexIndex: opposite.index
+            });
+
+            // Esquina en V_j+1
+            arcs.push({
+                type: 'vertex',
+                center: { x: end.x, y: end.y },
+                radius: 0,
+                startAngle: startAngle + sweep,
+                sweep,
+                vertexIndex: end.index
+            });
+        }
+
+        return arcs;
+    }
+
+    /**
+     * Genera puntos del contorno real, arco por arco, empezando en el vértice 0
+     * Las esquinas se incluyen de forma exacta
+     * @param {number} numPoints - Número aproximado de puntos
+     * @returns {Array} Array de puntos [{x, y, angle, index}, ...]
+     */
+    getPoints(numPoints = this._samples) {
+        const perArc = Math.max(2, Math.round(numPoints / this._sides));
+        const points = [];
+
+        this.getContactArcs()
+            .filter(arc => arc.type === 'arc')
+            .forEach(arc => {
+                for (let k = 0; k < perArc; k++) {
+                    const angle = arc.startAngle + (k / perArc) * arc.sweep;
+                    const x = arc.center.x + arc.radius * Math.cos(angle);
+                    const y = arc.center.y + arc.radius * Math.sin(angle);
+                    points.push({ x, y, angle: Math.atan2(y, x), index: points.length });
+                }
+            });
+
+        return points;
+    }
+
+    /**
+     * Obtiene el punto más alto del contorno
+     * @returns {Object} Punto {x, y, angle}
+     */
+    getTopPoint() {
+        return this.getPoints(4 * this._samples)
+            .reduce((top, point) => point.y > top.y ? point : top);
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - SERIALIZACIÓN
+    // ==========================================
+
+    /**
+     * Crea una copia del polígono de Reuleaux
+     * @returns {ReuleauxPolygon} Nueva instancia
+     */
+    clone() {
+        return new ReuleauxPolygon(this._sides, this._circumradius, this._rotationOffset);
+    }
+
+    /**
+     * Crea una copia reflejada respecto al eje vertical (x → -x)
+     * El vértice i de la copia es el reflejo del vértice (n - i) mod n
+     * @returns {ReuleauxPolygon} Nueva instancia
+     */
+    mirrored() {
+        return new ReuleauxPolygon(this._sides, this._circumradius, Math.PI - this._rotationOffset);
+    }
+
+    /**
+     * Convierte el polígono de Reuleaux a un objeto plano
+     * @returns {Object} Representación de la forma
+     */
+    toJSON() {
+        return {
+            type: 'reuleaux',
+            sides: this._sides,
+            radius: this._circumradius,
+            rotationOffset: this._rotationOffset,
+            width: this._width,
+            perimeter: this.perimeter,
+            area: this.area
+        };
+    }
+
+    /**
+     * Crea un polígono de Reuleaux desde un objeto JSON
+     * @param {Object} json - Objeto con datos de la forma
+     * @returns {ReuleauxPolygon} Nueva instancia
+     */
+    static fromJSON(json) {
+        return new ReuleauxPolygon(json.sides, json.radius, json.rotationOffset);
+    }
+
+    /**
+     * Representación en string para debugging
+     * @returns {string}
+     */
+    toString() {
+        return `ReuleauxPolygon(sides=${this._sides}, radius=${this._circumradius.toFixed(3)}, ` +
+               `width=${this._width.toFixed(3)})`;
+    }
+}
+
+export default ReuleauxPolygon;
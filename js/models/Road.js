@@ -0,0 +1,385 @@
+/**
+ * ============================================
+ * ROAD.JS - Modelo del Camino de Rodadura
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Clase que representa el perfil del suelo sobre el que
+ * rueda la forma. El perfil es una función y = f(x), definida
+ * como polilínea (rampa, escalón, puntos libres) o como
+ * función paramétrica muestreada (senoidal, función libre).
+ */
+
+import { CONFIG } from '../config/constants.js';
+
+/**
+ * Tipos de camino soportados
+ * @enum {string}
+ */
+export const RoadType = {
+    FLAT: 'flat',           // Suelo recto y = 0
+    RAMP: 'ramp',           // Suelo recto que se inclina a partir de un punto
+    SINE: 'sine',           // Onda senoidal
+    STEP: 'step',           // Escalón de altura fija
+    POLYLINE: 'polyline',   // Polilínea libre
+    FUNCTION: 'function'    // Función libre y = f(x)
+};
+
+/**
+ * Clase que representa el perfil del camino
+ */
+export class Road {
+    /**
+     * Crea un camino
+     * @param {string} type - Tipo de camino (RoadType)
+     * @param {Object} params - Parámetros propios de cada tipo
+     */
+    constructor(type = RoadType.FLAT, params = {}) {
+        if (!Object.values(RoadType).includes(type)) {
+            throw new Error(`Tipo de camino no soportado: ${type}`);
+        }
+
+        this._type = type;
+        this._params = { ...params };
+
+        if (type === RoadType.POLYLINE) {
+            if (!Array.isArray(params.points) || params.points.length < 2) {
+                throw new Error('Una polilínea necesita al menos 2 puntos');
+            }
+            // Ordenar por X (se permiten tramos verticales con X repetida)
+            this._params.points = params.points
+                .map(p => ({ x: p.x, y: p.y }))
+                .sort((a, b) => a.x - b.x);
+        }
+
+        if (type === RoadType.FUNCTION && typeof params.fn !== 'function') {
+            throw new Error('Un camino de tipo función necesita params.fn');
+        }
+    }
+
+    // ==========================================
+    // FÁBRICAS
+    // ==========================================
+
+    /**
+     * Suelo recto en y = 0
+     * @returns {Road}
+     */
+    static flat() {
+        return new Road(RoadType.FLAT);
+    }
+
+    /**
+     * Suelo recto que se convierte en rampa a partir de `start`
+     * @param {number} angle - Inclinación en radianes (positiva = subida)
+     * @param {number} start - Coordenada X donde empieza la rampa
+     * @returns {Road}
+     */
+    static ramp(angle = CONFIG.ROAD.RAMP_ANGLE, start = CONFIG.ROAD.RAMP_START) {
+        return new Road(RoadType.RAMP, { angle, start });
+    }
+
+    /**
+     * Onda senoidal y = A · sin(2πx / λ)
+     * @param {number} amplitude - Amplitud A
+     * @param {number} wavelength - Longitud de onda λ
+     * @returns {Road}
+     */
+    static sine(amplitude = CONFIG.ROAD.SINE_AMPLITUDE, wavelength = CONFIG.ROAD.SINE_WAVELENGTH) {
+        if (wavelength <= 0) {
+            throw new Error('La longitud de onda debe ser positiva');
+        }
+        return new Road(RoadType.SINE, { amplitude, wavelength });
+    }
+
+    /**
+     * Escalón de altura `height` situado en `position`
+     * @param {number} height - Altura del escalón (negativa = bajada)
+     * @param {number} position - Coordenada X del escalón
+     * @returns {Road}
+     */
+    static step(height = CONFIG.ROAD.STEP_HEIGHT, position = CONFIG.ROAD.STEP_POSITION) {
+        return new Road(RoadType.STEP, { height, position });
+    }
+
+    /**
+     * Polilínea libre (fuera de sus extremos se prolonga en horizontal)
+     * @param {Array} points - Puntos [{x, y}, ...]
+     * @returns {Road}
+     */
+    static fromPoints(points) {
+        return new Road(RoadType.POLYLINE, { points });
+    }
+
+    /**
+     * Función libre y = f(x)
+     * @param {Function} fn - Función de altura
+     * @param {string} label - Descripción para metadatos
+     * @returns {Road}
+     */
+    static fromFunction(fn, label = 'f(x)') {
+        return new Road(RoadType.FUNCTION, { fn, label });
+    }
+
+    /**
+     * Polilínea libre escrita como texto: pares «x, y» separados por «;» o saltos de línea
+     * @param {string} text - Por ejemplo "0, 0; 2, 0; 3, 0.5"
+     * @returns {Road}
+     */
+    static parsePoints(text) {
+        const points = text.split(/[;\n]/).map(pair => pair.trim()).filter(Boolean).map(pair => {
+            const values = pair.split(',').map(value => Number(value.trim()));
+            if (values.length !== 2 || !values.every(Number.isFinite)) {
+                throw new Error(`Punto del camino no válido: «${pair}» (se espera «x, y»)`);
+            }
+            return { x: values[0], y: values[1] };
+        });
+        return Road.fromPoints(points);
+    }
+
+    /**
+     * Función libre escrita como expresión en x, con las funciones y constantes
+     * de Math sin prefijo (sin, cos, abs, PI...)
+     * @param {string} expression - Por ejemplo "0.2 * sin(x)"
+     * @returns {Road}
+     */
+    static parseFunction(expression) {
+        if (!expression.trim()) {
+            throw new Error('La expresión del camino está vacía');
+        }
+        const names = Object.getOwnPropertyNames(Math).join(', ');
+        let fn;
+        try {
+            fn = new Function('x', `const { ${names} } = Math; return (${expression});`);
+        } catch {
+            throw new Error(`Expresión del camino no válida: ${expression}`);
+        }
+
+        // La expresión debe dar una altura finita en todo el tramo que se dibuja
+        const { SERIALIZE_MIN_X: minX, SERIALIZE_MAX_X: maxX } = CONFIG.ROAD;
+        for (let x = minX; x <= maxX; x += 1) {
+            let y;
+            try {
+                y = fn(x);
+            } catch (error) {
+                throw new Error(`Expresión del camino no válida: ${error.message}`);
+            }
+            if (typeof y !== 'number' || !Number.isFinite(y)) {
+                throw new Error(`La expresión del camino no da una altura finita en x = ${x}`);
+            }
+        }
+        return Road.fromFunction(fn, `y = ${expression}`);
+    }
+
+    // ==========================================
+    // GETTERS
+    // ==========================================
+
+    /** @returns {string} Tipo de camino */
+    get type() {
+        return this._type;
+    }
+
+    /** @returns {Object} Parámetros del camino */
+    get params() {
+        return { ...this._params };
+    }
+
+    /** @returns {boolean} Si el camino es el suelo recto y = 0 */
+    get isFlat() {
+        return this._type === RoadType.FLAT;
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - CONSULTAS
+    // ==========================================
+
+    /**
+     * Calcula la altura del camino en una coordenada X
+     * En tramos verticales devuelve la altura mayor
+     * @param {number} x - Coordenada X
+     * @returns {number} Altura y
+     */
+    getHeight(x) {
+        switch (this._type) {
+            case RoadType.FLAT:
+                return 0;
+            case RoadType.RAMP:
+                return Math.max(0, x - this._params.start) * Math.tan(this._params.angle);
+            case RoadType.SINE:
+                return this._params.amplitude * Math.sin(2 * Math.PI * x / this._params.wavelength);
+            case RoadType.FUNCTION:
+                return this._params.fn(x);
+            default:
+                return this._interpolatePolyline(this._getBreakpoints(), x);
+        }
+    }
+
+    /**
+     * Obtiene el ángulo de la tangente del camino en una coordenada X
+     * @param {number} x - Coordenada X
+     * @returns {number} Ángulo en radianes
+     */
+    getTangentAngle(x) {
+        const h = 1e-5;
+        return Math.atan2(this.getHeight(x + h) - this.getHeight(x - h), 2 * h);
+    }
+
+    /**
+     * Genera la polilínea del camino entre dos coordenadas X
+     * Los perfiles poligonales se devuelven exactos; los suaves se muestrean
+     * @param {number} minX - X inicial
+     * @param {number} maxX - X final
+     * @param {number} step - Paso de muestreo para perfiles suaves
+     * @returns {Array} Puntos [{x, y}, ...] ordenados por X
+     */
+    getPolyline(minX, maxX, step = CONFIG.ROAD.SAMPLE_STEP) {
+        if (this._type === RoadType.SINE || this._type === RoadType.FUNCTION) {
+            const count = Math.max(1, Math.ceil((maxX - minX) / step));
+            const points = [];
+            for (let i = 0; i <= count; i++) {
+                const x = minX + (i / count) * (maxX - minX);
+                points.push({ x, y: this.getHeight(x) });
+            }
+            return points;
+        }
+
+        // Los extremos solo se añaden si no coinciden con un vértice (un escalón
+        // justo en el extremo conserva sus dos alturas)
+        const points = this._getBreakpoints().filter(p => p.x >= minX && p.x <= maxX);
+        if (points.length === 0 || points[0].x > minX) {
+            points.unshift({ x: minX, y: this.getHeight(minX) });
+        }
+        if (points[points.length - 1].x < maxX) {
+            points.push({ x: maxX, y: this.getHeight(maxX) });
+        }
+        return points;
+    }
+
+    /**
+     * Camino reflejado respecto al eje vertical (x → -x)
+     * Los perfiles suaves se reflejan como función; los poligonales, como
+     * polilínea exacta entre -reach y reach
+     * @param {number} reach - Alcance en X que debe cubrir el reflejo
+     * @returns {Road}
+     */
+    mirrored(reach) {
+        switch (this._type) {
+            case RoadType.FLAT:
+                return Road.flat();
+            case RoadType.SINE:
+                return Road.sine(-this._params.amplitude, this._params.wavelength);
+            case RoadType.FUNCTION:
+                return Road.fromFunction(x => this._params.fn(-x), this._params.label);
+            default:
+                return Road.fromPoints(
+                    this.getPolyline(-reach, reach).reverse().map(p => ({ x: -p.x, y: p.y }))
+                );
+        }
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS
+    // ==========================================
+
+    /**
+     * Vértices exactos de los perfiles poligonales
+     * @private
+     */
+    _getBreakpoints() {
+        switch (this._type) {
+            case RoadType.RAMP:
+                return [{ x: this._params.start, y: 0 }];
+            case RoadType.STEP:
+                return [
+                    { x: this._params.position, y: 0 },
+                    { x: this._params.position, y: this._params.height }
+                ];
+            case RoadType.POLYLINE:
+                return this._params.points.map(p => ({ ...p }));
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Interpola una polilínea prolongada en horizontal fuera de sus extremos
+     * @private
+     */
+    _interpolatePolyline(points, x) {
+        if (points.length === 0) return 0;
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (x < first.x) return first.y;
+        if (x > last.x) return last.y;
+
+        let height = -Infinity;
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            if (x < a.x || x > b.x) continue;
+
+            const y = b.x === a.x
+                ? Math.max(a.y, b.y)
+                : a.y + (x - a.x) / (b.x - a.x) * (b.y - a.y);
+            height = Math.max(height, y);
+        }
+        return height === -Infinity ? last.y : height;
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - SERIALIZACIÓN
+    // ==========================================
+
+    /**
+     * Convierte el camino a un objeto plano
+     * Las funciones libres no son serializables: se guarda su etiqueta y la
+     * polilínea muestreada entre minX y maxX, con la que fromJSON las reconstruye
+     * @param {Object} range - { minX, maxX } Tramo muestreado de las funciones libres
+     * @returns {Object} Representación del camino
+     */
+    toJSON({ minX = CONFIG.ROAD.SERIALIZE_MIN_X, maxX = CONFIG.ROAD.SERIALIZE_MAX_X } = {}) {
+        const params = { ...this._params };
+        delete params.fn;
+        const json = {
+            type: this._type,
+            params: params
+        };
+        if (this._type === RoadType.FUNCTION) {
+            json.points = this.getPolyline(minX, maxX);
+        }
+        return json;
+    }
+
+    /**
+     * Crea un camino desde un objeto JSON
+     * Si el JSON trae la polilínea muestreada, los tipos no serializables se
+     * reconstruyen como polilínea
+     * @param {Object} json - Objeto con datos del camino
+     * @returns {Road} Nueva instancia
+     */
+    static fromJSON(json) {
+        if (json.type === RoadType.FUNCTION) {
+            if (!json.points) {
+                throw new Error('No se puede reconstruir un camino de tipo función sin puntos');
+            }
+            return Road.fromPoints(json.points);
+        }
+        return new Road(json.type, json.params);
+    }
+
+    /**
+     * Representación en string para debugging
+     * @returns {string}
+     */
+    toString() {
+        const params = Object.entries(this.toJSON().params)
+            .filter(([, value]) => typeof value !== 'object')
+            .map(([key, value]) => `${key}=${typeof value === 'number' ? value.toFixed(3) : value}`)
+            .join(', ');
+        return `Road(type=${this._type}${params ? ', ' + params : ''})`;
+    }
+}
+
+export default Road;
@@ -0,0 +1,193 @@
+/**
+ * ============================================
+ * ARCHSERVICE.JS - Servicio de Áreas bajo los Arcos
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Calcula el área entre la curva y el suelo y el centroide de
+ * esa región, por ciclo y en total: en forma cerrada para la
+ * cicloide, con sectores circulares exactos para los ciclógonos
+ * de esquinas vivas y sobre la polilínea en el resto.
+ */
+
+import { MATH } from '../config/constants.js';
+import { CurveType } from './CyclogonCalculator.js';
+import RollingGeometry from './RollingGeometry.js';
+
+export class ArchService {
+    // ==========================================
+    // MÉTODOS PÚBLICOS - ANÁLISIS
+    // ==========================================
+
+    /**
+     * Calcula el área entre la curva y el suelo (∫ y dx) y el centroide de esa
+     * región, por ciclo (una vuelta completa de la forma) y en total
+     *
+     * Los momentos se integran a lo largo de la curva (teorema de Green; el suelo
+     * y = 0 no aporta):
+     *   A = ∫ y dx,   x̄ = ∫ x·y dx / A,   ȳ = ∫ y²/2 dx / A
+     * - Cicloide sin deslizamiento: formas cerradas en θ (un arco completo mide π(2R² + d²), 3πR² si d = R)
+     * - Ciclógono de esquinas vivas: sectores circulares exactos de cada arco
+     * - Resto de curvas: integración exacta de la polilínea
+     * Las áreas de los bucles que quedan por debajo del trazo se restan (área con signo).
+     * Si la forma rueda hacia la izquierda la curva se recorre hacia -X: se cambia el
+     * signo de los momentos para que el área bajo los arcos siga siendo positiva.
+     *
+     * @param {Cyclogon} cyclogon - Curva a analizar
+     * @returns {Object|null} { cycles: [{index, area, centroid, isComplete}], total: {area, centroid},
+     *                          method: 'closed-form'|'arc-sectors'|'polyline', isExact }
+     *                          null si la curva no rueda sobre el suelo recto
+     */
+    analyze(cyclogon) {
+        if (cyclogon.pointCount < 2 ||
+            cyclogon.getMetadataValue('road') || cyclogon.getMetadataValue('baseRadius')) {
+            return null;
+        }
+
+        const points = cyclogon.getPoints();
+        const angleOf = (p) => p.theta ?? p.rotation;
+        const hasAngles = points.every(p => angleOf(p) !== undefined);
+        const cycleOf = (angle) => hasAngles ? Math.max(0, Math.floor(angle / MATH.TWO_PI)) : 0;
+        const totalAngle = hasAngles ? angleOf(points[points.length - 1]) : 0;
+        const cycleCount = Math.max(1, Math.ceil(totalAngle / MATH.TWO_PI - 1e-9));
+
+        const sign = RollingGeometry.getRollingSign(cyclogon.metadata);
+        const moments = Array.from({ length: cycleCount }, () => ({ area: 0, momentX: 0, momentY: 0 }));
+        const accumulate = (cycle, m) => {
+            const target = moments[Math.min(cycle, cycleCount - 1)];
+            target.area += sign * m.area;
+            target.momentX += sign * m.momentX;
+            target.momentY += sign * m.momentY;
+        };
+
+        const arcs = cyclogon.getArcs();
+        let method;
+
+        if (cyclogon.type === CurveType.CYCLOID && cyclogon.sourceShape && hasAngles &&
+            !cyclogon.getMetadataValue('slip')) {
+            method = 'closed-form';
+            const R = cyclogon.sourceShape.radius;
+            const d = cyclogon.getMetadataValue('drawPointDistance');
+            const alpha = cyclogon.getMetadataValue('drawPointAngle');
+            moments.forEach((_, k) => {
+                const end = Math.min((k + 1) * MATH.TWO_PI, totalAngle);
+                const m = this._cycloidAreaMoments(R, d, alpha, k * MATH.TWO_PI, end);
+                // Hacia la izquierda los puntos son el reflejo de la cicloide de α (x → -x)
+                accumulate(k, sign > 0 ? m : { area: -m.area, momentX: m.momentX, momentY: -m.momentY });
+            });
+        } else if (arcs.length > 0) {
+            method = 'arc-sectors';
+            // Giro acumulado al empezar cada lado, para asignar el arco a su ciclo
+            const startRotation = new Map();
+            points.forEach(p => {
+                if (!startRotation.has(p.sideIndex)) startRotation.set(p.sideIndex, p.rotation);
+            });
+            arcs.forEach(arc => {
+                const middle = startRotation.get(arc.sideIndex) + Math.abs(arc.startAngle - arc.endAngle) / 2;
+                accumulate(cycleOf(middle), this._arcAreaMoments(arc));
+            });
+        } else {
+            method = 'polyline';
+            for (let i = 1; i < points.length; i++) {
+                const middle = hasAngles ? (angleOf(points[i - 1]) + angleOf(points[i])) / 2 : 0;
+                accumulate(cycleOf(middle), this._segmentAreaMoments(points[i - 1], points[i]));
+            }
+        }
+
+        const centroidOf = (m) => Math.abs(m.area) > 1e-12
+            ? { x: m.momentX / m.area, y: m.momentY / m.area }
+            : null;
+        const total = moments.reduce((sum, m) => ({
+            area: sum.area + m.area,
+            momentX: sum.momentX + m.momentX,
+            momentY: sum.momentY + m.momentY
+        }), { area: 0, momentX: 0, momentY: 0 });
+
+        return {
+            cycles: moments.map((m, index) => ({
+                index,
+                area: m.area,
+                centroid: centroidOf(m),
+                isComplete: !hasAngles || (index + 1) * MATH.TWO_PI <= totalAngle + 1e-9
+            })),
+            total: { area: total.area, centroid: centroidOf(total) },
+            method,
+            isExact: method !== 'polyline'
+        };
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS
+    // ==========================================
+
+    /**
+     * Momentos de área de la cicloide entre θ0 y θ1 en forma cerrada
+     * Con u = α - θ: x = Rθ + d·cos u, y = R + d·sin u y dx = y dθ
+     * @private
+     * @returns {Object} { area, momentX: ∫ x·y dx, momentY: ∫ y²/2 dx }
+     */
+    _cycloidAreaMoments(R, d, alpha, theta0, theta1) {
+        const primitives = (theta) => {
+            const u = alpha - theta;
+            const s = Math.sin(u);
+            const c = Math.cos(u);
+            // ∫ y² dθ y su primitiva (para integrar θ·y² por partes)
+            const area = R * R * theta + 2 * R * d * c + d * d * (theta / 2 + Math.sin(2 * u) / 4);
+            const areaIntegral = R * R * theta * theta / 2 - 2 * R * d * s +
+                d * d * (theta * theta / 4 + Math.cos(2 * u) / 8);
+            return {
+                area,
+                // ∫ y³/2 dθ
+                momentY: (R ** 3 * theta + 3 * R * R * d * c +
+                    3 * R * d * d * (theta / 2 + Math.sin(2 * u) / 4) +
+                    d ** 3 * (3 * c - Math.cos(3 * u) / 3) / 4) / 2,
+                // ∫ (Rθ + d·cos u)·y² dθ
+                momentX: R * (theta * area - areaIntegral) - (R + d * s) ** 3 / 3
+            };
+        };
+
+        const a = primitives(theta0);
+        const b = primitives(theta1);
+        return { area: b.area - a.area, momentX: b.momentX - a.momentX, momentY: b.momentY - a.momentY };
+    }
+
+    /**
+     * Momentos de área bajo un arco circular
+     * Con x = cx + r·cos φ, y = cy + r·sin φ y dx = -r·sin φ dφ
+     * @private
+     * @returns {Object} { area, momentX: ∫ x·y dx, momentY: ∫ y²/2 dx }
+     */
+    _arcAreaMoments(arc) {
+        const { center: { x: cx, y: cy }, radius: r } = arc;
+        const primitives = (phi) => {
+            const s = Math.sin(phi);
+            const c = Math.cos(phi);
+            const sinSquared = (phi - s * c) / 2;   // ∫ sin² φ dφ
+            return {
+                area: -r * (-cy * c + r * sinSquared),
+                momentX: -r * (-cx * cy * c + cx * r * sinSquared + cy * r * s * s / 2 + r * r * s ** 3 / 3),
+                momentY: -(r / 2) * (-cy * cy * c + 2 * cy * r * sinSquared + r * r * (c ** 3 / 3 - c))
+            };
+        };
+
+        const a = primitives(arc.startAngle);
+        const b = primitives(arc.endAngle);
+        return { area: b.area - a.area, momentX: b.momentX - a.momentX, momentY: b.momentY - a.momentY };
+    }
+
+    /**
+     * Momentos de área bajo un segmento recto (exactos para la interpolación lineal)
+     * @private
+     * @returns {Object} { area, momentX: ∫ x·y dx, momentY: ∫ y²/2 dx }
+     */
+    _segmentAreaMoments(p0, p1) {
+        const dx = p1.x - p0.x;
+        return {
+            area: dx * (p0.y + p1.y) / 2,
+            momentX: dx * (2 * p0.x * p0.y + p0.x * p1.y + p1.x * p0.y + 2 * p1.x * p1.y) / 6,
+            momentY: dx * (p0.y * p0.y + p0.y * p1.y + p1.y * p1.y) / 6
+        };
+    }
+}
+
+export default ArchService;
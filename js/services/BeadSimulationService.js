@@ -0,0 +1,342 @@
+/**
+ * ============================================
+ * BEADSIMULATIONSERVICE.JS - Servicio de Descenso de Cuentas
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Da la vuelta a un arco de la curva generada para usarlo como
+ * rampa y simula una cuenta que se desliza por ella sin
+ * rozamiento bajo la gravedad. Compara el tiempo de bajada con
+ * el de una rampa recta entre los mismos extremos y con el de
+ * la braquistócrona (la cicloide invertida que une ambos), y
+ * mide la tautocronía soltando cuentas desde varias alturas.
+ *
+ * Cada rampa es una polilínea: en cada tramo recto la
+ * aceleración es constante (g·sen de su inclinación), así que
+ * la velocidad sale de la conservación de la energía y el tiempo
+ * del tramo es exacto, t = 2L / (v₀ + v₁).
+ */
+
+import { CONFIG } from '../config/constants.js';
+import Optimizer from './Optimizer.js';
+
+export class BeadSimulationService {
+    /**
+     * @param {Object} options - { gravity (unidades/s²) }
+     */
+    constructor(options = {}) {
+        this._gravity = options.gravity ?? CONFIG.BEADS.GRAVITY;
+    }
+
+    /** @returns {number} Aceleración de la gravedad */
+    get gravity() {
+        return this._gravity;
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - RAMPAS
+    // ==========================================
+
+    /**
+     * Da la vuelta a medio arco de la curva para usarlo como rampa
+     *
+     * Se toma el tramo entre el punto más bajo de la curva y el más alto antes
+     * de volver a tocar el suelo (hacia delante o hacia atrás, el de más caída)
+     * y se invierte: el punto bajo (la cúspide en la cicloide común) queda arriba
+     * y la cima del arco en el fondo. La rampa empieza en (0, 0) y baja hacia
+     * las X positivas.
+     *
+     * En el mínimo de una curva suave (acortada o alargada) la tangente es
+     * horizontal y la pendiente crece desde cero: el segundo tramo baja al menos
+     * el doble que el primero. En una cúspide o una esquina las pendientes de los
+     * primeros tramos son parecidas.
+     *
+     * @param {Cyclogon} cyclogon - Curva generada sobre el suelo recto
+     * @returns {Object|null} { points: [{x, y}], width, drop, startsFlat }
+     *                        null si la curva no rueda sobre el suelo recto o no tiene caída
+     */
+    createRamp(cyclogon) {
+        if (cyclogon.pointCount < 2 ||
+            cyclogon.getMetadataValue('road') || cyclogon.getMetadataValue('baseRadius')) {
+            return null;
+        }
+
+        const points = cyclogon.getPoints();
+        const bbox = cyclogon.getBoundingBox();
+        const tolerance = 1e-9 * Math.max(1, bbox.width, bbox.height);
+        const lowest = points.findIndex(p => p.y <= bbox.minY + tolerance);
+
+        const forward = this._findRise(points, lowest, 1, bbox.minY + tolerance);
+        const backward = this._findRise(points, lowest, -1, bbox.minY + tolerance);
+        const rise = forward.drop >= backward.drop ? forward : backward;
+        if (!(rise.drop > tolerance)) return null;
+
+        const stretch = rise.step > 0
+            ? points.slice(lowest, rise.index + 1)
+            : points.slice(rise.index, lowest + 1).reverse();
+        // Si el punto más bajo se muestreó dos veces (a ambos lados de la cúspide), sale del último
+        while (stretch.length > 2 && stretch[1].y <= stretch[0].y + tolerance) {
+            stretch.shift();
+        }
+
+        const start = stretch[0];
+        const end = stretch[stretch.length - 1];
+        const direction = end.x < start.x ? -1 : 1;
+        const ramp = stretch.map(p => ({ x: direction * (p.x - start.x), y: start.y - p.y }));
+
+        // Inclinación de los dos primeros tramos de longitud no nula
+        const slopes = [];
+        for (let i = 0; i < ramp.length - 1 && slopes.length < 2; i++) {
+            const length = Math.hypot(ramp[i + 1].x - ramp[i].x, ramp[i + 1].y - ramp[i].y);
+            if (length > 0) slopes.push((ramp[i].y - ramp[i + 1].y) / length);
+        }
+
+        return {
+            points: ramp,
+            width: Math.abs(end.x - start.x),
+            drop: end.y - start.y,
+            startsFlat: slopes.length === 2 && slopes[1] >= CONFIG.BEADS.FLAT_START_RATIO * slopes[0]
+        };
+    }
+
+    /**
+     * Rampa recta entre los extremos de otra
+     * @param {Object} ramp - Rampa de createRamp
+     * @returns {Object} { points, width, drop }
+     */
+    createStraightRamp(ramp) {
+        return {
+            points: [{ x: 0, y: 0 }, { x: ramp.width, y: -ramp.drop }],
+            width: ramp.width,
+            drop: ramp.drop,
+            startsFlat: false
+        };
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - SIMULACIÓN
+    // ==========================================
+
+    /**
+     * Simula una cuenta que parte del reposo y baja por la polilínea hasta su final
+     * @param {Array} points - Polilínea [{x, y}, ...]
+     * @returns {Object} { points, times, speeds, time, reached }
+     *                   times y speeds en cada vértice; time es Infinity si la cuenta se
+     *                   detiene antes del final (en reposo ante un tramo que no baja)
+     */
+    simulate(points) {
+        const g = this._gravity;
+        const times = [0];
+        const speeds = [0];
+        let time = 0;
+        let speed = 0;
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            const next = Math.sqrt(Math.max(0, speed * speed + 2 * g * (a.y - b.y)));
+
+            if (length > 0) {
+                if (speed === 0 && a.y <= b.y) {
+                    return { points, times, speeds, time: Infinity, reached: false };
+                }
+                time += 2 * length / (speed + next);
+            }
+            speed = next;
+            times.push(time);
+            speeds.push(speed);
+        }
+
+        return { points, times, speeds, time, reached: true };
+    }
+
+    /**
+     * Suelta una cuenta en reposo sobre la rampa y la deja bajar hasta el fondo
+     *
+     * Desde arriba de una rampa que empieza horizontal la cuenta no arranca: el
+     * tiempo de salida diverge y el de la polilínea solo dependería del muestreo.
+     *
+     * @param {Object} ramp - Rampa de createRamp
+     * @param {number} fraction - Altura de salida sobre el fondo, en fracción de la caída (1 = arriba)
+     * @returns {Object} Resultado de simulate sobre el tramo que queda por debajo
+     */
+    release(ramp, fraction = 1) {
+        const { points } = ramp;
+        if (fraction >= 1) {
+            return ramp.startsFlat
+                ? { points, times: [0], speeds: [0], time: Infinity, reached: false }
+                : this.simulate(points);
+        }
+
+        const bottom = points[points.length - 1].y;
+        const height = bottom + fraction * (points[0].y - bottom);
+
+        // Primer tramo que cruza la altura de salida
+        const index = points.findIndex((p, i) => i > 0 && p.y < height);
+        if (index <= 0) return this.simulate(points);
+
+        const a = points[index - 1];
+        const b = points[index];
+        const t = (a.y - height) / (a.y - b.y);
+        const start = { x: a.x + t * (b.x - a.x), y: height };
+        return this.simulate([start, ...points.slice(index)]);
+    }
+
+    /**
+     * Posición de la cuenta en un instante (en reposo al final una vez llega)
+     * Dentro de cada tramo: s = v₀τ + aτ²/2 con a = (v₁² - v₀²) / 2L
+     * @param {Object} motion - Resultado de simulate
+     * @param {number} time - Tiempo desde la salida (s)
+     * @returns {Object} {x, y}
+     */
+    getPositionAt(motion, time) {
+        const { points, times, speeds } = motion;
+        const last = times.length - 1;
+        if (time <= 0) return { ...points[0] };
+        if (time >= times[last]) return { ...points[last] };
+
+        // Búsqueda binaria del tramo
+        let low = 0;
+        let high = last;
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (times[middle] <= time) low = middle;
+            else high = middle;
+        }
+
+        const a = points[low];
+        const b = points[low + 1];
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        const duration = times[low + 1] - times[low];
+        if (length === 0 || duration === 0) return { ...a };
+
+        const tau = time - times[low];
+        const acceleration = (speeds[low + 1] - speeds[low]) / duration;
+        const s = Math.min(length, speeds[low] * tau + acceleration * tau * tau / 2);
+        return { x: a.x + (b.x - a.x) * s / length, y: a.y + (b.y - a.y) * s / length };
+    }
+
+    /**
+     * Tiempo de la braquistócrona entre (0, 0) y (width, -drop)
+     *
+     * La cicloide invertida x = r(φ - sen φ), y = -r(1 - cos φ) pasa por el final
+     * cuando (φ - sen φ) / (1 - cos φ) = width / drop; entonces r = drop / (1 - cos φ)
+     * y la cuenta tarda t = φ·√(r/g).
+     *
+     * @param {number} width - Avance horizontal
+     * @param {number} drop - Caída
+     * @returns {number} Tiempo mínimo de bajada (s)
+     */
+    getBrachistochroneTime(width, drop) {
+        if (!(drop > 0)) return Infinity;
+        if (!(width > 0)) return Math.sqrt(2 * drop / this._gravity);  // Caída libre
+
+        const ratio = width / drop;
+        const shape = phi => (phi - Math.sin(phi)) / (1 - Math.cos(phi));
+        const phi = Optimizer.bisect(phi => shape(phi) >= ratio, 1e-9, 2 * Math.PI - 1e-9);
+        const r = drop / (1 - Math.cos(phi));
+        return phi * Math.sqrt(r / this._gravity);
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - COMPARACIÓN
+    // ==========================================
+
+    /**
+     * Compara la bajada por el arco invertido de cada curva con la rampa recta
+     * entre los mismos extremos, y suelta cuentas desde varias alturas en la
+     * curva principal (tautocronía)
+     *
+     * @param {Array} series - Curvas [{name, color, cyclogon}, ...] (como las de app.cyclogonSeries)
+     * @param {number} primaryIndex - Curva en la que se sueltan las cuentas a distintas alturas
+     * @returns {Object|null} { gravity, duration, frameTime, lanes: [{name, color, isPrimary, ramp, straight,
+     *                          curveTime, straightTime, optimalTime, releases: [{fraction, time, track}],
+     *                          tracks: {curve, straight}}] }
+     *                        Los tracks son posiciones cada frameTime segundos, de 0 a duration.
+     *                        null si ninguna curva rueda sobre el suelo recto
+     */
+    compare(series, primaryIndex = 0) {
+        const lanes = [];
+        series.forEach((entry, index) => {
+            const ramp = this.createRamp(entry.cyclogon);
+            if (!ramp) return;
+
+            const straight = this.createStraightRamp(ramp);
+            const isPrimary = index === primaryIndex;
+            lanes.push({
+                name: entry.name,
+                color: entry.color,
+                isPrimary,
+                ramp,
+                straight,
+                curve: this.release(ramp),
+                straightMotion: this.release(straight),
+                optimalTime: this.getBrachistochroneTime(ramp.width, ramp.drop),
+                releaseMotions: isPrimary
+                    ? CONFIG.BEADS.RELEASE_FRACTIONS.map(fraction => ({
+                        fraction, motion: this.release(ramp, fraction)
+                    }))
+                    : []
+            });
+        });
+        if (lanes.length === 0) return null;
+
+        // Una misma escala de tiempo para todas las cuentas
+        const finite = lanes.flatMap(lane => [
+            lane.curve.time, lane.straightMotion.time, ...lane.releaseMotions.map(r => r.motion.time)
+        ]).filter(Number.isFinite);
+        const duration = finite.length > 0 ? finite.reduce((a, b) => Math.max(a, b)) : 0;
+        const frameTime = duration / CONFIG.BEADS.FRAMES;
+        const track = motion => Array.from({ length: CONFIG.BEADS.FRAMES + 1 }, (_, k) =>
+            this.getPositionAt(motion, k * frameTime));
+
+        return {
+            gravity: this._gravity,
+            duration,
+            frameTime,
+            lanes: lanes.map(lane => ({
+                name: lane.name,
+                color: lane.color,
+                isPrimary: lane.isPrimary,
+                ramp: lane.ramp,
+                straight: lane.straight,
+                curveTime: lane.curve.time,
+                straightTime: lane.straightMotion.time,
+                optimalTime: lane.optimalTime,
+                releases: lane.releaseMotions.map(({ fraction, motion }) => ({
+                    fraction, time: motion.time, track: track(motion)
+                })),
+                tracks: { curve: track(lane.curve), straight: track(lane.straightMotion) }
+            }))
+        };
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS
+    // ==========================================
+
+    /**
+     * Punto más alto recorriendo la curva desde el más bajo hasta volver al suelo
+     * @private
+     * @param {Array} points - Puntos de la curva
+     * @param {number} start - Índice del punto más bajo
+     * @param {number} step - 1 hacia delante, -1 hacia atrás
+     * @param {number} floor - Altura bajo la que se considera que la curva vuelve al suelo
+     * @returns {Object} { index, drop, step }
+     */
+    _findRise(points, start, step, floor) {
+        let best = { index: start, drop: 0, step };
+        for (let i = start + step; i >= 0 && i < points.length; i += step) {
+            const drop = points[i].y - points[start].y;
+            if (drop > best.drop) {
+                best = { index: i, drop, step };
+            } else if (points[i].y <= floor && best.drop > 0) {
+                break;
+            }
+        }
+        return best;
+    }
+}
+
+export default BeadSimulationService;
@@ -0,0 +1,276 @@
+/**
+ * ============================================
+ * CURVATURESERVICE.JS - Servicio de Geometría Diferencial
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Calcula la tangente, la normal, la curvatura con signo y el
+ * centro de curvatura de cada punto de la curva, su evoluta y
+ * sus cúspides y puntos de inflexión. En las curvas de rodadura
+ * las derivadas son analíticas; en el resto se aproximan sobre
+ * la polilínea.
+ */
+
+import { CONFIG } from '../config/constants.js';
+import Cyclogon from '../models/Cyclogon.js';
+import { CurveType } from './CyclogonCalculator.js';
+import CurveGeometry from './CurveGeometry.js';
+import RollingGeometry from './RollingGeometry.js';
+
+export class CurvatureService {
+    // ==========================================
+    // MÉTODOS PÚBLICOS - ANÁLISIS
+    // ==========================================
+
+    /**
+     * Analiza la geometría diferencial de la curva: tangente y normal unitarias,
+     * curvatura con signo y centro de curvatura en cada punto, la evoluta, las
+     * cúspides y los puntos de inflexión
+     *
+     * En las curvas de rodadura (puntos con contacto o pivote) las derivadas respecto
+     * al ángulo girado φ son analíticas, con r = P - CIR y J(x, y) = (y, -x):
+     *   P'  = J(r)
+     *   P'' = -r - J(dCIR/dφ)
+     *   κ   = (P' × P'') / |P'|³
+     * En los ciclógonos el pivote está fijo en cada arco, así que κ = -1/|r| y el
+     * centro de curvatura es el propio pivote: la evoluta se reduce a los pivotes.
+     * Hay cúspide donde |P'| = |r| se anula (el punto de dibujo toca la base) e
+     * inflexión donde P' × P'' cambia de signo. Rodando hacia la izquierda el giro es
+     * antihorario y los términos con J cambian de signo.
+     * En el resto de curvas las derivadas se aproximan sobre la polilínea.
+     *
+     * La curvatura es positiva si la curva gira en sentido antihorario; la normal
+     * es la tangente girada 90° en ese sentido, de modo que el centro de curvatura
+     * es P + normal / κ.
+     *
+     * @param {Cyclogon} cyclogon - Curva a analizar
+     * @returns {Object|null} { points: [{tangent, normal, curvature, curvatureCenter}],
+     *                          evolute, cusps: [{index, x, y}], inflections: [{index, x, y}], isExact }
+     *                          En una cúspide exacta tangente y normal son null y κ = ±Infinity
+     */
+    analyze(cyclogon) {
+        if (cyclogon.pointCount < 3) {
+            return null;
+        }
+
+        const { CUSP_TOLERANCE, MAX_EVOLUTE_RADIUS } = CONFIG.CYCLOGON.CURVATURE;
+        const points = cyclogon.getPoints();
+        const isRolling = points.every(p =>
+            RollingGeometry.getInstantCenter(p) && (p.theta ?? p.rotation) !== undefined);
+        const derivatives = isRolling
+            ? this._getRollingDerivatives(points, RollingGeometry.getRollingSign(cyclogon.metadata))
+            : this._getPolylineDerivatives(points);
+
+        // 1. Tangente, normal y curvatura de cada punto
+        const geometry = points.map((p, i) => {
+            const { dx, dy, ddx, ddy } = derivatives[i];
+            const speed = Math.hypot(dx, dy);
+            const cross = dx * ddy - dy * ddx;
+
+            if (speed < 1e-12) {
+                return { tangent: null, normal: null, curvature: cross < 0 ? -Infinity : Infinity,
+                         curvatureCenter: { x: p.x, y: p.y }, speed, cross };
+            }
+
+            const tangent = { x: dx / speed, y: dy / speed };
+            const normal = { x: -tangent.y, y: tangent.x };
+            const curvature = cross / speed ** 3;
+            const curvatureCenter = curvature !== 0
+                ? { x: p.x + normal.x / curvature, y: p.y + normal.y / curvature }
+                : null;
+
+            return { tangent, normal, curvature, curvatureCenter, speed, cross };
+        });
+
+        // 2. Cúspides: mínimos locales de la rapidez que se anulan
+        const cusps = isRolling
+            ? this._findCusps(points, geometry, CUSP_TOLERANCE)
+            : this._findTangentReversals(points, geometry);
+        const cuspIndices = new Set(cusps.map(cusp => cusp.index));
+        const isNearCusp = (i) => geometry[i].speed < CUSP_TOLERANCE || cuspIndices.has(i);
+
+        // 3. Inflexiones: cambios de signo de P' × P'' lejos de las cúspides
+        const inflections = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = geometry[i].cross;
+            const b = geometry[i + 1].cross;
+            if (a * b < 0 && !isNearCusp(i) && !isNearCusp(i + 1)) {
+                const fraction = a / (a - b);
+                inflections.push({
+                    index: i,
+                    x: points[i].x + fraction * (points[i + 1].x - points[i].x),
+                    y: points[i].y + fraction * (points[i + 1].y - points[i].y)
+                });
+            }
+        }
+
+        // 4. Evoluta: centros de curvatura, en ramas separadas por cúspides, inflexiones y tramos casi rectos
+        const evolute = new Cyclogon(CurveType.EVOLUTE, cyclogon.sourceShape);
+        const segmentOf = RollingGeometry.getSegment;
+        let branch = -1;
+        let previous = null;
+
+        geometry.forEach((g, i) => {
+            const isValid = g.curvatureCenter && g.tangent && !isNearCusp(i) &&
+                Math.abs(g.curvature) > 1 / MAX_EVOLUTE_RADIUS;
+            if (!isValid) {
+                previous = null;
+                return;
+            }
+
+            const continues = previous !== null &&
+                Math.sign(geometry[previous].curvature) === Math.sign(g.curvature) &&
+                segmentOf(points[previous]) === segmentOf(points[i]);
+            if (!continues) branch++;
+
+            // En los arcos de los ciclógonos el centro se repite: un punto por arco
+            const last = evolute.getLastPoint();
+            const isRepeated = continues && last &&
+                Math.hypot(last.x - g.curvatureCenter.x, last.y - g.curvatureCenter.y) < 1e-9;
+            if (!isRepeated) {
+                evolute.addPoint({ ...g.curvatureCenter, branch, sourceIndex: i });
+            }
+            previous = i;
+        });
+
+        evolute.setMetadata({
+            source: cyclogon.type,
+            branches: branch + 1,
+            isExact: isRolling
+        });
+
+        return {
+            points: geometry.map(({ tangent, normal, curvature, curvatureCenter }) => ({
+                tangent, normal, curvature, curvatureCenter
+            })),
+            evolute,
+            cusps,
+            inflections,
+            isExact: isRolling
+        };
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS
+    // ==========================================
+
+    /**
+     * Derivadas primera y segunda respecto al ángulo girado en una curva de rodadura
+     * @private
+     * @param {Array} points - Puntos de la curva
+     * @param {number} sign - Signo del giro (ver RollingGeometry.getRollingSign)
+     * @returns {Array} [{dx, dy, ddx, ddy}, ...]
+     */
+    _getRollingDerivatives(points, sign = 1) {
+        const samples = points.map(p => ({
+            angle: p.theta ?? p.rotation,
+            instantCenter: RollingGeometry.getInstantCenter(p)
+        }));
+        const icX = RollingGeometry.differentiateByAngle(points, samples, s => s.instantCenter.x);
+        const icY = RollingGeometry.differentiateByAngle(points, samples, s => s.instantCenter.y);
+
+        return points.map((p, i) => {
+            const rx = p.x - samples[i].instantCenter.x;
+            const ry = p.y - samples[i].instantCenter.y;
+            return { dx: sign * ry, dy: -sign * rx, ddx: -rx - sign * icY[i], ddy: -ry + sign * icX[i] };
+        });
+    }
+
+    /**
+     * Derivadas primera y segunda sobre la polilínea (parámetro = índice del punto)
+     * @private
+     * @returns {Array} [{dx, dy, ddx, ddy}, ...]
+     */
+    _getPolylineDerivatives(points) {
+        const indices = points.map((_, i) => i);
+        const dx = CurveGeometry.threePointDerivative(indices, points.map(p => p.x));
+        const dy = CurveGeometry.threePointDerivative(indices, points.map(p => p.y));
+        const ddx = CurveGeometry.threePointDerivative(indices, dx);
+        const ddy = CurveGeometry.threePointDerivative(indices, dy);
+        return points.map((_, i) => ({ dx: dx[i], dy: dy[i], ddx: ddx[i], ddy: ddy[i] }));
+    }
+
+    /**
+     * Cúspides de una curva de rodadura: mínimos locales de |P'| = |r| que se anulan
+     * El mínimo entre muestras se estima con una parábola sobre |r|² (suave en φ)
+     * @private
+     */
+    _findCusps(points, geometry, tolerance) {
+        const cusps = [];
+        const n = points.length;
+        const speed = (i) => geometry[i].speed;
+        const segmentOf = RollingGeometry.getSegment;
+
+        for (let i = 0; i < n; i++) {
+            // Punto de dibujo sobre el pivote: la rapidez es nula durante todo el giro, una sola cúspide
+            if (speed(i) <= tolerance) {
+                let end = i;
+                while (end + 1 < n && speed(end + 1) <= tolerance) end++;
+                const middle = Math.floor((i + end) / 2);
+                cusps.push({ index: middle, x: points[middle].x, y: points[middle].y });
+                i = end;
+                continue;
+            }
+
+            const isMinimum = (i === 0 || speed(i) <= speed(i - 1)) && (i === n - 1 || speed(i) < speed(i + 1));
+            if (!isMinimum) continue;
+
+            let minimum = speed(i) ** 2;
+            const hasNeighbours = i > 0 && i < n - 1 &&
+                segmentOf(points[i - 1]) === segmentOf(points[i + 1]);
+            if (hasNeighbours) {
+                const t = [i - 1, i, i + 1].map(k => points[k].theta ?? points[k].rotation);
+                const f = [i - 1, i, i + 1].map(k => speed(k) ** 2);
+                if (t[0] < t[1] && t[1] < t[2]) {
+                    minimum = Math.min(minimum, this._parabolaMinimum(t, f));
+                }
+            }
+
+            if (Math.sqrt(Math.max(0, minimum)) <= tolerance) {
+                cusps.push({ index: i, x: points[i].x, y: points[i].y });
+            }
+        }
+
+        return cusps;
+    }
+
+    /**
+     * Cúspides de una curva sin información de rodadura: la tangente se invierte
+     * entre dos muestras consecutivas
+     * @private
+     */
+    _findTangentReversals(points, geometry) {
+        const cusps = [];
+        for (let i = 1; i < points.length - 1; i++) {
+            const before = geometry[i - 1].tangent;
+            const after = geometry[i + 1].tangent;
+            if (before && after && before.x * after.x + before.y * after.y < -0.5) {
+                const last = cusps[cusps.length - 1];
+                if (!last || last.index < i - 1) {
+                    cusps.push({ index: i, x: points[i].x, y: points[i].y });
+                }
+            }
+        }
+        return cusps;
+    }
+
+    /**
+     * Valor mínimo de la parábola que pasa por tres puntos (t crecientes)
+     * Si la parábola no tiene mínimo dentro del intervalo devuelve el menor valor dado
+     * @private
+     */
+    _parabolaMinimum(t, f) {
+        const slope01 = (f[1] - f[0]) / (t[1] - t[0]);
+        const slope12 = (f[2] - f[1]) / (t[2] - t[1]);
+        const a = (slope12 - slope01) / (t[2] - t[0]);
+        const fallback = Math.min(...f);
+        if (!(a > 0)) return fallback;
+
+        const vertex = (t[0] + t[1]) / 2 - slope01 / (2 * a);
+        if (vertex < t[0] || vertex > t[2]) return fallback;
+
+        return f[0] + (vertex - t[0]) * slope01 + (vertex - t[0]) * (vertex - t[1]) * a;
+    }
+}
+
+export default CurvatureService;
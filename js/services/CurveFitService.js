@@ -0,0 +1,373 @@
+/**
+ * ============================================
+ * CURVEFITSERVICE.JS - Servicio de Ajuste a Datos Medidos
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Importa muestras (x, y) medidas sobre una rueda real (por
+ * ejemplo, con seguimiento en vídeo) y busca por mínimos
+ * cuadrados la forma, los lados, el radio, el punto de dibujo
+ * y la fase cuya curva, generada con CyclogonCalculator, mejor
+ * se ajusta a ellas.
+ *
+ * Las muestras deben estar en el sistema del suelo: el suelo en
+ * y = 0 y la forma avanzando hacia las X positivas.
+ */
+
+import { CONFIG, MATH } from '../config/constants.js';
+import Circle from '../models/Circle.js';
+import Polygon from '../models/Polygon.js';
+import CyclogonCalculator from './CyclogonCalculator.js';
+import Optimizer from './Optimizer.js';
+
+/**
+ * Tipos de forma que se pueden ajustar
+ */
+export const FitShapeType = {
+    CIRCLE: 'circle',
+    POLYGON: 'polygon'
+};
+
+export class CurveFitService {
+    /**
+     * @param {CyclogonCalculator} calculator - Calculador de la curva ajustada y de los residuos
+     */
+    constructor(calculator = null) {
+        this._calculator = calculator ?? new CyclogonCalculator();
+        // Durante la búsqueda las curvas candidatas se muestrean con menos puntos
+        this._searchCalculator = new CyclogonCalculator({
+            pointsPerRadian: CONFIG.FIT.SEARCH_POINTS_PER_RADIAN,
+            pointsPerSide: CONFIG.FIT.SEARCH_POINTS_PER_SIDE
+        });
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - IMPORTACIÓN
+    // ==========================================
+
+    /**
+     * Lee muestras (x, y) de un CSV
+     *
+     * Acepta comas, punto y coma (con coma decimal) o tabuladores, líneas de
+     * comentario con '#' y una cabecera opcional: con cabecera se usan las columnas
+     * X e Y (como en los CSV exportados), sin ella las dos primeras.
+     *
+     * @param {string} text - Contenido del archivo
+     * @returns {Array} Muestras [{x, y}, ...] en el orden del archivo
+     */
+    parseCSV(text) {
+        const lines = text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+        if (lines.length === 0) {
+            throw new Error('El archivo no contiene datos');
+        }
+
+        const delimiter = [';', '\t', ','].find(d => lines[0].includes(d)) ?? /\s+/;
+        const split = (line) => line.split(delimiter).map(field => field.trim().replace(/^"|"$/g, ''));
+        const parse = (field) => {
+            if (field === undefined || field === '') return NaN;
+            return Number(delimiter === ';' ? field.replace(',', '.') : field);
+        };
+
+        // Cabecera: alguna columna no numérica
+        let xColumn = 0;
+        let yColumn = 1;
+        const header = split(lines[0]);
+        if (header.some(field => Number.isNaN(parse(field)))) {
+            const names = header.map(field => field.toLowerCase());
+            if (names.includes('x') && names.includes('y')) {
+                xColumn = names.indexOf('x');
+                yColumn = names.indexOf('y');
+            }
+            lines.shift();
+        }
+
+        const samples = [];
+        lines.forEach(line => {
+            const fields = split(line);
+            const x = parse(fields[xColumn]);
+            const y = parse(fields[yColumn]);
+            if (Number.isFinite(x) && Number.isFinite(y)) {
+                samples.push({ x, y });
+            }
+        });
+
+        if (samples.length < CONFIG.FIT.MIN_SAMPLES) {
+            throw new Error(`Se necesitan al menos ${CONFIG.FIT.MIN_SAMPLES} puntos (x, y) válidos`);
+        }
+        return samples;
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - AJUSTE
+    // ==========================================
+
+    /**
+     * Formas que se prueban por defecto: el círculo y los polígonos regulares
+     * de 3 a FIT.MAX_SIDES lados
+     * @returns {Array} [{shapeType, sides}, ...]
+     */
+    getDefaultCandidates() {
+        const candidates = [{ shapeType: FitShapeType.CIRCLE, sides: null }];
+        for (let sides = 3; sides <= CONFIG.FIT.MAX_SIDES; sides++) {
+            candidates.push({ shapeType: FitShapeType.POLYGON, sides });
+        }
+        return candidates;
+    }
+
+    /**
+     * Ajusta por mínimos cuadrados la curva a las muestras
+     *
+     * Para cada forma candidata se minimiza la media de los cuadrados de las
+     * distancias de cada muestra a la curva generada. El radio y la distancia del
+     * punto parten de la altura media y la amplitud vertical de las muestras; la fase
+     * y el ángulo del punto, de una rejilla de arranques, y los mejores se refinan
+     * con Nelder-Mead. Gana la forma con menor error.
+     *
+     * La fase es el ángulo que ya ha rodado la forma en la primera muestra (la de
+     * menor X). En el círculo el ángulo del punto equivale a un cambio de fase, así
+     * que se fija en −π/2 (el punto bajo el centro al empezar).
+     *
+     * @param {Array} samples - Muestras [{x, y}, ...]
+     * @param {Object} options - Opciones
+     * @param {Array} options.candidates - Formas a probar (por defecto getDefaultCandidates())
+     * @returns {Object} { shapeType, sides, radius, drawPoint: {x, y}, drawPointDistance,
+     *                     drawPointAngle, phase, shape, cyclogon, samples, distances,
+     *                     residuals: {count, rms, mean, max}, candidates: [{shapeType, sides, rms}] }
+     */
+    fit(samples, options = {}) {
+        if (samples.length < CONFIG.FIT.MIN_SAMPLES) {
+            throw new Error(`Se necesitan al menos ${CONFIG.FIT.MIN_SAMPLES} puntos (x, y) válidos`);
+        }
+
+        const candidates = options.candidates ?? this.getDefaultCandidates();
+        let origin = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        samples.forEach(p => {
+            origin = Math.min(origin, p.x);
+            maxX = Math.max(maxX, p.x);
+            minY = Math.min(minY, p.y);
+            maxY = Math.max(maxY, p.y);
+        });
+        if (maxY <= 0) {
+            throw new Error('Las muestras deben estar por encima del suelo (y > 0)');
+        }
+
+        // La búsqueda trabaja con X relativas a la primera muestra y un subconjunto de ellas
+        const step = Math.max(1, Math.ceil(samples.length / CONFIG.FIT.MAX_SEARCH_SAMPLES));
+        const local = samples
+            .filter((_, i) => i % step === 0)
+            .map(p => ({ x: p.x - origin, y: p.y }));
+        const data = { samples: local, span: maxX - origin, minY: Math.max(minY, 0), maxY };
+
+        const results = candidates.map(candidate => this._fitCandidate(candidate, data));
+        const best = results.reduce((a, b) => b.cost < a.cost ? b : a);
+
+        // Curva final con el muestreo normal, en las coordenadas de las muestras
+        const { radius, distance, angle, phase } = best.params;
+        const shape = this._createShape(best.candidate, radius);
+        const drawPoint = { x: distance * Math.cos(angle), y: distance * Math.sin(angle) };
+        const shift = this._getPerimeter(shape) * phase / MATH.TWO_PI;
+        const cyclogon = this._generate(this._calculator, shape, drawPoint, phase, data.span + distance * 2);
+        cyclogon.translate(origin - shift, 0);
+
+        const distances = this._distances(samples, cyclogon.getPoints(), 0);
+        const squares = distances.reduce((sum, value) => sum + value * value, 0);
+
+        return {
+            shapeType: best.candidate.shapeType,
+            sides: best.candidate.sides,
+            radius,
+            drawPoint,
+            drawPointDistance: distance,
+            drawPointAngle: angle,
+            phase,
+            shape,
+            cyclogon,
+            samples,
+            distances,
+            residuals: {
+                count: distances.length,
+                rms: Math.sqrt(squares / distances.length),
+                mean: distances.reduce((sum, value) => sum + value, 0) / distances.length,
+                max: distances.reduce((max, value) => Math.max(max, value), 0)
+            },
+            candidates: results.map(result => ({
+                shapeType: result.candidate.shapeType,
+                sides: result.candidate.sides,
+                rms: Math.sqrt(result.cost)
+            }))
+        };
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS - AJUSTE
+    // ==========================================
+
+    /**
+     * Ajusta una forma candidata: rejilla de arranques y Nelder-Mead desde los mejores
+     * @private
+     * @returns {Object} { candidate, params: {radius, distance, angle, phase}, cost }
+     */
+    _fitCandidate(candidate, data) {
+        const isCircle = candidate.shapeType === FitShapeType.CIRCLE;
+        const symmetry = isCircle ? MATH.TWO_PI : MATH.TWO_PI / candidate.sides;
+
+        // Altura media del centro: R en el círculo, entre la apotema y R en el polígono
+        const meanHeight = (data.maxY + data.minY) / 2;
+        const radius = isCircle ? meanHeight : meanHeight * 2 / (1 + Math.cos(Math.PI / candidate.sides));
+        const distance = (data.maxY - data.minY) / 2;
+
+        // Vector de parámetros: [R, d, fase] en el círculo y [R, d, α, fase] en el polígono
+        const unpack = (v) => isCircle
+            ? { radius: v[0], distance: v[1], angle: -MATH.HALF_PI, phase: v[2] }
+            : { radius: v[0], distance: v[1], angle: v[2], phase: v[3] };
+        const cost = (v) => this._cost(candidate, unpack(v), data);
+
+        const { PHASE_STARTS, ANGLE_STARTS, REFINED_STARTS } = CONFIG.FIT;
+        const starts = [];
+        for (let i = 0; i < PHASE_STARTS; i++) {
+            const phase = MATH.TWO_PI * i / PHASE_STARTS;
+            if (isCircle) {
+                starts.push([radius, distance, phase]);
+                continue;
+            }
+            for (let j = 0; j < ANGLE_STARTS; j++) {
+                starts.push([radius, distance, -MATH.HALF_PI + symmetry * j / ANGLE_STARTS, phase]);
+            }
+        }
+
+        const steps = isCircle
+            ? [radius * 0.1, Math.max(distance, radius) * 0.1, Math.PI / PHASE_STARTS]
+            : [radius * 0.1, Math.max(distance, radius) * 0.1, symmetry / (2 * ANGLE_STARTS), Math.PI / PHASE_STARTS];
+
+        let best = null;
+        starts
+            .map(start => ({ start, cost: cost(start) }))
+            .sort((a, b) => a.cost - b.cost)
+            .slice(0, REFINED_STARTS)
+            .forEach(({ start }) => {
+                const result = Optimizer.nelderMead(cost, start, steps, {
+                    maxIterations: CONFIG.FIT.MAX_ITERATIONS,
+                    tolerance: CONFIG.FIT.TOLERANCE
+                });
+                if (!best || result.cost < best.cost) best = result;
+            });
+
+        const params = unpack(best.point);
+        params.phase = ((params.phase % MATH.TWO_PI) + MATH.TWO_PI) % MATH.TWO_PI;
+        return { candidate, params, cost: best.cost };
+    }
+
+    /**
+     * Error cuadrático medio de las muestras frente a la curva de unos parámetros
+     * @private
+     */
+    _cost(candidate, { radius, distance, angle, phase }, data) {
+        if (!(radius > 0) || distance < 0) return Infinity;
+        phase = ((phase % MATH.TWO_PI) + MATH.TWO_PI) % MATH.TWO_PI;
+
+        const shape = this._createShape(candidate, radius);
+        const drawPoint = { x: distance * Math.cos(angle), y: distance * Math.sin(angle) };
+        const curve = this._generate(this._searchCalculator, shape, drawPoint, phase, data.span + distance * 2);
+        const shift = this._getPerimeter(shape) * phase / MATH.TWO_PI;
+
+        const distances = this._distances(data.samples, curve.getPoints(), shift);
+        return distances.reduce((sum, value) => sum + value * value, 0) / distances.length;
+    }
+
+    /**
+     * Genera la curva que cubre la fase y el tramo medido
+     * @private
+     */
+    _generate(calculator, shape, drawPoint, phase, span) {
+        const perimeter = this._getPerimeter(shape);
+        const cycles = phase / MATH.TWO_PI + span / perimeter;
+        return calculator.generate(shape, drawPoint, cycles);
+    }
+
+    /**
+     * Crea la forma de una candidata con un radio (circunradio en los polígonos)
+     * @private
+     */
+    _createShape(candidate, radius) {
+        return candidate.shapeType === FitShapeType.CIRCLE
+            ? new Circle(radius)
+            : new Polygon(candidate.sides, radius);
+    }
+
+    /**
+     * Distancia recorrida por el centro en una vuelta completa
+     * @private
+     */
+    _getPerimeter(shape) {
+        return shape instanceof Circle ? shape.circumference : shape.getPerimeter();
+    }
+
+    /**
+     * Distancia de cada muestra (desplazada en X) a la polilínea
+     *
+     * Los tramos se reparten en cubetas por X; cada muestra recorre las cubetas
+     * desde la suya hacia fuera y se detiene cuando la separación en X de las
+     * siguientes ya supera la mejor distancia encontrada.
+     *
+     * @private
+     * @param {Array} samples - Muestras [{x, y}, ...]
+     * @param {Array} points - Vértices de la polilínea
+     * @param {number} shift - Desplazamiento en X de las muestras
+     * @returns {Array} Distancias
+     */
+    _distances(samples, points, shift) {
+        let minX = Infinity, maxX = -Infinity;
+        points.forEach(p => {
+            minX = Math.min(minX, p.x);
+            maxX = Math.max(maxX, p.x);
+        });
+
+        const count = Math.max(1, Math.ceil(points.length / CONFIG.FIT.SEGMENTS_PER_BUCKET));
+        const width = (maxX - minX) / count || 1;
+        const bucketOf = (x) => Math.min(count - 1, Math.max(0, Math.floor((x - minX) / width)));
+        const buckets = Array.from({ length: count }, () => []);
+        for (let i = 0; i < points.length - 1; i++) {
+            const from = bucketOf(Math.min(points[i].x, points[i + 1].x));
+            const to = bucketOf(Math.max(points[i].x, points[i + 1].x));
+            for (let b = from; b <= to; b++) buckets[b].push(i);
+        }
+
+        return samples.map(sample => {
+            const p = { x: sample.x + shift, y: sample.y };
+            const home = bucketOf(p.x);
+            let best = Infinity;
+            for (let r = 0; r < count; r++) {
+                // Las cubetas a r de la propia quedan al menos (r - 1) anchos más allá en X
+                if ((r - 1) * width > best) break;
+                for (const b of r === 0 ? [home] : [home - r, home + r]) {
+                    if (b < 0 || b >= count) continue;
+                    for (const i of buckets[b]) {
+                        const distance = this._segmentDistance(p, points[i], points[i + 1]);
+                        if (distance < best) best = distance;
+                    }
+                }
+            }
+            return best;
+        });
+    }
+
+    /**
+     * Distancia de un punto a un segmento
+     * @private
+     */
+    _segmentDistance(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0
+            ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared))
+            : 0;
+        const ex = p.x - a.x - t * dx;
+        const ey = p.y - a.y - t * dy;
+        return Math.sqrt(ex * ex + ey * ey);
+    }
+}
+
+export default CurveFitService;
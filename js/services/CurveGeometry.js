@@ -0,0 +1,153 @@
+/**
+ * ============================================
+ * CURVEGEOMETRY.JS - Geometría de Polilíneas
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Operaciones sobre polilíneas compartidas por el generador y
+ * los análisis de las curvas: distancia a un segmento, cruces
+ * entre tramos y derivadas por diferencias finitas.
+ */
+
+export class CurveGeometry {
+    /**
+     * Distancia de un punto al segmento [lineStart, lineEnd]
+     * @param {Object} point - Punto {x, y}
+     * @param {Object} lineStart - Extremo inicial {x, y}
+     * @param {Object} lineEnd - Extremo final {x, y}
+     * @returns {number} Distancia
+     */
+    static distanceToSegment(point, lineStart, lineEnd) {
+        const dx = lineEnd.x - lineStart.x;
+        const dy = lineEnd.y - lineStart.y;
+
+        const lengthSquared = dx * dx + dy * dy;
+
+        if (lengthSquared === 0) {
+            return Math.sqrt(
+                (point.x - lineStart.x) ** 2 +
+                (point.y - lineStart.y) ** 2
+            );
+        }
+
+        const t = Math.max(0, Math.min(1,
+            ((point.x - lineStart.x) * dx + (point.y - lineStart.y) * dy) / lengthSquared
+        ));
+
+        const projX = lineStart.x + t * dx;
+        const projY = lineStart.y + t * dy;
+
+        return Math.sqrt(
+            (point.x - projX) ** 2 +
+            (point.y - projY) ** 2
+        );
+    }
+
+    /**
+     * Intersección propia de dos segmentos [a, b) y [c, d)
+     * Los extremos finales se excluyen para no contar dos veces un cruce en un vértice
+     * @returns {Object|null} {x, y, t, u} con t y u los parámetros sobre cada segmento
+     */
+    static intersectSegments(a, b, c, d) {
+        const rx = b.x - a.x, ry = b.y - a.y;
+        const sx = d.x - c.x, sy = d.y - c.y;
+        const denominator = rx * sy - ry * sx;
+        if (Math.abs(denominator) < 1e-15) return null;   // Paralelos o colineales
+
+        const qx = c.x - a.x, qy = c.y - a.y;
+        const t = (qx * sy - qy * sx) / denominator;
+        const u = (qx * ry - qy * rx) / denominator;
+        if (t < 0 || t >= 1 || u < 0 || u >= 1) return null;
+
+        return { x: a.x + t * rx, y: a.y + t * ry, t, u };
+    }
+
+    /**
+     * Cruces entre tramos no consecutivos de una polilínea con un barrido por X
+     *
+     * Los tramos se ordenan por su X mínima; al avanzar el barrido solo se comparan
+     * con los tramos activos (los que aún solapan en X).
+     *
+     * @param {Array} points - Vértices de la polilínea
+     * @param {boolean} isClosed - Si el último vértice se une con el primero
+     * @returns {Array} [{x, y, segments: [i, j], params: [t, u]}] con i < j, ordenados
+     */
+    static findCrossings(points, isClosed = false) {
+        const n = points.length;
+        const count = isClosed ? n : n - 1;
+        const segments = [];
+        for (let i = 0; i < count; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % n];
+            // Los tramos de longitud nula (punto parado sobre el pivote) no cruzan nada
+            if (a.x === b.x && a.y === b.y) continue;
+            segments.push({
+                index: i, a, b,
+                minX: Math.min(a.x, b.x), maxX: Math.max(a.x, b.x),
+                minY: Math.min(a.y, b.y), maxY: Math.max(a.y, b.y)
+            });
+        }
+        segments.sort((s, t) => s.minX - t.minX);
+
+        const isAdjacent = (i, j) => Math.abs(i - j) <= 1 ||
+            (isClosed && Math.abs(i - j) === count - 1);
+
+        const crossings = [];
+        let active = [];
+        for (const segment of segments) {
+            active = active.filter(other => other.maxX >= segment.minX);
+            for (const other of active) {
+                if (isAdjacent(other.index, segment.index) ||
+                    other.maxY < segment.minY || other.minY > segment.maxY) continue;
+
+                const [first, second] = other.index < segment.index ? [other, segment] : [segment, other];
+                const crossing = CurveGeometry.intersectSegments(first.a, first.b, second.a, second.b);
+                if (crossing) {
+                    crossings.push({
+                        x: crossing.x, y: crossing.y,
+                        segments: [first.index, second.index],
+                        params: [crossing.t, crossing.u]
+                    });
+                }
+            }
+            active.push(segment);
+        }
+
+        return crossings.sort((p, q) => p.segments[0] - q.segments[0] || p.segments[1] - q.segments[1]);
+    }
+
+    /**
+     * Derivada de una función muestreada en abscisas crecientes (no uniformes):
+     * centrada en el interior y de un solo lado en los extremos, ambas de segundo orden
+     * @param {Array<number>} t - Abscisas
+     * @param {Array<number>} f - Valores
+     * @returns {Array<number>} Derivada en cada abscisa
+     */
+    static threePointDerivative(t, f) {
+        const n = t.length;
+        if (n < 2) return [0];
+        if (n === 2) {
+            const slope = (f[1] - f[0]) / (t[1] - t[0]);
+            return [slope, slope];
+        }
+
+        const derivatives = [];
+        for (let i = 0; i < n; i++) {
+            // Ventana de tres puntos alrededor de i (desplazada en los extremos)
+            const j = Math.min(Math.max(i - 1, 0), n - 3);
+            const [t0, t1, t2] = [t[j], t[j + 1], t[j + 2]];
+            const [f0, f1, f2] = [f[j], f[j + 1], f[j + 2]];
+            const x = t[i];
+
+            // Derivada del polinomio de Lagrange que pasa por los tres puntos
+            derivatives.push(
+                f0 * (2 * x - t1 - t2) / ((t0 - t1) * (t0 - t2)) +
+                f1 * (2 * x - t0 - t2) / ((t1 - t0) * (t1 - t2)) +
+                f2 * (2 * x - t0 - t1) / ((t2 - t0) * (t2 - t1))
+            );
+        }
+        return derivatives;
+    }
+}
+
+export default CurveGeometry;
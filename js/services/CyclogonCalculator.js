@@ -8,6 +8,19 @@
  * Implementa algoritmos para:
  * - Cicloide (círculo rodando)
  * - Ciclógono (polígono rodando con arcos)
+ * - Epitrocoide / Hipotrocoide (círculo rodando sobre otro círculo)
+ * - Epiciclógono / Hipociclógono (polígono rodando sobre un círculo)
+ * - Rodadura sobre caminos arbitrarios (rampa, onda, escalón, polilínea)
+ * - Ruletas de formas convexas suaves (elipse, r(φ)) sobre el suelo
+ * - Polígonos de Reuleaux (arcos y esquinas alternados) sobre el suelo
+ * - Rodadura hacia la izquierda, fase inicial y arranque sobre un vértice
+ * - Extensión por ciclos, distancia recorrida, giro total o número de pivotes
+ * - Deslizamiento de la rueda (patinaje y derrape) en la cicloide y el ciclógono
+ * - Familias de curvas (barrido del punto por un lado o un radio)
+ * - Clasificación de la curva (acortada, común, alargada)
+ * 
+ * Los análisis de la curva generada (cinemática, curvatura, áreas,
+ * bucles y curvas paralelas) están en sus propios servicios.
  * 
  * FASE 4: Servicio de cálculo dedicado
  */
@@ -15,7 +28,10 @@
 import { MATH, CONFIG } from '../config/constants.js';
 import Polygon from '../models/Polygon.js';
 import Circle from '../models/Circle.js';
+import PolarShape from '../models/PolarShape.js';
+import ReuleauxPolygon from '../models/ReuleauxPolygon.js';
 import Cyclogon from '../models/Cyclogon.js';
+import CurveGeometry from './CurveGeometry.js';
 
 /**
  * Tipos de curvas generables
@@ -23,8 +39,66 @@ import Cyclogon from '../models/Cyclogon.js';
 export const CurveType = {
     CYCLOID: 'cycloid',         // Cicloide (círculo)
     CYCLOGON: 'cyclogon',       // Ciclógono (polígono)
-    EPITROCHOID: 'epitrochoid', // Epitrocoide (futuro)
-    HYPOTROCHOID: 'hypotrochoid' // Hipotrocoide (futuro)
+    EPITROCHOID: 'epitrochoid', // Epitrocoide (círculo por fuera de otro círculo)
+    HYPOTROCHOID: 'hypotrochoid', // Hipotrocoide (círculo por dentro de otro círculo)
+    EPICYCLOGON: 'epicyclogon',  // Epiciclógono (polígono por fuera de un círculo)
+    HYPOCYCLOGON: 'hypocyclogon', // Hipociclógono (polígono por dentro de un círculo)
+    ROULETTE: 'roulette',       // Ruleta (forma convexa suave: elipse, r(φ))
+    REULEAUX: 'reuleaux',       // Polígono de Reuleaux (arcos y pivotes alternados)
+    EVOLUTE: 'evolute',         // Evoluta (centros de curvatura de otra curva)
+    OFFSET: 'offset'            // Curva paralela (desplazada a una distancia fija)
+};
+
+/**
+ * Bases sobre las que puede rodar la forma
+ */
+export const RollingBase = {
+    FLOOR: 'floor',     // Suelo recto (Y=0)
+    OUTSIDE: 'outside', // Por fuera de un círculo fijo
+    INSIDE: 'inside'    // Por dentro de un círculo fijo
+};
+
+/**
+ * Sentido en el que rueda la forma
+ */
+export const RollingDirection = {
+    RIGHT: 'right',     // Hacia +X, girando en sentido horario
+    LEFT: 'left'        // Hacia -X, girando en sentido antihorario
+};
+
+/**
+ * Apoyo de la forma al empezar a rodar
+ */
+export const StartContact = {
+    SIDE: 'side',       // Descansa sobre un lado (o sobre el tramo con la normal hacia abajo)
+    VERTEX: 'vertex'    // En equilibrio sobre el primer vértice, con el centro encima
+};
+
+/**
+ * Magnitud con la que se fija la extensión de la curva
+ */
+export const ExtentMode = {
+    CYCLES: 'cycles',       // Ciclos completos
+    DISTANCE: 'distance',   // Distancia recorrida sobre la base o el camino
+    ROTATION: 'rotation',   // Giro total de la forma (radianes)
+    PIVOTS: 'pivots'        // Lados rodados: cada pivote es 1/n de ciclo
+};
+
+/**
+ * Modos de muestreo de la curva
+ */
+export const SamplingMode = {
+    FIXED: 'fixed',         // Densidad fija (puntos por lado / por radián)
+    ADAPTIVE: 'adaptive'    // Subdivisión según error de cuerda y desviación angular
+};
+
+/**
+ * Clasificación de la curva según la posición del punto de dibujo respecto al contorno
+ */
+export const CurveClass = {
+    CURTATE: 'curtate',     // Acortada: el punto está dentro de la forma (sin bucles ni cúspides)
+    COMMON: 'common',       // Común: el punto está sobre el contorno (cúspides al tocar la base)
+    PROLATE: 'prolate'      // Alargada: el punto está fuera de la forma (la curva forma bucles)
 };
 
 /**
@@ -35,12 +109,21 @@ export class CyclogonCalculator {
     /**
      * Constructor del calculador
      * @param {Object} options - Opciones de configuración
+     * @param {Object} options.sampling - Muestreo {mode, chordTolerance, angleTolerance, minPoints, maxPoints}
      */
     constructor(options = {}) {
         this.options = {
             pointsPerSide: options.pointsPerSide || CONFIG.CYCLOGON.POINTS_PER_SIDE,
             pointsPerRadian: options.pointsPerRadian || CONFIG.CYCLOGON.POINTS_PER_RADIAN,
-            precision: options.precision || CONFIG.EXPORT.DECIMAL_PRECISION
+            precision: options.precision || CONFIG.EXPORT.DECIMAL_PRECISION,
+            sampling: {
+                mode: CONFIG.CYCLOGON.SAMPLING.MODE,
+                chordTolerance: CONFIG.CYCLOGON.SAMPLING.CHORD_TOLERANCE,
+                angleTolerance: CONFIG.CYCLOGON.SAMPLING.ANGLE_TOLERANCE,
+                minPoints: CONFIG.CYCLOGON.SAMPLING.MIN_POINTS,
+                maxPoints: CONFIG.CYCLOGON.SAMPLING.MAX_POINTS,
+                ...options.sampling
+            }
         };
     }
 
@@ -50,21 +133,258 @@ export class CyclogonCalculator {
 
     /**
      * Genera una curva basada en la forma dada
-     * @param {Polygon|Circle} shape - Forma base (polígono o círculo)
+     * @param {Polygon|Circle|PolarShape} shape - Forma base (polígono, círculo, forma suave o de Reuleaux)
      * @param {Object} drawPoint - Punto de dibujo {x, y}
      * @param {number} cycles - Número de ciclos completos
-     * @returns {Cyclogon} Modelo con los puntos de la curva
+     * @param {Object} options - Opciones de la base de rodadura
+     * @param {string} options.base - Base sobre la que rueda (RollingBase)
+     * @param {number} options.baseRadius - Radio del círculo fijo (bases circulares)
+     * @param {Road} options.road - Perfil del suelo (solo con base FLOOR)
+     * @param {string} options.direction - Sentido de la rodadura (RollingDirection); con ciclos
+     *                                     negativos se rueda en el sentido contrario
+     * @param {number} options.phase - Giro en radianes que la forma ya ha rodado al empezar
+     * @param {string} options.startContact - Apoyo inicial (StartContact)
+     * @param {number} options.slip - Deslizamiento λ (ver generateCycloid); solo círculo y polígono en el suelo recto
+     * @param {Object} options.extent - { mode (ExtentMode), value }; si se indica sustituye a cycles
+     * @returns {Cyclogon} Modelo con los puntos de la curva (metadata.classification: CurveClass,
+     *                     metadata.extent: { mode, value, cycles })
+     */
+    generate(shape, drawPoint, cycles = 1, options = {}) {
+        const extent = this.resolveExtent(shape, drawPoint, options.extent ?? { value: cycles }, options);
+        const cyclogon = this._withPointBudget(extent.cycles,
+            (cycles) => this._generateCurve(shape, drawPoint, cycles, options));
+        cyclogon.setMetadata({ extent, classification: this.classifyDrawPoint(shape, drawPoint) });
+        return cyclogon;
+    }
+
+    /**
+     * Convierte una extensión en ciclos
+     * 
+     * El giro y la distancia de un ciclo se miden rodando uno con las mismas opciones
+     * (sobre las bases circulares un ciclo gira más o menos de 2π). Un pivote es un
+     * lado rodado. El signo del valor, como el de los ciclos, invierte el sentido.
+     * 
+     * @param {Polygon|Circle|PolarShape} shape - Forma que rueda
+     * @param {Object} drawPoint - Punto de dibujo {x, y}
+     * @param {Object} extent - { mode (ExtentMode, ciclos por defecto), value }
+     * @param {Object} options - Opciones de generate (base, camino, sentido, fase...)
+     * @returns {Object} { mode, value, cycles }
+     */
+    resolveExtent(shape, drawPoint, extent, options = {}) {
+        const { mode = ExtentMode.CYCLES, value } = extent;
+        if (!Object.values(ExtentMode).includes(mode)) {
+            throw new Error(`Modo de extensión no soportado: ${mode}`);
+        }
+        if (!Number.isFinite(value) || value === 0) {
+            throw new Error('La extensión de la curva debe ser un número distinto de cero');
+        }
+
+        let cycles;
+        switch (mode) {
+            case ExtentMode.CYCLES:
+                cycles = value;
+                break;
+            case ExtentMode.ROTATION: {
+                const last = this._generateCurve(shape, drawPoint, 1, options).getLastPoint();
+                cycles = value / (last.theta ?? last.rotation);
+                break;
+            }
+            case ExtentMode.DISTANCE:
+                cycles = this._getCyclesForDistance(shape, drawPoint, value, options);
+                break;
+            case ExtentMode.PIVOTS:
+                cycles = value / this._getPivotsPerCycle(shape);
+                break;
+        }
+
+        if (Math.abs(cycles) > CONFIG.CYCLOGON.MAX_CYCLES) {
+            throw new Error(
+                `La extensión equivale a ${Math.abs(cycles).toFixed(1)} ciclos (máximo ${CONFIG.CYCLOGON.MAX_CYCLES})`
+            );
+        }
+        return { mode, value, cycles };
+    }
+
+    /**
+     * Resuelve el sentido de la rodadura y la posición inicial y genera la curva
+     * @private
+     */
+    _generateCurve(shape, drawPoint, cycles, options) {
+        const direction = options.direction || RollingDirection.RIGHT;
+        if (!Object.values(RollingDirection).includes(direction)) {
+            throw new Error(`Sentido de rodadura no soportado: ${direction}`);
+        }
+        const contact = options.startContact || StartContact.SIDE;
+        if (!Object.values(StartContact).includes(contact)) {
+            throw new Error(`Apoyo inicial no soportado: ${contact}`);
+        }
+        const phase = options.phase ?? 0;
+        if (!Number.isFinite(phase)) {
+            throw new Error('La fase inicial debe ser un número');
+        }
+        const slip = options.slip ?? 0;
+        if (!Number.isFinite(slip) || slip > 1) {
+            throw new Error('El deslizamiento debe ser un número no mayor que 1 (la forma gira sin avanzar)');
+        }
+
+        // Con ciclos negativos se recorren |ciclos| en el sentido contrario
+        const start = { phase, contact };
+        this._checkBase(shape, options, start);
+        const isLeft = (direction === RollingDirection.LEFT) !== (cycles < 0);
+        if (isLeft) {
+            return this._generateMirrored(shape, drawPoint, Math.abs(cycles), options, start);
+        }
+
+        const cyclogon = this._selectGenerator(shape, drawPoint, Math.abs(cycles), options, start);
+        cyclogon.setMetadata({ direction: RollingDirection.RIGHT });
+        return cyclogon;
+    }
+
+    /**
+     * Rodadura hacia la izquierda: se genera hacia la derecha la forma, el punto de
+     * dibujo y el camino reflejados (x → -x) y se refleja la curva obtenida.
+     * Los ángulos girados (theta, rotation) siguen creciendo al rodar, pero el giro
+     * es antihorario: metadata.direction lo indica a la cinemática, al análisis y
+     * a la animación. Los índices de vértice se traducen a los de la forma original.
+     * @private
+     */
+    _generateMirrored(shape, drawPoint, cycles, options, start) {
+        const road = this._getRoad(options);
+        const mirroredOptions = { ...options };
+        if (road) {
+            // El reflejo debe cubrir todo lo que la forma puede avanzar
+            const perimeter = shape instanceof Polygon ? shape.getConvexHull().getPerimeter() : shape.circumference;
+            mirroredOptions.road = road.mirrored(cycles * perimeter + 4 * shape.radius + 1);
+        }
+
+        const mirrored = this._selectGenerator(
+            shape.mirrored(), { x: -drawPoint.x, y: drawPoint.y }, cycles, mirroredOptions, start
+        );
+
+        const cyclogon = new Cyclogon(mirrored.type, shape);
+        cyclogon.addPoints(mirrored.getPoints());
+        cyclogon.setMetadata({ ...mirrored.metadata, direction: RollingDirection.LEFT });
+        cyclogon.mirror();
+
+        const metadata = mirrored.metadata;
+        const mirrorIndex = (index) => (shape.sides - index) % shape.sides;
+        if (metadata.pivotVertices) {
+            cyclogon.setMetadata({ pivotVertices: metadata.pivotVertices.map(mirrorIndex) });
+        }
+        if (metadata.hullVertices) {
+            cyclogon.setMetadata({ hullVertices: metadata.hullVertices.map(mirrorIndex) });
+        }
+        if (metadata.baseCenter) {
+            cyclogon.setMetadata({ baseCenter: { x: -metadata.baseCenter.x, y: metadata.baseCenter.y } });
+        }
+        if (road) {
+            cyclogon.setMetadata({ road: this._getRoadMetadata(road, cyclogon) });
+        }
+
+        return cyclogon;
+    }
+
+    /**
+     * Camino sobre el que rueda la forma (null en el suelo recto y en las bases circulares)
+     * @private
+     */
+    _getRoad(options) {
+        const base = options.base || RollingBase.FLOOR;
+        return base === RollingBase.FLOOR && options.road && !options.road.isFlat
+            ? options.road
+            : null;
+    }
+
+    /**
+     * Comprueba que la forma puede rodar sobre la base pedida
+     * Va antes de reflejar nada: el reflejo del camino ya depende de la forma
+     * @private
+     */
+    _checkBase(shape, options, start) {
+        const base = options.base || RollingBase.FLOOR;
+        const road = this._getRoad(options);
+        const isFlatFloor = base === RollingBase.FLOOR && !road;
+        if ((options.slip ?? 0) !== 0 && (!isFlatFloor || shape instanceof PolarShape)) {
+            throw new Error('El deslizamiento solo se modela con el círculo y el polígono sobre el suelo recto');
+        }
+        if (shape instanceof Polygon) {
+            if (shape.filletRadius > 0 && !isFlatFloor) {
+                throw new Error('Los polígonos redondeados solo pueden rodar sobre el suelo recto');
+            }
+            if (road && (start.phase !== 0 || start.contact === StartContact.VERTEX)) {
+                throw new Error('Sobre un camino el polígono siempre arranca apoyado en su lado inferior');
+            }
+        } else if (shape instanceof PolarShape && !isFlatFloor) {
+            throw new Error('Las formas curvas solo pueden rodar sobre el suelo recto');
+        }
+    }
+
+    /**
+     * Elige el generador según la forma y la base de rodadura
+     * En el círculo la fase equivale a girar el punto de dibujo: la forma es la misma
+     * @private
      */
-    generate(shape, drawPoint, cycles = 1) {
+    _selectGenerator(shape, drawPoint, cycles, options, start) {
+        const base = options.base || RollingBase.FLOOR;
+        const road = this._getRoad(options);
+        const slip = options.slip ?? 0;
+
         if (shape instanceof Circle) {
-            return this.generateCycloid(shape, drawPoint, cycles);
+            const phase = this._getStartPhase(start, MATH.TWO_PI);
+            const point = phase !== 0 ? this._rotatePoint(drawPoint, { x: 0, y: 0 }, -phase) : drawPoint;
+            let cyclogon;
+            if (base === RollingBase.OUTSIDE) {
+                cyclogon = this.generateEpitrochoid(shape, point, cycles, options.baseRadius);
+            } else if (base === RollingBase.INSIDE) {
+                cyclogon = this.generateHypotrochoid(shape, point, cycles, options.baseRadius);
+            } else if (road) {
+                cyclogon = this.generateCycloidOnRoad(shape, point, cycles, road);
+            } else {
+                cyclogon = this.generateCycloid(shape, point, cycles, slip);
+            }
+            // La animación gira el círculo lo que ya ha rodado
+            cyclogon.setMetadata({ adjustmentRotation: -phase, phase });
+            return cyclogon;
         } else if (shape instanceof Polygon) {
-            return this.generateCyclogon(shape, drawPoint, cycles);
+            if (base === RollingBase.OUTSIDE) {
+                return this.generateEpicyclogon(shape, drawPoint, cycles, options.baseRadius, start);
+            } else if (base === RollingBase.INSIDE) {
+                return this.generateHypocyclogon(shape, drawPoint, cycles, options.baseRadius, start);
+            } else if (road) {
+                return this.generateCyclogonOnRoad(shape, drawPoint, cycles, road);
+            }
+            return this.generateCyclogon(shape, drawPoint, cycles, start, slip);
+        } else if (shape instanceof PolarShape) {
+            if (shape instanceof ReuleauxPolygon) {
+                return this.generateReuleaux(shape, drawPoint, cycles, start);
+            }
+            return this.generateRoulette(shape, drawPoint, cycles, start);
         } else {
-            throw new Error('Forma no soportada. Use Circle o Polygon.');
+            throw new Error('Forma no soportada. Use Circle, Polygon o PolarShape.');
         }
     }
 
+    /**
+     * Genera una familia de curvas: una por cada punto del barrido
+     * @param {Polygon|Circle|PolarShape} shape - Forma base
+     * @param {DrawPointFamily} family - Barrido a lo largo de un lado o de un radio
+     * @param {number} cycles - Número de ciclos completos
+     * @param {Object} options - Opciones de la base de rodadura (ver generate)
+     * @returns {Array} Series [{name, color, parameter, drawPoint, cyclogon}] ordenadas por t
+     */
+    generateFamily(shape, family, cycles = 1, options = {}) {
+        return family.createDrawPoints(shape).map(({ t, drawPoint }) => {
+            const point = { x: drawPoint.x, y: drawPoint.y };
+            return {
+                name: drawPoint.name,
+                color: drawPoint.seriesColor,
+                parameter: t,
+                drawPoint: point,
+                cyclogon: this.generate(shape, point, cycles, options)
+            };
+        });
+    }
+
     /**
      * Genera una cicloide (curva de círculo rodando)
      * Ecuaciones paramétricas:
@@ -76,12 +396,19 @@ export class CyclogonCalculator {
      *   d = distancia del punto al centro
      *   α = ángulo inicial del punto
      * 
+     * Con deslizamiento λ = (ωR - v) / ωR el centro avanza (1 - λ)·R·θ en lugar de R·θ:
+     * λ > 0 es una rueda que patina (λ = 1 gira sin avanzar) y λ < 0 una que derrapa
+     * (avanza más de lo que gira). Es la trocoide de radio de rodadura (1 - λ)·R; el
+     * centro instantáneo queda a altura λ·R sobre el contacto.
+     * 
      * @param {Circle} circle - Círculo base
      * @param {Object} drawPoint - Punto de dibujo {x, y} relativo al centro
      * @param {number} cycles - Número de ciclos completos
-     * @returns {Cyclogon} Modelo con los puntos de la cicloide
+     * @param {number} slip - Deslizamiento λ (0 = rodadura sin deslizar)
+     * @returns {Cyclogon} Modelo con los puntos de la cicloide (metadata.floorAdvance y
+     *                     metadata.totalRotation dan por separado el avance y el giro)
      */
-    generateCycloid(circle, drawPoint, cycles = 1) {
+    generateCycloid(circle, drawPoint, cycles = 1, slip = 0) {
         const cyclogon = new Cyclogon(CurveType.CYCLOID, circle);
         const R = circle.radius;
         
@@ -94,15 +421,15 @@ export class CyclogonCalculator {
         // Total de ángulo a recorrer
         const totalAngle = cycles * MATH.TWO_PI;
         
-        // Número de puntos a generar
+        // Número de puntos a generar (muestreo fijo)
         const numPoints = Math.ceil(totalAngle * this.options.pointsPerRadian);
         
-        // Generar puntos de la cicloide
-        for (let i = 0; i <= numPoints; i++) {
-            const theta = (i / numPoints) * totalAngle;
-            
+        // Avance del centro por radián girado
+        const rollingRadius = (1 - slip) * R;
+        
+        const evaluate = (theta) => {
             // Posición del centro del círculo después de rodar θ radianes
-            const centerX = R * theta;
+            const centerX = rollingRadius * theta;
             const centerY = R;
             
             // El punto rota en sentido opuesto al avance (horario cuando rueda hacia la derecha)
@@ -112,178 +439,1094 @@ export class CyclogonCalculator {
             const x = centerX + d * Math.cos(pointAngle);
             const y = centerY + d * Math.sin(pointAngle);
             
-            cyclogon.addPoint({ x, y, theta, center: { x: centerX, y: centerY } });
-        }
+            // El contacto con el suelo está justo debajo del centro
+            const point = { x, y, theta, center: { x: centerX, y: centerY }, contact: { x: centerX, y: 0 } };
+            if (slip !== 0) point.instantCenter = { x: centerX, y: slip * R };
+            return point;
+        };
+        
+        // Generar puntos de la cicloide
+        cyclogon.addPoints(this._sampleRange(evaluate, 0, totalAngle, numPoints));
         
         // Calcular metadatos
         cyclogon.setMetadata({
             cycles: cycles,
             totalDistance: R * totalAngle,
+            slip: slip,
+            floorAdvance: rollingRadius * totalAngle,
+            totalRotation: totalAngle,
             drawPointDistance: d,
-            drawPointAngle: alpha
+            drawPointAngle: alpha,
+            sampling: this._getSamplingMetadata()
         });
         
         return cyclogon;
     }
 
+    /**
+     * Genera una cicloide sobre un camino arbitrario
+     * 
+     * El centro del círculo sigue la envolvente del camino: para cada X,
+     * la altura mínima a la que el círculo toca el perfil sin atravesarlo
+     * (máximo entre los tramos y los vértices de la polilínea).
+     * 
+     * Sin deslizamiento, el punto de contacto es el centro instantáneo de
+     * rotación, así que el centro avanza |ΔC| = R · Δθ. Los saltos verticales
+     * de la envolvente (escalones más altos que el radio, caídas) se recorren
+     * sin girar.
+     * 
+     * @param {Circle} circle - Círculo base
+     * @param {Object} drawPoint - Punto de dibujo {x, y} relativo al centro
+     * @param {number} cycles - Número de vueltas completas del círculo
+     * @param {Road} road - Perfil del camino
+     * @returns {Cyclogon} Modelo con los puntos de la cicloide
+     */
+    generateCycloidOnRoad(circle, drawPoint, cycles = 1, road) {
+        const cyclogon = new Cyclogon(CurveType.CYCLOID, circle);
+        const R = circle.radius;
+
+        const d = Math.sqrt(drawPoint.x ** 2 + drawPoint.y ** 2);
+        const alpha = Math.atan2(drawPoint.y, drawPoint.x);
+        const totalAngle = cycles * MATH.TWO_PI;
+
+        // El centro avanza en X como mucho la longitud rodada (R · θ)
+        const roadPoints = road.getPolyline(-R - 1, R * totalAngle + R + 1);
+
+        // Desplazamiento máximo del centro entre puntos consecutivos
+        const maxStep = R / this.options.pointsPerRadian;
+        const minStep = maxStep / 64;
+
+        const addPoint = (center, theta) => {
+            const pointAngle = alpha - theta;
+            cyclogon.addPoint({
+                x: center.x + d * Math.cos(pointAngle),
+                y: center.y + d * Math.sin(pointAngle),
+                theta,
+                center: { x: center.x, y: center.y },
+                contact: { ...center.contact }
+            });
+        };
+
+        let center = this._getRoadCenter(roadPoints, 0, R);
+        let theta = 0;
+        let jumps = 0;
+        addPoint(center, theta);
+
+        for (let iteration = 0; theta < totalAngle && iteration < CONFIG.ROAD.MAX_ITERATIONS; iteration++) {
+            // Reducir el paso en X hasta que el centro avance poco
+            let dx = maxStep;
+            let next = this._getRoadCenter(roadPoints, center.x + dx, R);
+            let distance = Math.hypot(next.x - center.x, next.y - center.y);
+
+            while (distance > 1.5 * maxStep && dx > minStep) {
+                dx /= 2;
+                next = this._getRoadCenter(roadPoints, center.x + dx, R);
+                distance = Math.hypot(next.x - center.x, next.y - center.y);
+            }
+
+            // Si ni con el paso mínimo se reduce, la envolvente es discontinua
+            const isJump = distance > 1.5 * maxStep;
+            let deltaTheta = isJump ? 0 : distance / R;
+
+            if (isJump) {
+                jumps++;
+            } else if (theta + deltaTheta > totalAngle) {
+                // Ajustar el último paso para terminar exactamente en el ángulo total
+                const fraction = (totalAngle - theta) / deltaTheta;
+                next = this._getRoadCenter(roadPoints, center.x + dx * fraction, R);
+                deltaTheta = totalAngle - theta;
+            }
+
+            theta += deltaTheta;
+            center = next;
+            addPoint(center, theta);
+        }
+
+        cyclogon.setMetadata({
+            cycles: cycles,
+            totalDistance: R * theta,
+            totalRotation: theta,
+            drawPointDistance: d,
+            drawPointAngle: alpha,
+            roadJumps: jumps,
+            road: this._getRoadMetadata(road, cyclogon),
+            // La envolvente se recorre con paso fijo en el ángulo de rotación
+            sampling: { mode: SamplingMode.FIXED, pointsPerRadian: this.options.pointsPerRadian }
+        });
+
+        return cyclogon;
+    }
+
+    /**
+     * Genera una epitrocoide (círculo rodando por fuera de un círculo fijo)
+     * 
+     * El círculo fijo de radio B se coloca con su punto superior en el origen,
+     * de modo que el círculo rodante arranca en la misma posición que la cicloide
+     * (centro en (0, R)) y rueda hacia la derecha, en sentido horario alrededor de la base.
+     * 
+     * Ecuaciones paramétricas (t = ángulo recorrido sobre la base):
+     *   ψ = π/2 - t
+     *   C = (0, -B) + (B + R) * (cos ψ, sin ψ)
+     *   θ = (B + R) / R * t
+     *   P = C + d * (cos(α - θ), sin(α - θ))
+     * 
+     * Un ciclo equivale a rodar una longitud 2πR sobre la base (un arco de la curva).
+     * 
+     * @param {Circle} circle - Círculo rodante
+     * @param {Object} drawPoint - Punto de dibujo {x, y} relativo al centro
+     * @param {number} cycles - Número de arcos completos
+     * @param {number} baseRadius - Radio B del círculo fijo
+     * @returns {Cyclogon} Modelo con los puntos de la epitrocoide
+     */
+    generateEpitrochoid(circle, drawPoint, cycles = 1, baseRadius = CONFIG.BASE.DEFAULT_RADIUS) {
+        if (!(baseRadius > 0)) {
+            throw new Error('El radio de la base debe ser positivo');
+        }
+
+        return this._generateTrochoidOnCircle(
+            CurveType.EPITROCHOID, circle, drawPoint, cycles, baseRadius, RollingBase.OUTSIDE
+        );
+    }
+
+    /**
+     * Genera una hipotrocoide (círculo rodando por dentro de un círculo fijo)
+     * 
+     * El círculo fijo de radio B se coloca con su punto inferior en el origen,
+     * de modo que el círculo rodante arranca con centro en (0, R) y rueda hacia la
+     * derecha, en sentido antihorario alrededor del centro de la base.
+     * 
+     * Ecuaciones paramétricas (t = ángulo recorrido sobre la base):
+     *   ψ = -π/2 + t
+     *   C = (0, B) + (B - R) * (cos ψ, sin ψ)
+     *   θ = (B - R) / R * t
+     *   P = C + d * (cos(α - θ), sin(α - θ))
+     * 
+     * @param {Circle} circle - Círculo rodante
+     * @param {Object} drawPoint - Punto de dibujo {x, y} relativo al centro
+     * @param {number} cycles - Número de arcos completos
+     * @param {number} baseRadius - Radio B del círculo fijo (debe ser mayor que R)
+     * @returns {Cyclogon} Modelo con los puntos de la hipotrocoide
+     */
+    generateHypotrochoid(circle, drawPoint, cycles = 1, baseRadius = CONFIG.BASE.DEFAULT_RADIUS) {
+        if (!(baseRadius > circle.radius)) {
+            throw new Error('El radio de la base debe ser mayor que el del círculo rodante');
+        }
+
+        return this._generateTrochoidOnCircle(
+            CurveType.HYPOTROCHOID, circle, drawPoint, cycles, baseRadius, RollingBase.INSIDE
+        );
+    }
+
+    /**
+     * Implementación común de epitrocoide e hipotrocoide
+     * @private
+     */
+    _generateTrochoidOnCircle(type, circle, drawPoint, cycles, baseRadius, base) {
+        const cyclogon = new Cyclogon(type, circle);
+        const R = circle.radius;
+        const B = baseRadius;
+        const isOutside = base === RollingBase.OUTSIDE;
+
+        const d = Math.sqrt(drawPoint.x ** 2 + drawPoint.y ** 2);
+        const alpha = Math.atan2(drawPoint.y, drawPoint.x);
+
+        // Centro de la base y distancia entre centros
+        const baseCenter = { x: 0, y: isOutside ? -B : B };
+        const centerOrbit = isOutside ? B + R : B - R;
+
+        // Longitud rodada sobre la base y ángulo correspondiente
+        const totalDistance = cycles * MATH.TWO_PI * R;
+        const totalBaseAngle = totalDistance / B;
+
+        // Relación entre la rotación del círculo y el ángulo recorrido sobre la base
+        const rotationRatio = centerOrbit / R;
+        const totalAngle = totalBaseAngle * rotationRatio;
+
+        const numPoints = Math.max(1, Math.ceil(totalAngle * this.options.pointsPerRadian));
+
+        const evaluate = (t) => {
+            const psi = isOutside ? MATH.HALF_PI - t : -MATH.HALF_PI + t;
+
+            const centerX = baseCenter.x + centerOrbit * Math.cos(psi);
+            const centerY = baseCenter.y + centerOrbit * Math.sin(psi);
+
+            // Rotación horaria del círculo (misma convención que la cicloide)
+            const theta = t * rotationRatio;
+            const pointAngle = alpha - theta;
+
+            const x = centerX + d * Math.cos(pointAngle);
+            const y = centerY + d * Math.sin(pointAngle);
+
+            // El contacto está sobre la base, en la recta que une los dos centros
+            const contact = {
+                x: baseCenter.x + B * Math.cos(psi),
+                y: baseCenter.y + B * Math.sin(psi)
+            };
+
+            return { x, y, theta, center: { x: centerX, y: centerY }, contact };
+        };
+
+        cyclogon.addPoints(this._sampleRange(evaluate, 0, totalBaseAngle, numPoints));
+
+        cyclogon.setMetadata({
+            cycles: cycles,
+            base: base,
+            baseRadius: B,
+            baseCenter: baseCenter,
+            totalDistance: totalDistance,
+            totalRotation: totalAngle,
+            drawPointDistance: d,
+            drawPointAngle: alpha,
+            sampling: this._getSamplingMetadata()
+        });
+
+        return cyclogon;
+    }
+
     /**
      * Genera un ciclógono (curva de polígono rodando)
      * 
      * Algoritmo de construcción por arcos:
      * 1. El polígono descansa sobre un lado en el "piso" (Y=0)
      * 2. El vértice inferior derecho del lado en contacto es el pivote inicial
-     * 3. El polígono rota alrededor de este pivote un ángulo exterior (2π/n)
+     * 3. El polígono rota alrededor de este pivote su ángulo exterior (2π/n si es regular)
      * 4. El punto de dibujo traza un arco circular alrededor del pivote
      * 5. Al completar la rotación, el siguiente vértice toca el suelo y se convierte en pivote
      * 6. Repetir para cada lado
      * 
+     * En polígonos irregulares cada pivote usa su propia distancia al centro y su
+     * propio ángulo exterior, y el pivote avanza la longitud del lado que se apoya.
+     * Los polígonos no convexos (estrellas, formas cóncavas) ruedan sobre su envolvente
+     * convexa: solo sus vértices tocan el suelo.
+     * 
+     * Con radio de redondeo r, cada pivote se convierte en un arco de rodadura: el
+     * centro de la esquina queda a altura r y avanza r·Δθ mientras la forma gira el
+     * ángulo exterior, y después se apoya el tramo recto del lado siguiente. Con
+     * r = 0 es el ciclógono y, en un polígono regular con r = apotema, la cicloide
+     * del círculo inscrito (desplazada media longitud de lado).
+     * 
+     * Con una fase inicial φ₀ se dibuja la ventana de giro [φ₀, φ₀ + giro de los lados
+     * pedidos], trasladada para que el contacto inicial quede donde descansa la forma.
+     * 
+     * Con deslizamiento λ (ver generateCycloid) el pivote resbala por el suelo durante
+     * el giro, en proporción al ángulo girado, y cada lado avanza (1 - λ) veces lo que
+     * avanzaría rodando. Los tramos dejan de ser arcos circulares.
+     * 
      * @param {Polygon} polygon - Polígono base
      * @param {Object} drawPoint - Punto de dibujo {x, y} relativo al centro del polígono
      * @param {number} cycles - Número de ciclos completos
-     * @returns {Cyclogon} Modelo con los puntos del ciclógono
+     * @param {Object} start - Posición inicial {phase (rad), contact (StartContact)}
+     * @param {number} slip - Deslizamiento λ (0 = rodadura sin deslizar)
+     * @returns {Cyclogon} Modelo con los puntos del ciclógono (metadata.floorAdvance y
+     *                     metadata.totalRotation dan por separado el avance y el giro)
      */
-    generateCyclogon(polygon, drawPoint, cycles = 1) {
+    generateCyclogon(polygon, drawPoint, cycles = 1, start = {}, slip = 0) {
         const cyclogon = new Cyclogon(CurveType.CYCLOGON, polygon);
         
-        const n = polygon.sides;
-        const sideLength = polygon.getSideLength();
-        const apothem = polygon.getApothem();
-        const exteriorAngle = polygon.getExteriorAngle(); // 2π/n
+        // La forma rueda sobre su envolvente convexa (el propio polígono si es convexo)
+        const hull = polygon.getConvexHull();
+        const hullIndices = polygon.getHullIndices();
+        
+        const n = hull.sides;
+        const meanExteriorAngle = hull.getExteriorAngle(); // 2π/n
         
         // 1. Ajustar orientación inicial
         // Encontrar el lado que debería estar en el suelo (el que tiene la normal más hacia abajo)
-        const bottomSideIndex = this._findBottomSideIndex(polygon);
+        const bottomSideIndex = this._findBottomSideIndex(hull);
         
         // Calcular rotación necesaria para que ese lado quede horizontal en el suelo
-        const currentNormalAngle = this._getEdgeNormalAngle(polygon, bottomSideIndex);
+        const currentNormalAngle = this._getEdgeNormalAngle(hull, bottomSideIndex);
         const targetNormalAngle = -Math.PI / 2; // Normal apuntando hacia abajo
         const adjustmentRotation = targetNormalAngle - currentNormalAngle;
         
         // Ajustar el punto de dibujo a la nueva orientación
         const adjustedDrawPoint = this._rotatePoint(drawPoint, {x:0, y:0}, adjustmentRotation);
         
-        // Total de lados a recorrer
+        // Total de lados a recorrer (el último, parcial si los ciclos no son enteros)
         const totalSides = Math.ceil(cycles * n);
+        const lastSideFraction = (cycles * n) % 1 !== 0 ? (cycles * n) % 1 : 1;
         
         // Ángulo de rotación inicial del polígono (para que descanse sobre un lado)
         let polygonRotation = 0;
         
-        // Posición X acumulada del pivote
-        // Empezamos en sideLength para que el primer lado descanse entre 0 y sideLength
-        let pivotX = sideLength;
+        // Vértice que hace de pivote: el extremo derecho del lado apoyado
+        let pivotVertex = (bottomSideIndex + 1) % n;
+        
+        // Radio de las esquinas redondeadas (0 = pivote en el vértice)
+        const filletRadius = hull.filletRadius;
+        const tangentLength = (index) => filletRadius > 0 ? hull.getFillet(index).tangentLength : 0;
+        
+        // Posición X acumulada del pivote (punto de contacto al empezar cada giro)
+        // El lado inferior descansa entre 0 y su longitud; con esquinas redondeadas
+        // el contacto empieza donde acaba su tramo recto
+        let pivotX = hull.getSideLength(bottomSideIndex) - tangentLength(pivotVertex);
+        const restingContactX = pivotX;
+        let totalDistance = 0;
+        let floorAdvance = 0;
+        // Vértices del contorno que han hecho de pivote, en orden
+        const pivotVertices = [];
+        
+        // Ventana de giro que se dibuja: empieza tras la fase inicial (en equilibrio
+        // sobre el primer pivote si se arranca en un vértice) y abarca los lados pedidos
+        const vertexPhase = this._getBalancePhase(
+            this._getCenterAngleFromPivot(hull, pivotVertex, adjustmentRotation),
+            MATH.HALF_PI, hull.getExteriorAngle(pivotVertex)
+        );
+        const startRotation = this._getStartPhase(start, MATH.TWO_PI, vertexPhase);
+        let endRotation = startRotation;
+        for (let k = 0; k < totalSides; k++) {
+            const fraction = k === totalSides - 1 ? lastSideFraction : 1;
+            endRotation += hull.getExteriorAngle((pivotVertex + k) % n) * fraction;
+        }
+        let startContactX = null;
         
         // Para cada lado que el polígono rueda sobre
-        for (let sideIndex = 0; sideIndex < totalSides; sideIndex++) {
-            // Si estamos en el último ciclo parcial, ajustar puntos
-            const isLastSide = sideIndex === totalSides - 1;
-            const fractionOfLastSide = isLastSide && (cycles * n) % 1 !== 0 
-                ? (cycles * n) % 1 
-                : 1;
+        let sideIndex = 0;
+        let isLastSide = false;
+        while (!isLastSide) {
+            // Ángulo que gira el polígono sobre este pivote
+            const exteriorAngle = hull.getExteriorAngle(pivotVertex);
             
-            // Número de puntos para este lado
-            const pointsThisSide = Math.ceil(this.options.pointsPerSide * fractionOfLastSide);
+            // Tramo del giro sobre este pivote que cae dentro de la ventana
+            isLastSide = polygonRotation + exteriorAngle >= endRotation - 1e-12;
+            const from = Math.max(0, startRotation - polygonRotation);
+            const to = isLastSide ? Math.min(exteriorAngle, endRotation - polygonRotation) : exteriorAngle;
             
-            // Calcular el pivote actual (vértice en contacto con el suelo)
-            // El pivote está en (pivotX, 0)
-            const pivot = { x: pivotX, y: 0 };
+            // Distancia que avanza el contacto al completar el lado: el arco de la esquina
+            // más el tramo recto del lado siguiente (el lado entero sin redondeo)
+            const rolledDistance = filletRadius * exteriorAngle + hull.getSideLength(pivotVertex)
+                - tangentLength(pivotVertex) - tangentLength(pivotVertex + 1);
             
-            // Generar puntos del arco para este lado
-            for (let p = 0; p <= pointsThisSide; p++) {
-                // Evitar duplicar el último punto de un lado con el primero del siguiente
-                if (p === pointsThisSide && sideIndex < totalSides - 1) continue;
-                
-                // Fracción del ángulo de rotación para este punto
-                const t = p / this.options.pointsPerSide;
-                
-                // Ángulo de rotación LOCAL para este paso (0 a exteriorAngle)
-                const localRotation = t * exteriorAngle;
-
-                // Ángulo de rotación TOTAL acumulado
-                const currentTotalRotation = polygonRotation + localRotation;
-                
-                // Calcular la posición del punto de dibujo
-                // El punto de dibujo está a una posición (drawPoint.x, drawPoint.y) del centro
-                // El centro del polígono está a una altura 'apothem' del suelo cuando descansa
+            // Avance del contacto por radián girado: el de la esquina menos lo que resbala
+            const slideRate = slip * rolledDistance / exteriorAngle;
+            const contactRate = filletRadius - slideRate;
+            
+            if (to > from) {
+                if (startContactX === null) startContactX = pivotX + contactRate * from;
+                pivotVertices.push(hullIndices[pivotVertex]);
                 
-                // Calcular la posición del centro del polígono relativo al pivote
-                // Cuando el polígono rota alrededor del pivote, el centro orbita
-                const centerDistance = this._getDistancePivotToCenter(polygon, sideIndex);
-                const centerAngleFromPivot = this._getCenterAngleFromPivot(polygon, sideIndex);
+                // Número de puntos para este lado (muestreo fijo, proporcional al giro)
+                const sweep = to - from;
+                const pointsThisSide = Math.max(1, Math.ceil(
+                    this.options.pointsPerSide * sweep / meanExteriorAngle - 1e-9
+                ));
                 
-                // El centro rota alrededor del pivote (usando rotación LOCAL)
-                // Reseteamos la referencia para cada nuevo pivote
-                const rotatedCenterAngle = centerAngleFromPivot - localRotation;
-                const centerX = pivot.x + centerDistance * Math.cos(rotatedCenterAngle);
-                const centerY = pivot.y + centerDistance * Math.sin(rotatedCenterAngle);
+                // Posición del centro respecto al pivote al empezar a girar
+                const centerDistance = this._getDistancePivotToCenter(hull, pivotVertex);
+                const centerAngleFromPivot = this._getCenterAngleFromPivot(
+                    hull, pivotVertex, adjustmentRotation - polygonRotation
+                );
+                const currentSide = sideIndex;
+                const sideStartX = pivotX;
+                const sideRotation = polygonRotation;
                 
-                // El punto de dibujo rota junto con el polígono (usando rotación TOTAL)
-                // Usamos el punto ajustado
-                const rotatedDrawPointAngle = Math.atan2(adjustedDrawPoint.y, adjustedDrawPoint.x) - currentTotalRotation;
-                const drawPointDist = Math.sqrt(adjustedDrawPoint.x ** 2 + adjustedDrawPoint.y ** 2);
+                // Punto del arco para un ángulo de rotación LOCAL (0 a exteriorAngle)
+                const evaluate = (localRotation) => {
+                    // Ángulo de rotación TOTAL acumulado
+                    const currentTotalRotation = sideRotation + localRotation;
+                    
+                    // Calcular la posición del punto de dibujo
+                    // El punto de dibujo está a una posición (drawPoint.x, drawPoint.y) del centro
+                    // El centro del polígono está a una altura 'apothem' del suelo cuando descansa
+                    
+                    // Calcular el pivote actual (punto de contacto con el suelo)
+                    // Sin redondeo es el vértice, fijo en (pivotX, 0); con redondeo el
+                    // contacto avanza r·giro y el centro de la esquina está a altura r
+                    // Con deslizamiento el contacto además resbala hacia atrás
+                    const pivot = { x: sideStartX + contactRate * localRotation, y: 0 };
+                    
+                    // Calcular la posición del centro del polígono relativo al pivote
+                    // Cuando el polígono rota alrededor del pivote, el centro orbita
+                    // El centro rota alrededor del pivote (usando rotación LOCAL)
+                    // Reseteamos la referencia para cada nuevo pivote
+                    const rotatedCenterAngle = centerAngleFromPivot - localRotation;
+                    const centerX = pivot.x + centerDistance * Math.cos(rotatedCenterAngle);
+                    const centerY = filletRadius + centerDistance * Math.sin(rotatedCenterAngle);
+                    
+                    // El punto de dibujo rota junto con el polígono (usando rotación TOTAL)
+                    // Usamos el punto ajustado
+                    const rotatedDrawPointAngle = Math.atan2(adjustedDrawPoint.y, adjustedDrawPoint.x) - currentTotalRotation;
+                    const drawPointDist = Math.sqrt(adjustedDrawPoint.x ** 2 + adjustedDrawPoint.y ** 2);
+                    
+                    const x = centerX + drawPointDist * Math.cos(rotatedDrawPointAngle);
+                    const y = centerY + drawPointDist * Math.sin(rotatedDrawPointAngle);
+                    
+                    const point = {
+                        x,
+                        y,
+                        sideIndex: currentSide,
+                        // Giro desde el inicio de la ventana
+                        rotation: currentTotalRotation - startRotation,
+                        pivot: pivot,
+                        center: { x: centerX, y: centerY }
+                    };
+                    // El resbalamiento sube el centro instantáneo sobre el contacto
+                    if (slip !== 0) point.instantCenter = { x: pivot.x, y: slideRate };
+                    return point;
+                };
                 
-                const x = centerX + drawPointDist * Math.cos(rotatedDrawPointAngle);
-                const y = centerY + drawPointDist * Math.sin(rotatedDrawPointAngle);
+                // Generar puntos del arco para este lado
+                const sidePoints = this._sampleRange(evaluate, from, to, pointsThisSide, sweep / (cycles * MATH.TWO_PI));
                 
-                cyclogon.addPoint({
-                    x,
-                    y,
-                    sideIndex,
-                    rotation: currentTotalRotation,
-                    pivot: { ...pivot },
-                    center: { x: centerX, y: centerY }
-                });
+                // Evitar duplicar el último punto de un lado con el primero del siguiente
+                if (!isLastSide) sidePoints.pop();
+                cyclogon.addPoints(sidePoints);
+                totalDistance += rolledDistance;
+                floorAdvance += (1 - slip) * rolledDistance * sweep / exteriorAngle;
+                sideIndex++;
             }
             
-            // Actualizar para el siguiente lado
-            pivotX += sideLength;
+            // Actualizar para el siguiente lado: se apoya el lado que empieza en el pivote
+            pivotX += (1 - slip) * rolledDistance;
             polygonRotation += exteriorAngle;
+            pivotVertex = (pivotVertex + 1) % n;
         }
         
-        // Calcular metadatos
+        // Llevar el contacto inicial al de la forma en reposo
+        if (startContactX !== restingContactX) {
+            cyclogon.translate(restingContactX - startContactX, 0);
+        }
+        
+        // Calcular metadatos (longitud y ángulo exterior medios si el polígono es irregular)
         cyclogon.setMetadata({
             cycles: cycles,
-            sides: n,
-            totalDistance: totalSides * sideLength,
-            sideLength: sideLength,
-            exteriorAngle: exteriorAngle,
-            adjustmentRotation: adjustmentRotation
+            sides: polygon.sides,
+            isRegular: polygon.isRegular,
+            ...this._getHullMetadata(polygon, hull, pivotVertices),
+            filletRadius: filletRadius,
+            totalDistance: totalDistance,
+            slip: slip,
+            floorAdvance: floorAdvance,
+            totalRotation: endRotation - startRotation,
+            sideLength: hull.getSideLength(),
+            exteriorAngle: meanExteriorAngle,
+            // Orientación del cuerpo al empezar la ventana (la animación resta el giro)
+            adjustmentRotation: adjustmentRotation - startRotation,
+            phase: startRotation,
+            sampling: this._getSamplingMetadata()
         });
         
         return cyclogon;
     }
 
     /**
-     * Encuentra el índice del lado que debería estar en el suelo (normal más cercana a -90°)
-     * @private
+     * Genera un ciclógono sobre un camino arbitrario
+     * 
+     * Algoritmo por contactos:
+     * 1. El lado inferior se apoya sobre el camino, con su vértice izquierdo en X=0
+     *    y el derecho en el siguiente punto del camino a distancia igual al lado
+     * 2. El polígono rota en sentido horario alrededor del pivote
+     * 3. Se busca el menor ángulo al que un vértice del polígono toca un tramo
+     *    del camino, o un vértice del camino (esquina de un escalón) toca un lado
+     * 4. Ese punto de contacto se convierte en el nuevo pivote
+     * 
+     * En suelo recto equivale a rotar un ángulo exterior por lado, pero en un camino
+     * curvo el ángulo de cada giro y la distancia entre pivotes cambian.
+     * Los polígonos no convexos ruedan sobre su envolvente convexa.
+     * 
+     * @param {Polygon} polygon - Polígono base
+     * @param {Object} drawPoint - Punto de dibujo {x, y} relativo al centro del polígono
+     * @param {number} cycles - Número de vueltas completas del polígono
+     * @param {Road} road - Perfil del camino
+     * @returns {Cyclogon} Modelo con los puntos del ciclógono
      */
-    _findBottomSideIndex(polygon) {
-        let bestIndex = 0;
-        let maxDot = -Infinity; // Dot product con vector (0, -1)
-        
-        for (let i = 0; i < polygon.sides; i++) {
-            const edge = polygon.getEdge(i);
-            const normal = edge.getNormal();
-            // Dot product con (0, -1) es -normal.y
-            const dot = -normal.y;
-            
-            if (dot > maxDot) {
-                maxDot = dot;
-                bestIndex = i;
-            }
-        }
-        return bestIndex;
-    }
+    generateCyclogonOnRoad(polygon, drawPoint, cycles = 1, road) {
+        const cyclogon = new Cyclogon(CurveType.CYCLOGON, polygon);
 
-    /**
-     * Obtiene el ángulo de la normal de una arista
-     * @private
-     */
-    _getEdgeNormalAngle(polygon, edgeIndex) {
-        const edge = polygon.getEdge(edgeIndex);
+        // La forma rueda sobre su envolvente convexa (el propio polígono si es convexo)
+        const hull = polygon.getConvexHull();
+        const hullIndices = polygon.getHullIndices();
+
+        const vertices = hull.vertices;
+        const exteriorAngle = hull.getExteriorAngle();
+
+        // El centro avanza en X como mucho el perímetro por vuelta
+        const reach = cycles * hull.getPerimeter() + 2 * hull.radius + 1;
+        const roadPoints = road.getPolyline(-2 * hull.radius - 1, reach);
+
+        // 1. Apoyar el lado inferior sobre el camino
+        const bottomSideIndex = this._findBottomSideIndex(hull);
+        const bottomEdge = hull.getEdge(bottomSideIndex);
+        const edgeAngle = Math.atan2(bottomEdge.end.y - bottomEdge.start.y, bottomEdge.end.x - bottomEdge.start.x);
+        const start = { x: 0, y: road.getHeight(0) };
+        const end = this._findForwardRoadPoint(roadPoints, start, bottomEdge.getLength());
+
+        // El lado descansa sobre la cuerda start → end salvo que el camino se curve
+        // hacia abajo (la cuerda lo atravesaría): entonces se apoya tangente en start
+        const tangentAngle = this._getRoadSegmentAngle(roadPoints, start.x);
+        const chordAngle = end ? Math.atan2(end.y - start.y, end.x - start.x) : -Infinity;
+        const restsOnChord = chordAngle >= tangentAngle;
+
+        let bodyRotation = (restsOnChord ? chordAngle : tangentAngle) - edgeAngle;
+        const adjustmentRotation = bodyRotation;
+
+        const startOffset = this._rotatePoint(bottomEdge.start, { x: 0, y: 0 }, bodyRotation);
+        let center = { x: start.x - startOffset.x, y: start.y - startOffset.y };
+        let pivot = restsOnChord ? end : start;
+        // Vértices del contorno que han hecho de pivote (las esquinas del camino no cuentan)
+        const pivotVertices = [hullIndices[restsOnChord ? (bottomSideIndex + 1) % hull.sides : bottomSideIndex]];
+        const addPivotVertex = (vertexIndex) => {
+            if (vertexIndex === null) return;
+            if (hullIndices[vertexIndex] !== pivotVertices[pivotVertices.length - 1]) {
+                pivotVertices.push(hullIndices[vertexIndex]);
+            }
+        };
+
+        // Un ciclo equivale a una vuelta completa del polígono (n lados en suelo recto)
+        const totalRotation = cycles * MATH.TWO_PI;
+        let rotated = 0;
+        let totalDistance = 0;
+
+        const createPoint = (pointCenter, rotation, sideIndex) => {
+            const offset = this._rotatePoint(drawPoint, { x: 0, y: 0 }, rotation);
+            return {
+                x: pointCenter.x + offset.x,
+                y: pointCenter.y + offset.y,
+                sideIndex,
+                // Rotación horaria acumulada desde la posición inicial
+                rotation: adjustmentRotation - rotation,
+                pivot: { ...pivot },
+                center: { ...pointCenter }
+            };
+        };
+
+        for (let sideIndex = 0; sideIndex < CONFIG.ROAD.MAX_ITERATIONS; sideIndex++) {
+            const contact = this._findNextRoadContact(roadPoints, vertices, center, bodyRotation, pivot);
+
+            // El camino se aleja y nada vuelve a tocarlo
+            if (!contact) {
+                cyclogon.addPoint(createPoint(center, bodyRotation, sideIndex));
+                break;
+            }
+
+            // Otro contacto ya apoyado por delante: cambiar de pivote sin girar
+            if (contact.angle === 0) {
+                totalDistance += Math.hypot(contact.point.x - pivot.x, contact.point.y - pivot.y);
+                pivot = contact.point;
+                addPivotVertex(contact.vertexIndex);
+                continue;
+            }
+
+            const isLastSide = rotated + contact.angle >= totalRotation - 1e-9;
+            const sweep = isLastSide ? totalRotation - rotated : contact.angle;
+            const pointsThisSide = Math.max(1, Math.ceil(this.options.pointsPerSide * sweep / exteriorAngle));
+
+            const evaluate = (localRotation) => createPoint(
+                this._rotatePoint(center, pivot, -localRotation), bodyRotation - localRotation, sideIndex
+            );
+            const sidePoints = this._sampleRange(evaluate, 0, sweep, pointsThisSide, sweep / totalRotation);
+
+            // Evitar duplicar el último punto de un tramo con el primero del siguiente
+            if (!isLastSide) sidePoints.pop();
+            cyclogon.addPoints(sidePoints);
+
+            // Último tramo incompleto: el siguiente contacto no llega a producirse
+            if (sweep < contact.angle) break;
+
+            // El nuevo punto de contacto pasa a ser el pivote
+            center = this._rotatePoint(center, pivot, -contact.angle);
+            bodyRotation -= contact.angle;
+            rotated += contact.angle;
+            totalDistance += Math.hypot(contact.point.x - pivot.x, contact.point.y - pivot.y);
+            pivot = contact.point;
+            addPivotVertex(contact.vertexIndex);
+
+            if (isLastSide) break;
+        }
+
+        cyclogon.setMetadata({
+            cycles: cycles,
+            sides: polygon.sides,
+            isRegular: polygon.isRegular,
+            ...this._getHullMetadata(polygon, hull, pivotVertices),
+            totalDistance: totalDistance,
+            sideLength: hull.getSideLength(),
+            exteriorAngle: exteriorAngle,
+            adjustmentRotation: adjustmentRotation,
+            road: this._getRoadMetadata(road, cyclogon),
+            sampling: this._getSamplingMetadata()
+        });
+
+        return cyclogon;
+    }
+
+    /**
+     * Genera un epiciclógono (polígono rodando por fuera de un círculo fijo)
+     * 
+     * Los vértices pivotan sobre la circunferencia de la base. Dos pivotes consecutivos
+     * son los extremos de un lado, así que están separados por el ángulo central
+     *   δ = 2 · asin(L / 2B)
+     * y la rotación por lado se corrige por la curvatura de la base:
+     *   exterior: β + δ     interior: β - δ     (β = 2π/n, ángulo exterior)
+     * 
+     * Al crecer n, n·(β + δ) → 2π·(1 + R/B), la rotación de la epicicloide.
+     * 
+     * En un polígono irregular cada lado tiene su propio δ y, al pivotar sobre un
+     * vértice entre el lado apoyado (δa) y el siguiente (δb), gira β_v ± (δa + δb)/2.
+     * Los polígonos no convexos ruedan sobre su envolvente convexa.
+     * 
+     * @param {Polygon} polygon - Polígono rodante
+     * @param {Object} drawPoint - Punto de dibujo {x, y} relativo al centro del polígono
+     * @param {number} cycles - Número de ciclos completos (n lados por ciclo)
+     * @param {number} baseRadius - Radio B del círculo fijo
+     * @param {Object} start - Posición inicial {phase (rad), contact (StartContact)}
+     * @returns {Cyclogon} Modelo con los puntos del epiciclógono
+     */
+    generateEpicyclogon(polygon, drawPoint, cycles = 1, baseRadius = CONFIG.BASE.DEFAULT_RADIUS, start = {}) {
+        const longestSide = Math.max(...polygon.getConvexHull().edges.map(edge => edge.getLength()));
+        if (!(baseRadius >= longestSide / 2)) {
+            throw new Error('El radio de la base debe ser al menos la mitad del lado del polígono');
+        }
+
+        return this._generateCyclogonOnCircle(
+            CurveType.EPICYCLOGON, polygon, drawPoint, cycles, baseRadius, RollingBase.OUTSIDE, start
+        );
+    }
+
+    /**
+     * Genera un hipociclógono (polígono rodando por dentro de un círculo fijo)
+     * Misma construcción que el epiciclógono con rotación β - δ por lado
+     * 
+     * @param {Polygon} polygon - Polígono rodante
+     * @param {Object} drawPoint - Punto de dibujo {x, y} relativo al centro del polígono
+     * @param {number} cycles - Número de ciclos completos (n lados por ciclo)
+     * @param {number} baseRadius - Radio B del círculo fijo (debe ser mayor que el del polígono)
+     * @param {Object} start - Posición inicial {phase (rad), contact (StartContact)}
+     * @returns {Cyclogon} Modelo con los puntos del hipociclógono
+     */
+    generateHypocyclogon(polygon, drawPoint, cycles = 1, baseRadius = CONFIG.BASE.DEFAULT_RADIUS, start = {}) {
+        if (!(baseRadius > polygon.radius)) {
+            throw new Error('El radio de la base debe ser mayor que el del polígono rodante');
+        }
+
+        return this._generateCyclogonOnCircle(
+            CurveType.HYPOCYCLOGON, polygon, drawPoint, cycles, baseRadius, RollingBase.INSIDE, start
+        );
+    }
+
+    /**
+     * Implementación común de epiciclógono e hipociclógono
+     * La base se coloca como en la epitrocoide/hipotrocoide: tocando el origen,
+     * donde se apoya el vértice izquierdo del lado inferior
+     * @private
+     */
+    _generateCyclogonOnCircle(type, polygon, drawPoint, cycles, baseRadius, base, start = {}) {
+        const cyclogon = new Cyclogon(type, polygon);
+        const B = baseRadius;
+        const isOutside = base === RollingBase.OUTSIDE;
+
+        // La forma rueda sobre su envolvente convexa (el propio polígono si es convexo)
+        const hull = polygon.getConvexHull();
+        const hullIndices = polygon.getHullIndices();
+        const n = hull.sides;
+
+        // Ángulo central que abarca cada lado apoyado sobre la base
+        const centralAngles = hull.edges.map(edge => 2 * Math.asin(edge.getLength() / (2 * B)));
+        const rotationAt = (vertexIndex) => {
+            const halfChords = (centralAngles[(vertexIndex + n - 1) % n] + centralAngles[vertexIndex]) / 2;
+            const exteriorAngle = hull.getExteriorAngle(vertexIndex);
+            return isOutside ? exteriorAngle + halfChords : exteriorAngle - halfChords;
+        };
+
+        if (!isOutside && hull.edges.some((edge, i) => !(rotationAt(i) > 0))) {
+            throw new Error('El polígono no cabe dentro de la base');
+        }
+
+        const baseCenter = { x: 0, y: isOutside ? -B : B };
+        const startAngle = isOutside ? MATH.HALF_PI : -MATH.HALF_PI;
+        // Los pivotes avanzan en sentido horario por fuera y antihorario por dentro
+        const direction = isOutside ? -1 : 1;
+        const pointOnBase = (angle) => ({
+            x: baseCenter.x + B * Math.cos(startAngle + direction * angle),
+            y: baseCenter.y + B * Math.sin(startAngle + direction * angle)
+        });
+
+        // 1. Apoyar el lado inferior como cuerda de la base
+        const bottomSideIndex = this._findBottomSideIndex(hull);
+        const bottomEdge = hull.getEdge(bottomSideIndex);
+        const chordStart = pointOnBase(0);
+        const chordEnd = pointOnBase(centralAngles[bottomSideIndex]);
+
+        let bodyRotation = Math.atan2(chordEnd.y - chordStart.y, chordEnd.x - chordStart.x) -
+            Math.atan2(bottomEdge.end.y - bottomEdge.start.y, bottomEdge.end.x - bottomEdge.start.x);
+        const adjustmentRotation = bodyRotation;
+
+        const startOffset = this._rotatePoint(bottomEdge.start, { x: 0, y: 0 }, bodyRotation);
+        let center = { x: chordStart.x - startOffset.x, y: chordStart.y - startOffset.y };
+
+        const totalSides = Math.ceil(cycles * n);
+        const lastSideFraction = (cycles * n) % 1 !== 0 ? (cycles * n) % 1 : 1;
+        let pivotVertex = (bottomSideIndex + 1) % n;
+        // Ángulo recorrido sobre la base hasta el pivote actual
+        let baseAngle = centralAngles[bottomSideIndex];
+        const restingBaseAngle = baseAngle;
+        let totalDistance = 0;
+        const pivotVertices = [];
+
+        // Ventana de giro que se dibuja (ver generateCyclogon): el equilibrio sobre un
+        // vértice deja el centro en la recta que une el pivote con el centro de la base
+        const firstPivot = pointOnBase(baseAngle);
+        const normalSign = isOutside ? 1 : -1;
+        const vertexPhase = this._getBalancePhase(
+            Math.atan2(center.y - firstPivot.y, center.x - firstPivot.x),
+            Math.atan2(normalSign * (firstPivot.y - baseCenter.y), normalSign * (firstPivot.x - baseCenter.x)),
+            rotationAt(pivotVertex)
+        );
+        const period = hull.edges.reduce((sum, edge, i) => sum + rotationAt(i), 0);
+        const startRotation = this._getStartPhase(start, period, vertexPhase);
+        let endRotation = startRotation;
+        for (let k = 0; k < totalSides; k++) {
+            const fraction = k === totalSides - 1 ? lastSideFraction : 1;
+            endRotation += rotationAt((pivotVertex + k) % n) * fraction;
+        }
+        let polygonRotation = 0;
+        let startBaseAngle = null;
+
+        let sideIndex = 0;
+        let isLastSide = false;
+        while (!isLastSide) {
+            const pivot = pointOnBase(baseAngle);
+            const rotationPerSide = rotationAt(pivotVertex);
+
+            // Tramo del giro sobre este pivote que cae dentro de la ventana
+            isLastSide = polygonRotation + rotationPerSide >= endRotation - 1e-12;
+            const from = Math.max(0, startRotation - polygonRotation);
+            const to = isLastSide ? Math.min(rotationPerSide, endRotation - polygonRotation) : rotationPerSide;
+
+            if (to > from) {
+                if (startBaseAngle === null) startBaseAngle = baseAngle;
+                pivotVertices.push(hullIndices[pivotVertex]);
+                const fraction = (to - from) / rotationPerSide;
+                const pointsThisSide = Math.max(1, Math.ceil(this.options.pointsPerSide * fraction - 1e-9));
+                const currentSide = sideIndex;
+                const sideCenter = center;
+                const sideRotation = bodyRotation;
+
+                const evaluate = (localRotation) => {
+                    const pointCenter = this._rotatePoint(sideCenter, pivot, -localRotation);
+                    const rotation = sideRotation - localRotation;
+                    const offset = this._rotatePoint(drawPoint, { x: 0, y: 0 }, rotation);
+
+                    return {
+                        x: pointCenter.x + offset.x,
+                        y: pointCenter.y + offset.y,
+                        sideIndex: currentSide,
+                        rotation: adjustmentRotation - rotation - startRotation,
+                        pivot: { ...pivot },
+                        center: pointCenter
+                    };
+                };
+                const sidePoints = this._sampleRange(evaluate, from, to, pointsThisSide, fraction / (cycles * n));
+
+                // Evitar duplicar el último punto de un lado con el primero del siguiente
+                if (!isLastSide) sidePoints.pop();
+                cyclogon.addPoints(sidePoints);
+                totalDistance += hull.getSideLength(pivotVertex);
+                sideIndex++;
+            }
+
+            // El siguiente vértice queda apoyado sobre la base
+            center = this._rotatePoint(center, pivot, -rotationPerSide);
+            bodyRotation -= rotationPerSide;
+            polygonRotation += rotationPerSide;
+            baseAngle += centralAngles[pivotVertex];
+            pivotVertex = (pivotVertex + 1) % n;
+        }
+
+        // Llevar el contacto inicial al de la forma en reposo girando alrededor de la base
+        const alignment = direction * (restingBaseAngle - startBaseAngle);
+        if (alignment !== 0) {
+            cyclogon.rotate(alignment, baseCenter);
+        }
+
+        // Ángulos medios por lado si el polígono es irregular
+        const centralAngle = centralAngles.reduce((sum, angle) => sum + angle, 0) / n;
+        const exteriorAngle = hull.getExteriorAngle();
+
+        cyclogon.setMetadata({
+            cycles: cycles,
+            sides: polygon.sides,
+            isRegular: polygon.isRegular,
+            ...this._getHullMetadata(polygon, hull, pivotVertices),
+            base: base,
+            baseRadius: B,
+            baseCenter: baseCenter,
+            totalDistance: totalDistance,
+            sideLength: hull.getSideLength(),
+            exteriorAngle: exteriorAngle,
+            centralAngle: centralAngle,
+            rotationPerSide: isOutside ? exteriorAngle + centralAngle : exteriorAngle - centralAngle,
+            // Orientación del cuerpo al empezar la ventana (la animación resta el giro)
+            adjustmentRotation: adjustmentRotation - startRotation + alignment,
+            phase: startRotation,
+            sampling: this._getSamplingMetadata()
+        });
+
+        return cyclogon;
+    }
+
+    /**
+     * Genera la ruleta de una forma convexa suave rodando sin deslizar sobre el suelo
+     * 
+     * Con el cuerpo girado θ en sentido horario, toca el suelo el punto del contorno
+     * cuya normal exterior apunta hacia abajo:
+     *   ν(φ) = φ - atan(r'/r) = θ - π/2
+     * y, sin deslizamiento, ese contacto está a la distancia recorrida sobre el contorno
+     *   s(φ) = ∫ √(r² + r'²) dφ   (desde el contacto inicial)
+     * de modo que:
+     *   C = (s, 0) - Rot(-θ) · p(φ)
+     *   P = C + Rot(-θ) · drawPoint
+     * 
+     * En un círculo se reduce a la cicloide (φ = θ - π/2, s = R·θ).
+     * Un ciclo es una vuelta completa: el centro avanza un perímetro.
+     * Con una fase inicial θ₀ se dibuja θ ∈ [θ₀, θ₀ + vueltas], con el contacto
+     * inicial en X = 0 (la forma no tiene vértices: el apoyo inicial no cambia nada).
+     * 
+     * @param {PolarShape} shape - Forma rodante
+     * @param {Object} drawPoint - Punto de dibujo {x, y} relativo al centro de la forma
+     * @param {number} cycles - Número de vueltas completas
+     * @param {Object} start - Posición inicial {phase (rad)}
+     * @returns {Cyclogon} Modelo con los puntos de la ruleta
+     */
+    generateRoulette(shape, drawPoint, cycles = 1, start = {}) {
+        const cyclogon = new Cyclogon(CurveType.ROULETTE, shape);
+
+        const d = Math.sqrt(drawPoint.x ** 2 + drawPoint.y ** 2);
+        const alpha = Math.atan2(drawPoint.y, drawPoint.x);
+        const totalAngle = cycles * MATH.TWO_PI;
+        const numPoints = Math.ceil(totalAngle * this.options.pointsPerRadian);
+
+        const contactMap = this._buildContactMap(shape);
+        const startRotation = this._getStartPhase({ ...start, contact: StartContact.SIDE }, MATH.TWO_PI);
+        const startDistance = startRotation > 0
+            ? this._getRouletteContact(contactMap, shape, startRotation).distance
+            : 0;
+
+        const evaluate = (theta) => {
+            const contact = this._getRouletteContact(contactMap, shape, theta);
+            const bodyContact = this._rotatePoint(shape.getPoint(contact.phi), { x: 0, y: 0 }, -theta);
+            const contactX = contact.distance - startDistance;
+            const centerX = contactX - bodyContact.x;
+            const centerY = -bodyContact.y;
+
+            // El punto rota en sentido horario con la forma, como en la cicloide
+            const pointAngle = alpha - theta;
+
+            return {
+                x: centerX + d * Math.cos(pointAngle),
+                y: centerY + d * Math.sin(pointAngle),
+                theta: theta - startRotation,
+                center: { x: centerX, y: centerY },
+                contact: { x: contactX, y: 0 }
+            };
+        };
+
+        cyclogon.addPoints(this._sampleRange(evaluate, startRotation, startRotation + totalAngle, numPoints));
+
+        cyclogon.setMetadata({
+            cycles: cycles,
+            shapeLabel: shape.label,
+            perimeter: contactMap.perimeter,
+            totalDistance: cycles * contactMap.perimeter,
+            totalRotation: totalAngle,
+            drawPointDistance: d,
+            drawPointAngle: alpha,
+            // Orientación del cuerpo al empezar (la animación resta theta)
+            adjustmentRotation: -startRotation,
+            phase: startRotation,
+            sampling: this._getSamplingMetadata()
+        });
+
+        return cyclogon;
+    }
+
+    /**
+     * Genera la curva de un polígono de Reuleaux rodando sin deslizar sobre el suelo
+     * 
+     * El contorno alterna arcos de radio w (centrados en el vértice opuesto) y
+     * esquinas, que se tratan como arcos de radio 0. Mientras se apoya un tramo
+     * de centro Q y radio ρ, Q se mantiene a altura ρ y avanza ρ·Δθ:
+     *   Q = (X + ρ·(θ - θ₀), ρ)
+     *   C = Q - Rot(-θ) · Q_cuerpo
+     *   P = C + Rot(-θ) · drawPoint
+     * En un arco el centro de la forma sube y baja; en una esquina la forma pivota
+     * sobre el vértice como un polígono. Cada tramo gira π/n, así que un ciclo
+     * (una vuelta) tiene n arcos y n pivotes y avanza el perímetro π·w.
+     * Con una fase inicial θ₀ se dibuja θ ∈ [θ₀, θ₀ + vueltas], con el contacto
+     * inicial en X = 0; apoyada en un vértice, la forma arranca a mitad de la
+     * primera esquina (con el centro sobre ella).
+     * 
+     * @param {ReuleauxPolygon} shape - Polígono de Reuleaux
+     * @param {Object} drawPoint - Punto de dibujo {x, y} relativo al centro de la forma
+     * @param {number} cycles - Número de vueltas completas
+     * @param {Object} start - Posición inicial {phase (rad), contact (StartContact)}
+     * @returns {Cyclogon} Modelo con los puntos de la curva
+     */
+    generateReuleaux(shape, drawPoint, cycles = 1, start = {}) {
+        const cyclogon = new Cyclogon(CurveType.REULEAUX, shape);
+
+        const d = Math.sqrt(drawPoint.x ** 2 + drawPoint.y ** 2);
+        const alpha = Math.atan2(drawPoint.y, drawPoint.x);
+        const totalAngle = cycles * MATH.TWO_PI;
+
+        // Tramo que se apoya al empezar: el que contiene la normal hacia abajo
+        const arcs = shape.getContactArcs();
+        let arcIndex = 0;
+        let startOffset = 0;
+        for (let i = 0; i < arcs.length; i++) {
+            const offset = ((-MATH.HALF_PI - arcs[i].startAngle) % MATH.TWO_PI + MATH.TWO_PI) % MATH.TWO_PI;
+            if (offset < arcs[i].sweep) {
+                arcIndex = i;
+                startOffset = offset;
+                break;
+            }
+        }
+
+        // Giro hasta la mitad de la primera esquina, con el centro sobre el vértice
+        // (negativo si ya se ha pasado: se toma el de la vuelta anterior)
+        let vertexPhase = -startOffset;
+        let vertexArc = arcIndex;
+        while (arcs[vertexArc].type !== 'vertex') {
+            vertexPhase += arcs[vertexArc].sweep;
+            vertexArc = (vertexArc + 1) % arcs.length;
+        }
+        vertexPhase += arcs[vertexArc].sweep / 2;
+        const startRotation = this._getStartPhase(start, MATH.TWO_PI, vertexPhase);
+        const endRotation = startRotation + totalAngle;
+
+        let theta = 0;
+        let contactX = 0;
+        let startContactX = null;
+        let segmentIndex = 0;
+        const pivotVertices = [];
+
+        while (theta < endRotation) {
+            const arc = arcs[arcIndex];
+            const thetaStart = theta;
+            const contactStart = contactX;
+            const thetaEnd = Math.min(endRotation, theta + arc.sweep - startOffset);
+            const isLast = thetaEnd >= endRotation;
+
+            // Solo se dibuja la parte del tramo que cae dentro de la ventana
+            if (thetaEnd > startRotation) {
+                const from = Math.max(thetaStart, startRotation);
+                if (startContactX === null) startContactX = contactStart + arc.radius * (from - thetaStart);
+
+                if (arc.type === 'vertex') {
+                    pivotVertices.push(arc.vertexIndex);
+                }
+
+                const currentSegment = segmentIndex;
+                const evaluate = (t) => {
+                    // Centro del tramo apoyado, a altura ρ sobre el contacto
+                    const qx = contactStart + arc.radius * (t - thetaStart);
+                    const bodyCenter = this._rotatePoint(arc.center, { x: 0, y: 0 }, -t);
+                    const centerX = qx - bodyCenter.x;
+                    const centerY = arc.radius - bodyCenter.y;
+                    const pointAngle = alpha - t;
+
+                    return {
+                        x: centerX + d * Math.cos(pointAngle),
+                        y: centerY + d * Math.sin(pointAngle),
+                        theta: t - startRotation,
+                        center: { x: centerX, y: centerY },
+                        contact: { x: qx, y: 0 },
+                        segmentIndex: currentSegment,
+                        contactType: arc.type
+                    };
+                };
+
+                const sweep = thetaEnd - from;
+                const segmentPoints = this._sampleRange(
+                    evaluate, from, thetaEnd,
+                    Math.ceil(sweep * this.options.pointsPerRadian), sweep / totalAngle
+                );
+
+                // Evitar duplicar el último punto de un tramo con el primero del siguiente
+                if (!isLast) segmentPoints.pop();
+                cyclogon.addPoints(segmentPoints);
+                segmentIndex++;
+            }
+
+            contactX += arc.radius * (thetaEnd - thetaStart);
+            theta = thetaEnd;
+            startOffset = 0;
+            arcIndex = (arcIndex + 1) % arcs.length;
+        }
+
+        // Llevar el contacto inicial a X = 0
+        if (startContactX !== 0) {
+            cyclogon.translate(-startContactX, 0);
+        }
+
+        cyclogon.setMetadata({
+            cycles: cycles,
+            sides: shape.sides,
+            width: shape.width,
+            perimeter: shape.perimeter,
+            totalDistance: contactX - startContactX,
+            totalRotation: totalAngle,
+            pivotVertices: pivotVertices,
+            drawPointDistance: d,
+            drawPointAngle: alpha,
+            // Orientación del cuerpo al empezar (la animación resta theta)
+            adjustmentRotation: -startRotation,
+            phase: startRotation,
+            sampling: this._getSamplingMetadata()
+        });
+
+        return cyclogon;
+    }
+
+    /**
+     * Encuentra el índice del lado que debería estar en el suelo (normal más cercana a -90°)
+     * @private
+     */
+    _findBottomSideIndex(polygon) {
+        let bestIndex = 0;
+        let maxDot = -Infinity; // Dot product con vector (0, -1)
+        
+        for (let i = 0; i < polygon.sides; i++) {
+            const edge = polygon.getEdge(i);
+            const normal = edge.getNormal();
+            // Dot product con (0, -1) es -normal.y
+            const dot = -normal.y;
+            
+            if (dot > maxDot) {
+                maxDot = dot;
+                bestIndex = i;
+            }
+        }
+        return bestIndex;
+    }
+
+    /**
+     * Obtiene el ángulo de la normal de una arista
+     * @private
+     */
+    _getEdgeNormalAngle(polygon, edgeIndex) {
+        const edge = polygon.getEdge(edgeIndex);
         const normal = edge.getNormal();
         return Math.atan2(normal.y, normal.x);
     }
 
+    /**
+     * Metadatos de la envolvente convexa sobre la que rueda el polígono
+     * @private
+     * @param {Polygon} polygon - Polígono con su contorno real
+     * @param {Polygon} hull - Envolvente convexa
+     * @param {Array} pivotVertices - Índices (en el contorno) de los vértices que hicieron de pivote
+     * @returns {Object} {isConvex, hullSides, hullVertices, pivotVertices}
+     */
+    _getHullMetadata(polygon, hull, pivotVertices) {
+        return {
+            isConvex: polygon.isConvex,
+            hullSides: hull.sides,
+            hullVertices: polygon.getHullIndices(),
+            pivotVertices: pivotVertices
+        };
+    }
+
     // ==========================================
     // MÉTODOS PRIVADOS - CÁLCULOS AUXILIARES
     // ==========================================
@@ -292,47 +1535,37 @@ export class CyclogonCalculator {
      * Calcula la distancia del pivote (vértice en el suelo) al centro del polígono
      * @private
      * @param {Polygon} polygon - Polígono
-     * @param {number} sideIndex - Índice del lado actual
+     * @param {number} vertexIndex - Índice del vértice que hace de pivote
      * @returns {number} Distancia
      */
-    _getDistancePivotToCenter(polygon, sideIndex) {
+    _getDistancePivotToCenter(polygon, vertexIndex) {
+        // Con esquinas redondeadas la forma gira alrededor del centro de la esquina
+        if (polygon.filletRadius > 0) {
+            const center = polygon.getFillet(vertexIndex).center;
+            return Math.hypot(center.x, center.y);
+        }
+        
         // El pivote es siempre un vértice del polígono
-        // La distancia del vértice al centro es el radio circunscrito
-        return polygon.radius;
+        // En un polígono regular la distancia es el radio circunscrito
+        return polygon.getVertexDistance(vertexIndex);
     }
 
     /**
      * Calcula el ángulo inicial del centro respecto al pivote
      * @private
      * @param {Polygon} polygon - Polígono
-     * @param {number} sideIndex - Índice del lado actual
+     * @param {number} vertexIndex - Índice del vértice que hace de pivote
+     * @param {number} bodyRotation - Rotación del polígono (antihoraria) respecto a su modelo
      * @returns {number} Ángulo en radianes
      */
-    _getCenterAngleFromPivot(polygon, sideIndex) {
-        const n = polygon.sides;
-        
-        // El polígono comienza con un vértice arriba (rotationOffset = -π/2)
-        // Cuando descansa sobre un lado, los dos vértices inferiores tocan el suelo
-        // El pivote es el vértice derecho del lado en contacto
-        
-        // Ángulo inicial: el centro está "arriba" del pivote
-        // Para un polígono descansando sobre un lado:
-        // - El centro está a una distancia R del pivote
-        // - El ángulo depende de qué vértice es el pivote
-        
-        // Para el primer lado (sideIndex = 0):
-        // El pivote es el vértice que está en el lado inferior derecho
-        // El centro está arriba y a la izquierda del pivote
-        
-        // Ángulo interior en cada vértice
-        const interiorAngle = polygon.getInteriorAngle();
-        
-        // Ángulo del centro respecto al pivote inicial
-        // Para un polígono regular, cuando descansa sobre un lado con el vértice arriba,
-        // el ángulo del centro desde el vértice-pivote es:
-        const baseAngle = MATH.HALF_PI + (Math.PI - interiorAngle) / 2;
-        
-        return baseAngle;
+    _getCenterAngleFromPivot(polygon, vertexIndex, bodyRotation) {
+        // El centro está en la dirección opuesta al vértice visto desde el centro.
+        // Para un polígono regular apoyado sobre un lado, con el pivote en el
+        // vértice derecho, el resultado es π/2 + π/n
+        const vertex = polygon.filletRadius > 0
+            ? polygon.getFillet(vertexIndex).center
+            : polygon.getVertex(vertexIndex);
+        return Math.atan2(-vertex.y, -vertex.x) + bodyRotation;
     }
 
     /**
@@ -356,53 +1589,653 @@ export class CyclogonCalculator {
         };
     }
 
+    /**
+     * Giro ya rodado al empezar la curva: la fase pedida más, si se arranca en un
+     * vértice, el giro hasta quedar en equilibrio sobre él, reducidos a un periodo
+     * de la forma
+     * @private
+     * @param {Object} start - {phase, contact (StartContact)}
+     * @param {number} period - Giro tras el que la forma vuelve a su orientación inicial
+     * @param {number} vertexPhase - Giro desde el reposo hasta el equilibrio sobre el primer vértice
+     * @returns {number} Giro inicial en radianes, en [0, period)
+     */
+    _getStartPhase({ phase = 0, contact = StartContact.SIDE } = {}, period, vertexPhase = 0) {
+        const total = phase + (contact === StartContact.VERTEX ? vertexPhase : 0);
+        return ((total % period) + period) % period;
+    }
+
+    /**
+     * Giro horario alrededor de un pivote hasta que el centro queda sobre la normal
+     * de la base en el pivote, limitado al giro que se hace sobre él
+     * @private
+     * @param {number} centerAngle - Ángulo del centro visto desde el pivote
+     * @param {number} normalAngle - Ángulo de la normal de la base (hacia la forma)
+     * @param {number} maxRotation - Giro total sobre el pivote
+     * @returns {number} Giro en [0, maxRotation]
+     */
+    _getBalancePhase(centerAngle, normalAngle, maxRotation) {
+        const turn = centerAngle - normalAngle;
+        const local = turn - MATH.TWO_PI * Math.round(turn / MATH.TWO_PI);
+        return Math.min(Math.max(local, 0), maxRotation);
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - MUESTREO
+    // ==========================================
+
+    /**
+     * Cambia el muestreo de las curvas siguientes (los campos omitidos se conservan)
+     * @param {Object} sampling - {mode, chordTolerance, angleTolerance, minPoints, maxPoints}
+     */
+    setSampling(sampling = {}) {
+        const next = { ...this.options.sampling, ...sampling };
+        if (!Object.values(SamplingMode).includes(next.mode)) {
+            throw new Error(`Modo de muestreo no soportado: ${next.mode}`);
+        }
+        if (!(next.chordTolerance > 0)) {
+            throw new Error('La tolerancia del muestreo debe ser positiva');
+        }
+        if (!Number.isInteger(next.minPoints) || next.minPoints < 2 ||
+            !Number.isInteger(next.maxPoints) || next.maxPoints < next.minPoints ||
+            next.maxPoints > CONFIG.CYCLOGON.MAX_TOTAL_POINTS) {
+            throw new Error(`Los puntos del muestreo deben ser enteros entre 2 y ${CONFIG.CYCLOGON.MAX_TOTAL_POINTS}, ` +
+                            'con el mínimo por debajo del máximo');
+        }
+        this.options.sampling = next;
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS - MUESTREO
+    // ==========================================
+
+    /**
+     * Muestrea una curva paramétrica en [t0, t1] según el modo configurado
+     * @private
+     * @param {Function} evaluate - Función t → punto {x, y, ...}
+     * @param {number} t0 - Parámetro inicial
+     * @param {number} t1 - Parámetro final
+     * @param {number} fixedSegments - Segmentos en muestreo fijo
+     * @param {number} share - Fracción de la curva completa que cubre el tramo (reparto de los límites)
+     * @returns {Array} Puntos ordenados, extremos incluidos
+     */
+    _sampleRange(evaluate, t0, t1, fixedSegments, share = 1) {
+        const sampling = this.options.sampling;
+
+        if (sampling.mode !== SamplingMode.ADAPTIVE) {
+            const segments = Math.max(1, fixedSegments);
+            const points = [];
+            for (let i = 0; i <= segments; i++) {
+                points.push(evaluate(t0 + (i / segments) * (t1 - t0)));
+            }
+            return points;
+        }
+
+        const minSegments = Math.max(1, Math.ceil(sampling.minPoints * share));
+        const maxSegments = Math.max(minSegments, Math.floor(sampling.maxPoints * share));
+        return this._sampleAdaptive(evaluate, t0, t1, minSegments, maxSegments);
+    }
+
+    /**
+     * Muestreo adaptativo: parte de una malla uniforme y subdivide por niveles los
+     * segmentos que superan la tolerancia, sin pasar del máximo de segmentos
+     * @private
+     */
+    _sampleAdaptive(evaluate, t0, t1, minSegments, maxSegments) {
+        let samples = [];
+        for (let i = 0; i <= minSegments; i++) {
+            const t = t0 + (i / minSegments) * (t1 - t0);
+            samples.push({ t, point: evaluate(t) });
+        }
+
+        let refined = true;
+        while (refined && samples.length - 1 < maxSegments) {
+            refined = false;
+            const next = [samples[0]];
+
+            for (let i = 1; i < samples.length; i++) {
+                const a = samples[i - 1];
+                const b = samples[i];
+
+                // Segmentos resultantes si se subdivide este: next.length + (samples.length - i)
+                if (next.length + samples.length - i <= maxSegments) {
+                    const t = (a.t + b.t) / 2;
+                    const mid = { t, point: evaluate(t) };
+                    if (this._needsRefinement(a.point, mid.point, b.point)) {
+                        next.push(mid);
+                        refined = true;
+                    }
+                }
+                next.push(b);
+            }
+
+            samples = next;
+        }
+
+        return samples.map(sample => sample.point);
+    }
+
+    /**
+     * Comprueba si un segmento a-b debe subdividirse en su punto medio m
+     * @private
+     */
+    _needsRefinement(a, m, b) {
+        const { chordTolerance, angleTolerance } = this.options.sampling;
+
+        const first = { x: m.x - a.x, y: m.y - a.y };
+        const second = { x: b.x - m.x, y: b.y - m.y };
+        const firstLength = Math.hypot(first.x, first.y);
+        const secondLength = Math.hypot(second.x, second.y);
+
+        // Tramos más cortos que la tolerancia no se subdividen (evita refinar sin fin en cúspides)
+        if (firstLength + secondLength <= (chordTolerance || 0)) {
+            return false;
+        }
+
+        if (chordTolerance && CurveGeometry.distanceToSegment(m, a, b) > chordTolerance) {
+            return true;
+        }
+
+        if (angleTolerance && firstLength > 0 && secondLength > 0) {
+            const cross = first.x * second.y - first.y * second.x;
+            const dot = first.x * second.x + first.y * second.y;
+            if (Math.abs(Math.atan2(cross, dot)) > angleTolerance) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Parámetros de muestreo para los metadatos de la curva
+     * @private
+     */
+    _getSamplingMetadata() {
+        const sampling = this.options.sampling;
+
+        if (sampling.mode !== SamplingMode.ADAPTIVE) {
+            return {
+                mode: SamplingMode.FIXED,
+                pointsPerSide: this.options.pointsPerSide,
+                pointsPerRadian: this.options.pointsPerRadian
+            };
+        }
+
+        return {
+            mode: SamplingMode.ADAPTIVE,
+            chordTolerance: sampling.chordTolerance,
+            angleTolerance: sampling.angleTolerance,
+            minPoints: sampling.minPoints,
+            maxPoints: sampling.maxPoints
+        };
+    }
+
+    /**
+     * Genera con la densidad fija reducida si la curva pasaría de MAX_TOTAL_POINTS
+     * (el muestreo adaptativo ya reparte un máximo de puntos entre toda la curva)
+     *
+     * Los puntos de un ciclo se cuentan generándolo con las mismas opciones: los
+     * contactos con un camino y el giro sobre una base circular cambian cuántos hay.
+     * Cada contacto lleva al menos un punto, así que sobre un camino muy ondulado la
+     * curva aún puede pasarse: entonces se queda con uno de cada pocos puntos.
+     *
+     * @private
+     * @param {number} cycles - Ciclos de la curva
+     * @param {Function} generate - Genera la curva con las opciones vigentes (ciclos → Cyclogon)
+     * @returns {Cyclogon} Curva generada
+     */
+    _withPointBudget(cycles, generate) {
+        if (this.options.sampling.mode === SamplingMode.ADAPTIVE) {
+            return generate(cycles);
+        }
+
+        const maxPoints = CONFIG.CYCLOGON.MAX_TOTAL_POINTS;
+        const trialCycles = Math.sign(cycles) * Math.min(1, Math.abs(cycles));
+        const trial = generate(trialCycles);
+        const scale = maxPoints / (trial.pointCount * cycles / trialCycles);
+
+        let cyclogon;
+        if (scale >= 1) {
+            cyclogon = trialCycles === cycles ? trial : generate(cycles);
+        } else {
+            const { pointsPerSide, pointsPerRadian } = this.options;
+            this.options.pointsPerSide = Math.max(2, Math.floor(pointsPerSide * scale));
+            this.options.pointsPerRadian = Math.max(1, Math.floor(pointsPerRadian * scale));
+            try {
+                cyclogon = generate(cycles);
+            } finally {
+                this.options.pointsPerSide = pointsPerSide;
+                this.options.pointsPerRadian = pointsPerRadian;
+            }
+        }
+
+        if (cyclogon.pointCount > maxPoints) {
+            // El submuestreo añade siempre el último punto: el paso deja sitio para él
+            const points = cyclogon.subsample(Math.ceil(cyclogon.pointCount / (maxPoints - 1)));
+            const metadata = cyclogon.metadata;
+            cyclogon.clear();
+            cyclogon.addPoints(points);
+            cyclogon.setMetadata(metadata);
+        }
+        return cyclogon;
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS - EXTENSIÓN
+    // ==========================================
+
+    /**
+     * Ciclos con los que la forma recorre una distancia sobre la base
+     * Rodando sin deslizar cada ciclo recorre el perímetro que apoya ((1 - λ) veces con
+     * deslizamiento λ: el avance sobre el suelo, floorAdvance). Sobre un camino
+     * el polígono también cuenta los saltos entre apoyos (esquinas del camino, valles
+     * en los que cambia de apoyo sin girar) y cada ciclo recorre algo distinto: se
+     * toma lo recorrido en el primero
+     * @private
+     */
+    _getCyclesForDistance(shape, drawPoint, distance, options) {
+        const cycle = this._generateCurve(shape, drawPoint, 1, options);
+        const advance = cycle.getMetadataValue('floorAdvance') ?? cycle.getMetadataValue('totalDistance');
+        if (!(advance > 0)) {
+            throw new Error('La forma gira sin avanzar: la distancia no puede fijar la extensión');
+        }
+        return distance / advance;
+    }
+
+    /**
+     * Pivotes (lados rodados) en un ciclo
+     * @private
+     */
+    _getPivotsPerCycle(shape) {
+        if (shape instanceof Polygon) {
+            return shape.getConvexHull().sides;
+        }
+        if (shape instanceof ReuleauxPolygon) {
+            return shape.sides;
+        }
+        throw new Error('Solo los polígonos y los polígonos de Reuleaux pivotan sobre sus vértices');
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS - FORMAS SUAVES
+    // ==========================================
+
+    /**
+     * Tabula el contacto de una forma suave para una vuelta completa
+     * Parte del punto con la normal hacia abajo (θ = 0) y guarda, por cada tramo
+     * de φ, la rotación θ(φ) = ν(φ) + π/2 y la longitud de contorno recorrida s(φ)
+     * @private
+     * @returns {Object} {phis, thetas, lengths, perimeter, thetaAt}
+     */
+    _buildContactMap(shape) {
+        // ν(φ) - φ está en (-π/2, π/2), así que el contacto inicial cae en (-π, 0)
+        const rotationAt = phi => shape.getNormalAngle(phi) + MATH.HALF_PI;
+        let low = -Math.PI;
+        let high = 0;
+        for (let i = 0; i < 60; i++) {
+            const mid = (low + high) / 2;
+            if (rotationAt(mid) < 0) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        const phi0 = (low + high) / 2;
+        const offset = rotationAt(phi0);
+        const thetaAt = phi => rotationAt(phi) - offset;
+
+        const samples = CONFIG.SHAPES.SMOOTH_SAMPLES;
+        const step = MATH.TWO_PI / samples;
+        const phis = [phi0];
+        const thetas = [0];
+        const lengths = [0];
+
+        for (let i = 1; i <= samples; i++) {
+            const phi = phi0 + i * step;
+            phis.push(phi);
+            thetas.push(thetaAt(phi));
+            lengths.push(lengths[i - 1] + shape.getArcLength(phi - step, phi));
+        }
+
+        return { phis, thetas, lengths, perimeter: lengths[samples], thetaAt };
+    }
+
+    /**
+     * Punto de contacto para una rotación dada (inversa de θ(φ) por bisección)
+     * @private
+     * @returns {Object} {phi, distance} ángulo polar del contacto y longitud rodada
+     */
+    _getRouletteContact(contactMap, shape, theta) {
+        const { phis, thetas, lengths, perimeter, thetaAt } = contactMap;
+        const turns = Math.floor(theta / MATH.TWO_PI);
+        const local = theta - turns * MATH.TWO_PI;
+
+        // Tramo de la tabla que contiene la rotación
+        let low = 0;
+        let high = thetas.length - 1;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (thetas[mid] <= local) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        let phiLow = phis[low];
+        let phiHigh = phis[high];
+        for (let i = 0; i < 40; i++) {
+            const mid = (phiLow + phiHigh) / 2;
+            if (thetaAt(mid) < local) {
+                phiLow = mid;
+            } else {
+                phiHigh = mid;
+            }
+        }
+        const phi = (phiLow + phiHigh) / 2;
+
+        return {
+            phi: phi + turns * MATH.TWO_PI,
+            distance: turns * perimeter + lengths[low] + shape.getArcLength(phis[low], phi)
+        };
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS - CAMINOS
+    // ==========================================
+
+    /**
+     * Calcula la posición del centro de un círculo apoyado sobre el camino
+     * @private
+     * @param {Array} roadPoints - Polilínea del camino ordenada por X
+     * @param {number} x - Coordenada X del centro
+     * @param {number} R - Radio del círculo
+     * @returns {Object} Centro {x, y, contact}
+     */
+    _getRoadCenter(roadPoints, x, R) {
+        let bestY = -Infinity;
+        let contact = null;
+
+        const consider = (y, point) => {
+            if (y > bestY) {
+                bestY = y;
+                contact = point;
+            }
+        };
+
+        const first = Math.max(0, this._lowerBoundX(roadPoints, x - R) - 1);
+
+        for (let i = first; i < roadPoints.length && roadPoints[i].x <= x + R; i++) {
+            const a = roadPoints[i];
+
+            // Contacto con el vértice
+            const dxVertex = x - a.x;
+            if (Math.abs(dxVertex) <= R) {
+                consider(a.y + Math.sqrt(R * R - dxVertex * dxVertex), { x: a.x, y: a.y });
+            }
+
+            // Contacto con el interior del tramo (los tramos verticales solo tocan por sus extremos)
+            const b = roadPoints[i + 1];
+            if (!b || b.x <= a.x) continue;
+
+            const sx = b.x - a.x;
+            const sy = b.y - a.y;
+            const length = Math.sqrt(sx * sx + sy * sy);
+            const normal = { x: -sy / length, y: sx / length };
+
+            const footX = x - R * normal.x;
+            const t = (footX - a.x) / sx;
+            if (t >= 0 && t <= 1) {
+                const footY = a.y + t * sy;
+                consider(footY + R * normal.y, { x: footX, y: footY });
+            }
+        }
+
+        return { x, y: bestY, contact };
+    }
+
+    /**
+     * Busca el siguiente punto del camino a una distancia dada (en orden de avance)
+     * @private
+     */
+    _findForwardRoadPoint(roadPoints, origin, distance) {
+        const first = Math.max(0, this._lowerBoundX(roadPoints, origin.x) - 1);
+
+        for (let i = first; i < roadPoints.length - 1; i++) {
+            const hits = this._intersectCircleSegment(origin, distance, roadPoints[i], roadPoints[i + 1]);
+            const forward = hits.find(hit => hit.x > origin.x);
+            if (forward) return forward;
+        }
+        return null;
+    }
+
+    /**
+     * Ángulo del tramo del camino que arranca en una coordenada X
+     * @private
+     */
+    _getRoadSegmentAngle(roadPoints, x) {
+        const index = Math.min(
+            roadPoints.length - 2,
+            Math.max(0, this._lowerBoundX(roadPoints, x + 1e-12) - 1)
+        );
+        const a = roadPoints[index];
+        const b = roadPoints[index + 1];
+        return Math.atan2(b.y - a.y, b.x - a.x);
+    }
+
+    /**
+     * Busca el primer contacto con el camino al rotar en sentido horario alrededor del pivote
+     * Comprueba los vértices del polígono contra los tramos del camino y los vértices
+     * del camino contra los lados del polígono
+     * @private
+     * @returns {Object|null} {angle, point, vertexIndex} (angle = 0 si el pivote cambia sin girar) o null si
+     *   nada toca el camino. vertexIndex es el vértice del polígono en contacto, o null si es una esquina del camino
+     */
+    _findNextRoadContact(roadPoints, vertices, center, bodyRotation, pivot) {
+        let best = null;
+        let ahead = null;
+
+        const consider = (angle, point, vertexIndex) => {
+            // Contactos ya existentes (ángulo ~0): los que quedan por delante del pivote
+            // se hundirían al girar, así que el más adelantado pasa a ser el pivote
+            if (angle < 1e-9 || angle > MATH.TWO_PI - 1e-9) {
+                if (point.x > pivot.x + 1e-9 && (!ahead || point.x > ahead.point.x)) {
+                    ahead = { angle: 0, point: { x: point.x, y: point.y }, vertexIndex };
+                }
+                return;
+            }
+            if (!best || angle < best.angle) {
+                best = { angle, point: { x: point.x, y: point.y }, vertexIndex };
+            }
+        };
+
+        const normalize = angle => ((angle % MATH.TWO_PI) + MATH.TWO_PI) % MATH.TWO_PI;
+
+        const world = vertices.map(vertex => {
+            const offset = this._rotatePoint(vertex, { x: 0, y: 0 }, bodyRotation);
+            return { x: center.x + offset.x, y: center.y + offset.y };
+        });
+        const reach = Math.max(...world.map(v => Math.hypot(v.x - pivot.x, v.y - pivot.y)));
+
+        const first = Math.max(0, this._lowerBoundX(roadPoints, pivot.x - reach) - 1);
+        let last = first;
+        while (last < roadPoints.length - 1 && roadPoints[last].x <= pivot.x + reach) last++;
+
+        // Vértices del polígono contra tramos del camino (el vértice gira en sentido horario)
+        world.forEach((vertex, vertexIndex) => {
+            const rho = Math.hypot(vertex.x - pivot.x, vertex.y - pivot.y);
+            if (rho < 1e-12) return;
+            const startAngle = Math.atan2(vertex.y - pivot.y, vertex.x - pivot.x);
+
+            for (let i = first; i < last; i++) {
+                for (const hit of this._intersectCircleSegment(pivot, rho, roadPoints[i], roadPoints[i + 1])) {
+                    consider(normalize(startAngle - Math.atan2(hit.y - pivot.y, hit.x - pivot.x)), hit, vertexIndex);
+                }
+            }
+        });
+
+        // Vértices del camino contra lados del polígono (visto desde el polígono, el camino gira en sentido antihorario)
+        for (let i = first; i <= last; i++) {
+            const roadVertex = roadPoints[i];
+            const rho = Math.hypot(roadVertex.x - pivot.x, roadVertex.y - pivot.y);
+            if (rho < 1e-12 || rho > reach) continue;
+            const startAngle = Math.atan2(roadVertex.y - pivot.y, roadVertex.x - pivot.x);
+
+            for (let j = 0; j < world.length; j++) {
+                const edgeStart = world[j];
+                const edgeEnd = world[(j + 1) % world.length];
+                for (const hit of this._intersectCircleSegment(pivot, rho, edgeStart, edgeEnd)) {
+                    consider(normalize(Math.atan2(hit.y - pivot.y, hit.x - pivot.x) - startAngle), roadVertex, null);
+                }
+            }
+        }
+
+        return ahead || best;
+    }
+
+    /**
+     * Intersección de una circunferencia con un segmento
+     * @private
+     * @returns {Array} Puntos {x, y, t} ordenados por t
+     */
+    _intersectCircleSegment(center, radius, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const fx = a.x - center.x;
+        const fy = a.y - center.y;
+
+        const qa = dx * dx + dy * dy;
+        const qb = 2 * (fx * dx + fy * dy);
+        const qc = fx * fx + fy * fy - radius * radius;
+        const discriminant = qb * qb - 4 * qa * qc;
+
+        if (qa === 0 || discriminant < 0) return [];
+
+        const sqrtDisc = Math.sqrt(discriminant);
+        return [(-qb - sqrtDisc) / (2 * qa), (-qb + sqrtDisc) / (2 * qa)]
+            .filter((t, i, roots) => t >= 0 && t <= 1 && (i === 0 || t !== roots[0]))
+            .map(t => ({ x: a.x + t * dx, y: a.y + t * dy, t }));
+    }
+
+    /**
+     * Primer índice de la polilínea con X >= x (búsqueda binaria)
+     * @private
+     */
+    _lowerBoundX(points, x) {
+        let low = 0;
+        let high = points.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (points[mid].x < x) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Metadatos del camino con su polilínea muestreada alrededor de la curva
+     * @private
+     */
+    _getRoadMetadata(road, cyclogon) {
+        const bbox = cyclogon.getBoundingBox();
+        const margin = CONFIG.ROAD.DISPLAY_MARGIN;
+        const range = { minX: bbox.minX - margin, maxX: bbox.maxX + margin };
+        return {
+            ...road.toJSON(range),
+            points: road.getPolyline(range.minX, range.maxX)
+        };
+    }
+
     // ==========================================
     // MÉTODOS PÚBLICOS - ANÁLISIS DE CURVAS
     // ==========================================
 
     /**
      * Calcula propiedades de la curva generada
+     * En curvas de polígonos longitud, área y bounding box son exactos (a partir de los arcos)
      * @param {Cyclogon} cyclogon - Curva a analizar
      * @returns {Object} Propiedades calculadas
      */
     analyzeShape(cyclogon) {
-        const points = cyclogon.getPoints();
-        
-        if (points.length < 2) {
+        if (cyclogon.pointCount < 2) {
             return null;
         }
-        
-        let minX = Infinity, maxX = -Infinity;
-        let minY = Infinity, maxY = -Infinity;
-        let totalArcLength = 0;
-        
-        for (let i = 0; i < points.length; i++) {
-            const p = points[i];
-            
-            minX = Math.min(minX, p.x);
-            maxX = Math.max(maxX, p.x);
-            minY = Math.min(minY, p.y);
-            maxY = Math.max(maxY, p.y);
-            
-            if (i > 0) {
-                const prev = points[i - 1];
-                totalArcLength += Math.sqrt(
-                    (p.x - prev.x) ** 2 + (p.y - prev.y) ** 2
-                );
-            }
-        }
-        
+
+        const bbox = cyclogon.getBoundingBox();
+        const arcs = cyclogon.getArcs();
+
         return {
             boundingBox: {
-                minX, maxX, minY, maxY,
-                width: maxX - minX,
-                height: maxY - minY
+                minX: bbox.minX,
+                maxX: bbox.maxX,
+                minY: bbox.minY,
+                maxY: bbox.maxY,
+                width: bbox.width,
+                height: bbox.height
             },
-            arcLength: totalArcLength,
-            pointCount: points.length
+            arcLength: cyclogon.getArcLength(),
+            area: cyclogon.getArea(),
+            arcCount: arcs.length,
+            isExact: arcs.length > 0,
+            pointCount: cyclogon.pointCount
         };
     }
 
+    /**
+     * Clasifica la curva según la distancia con signo del punto de dibujo al contorno
+     * sobre el que rueda la forma (la envolvente convexa en polígonos, con sus esquinas
+     * redondeadas si las tiene)
+     * @param {Polygon|Circle|PolarShape} shape - Forma que rueda
+     * @param {Object} drawPoint - Punto de dibujo {x, y} relativo al centro
+     * @returns {string} Valor de CurveClass
+     */
+    classifyDrawPoint(shape, drawPoint) {
+        let distance;
+        if (shape instanceof Polygon) {
+            const hull = shape.getConvexHull();
+            const filletRadius = hull.filletRadius;
+            // Con redondeo, el contorno es el polígono de los centros de las esquinas engrosado r
+            const vertices = filletRadius > 0
+                ? hull.vertices.map((_, i) => hull.getFillet(i).center)
+                : hull.vertices;
+            distance = this._signedDistanceToConvex(vertices, drawPoint) - filletRadius;
+        } else {
+            // Circle y PolarShape: distancia con signo (negativa dentro)
+            distance = shape.distanceToBorder(drawPoint);
+        }
+
+        const tolerance = CONFIG.CYCLOGON.LOOPS.COMMON_TOLERANCE * shape.radius;
+        if (Math.abs(distance) <= tolerance) return CurveClass.COMMON;
+        return distance < 0 ? CurveClass.CURTATE : CurveClass.PROLATE;
+    }
+
+    /**
+     * Distancia con signo de un punto a un polígono convexo (negativa dentro)
+     * @private
+     */
+    _signedDistanceToConvex(vertices, point) {
+        const n = vertices.length;
+        const orientation = Math.sign(Polygon.getSignedArea(vertices));
+        let inside = true;
+        let distance = Infinity;
+
+        for (let i = 0; i < n; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % n];
+            const ex = b.x - a.x, ey = b.y - a.y;
+            const px = point.x - a.x, py = point.y - a.y;
+            if (orientation * (ex * py - ey * px) < 0) inside = false;
+
+            const t = Math.max(0, Math.min(1, (px * ex + py * ey) / (ex * ex + ey * ey)));
+            distance = Math.min(distance, Math.hypot(px - t * ex, py - t * ey));
+        }
+
+        return inside ? -distance : distance;
+    }
+
     /**
      * Simplifica una curva reduciendo el número de puntos
      * Usa el algoritmo de Douglas-Peucker
@@ -435,7 +2268,7 @@ export class CyclogonCalculator {
         const last = points[points.length - 1];
         
         for (let i = 1; i < points.length - 1; i++) {
-            const distance = this._perpendicularDistance(points[i], first, last);
+            const distance = CurveGeometry.distanceToSegment(points[i], first, last);
             if (distance > maxDistance) {
                 maxDistance = distance;
                 maxIndex = i;
@@ -452,36 +2285,6 @@ export class CyclogonCalculator {
             return [first, last];
         }
     }
-
-    /**
-     * Calcula la distancia perpendicular de un punto a una línea
-     * @private
-     */
-    _perpendicularDistance(point, lineStart, lineEnd) {
-        const dx = lineEnd.x - lineStart.x;
-        const dy = lineEnd.y - lineStart.y;
-        
-        const lengthSquared = dx * dx + dy * dy;
-        
-        if (lengthSquared === 0) {
-            return Math.sqrt(
-                (point.x - lineStart.x) ** 2 + 
-                (point.y - lineStart.y) ** 2
-            );
-        }
-        
-        const t = Math.max(0, Math.min(1, 
-            ((point.x - lineStart.x) * dx + (point.y - lineStart.y) * dy) / lengthSquared
-        ));
-        
-        const projX = lineStart.x + t * dx;
-        const projY = lineStart.y + t * dy;
-        
-        return Math.sqrt(
-            (point.x - projX) ** 2 + 
-            (point.y - projY) ** 2
-        );
-    }
 }
 
 export default CyclogonCalculator;
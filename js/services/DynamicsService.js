@@ -0,0 +1,186 @@
+/**
+ * ============================================
+ * DYNAMICSSERVICE.JS - Servicio de Dinámica de la Rodadura
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Simula la forma rodando por un plano inclinado bajo la
+ * gravedad: la velocidad angular sale de la conservación de la
+ * energía mientras apoya en un pivote y del momento angular en
+ * los impactos al apoyar el vértice siguiente.
+ *
+ * La curva se calcula en el sistema del plano: el eje X baja por
+ * la pendiente α y la gravedad es g·(sin α, -cos α); si la forma
+ * rueda hacia la izquierda, la pendiente baja hacia -X. La forma
+ * es una lámina homogénea con el centro de masas en su centro y
+ * radio de giro k (I = m·k²).
+ */
+
+import { MATH, CONFIG } from '../config/constants.js';
+import Polygon from '../models/Polygon.js';
+import Circle from '../models/Circle.js';
+import { RollingBase } from './CyclogonCalculator.js';
+import RollingGeometry from './RollingGeometry.js';
+
+export class DynamicsService {
+    // ==========================================
+    // MÉTODOS PÚBLICOS - SIMULACIÓN
+    // ==========================================
+
+    /**
+     * Velocidad angular de la forma en cada punto de la curva
+     *
+     * Por unidad de masa:
+     * - Mientras apoya en un pivote (o rueda sin deslizar sobre un contorno curvo) la
+     *   energía se conserva: ½·(k² + |C - CIR|²)·ω² + g·(C.y·cos α - C.x·sin α).
+     * - Al apoyar el vértice siguiente Q (el CIR salta desde P) el impacto conserva el
+     *   momento angular respecto a Q:
+     *     (k² + |C - Q|²)·ω⁺ = (k² + (C - Q)·(C - P))·ω⁻
+     *   y se pierde la energía ½·(k² + |C - P|²)·ω⁻² - ½·(k² + |C - Q|²)·ω⁺².
+     *   Si ω⁺ sale negativa la forma queda parada sobre el lado (ω⁺ = 0).
+     * Si la energía no alcanza para pasar por encima del pivote, la forma se detiene:
+     * la curva se corta en el último punto alcanzado (no se simula el balanceo de vuelta).
+     *
+     * @param {Cyclogon} cyclogon - Curva generada sobre el suelo recto, sin deslizamiento
+     * @param {Object} kinematics - { angularVelocity (ω inicial), incline (radianes), gravity }
+     * @returns {Object|null} { samples: [{angle, instantCenter, angularVelocity, arrivalVelocity}],
+     *                          metadata: {angularVelocity, incline, gravity, impacts,
+     *                          energyLoss, finalAngularVelocity, stopped} }
+     *                        null si la curva no tiene puntos
+     */
+    simulate(cyclogon, kinematics = {}) {
+        const metadata = cyclogon.metadata;
+        if (metadata.base === RollingBase.OUTSIDE || metadata.base === RollingBase.INSIDE || metadata.road) {
+            throw new Error('La rodadura con gravedad solo se simula sobre el suelo recto (la pendiente es la inclinación)');
+        }
+        if (metadata.slip) {
+            throw new Error('La rodadura con gravedad solo se simula sin deslizamiento');
+        }
+
+        const defaults = CONFIG.CYCLOGON.KINEMATICS;
+        const initialVelocity = kinematics.angularVelocity ?? defaults.ANGULAR_VELOCITY;
+        const incline = kinematics.incline ?? defaults.INCLINE;
+        const gravity = kinematics.gravity ?? defaults.GRAVITY;
+        if (!(initialVelocity >= 0)) {
+            throw new Error('La velocidad angular inicial no puede ser negativa');
+        }
+        if (!(incline >= 0 && incline < MATH.HALF_PI)) {
+            throw new Error('La inclinación debe estar entre 0 y 90°');
+        }
+        if (!(gravity > 0)) {
+            throw new Error('La gravedad debe ser positiva');
+        }
+
+        const points = cyclogon.getPoints();
+        if (points.length === 0) return null;
+
+        const shape = cyclogon.sourceShape;
+        const gyration = this._getGyrationSquared(shape);
+        // La pendiente baja en el sentido de la rodadura
+        const sign = RollingGeometry.getRollingSign(metadata);
+        const potential = (c) => gravity * (c.y * Math.cos(incline) - sign * c.x * Math.sin(incline));
+        const inertia = (c, pivot) => gyration + (c.x - pivot.x) ** 2 + (c.y - pivot.y) ** 2;
+        const segmentOf = RollingGeometry.getSegment;
+        const jumpTolerance = 1e-9 * shape.radius;
+
+        const samples = [];
+        let energy = 0;
+        let impacts = 0;
+        let energyLoss = 0;
+        let stopped = false;
+
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i];
+            const instantCenter = RollingGeometry.getInstantCenter(p);
+            if (!instantCenter || !Number.isFinite(instantCenter.x)) {
+                throw new Error('La curva no tiene puntos de contacto para calcular la cinemática');
+            }
+            const angle = p.theta ?? p.rotation;
+
+            if (i === 0) {
+                energy = inertia(p.center, instantCenter) * initialVelocity ** 2 / 2 + potential(p.center);
+                samples.push({ angle, instantCenter, angularVelocity: initialVelocity, arrivalVelocity: initialVelocity });
+                continue;
+            }
+
+            // Si el CIR salta, hasta este ángulo la forma sigue girando alrededor del anterior
+            const previous = samples[i - 1];
+            const c = p.center;
+            const jumped = segmentOf(p) !== segmentOf(points[i - 1]) && Math.hypot(
+                instantCenter.x - previous.instantCenter.x,
+                instantCenter.y - previous.instantCenter.y
+            ) > jumpTolerance;
+            const kinetic = energy - potential(c);
+            if (kinetic < 0) {
+                stopped = true;
+                break;
+            }
+            const arrivalInertia = inertia(c, jumped ? previous.instantCenter : instantCenter);
+            const arrivalVelocity = Math.sqrt(2 * kinetic / arrivalInertia);
+
+            let angularVelocity = arrivalVelocity;
+            if (jumped) {
+                const impactInertia = inertia(c, instantCenter);
+                const transfer = gyration + (c.x - instantCenter.x) * (c.x - previous.instantCenter.x) +
+                    (c.y - instantCenter.y) * (c.y - previous.instantCenter.y);
+                angularVelocity = Math.max(0, arrivalVelocity * transfer / impactInertia);
+
+                const lost = kinetic - impactInertia * angularVelocity ** 2 / 2;
+                energy -= lost;
+                energyLoss += lost;
+                impacts++;
+            }
+
+            samples.push({ angle, instantCenter, angularVelocity, arrivalVelocity });
+        }
+
+        if (samples.length < 2) {
+            throw new Error('Con esta inclinación y velocidad inicial la forma no llega a rodar');
+        }
+        if (stopped) {
+            cyclogon.truncate(samples.length);
+        }
+
+        return {
+            samples,
+            metadata: {
+                angularVelocity: initialVelocity,
+                incline,
+                gravity,
+                impacts,
+                energyLoss,
+                finalAngularVelocity: samples[samples.length - 1].angularVelocity,
+                stopped
+            }
+        };
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS
+    // ==========================================
+
+    /**
+     * Cuadrado del radio de giro respecto al centro de una lámina homogénea con la forma
+     * (k² = I / (m)): R²/2 en el círculo y, en el resto, el del contorno como polígono
+     *   I / ρ = 1/12 · Σ (xᵢyᵢ₊₁ - xᵢ₊₁yᵢ)(xᵢ² + xᵢxᵢ₊₁ + xᵢ₊₁² + yᵢ² + yᵢyᵢ₊₁ + yᵢ₊₁²)
+     * @private
+     */
+    _getGyrationSquared(shape) {
+        if (shape instanceof Circle) {
+            return shape.radius * shape.radius / 2;
+        }
+
+        const outline = shape instanceof Polygon ? shape.getOutlinePoints() : shape.getPoints();
+        let area = 0;
+        let moment = 0;
+        outline.forEach((a, i) => {
+            const b = outline[(i + 1) % outline.length];
+            const cross = a.x * b.y - b.x * a.y;
+            area += cross / 2;
+            moment += cross * (a.x * a.x + a.x * b.x + b.x * b.x + a.y * a.y + a.y * b.y + b.y * b.y) / 12;
+        });
+        return moment / area;
+    }
+}
+
+export default DynamicsService;
@@ -5,7 +5,10 @@
  * ============================================
  * 
  * Servicio dedicado para exportar los ciclógonos generados
- * en múltiples formatos: CSV, SVG, JSON.
+ * en múltiples formatos: CSV, SVG, JSON, DXF.
+ * Con varios puntos de dibujo cada curva se exporta
+ * como una serie con su nombre y su color. El contorno
+ * de las curvas paralelas se añade en SVG y DXF.
  * 
  * FASE 6: Servicio de exportación completo
  */
@@ -16,7 +19,8 @@
 export const ExportFormat = {
     CSV: 'csv',
     SVG: 'svg',
-    JSON: 'json'
+    JSON: 'json',
+    DXF: 'dxf'
 };
 
 /**
@@ -28,6 +32,7 @@ const DEFAULT_CONFIG = {
         delimiter: ',',
         includeHeaders: true,
         includeMetadata: false,
+        includeKinematics: true,    // Columnas de tiempo, velocidad, aceleración y CIR si la curva las tiene
         lineEnding: '\n'
     },
     svg: {
@@ -40,6 +45,8 @@ const DEFAULT_CONFIG = {
         showFloor: true,
         floorColor: '#ffffff',
         floorOpacity: 0.3,
+        offsetColor: '#4895ef',
+        offsetOpacity: 0.15,
         showGrid: false,
         gridColor: '#333333',
         gridOpacity: 0.5,
@@ -48,7 +55,13 @@ const DEFAULT_CONFIG = {
     json: {
         precision: 6,
         includeMetadata: true,
+        includeKinematics: true,
         pretty: true
+    },
+    dxf: {
+        precision: 6,
+        curveLayer: 'CYCLOGON',     // Capa de las curvas
+        offsetLayer: 'OFFSET'       // Capa del contorno de las curvas paralelas
     }
 };
 
@@ -64,7 +77,8 @@ export class ExportService {
         this.config = {
             csv: { ...DEFAULT_CONFIG.csv, ...config.csv },
             svg: { ...DEFAULT_CONFIG.svg, ...config.svg },
-            json: { ...DEFAULT_CONFIG.json, ...config.json }
+            json: { ...DEFAULT_CONFIG.json, ...config.json },
+            dxf: { ...DEFAULT_CONFIG.dxf, ...config.dxf }
         };
     }
 
@@ -75,8 +89,14 @@ export class ExportService {
     /**
      * Exporta un ciclógono al formato especificado
      * @param {Cyclogon} cyclogon - Modelo del ciclógono a exportar
-     * @param {string} format - Formato de exportación (csv, svg, json)
+     * @param {string} format - Formato de exportación (csv, svg, json, dxf)
      * @param {Object} options - Opciones adicionales
+     * @param {Array} options.series - Curvas de varios puntos [{name, color, cyclogon, drawPoint, parameter?}, ...]
+     * @param {DrawPointFamily} options.family - Barrido que generó las series (se etiquetan por t)
+     * @param {Object} options.arches - Áreas y centroides de la curva (ArchService.analyze);
+     *                                  cada serie puede llevar los suyos en `arches`
+     * @param {Object} options.offset - Curvas paralelas (OffsetService.generate);
+     *                                  su contorno cerrado se añade en SVG y DXF
      * @returns {string} Contenido del archivo
      */
     export(cyclogon, format = ExportFormat.CSV, options = {}) {
@@ -91,6 +111,8 @@ export class ExportService {
                 return this.toSVG(cyclogon, options);
             case ExportFormat.JSON:
                 return this.toJSON(cyclogon, options);
+            case ExportFormat.DXF:
+                return this.toDXF(cyclogon, options);
             default:
                 throw new Error(`Formato no soportado: ${format}`);
         }
@@ -108,7 +130,8 @@ export class ExportService {
         const mimeTypes = {
             [ExportFormat.CSV]: 'text/csv;charset=utf-8;',
             [ExportFormat.SVG]: 'image/svg+xml;charset=utf-8;',
-            [ExportFormat.JSON]: 'application/json;charset=utf-8;'
+            [ExportFormat.JSON]: 'application/json;charset=utf-8;',
+            [ExportFormat.DXF]: 'application/dxf;charset=utf-8;'
         };
 
         const blob = new Blob([content], { type: mimeTypes[format] });
@@ -125,11 +148,15 @@ export class ExportService {
         
         URL.revokeObjectURL(link.href);
 
+        const series = this._getSeries(options);
         return {
             filename: `${baseName}.${extension}`,
             size: blob.size,
             format: format,
-            pointCount: cyclogon.pointCount
+            pointCount: series
+                ? series.reduce((total, entry) => total + entry.cyclogon.pointCount, 0)
+                : cyclogon.pointCount,
+            seriesCount: series ? series.length : 1
         };
     }
 
@@ -145,34 +172,94 @@ export class ExportService {
      */
     toCSV(cyclogon, options = {}) {
         const config = { ...this.config.csv, ...options };
-        const { precision, delimiter, includeHeaders, includeMetadata, lineEnding } = config;
+        const { precision, delimiter, includeHeaders, includeMetadata, includeKinematics, lineEnding } = config;
+        const series = this._getSeries(options);
+        const withKinematics = includeKinematics && this._hasKinematics(series || [{ cyclogon }]);
+        const columns = this._getCSVColumns(delimiter, withKinematics);
         
         let csv = '';
 
         // Agregar metadatos como comentarios
         if (includeMetadata) {
-            csv += this._generateCSVMetadata(cyclogon, delimiter, lineEnding);
+            csv += this._generateCSVMetadata(cyclogon, delimiter, lineEnding, series, options.family);
+        }
+
+        // Con varias series, la primera columna indica a cuál pertenece cada punto
+        // (en una familia, el parámetro t del barrido como valor numérico)
+        if (series) {
+            const isFamily = this._isFamily(series);
+            if (includeHeaders) {
+                csv += `${isFamily ? 'T' : 'Series'}${delimiter}${columns}${lineEnding}`;
+            }
+            for (const entry of series) {
+                const label = isFamily
+                    ? entry.parameter.toFixed(precision)
+                    : this._escapeCSVField(entry.name, delimiter);
+                for (const p of entry.cyclogon.getPoints()) {
+                    csv += `${label}${delimiter}${this._formatCSVPoint(p, precision, delimiter, withKinematics)}${lineEnding}`;
+                }
+            }
+            return csv;
         }
 
         // Agregar cabeceras
         if (includeHeaders) {
-            csv += `X${delimiter}Y${lineEnding}`;
+            csv += `${columns}${lineEnding}`;
         }
 
         // Agregar puntos
         const points = cyclogon.getPoints();
         for (const p of points) {
-            csv += `${p.x.toFixed(precision)}${delimiter}${p.y.toFixed(precision)}${lineEnding}`;
+            csv += `${this._formatCSVPoint(p, precision, delimiter, withKinematics)}${lineEnding}`;
         }
 
         return csv;
     }
 
+    /**
+     * Cabeceras de las columnas de cada punto
+     * @private
+     */
+    _getCSVColumns(delimiter, withKinematics) {
+        const columns = ['X', 'Y'];
+        if (withKinematics) {
+            columns.push('Time', 'VX', 'VY', 'Speed', 'AX', 'AY', 'ICX', 'ICY');
+        }
+        return columns.join(delimiter);
+    }
+
+    /**
+     * Valores de un punto en el orden de _getCSVColumns
+     * @private
+     */
+    _formatCSVPoint(p, precision, delimiter, withKinematics) {
+        const values = [p.x, p.y];
+        if (withKinematics) {
+            values.push(
+                p.time, p.velocity.x, p.velocity.y, p.speed,
+                p.acceleration.x, p.acceleration.y, p.instantCenter.x, p.instantCenter.y
+            );
+        }
+        return values.map(value => value.toFixed(precision)).join(delimiter);
+    }
+
+    /**
+     * Entrecomilla un campo CSV si contiene el delimitador, comillas o saltos de línea
+     * @private
+     */
+    _escapeCSVField(value, delimiter) {
+        const text = String(value);
+        if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
     /**
      * Genera metadatos para CSV
      * @private
      */
-    _generateCSVMetadata(cyclogon, delimiter, lineEnding) {
+    _generateCSVMetadata(cyclogon, delimiter, lineEnding, series = null, family = null) {
         const metadata = cyclogon.metadata;
         const bbox = cyclogon.getBoundingBox();
         const arcLength = cyclogon.getArcLength();
@@ -182,7 +269,48 @@ export class ExportService {
         meta += `# Type: ${cyclogon.type}${lineEnding}`;
         meta += `# Points: ${cyclogon.pointCount}${lineEnding}`;
         meta += `# Cycles: ${metadata.cycles || 'N/A'}${lineEnding}`;
+        if (metadata.extent && metadata.extent.mode !== 'cycles') {
+            meta += `# Extent: ${metadata.extent.mode}=${metadata.extent.value}${lineEnding}`;
+        }
+        if (metadata.slip) {
+            meta += `# Slip: ratio=${metadata.slip} floorAdvance=${metadata.floorAdvance.toFixed(4)} ` +
+                    `rotation=${metadata.totalRotation.toFixed(4)}${lineEnding}`;
+        }
+        if (metadata.classification) {
+            meta += `# Classification: ${metadata.classification}${lineEnding}`;
+        }
         meta += `# Arc Length: ${arcLength.toFixed(4)}${lineEnding}`;
+
+        if (series && family) {
+            meta += `# Family: ${this._formatModeParams(family.toJSON())}${lineEnding}`;
+        }
+
+        if (series) {
+            for (const entry of series) {
+                const { x, y } = entry.drawPoint;
+                const { classification } = entry.cyclogon.metadata;
+                meta += `# Series: ${entry.name} (${this._formatColor(entry.color)}) ` +
+                        `point=(${x.toFixed(4)}, ${y.toFixed(4)}) points=${entry.cyclogon.pointCount} ` +
+                        `arc=${entry.cyclogon.getArcLength().toFixed(4)}` +
+                        `${classification ? ` class=${classification}` : ''}${lineEnding}`;
+            }
+        }
+
+        if (metadata.road) {
+            const params = Object.entries(metadata.road.params)
+                .filter(([, value]) => typeof value !== 'object')
+                .map(([key, value]) => `${key}=${value}`)
+                .join(' ');
+            meta += `# Road: ${metadata.road.type}${params ? ' (' + params + ')' : ''}${lineEnding}`;
+        }
+
+        if (metadata.sampling) {
+            meta += `# Sampling: ${this._formatSampling(metadata.sampling)}${lineEnding}`;
+        }
+
+        if (metadata.kinematics) {
+            meta += `# Kinematics: ${this._formatModeParams(metadata.kinematics)}${lineEnding}`;
+        }
         
         if (bbox) {
             meta += `# Bounding Box: [${bbox.minX.toFixed(4)}, ${bbox.minY.toFixed(4)}] - [${bbox.maxX.toFixed(4)}, ${bbox.maxY.toFixed(4)}]${lineEnding}`;
@@ -211,11 +339,17 @@ export class ExportService {
             strokeColor, strokeWidth, backgroundColor,
             showFloor, floorColor, floorOpacity,
             showGrid, gridColor, gridOpacity,
+            offsetColor, offsetOpacity,
             title 
         } = config;
 
         const points = cyclogon.getPoints();
-        const bbox = cyclogon.getBoundingBox();
+        const series = this._getSeries(options);
+        const offset = options.offset ?? null;
+        // El contorno de las curvas paralelas sobresale de la curva
+        const bbox = offset
+            ? this._getSeriesBoundingBox([...(series || [{ cyclogon }]), { cyclogon: offset.outline }])
+            : series ? this._getSeriesBoundingBox(series) : cyclogon.getBoundingBox();
         
         if (!bbox) {
             throw new Error('No se pudo calcular el bounding box');
@@ -276,8 +410,25 @@ export class ExportService {
             svg += this._generateSVGGrid(width, height, padding, gridColor, gridOpacity);
         }
 
-        // Línea del piso
-        if (showFloor) {
+        // Línea del piso (o círculo fijo en epitrocoides/hipotrocoides, o perfil del camino)
+        const baseRadius = cyclogon.metadata.baseRadius;
+        const baseCenter = cyclogon.metadata.baseCenter;
+        const road = cyclogon.metadata.road;
+        if (showFloor && road && road.points) {
+            const roadPoints = this._clipPolylineX(road.points, bbox.minX, bbox.maxX);
+            svg += `
+  <!-- Camino (${road.type}) -->
+  <path d="${this._generateSVGPath(roadPoints, transformPoint)}" 
+        fill="none" stroke="${floorColor}" stroke-width="1" stroke-opacity="${floorOpacity}"/>
+`;
+        } else if (showFloor && baseRadius && baseCenter) {
+            const center = transformPoint(baseCenter);
+            svg += `
+  <!-- Círculo base -->
+  <circle cx="${center.x.toFixed(2)}" cy="${center.y.toFixed(2)}" r="${(baseRadius * scale).toFixed(2)}" 
+          fill="none" stroke="${floorColor}" stroke-width="1" stroke-opacity="${floorOpacity}"/>
+`;
+        } else if (showFloor) {
             svg += `
   <!-- Piso -->
   <line x1="${padding}" y1="${floorY}" x2="${width - padding}" y2="${floorY}" 
@@ -285,8 +436,52 @@ export class ExportService {
 `;
         }
 
-        // Curva con glow
-        svg += `
+        // Contorno de la banda entre las curvas paralelas (los huecos de los bucles con evenodd)
+        if (offset) {
+            const outlineData = this._getContours(offset.outline)
+                .map(contour => this._generateSVGPath(contour, transformPoint) + (this._isClosedContour(contour) ? ' Z' : ''))
+                .join(' ');
+            svg += `
+  <!-- Curvas paralelas (d = ${offset.distance}) -->
+  <path d="${outlineData}" 
+        fill="${offsetColor}" 
+        fill-opacity="${offsetOpacity}" 
+        fill-rule="evenodd" 
+        stroke="${offsetColor}" 
+        stroke-width="1"/>
+`;
+        }
+
+        // Una curva por punto de dibujo, con su color
+        if (series) {
+            series.forEach((entry, index) => {
+                const seriesPath = this._generateSVGPath(entry.cyclogon.getPoints(), transformPoint);
+                const color = this._formatColor(entry.color);
+                const name = this._escapeXML(entry.name);
+                svg += `
+  <!-- Serie ${index + 1}: ${name} -->
+  <g id="series-${index + 1}">
+    <title>${name}</title>
+    <path d="${seriesPath}" 
+          fill="none" 
+          stroke="${color}" 
+          stroke-width="${strokeWidth + 4}" 
+          stroke-opacity="0.3"
+          stroke-linecap="round"
+          stroke-linejoin="round"/>
+    <path d="${seriesPath}" 
+          fill="none" 
+          stroke="${color}" 
+          stroke-width="${strokeWidth}" 
+          stroke-linecap="round"
+          stroke-linejoin="round"/>
+  </g>
+`;
+            });
+            svg += this._generateSVGLegend(series, padding);
+        } else {
+            // Curva con glow
+            svg += `
   <!-- Curva del Ciclógono (glow) -->
   <path d="${pathData}" 
         fill="none" 
@@ -305,14 +500,20 @@ export class ExportService {
         stroke-linejoin="round"
         filter="url(#glow)"/>
 `;
+        }
 
         // Metadata como comentarios
         svg += `
   <!-- Metadata -->
   <!-- Type: ${cyclogon.type} -->
   <!-- Points: ${cyclogon.pointCount} -->
-  <!-- Cycles: ${cyclogon.metadata.cycles || 'N/A'} -->
-  <!-- Arc Length: ${cyclogon.getArcLength().toFixed(4)} -->
+  <!-- Cycles: ${cyclogon.metadata.cycles || 'N/A'} -->${cyclogon.metadata.classification ? `
+  <!-- Classification: ${cyclogon.metadata.classification} -->` : ''}
+  <!-- Arc Length: ${cyclogon.getArcLength().toFixed(4)} -->${offset ? `
+  <!-- Offset: distance=${offset.distance} contours=${offset.outline.metadata.branches} -->` : ''}${series && options.family ? `
+  <!-- Family: ${this._formatModeParams(options.family.toJSON())} -->` : ''}${series ? series.map(entry => `
+  <!-- Series: ${this._escapeXML(entry.name)} (${entry.cyclogon.pointCount} points) -->`).join('') : ''}${cyclogon.metadata.sampling ? `
+  <!-- Sampling: ${this._formatSampling(cyclogon.metadata.sampling)} -->` : ''}
   <!-- Exported: ${new Date().toISOString()} -->
 `;
 
@@ -321,6 +522,50 @@ export class ExportService {
         return svg;
     }
 
+    /**
+     * Genera la leyenda con el nombre y el color de cada serie
+     * @private
+     */
+    _generateSVGLegend(series, padding) {
+        let legend = '\n  <!-- Leyenda -->\n  <g font-family="sans-serif" font-size="12">\n';
+        series.forEach((entry, index) => {
+            const y = padding / 2 + index * 16;
+            const color = this._formatColor(entry.color);
+            legend += `    <line x1="${padding}" y1="${y}" x2="${padding + 16}" y2="${y}" stroke="${color}" stroke-width="3"/>\n`;
+            legend += `    <text x="${padding + 22}" y="${y + 4}" fill="${color}">${this._escapeXML(entry.name)}</text>\n`;
+        });
+        legend += '  </g>\n';
+        return legend;
+    }
+
+    /**
+     * Recorta una polilínea ordenada por X al intervalo [minX, maxX]
+     * @private
+     */
+    _clipPolylineX(points, minX, maxX) {
+        const interpolate = (a, b, x) => ({
+            x,
+            y: a.y + (x - a.x) / (b.x - a.x) * (b.y - a.y)
+        });
+
+        const clipped = [];
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i];
+            const prev = points[i - 1];
+
+            if (prev && prev.x < minX && p.x > minX) {
+                clipped.push(interpolate(prev, p, minX));
+            }
+            if (p.x >= minX && p.x <= maxX) {
+                clipped.push(p);
+            }
+            if (prev && prev.x < maxX && p.x > maxX) {
+                clipped.push(interpolate(prev, p, maxX));
+            }
+        }
+        return clipped;
+    }
+
     /**
      * Genera el path SVG de la curva
      * @private
@@ -373,27 +618,136 @@ export class ExportService {
      */
     toJSON(cyclogon, options = {}) {
         const config = { ...this.config.json, ...options };
-        const { precision, includeMetadata, pretty } = config;
-
-        const data = {
-            type: cyclogon.type,
-            pointCount: cyclogon.pointCount,
-            points: cyclogon.getPoints().map(p => ({
-                x: parseFloat(p.x.toFixed(precision)),
-                y: parseFloat(p.y.toFixed(precision))
-            }))
-        };
+        const { precision, includeMetadata, includeKinematics, pretty } = config;
+
+        const round = (value) => parseFloat(value.toFixed(precision));
+        const series = this._getSeries(options);
+        const withKinematics = includeKinematics && this._hasKinematics(series || [{ cyclogon }]);
+        const toPoint = (p) => this._pointToJSON(p, round, withKinematics);
+
+        const data = { type: cyclogon.type };
+
+        // Con varios puntos, cada curva va en su propia serie (la principal incluida)
+        if (series) {
+            if (options.family) {
+                data.family = options.family.toJSON();
+            }
+            data.series = series.map(entry => {
+                const seriesData = {
+                    name: entry.name,
+                    color: this._formatColor(entry.color),
+                    drawPoint: { x: round(entry.drawPoint.x), y: round(entry.drawPoint.y) },
+                    pointCount: entry.cyclogon.pointCount,
+                    points: entry.cyclogon.getPoints().map(toPoint)
+                };
+                if (typeof entry.parameter === 'number') {
+                    seriesData.parameter = round(entry.parameter);
+                }
+                if (includeMetadata) {
+                    seriesData.boundingBox = entry.cyclogon.getBoundingBox();
+                    seriesData.arcLength = round(entry.cyclogon.getArcLength());
+                    if (entry.cyclogon.metadata.classification) {
+                        seriesData.classification = entry.cyclogon.metadata.classification;
+                    }
+                    if (entry.arches) {
+                        seriesData.arches = this._archesToJSON(entry.arches, round);
+                    }
+                }
+                return seriesData;
+            });
+        } else {
+            data.pointCount = cyclogon.pointCount;
+            data.points = cyclogon.getPoints().map(toPoint);
+        }
+
+        // El perfil del camino se exporta siempre, redondeado como los puntos
+        const { road, ...metadata } = cyclogon.metadata;
+        if (road) {
+            data.road = {
+                type: road.type,
+                params: road.params,
+                points: (road.points || []).map(p => ({ x: round(p.x), y: round(p.y) }))
+            };
+        }
 
         if (includeMetadata) {
-            data.metadata = cyclogon.metadata;
-            data.boundingBox = cyclogon.getBoundingBox();
-            data.arcLength = parseFloat(cyclogon.getArcLength().toFixed(precision));
+            data.metadata = metadata;
+            if (options.arches) {
+                data.metadata.arches = this._archesToJSON(options.arches, round);
+            }
+            // La forma se exporta con su propio toJSON (reconstruible con fromJSON)
+            if (cyclogon.sourceShape) {
+                data.shape = cyclogon.sourceShape.toJSON();
+            }
+            if (!series) {
+                data.boundingBox = cyclogon.getBoundingBox();
+                data.arcLength = round(cyclogon.getArcLength());
+            }
             data.exportedAt = new Date().toISOString();
         }
 
         return pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data);
     }
 
+    // ==========================================
+    // MÉTODOS PRIVADOS - CONVERSIÓN A DXF
+    // ==========================================
+
+    /**
+     * Convierte un ciclógono a DXF (ASCII R12, solo la sección de entidades)
+     * 
+     * Cada curva es una POLYLINE abierta en la capa de curvas; cada contorno de las
+     * curvas paralelas, una POLYLINE cerrada en la capa del offset. Las coordenadas
+     * son las del modelo, sin escalar.
+     * 
+     * @param {Cyclogon} cyclogon - Modelo del ciclógono
+     * @param {Object} options - Opciones de exportación
+     * @returns {string} Contenido DXF
+     */
+    toDXF(cyclogon, options = {}) {
+        const config = { ...this.config.dxf, ...options };
+        const { precision, curveLayer, offsetLayer } = config;
+
+        const series = this._getSeries(options);
+        const curves = series ? series.map(entry => entry.cyclogon) : [cyclogon];
+        const offset = options.offset ?? null;
+
+        const lines = [
+            '999', `Cyclogon ${cyclogon.type} - ${new Date().toISOString()}`,
+            '0', 'SECTION', '2', 'HEADER',
+            '9', '$ACADVER', '1', 'AC1009',
+            '0', 'ENDSEC',
+            '0', 'SECTION', '2', 'ENTITIES'
+        ];
+        curves.forEach(curve => {
+            lines.push(...this._generateDXFPolyline(curve.getPoints(), curveLayer, false, precision));
+        });
+        if (offset) {
+            this._getContours(offset.outline).forEach(contour => {
+                // Si el último punto repite el primero, el cierre lo marca la polilínea
+                const closed = this._isClosedContour(contour);
+                lines.push(...this._generateDXFPolyline(closed ? contour.slice(0, -1) : contour, offsetLayer, closed, precision));
+            });
+        }
+        lines.push('0', 'ENDSEC', '0', 'EOF');
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Genera los pares código/valor de una POLYLINE con sus VERTEX
+     * @private
+     */
+    _generateDXFPolyline(points, layer, closed, precision) {
+        // El punto 10/20/30 de la POLYLINE es ficticio (siempre 0), pero R12 lo espera
+        const lines = ['0', 'POLYLINE', '8', layer, '66', '1', '10', '0.0', '20', '0.0', '30', '0.0', '70', closed ? '1' : '0'];
+        points.forEach(p => {
+            lines.push('0', 'VERTEX', '8', layer, '10', p.x.toFixed(precision), '20', p.y.toFixed(precision));
+        });
+        lines.push('0', 'SEQEND', '8', layer);
+        return lines;
+    }
+
     // ==========================================
     // MÉTODOS DE UTILIDAD
     // ==========================================
@@ -411,6 +765,155 @@ export class ExportService {
         return `cyclogon_${shapeName}${sides}${cycles}_${timestamp}`;
     }
 
+    /**
+     * Series a exportar por separado (solo si hay más de un punto de dibujo)
+     * @private
+     * @returns {Array|null}
+     */
+    _getSeries(options) {
+        const series = (options.series || []).filter(entry => entry.cyclogon && !entry.cyclogon.isEmpty);
+        return series.length > 1 ? series : null;
+    }
+
+    /**
+     * Contornos de una curva con varias ramas (una lista de puntos por rama)
+     * @private
+     */
+    _getContours(curve) {
+        const contours = [];
+        curve.getPoints().forEach(p => {
+            if (!contours[p.branch]) contours[p.branch] = [];
+            contours[p.branch].push(p);
+        });
+        return contours.filter(Boolean);
+    }
+
+    /**
+     * Indica si un contorno termina en su primer punto
+     * @private
+     */
+    _isClosedContour(contour) {
+        const first = contour[0];
+        const last = contour[contour.length - 1];
+        return contour.length > 2 && first.x === last.x && first.y === last.y;
+    }
+
+    /**
+     * Punto para JSON, con su cinemática si se exporta
+     * @private
+     */
+    _pointToJSON(p, round, withKinematics) {
+        const point = { x: round(p.x), y: round(p.y) };
+        if (withKinematics) {
+            const vector = (v) => ({ x: round(v.x), y: round(v.y) });
+            point.time = round(p.time);
+            point.velocity = vector(p.velocity);
+            point.speed = round(p.speed);
+            point.acceleration = vector(p.acceleration);
+            point.instantCenter = vector(p.instantCenter);
+        }
+        return point;
+    }
+
+    /**
+     * Áreas y centroides de los arcos para JSON, redondeados como los puntos
+     * @private
+     */
+    _archesToJSON(arches, round) {
+        const region = ({ area, centroid }) => ({
+            area: round(area),
+            centroid: centroid ? { x: round(centroid.x), y: round(centroid.y) } : null
+        });
+        return {
+            method: arches.method,
+            isExact: arches.isExact,
+            cycles: arches.cycles.map(cycle => ({
+                index: cycle.index,
+                isComplete: cycle.isComplete,
+                ...region(cycle)
+            })),
+            total: region(arches.total)
+        };
+    }
+
+    /**
+     * Indica si todas las curvas llevan cinemática (calculada con KinematicsService)
+     * @private
+     */
+    _hasKinematics(series) {
+        return series.every(entry => entry.cyclogon.getFirstPoint()?.velocity !== undefined);
+    }
+
+    /**
+     * Indica si las series forman una familia (todas llevan su parámetro t)
+     * @private
+     */
+    _isFamily(series) {
+        return series.every(entry => typeof entry.parameter === 'number');
+    }
+
+    /**
+     * Describe en una línea un modo y sus parámetros (barrido de una familia, ley de movimiento)
+     * @private
+     */
+    _formatModeParams({ mode, ...params }) {
+        return `${mode} ` + Object.entries(params)
+            .map(([key, value]) => `${key}=${typeof value !== 'number' || Number.isInteger(value) ? value : value.toFixed(4)}`)
+            .join(' ');
+    }
+
+    /**
+     * Bounding box que contiene todas las series
+     * @private
+     */
+    _getSeriesBoundingBox(series) {
+        const boxes = series.map(entry => entry.cyclogon.getBoundingBox()).filter(Boolean);
+        if (boxes.length === 0) return null;
+
+        const minX = Math.min(...boxes.map(b => b.minX));
+        const maxX = Math.max(...boxes.map(b => b.maxX));
+        const minY = Math.min(...boxes.map(b => b.minY));
+        const maxY = Math.max(...boxes.map(b => b.maxY));
+        return {
+            minX, maxX, minY, maxY,
+            width: maxX - minX,
+            height: maxY - minY,
+            center: { x: (minX + maxX) / 2, y: (minY + maxY) / 2 }
+        };
+    }
+
+    /**
+     * Convierte un color hexadecimal numérico a '#rrggbb'
+     * @private
+     */
+    _formatColor(color) {
+        return `#${color.toString(16).padStart(6, '0')}`;
+    }
+
+    /**
+     * Escapa texto para incluirlo en XML
+     * @private
+     */
+    _escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Describe el modo de muestreo con sus parámetros
+     * @private
+     */
+    _formatSampling(sampling) {
+        const params = Object.entries(sampling)
+            .filter(([key]) => key !== 'mode')
+            .map(([key, value]) => `${key}=${Number.isInteger(value) ? value : value.toFixed(6)}`)
+            .join(' ');
+        return `${sampling.mode}${params ? ' (' + params + ')' : ''}`;
+    }
+
     /**
      * Obtiene timestamp formateado
      * @private
@@ -433,6 +936,9 @@ export class ExportService {
         if (newConfig.json) {
             this.config.json = { ...this.config.json, ...newConfig.json };
         }
+        if (newConfig.dxf) {
+            this.config.dxf = { ...this.config.dxf, ...newConfig.dxf };
+        }
     }
 
     /**
@@ -443,7 +949,8 @@ export class ExportService {
         return {
             csv: { ...this.config.csv },
             svg: { ...this.config.svg },
-            json: { ...this.config.json }
+            json: { ...this.config.json },
+            dxf: { ...this.config.dxf }
         };
     }
 
@@ -0,0 +1,245 @@
+/**
+ * ============================================
+ * INVERSEDESIGNSERVICE.JS - Servicio de Diseño Inverso
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Busca la posición del punto de dibujo cuya curva cumple una
+ * condición: alcanzar una altura, que los bucles consecutivos
+ * se toquen o tener la menor longitud de arco. Las magnitudes
+ * se miden sobre curvas generadas con CyclogonCalculator con la
+ * misma forma, base y camino que la principal.
+ *
+ * Las condiciones de altura y de bucles se resuelven sobre el
+ * radio que pasa por el punto actual (conservan su dirección);
+ * la longitud mínima se busca en todo el plano de la forma.
+ */
+
+import { CONFIG, MATH } from '../config/constants.js';
+import Polygon from '../models/Polygon.js';
+import CyclogonCalculator, { RollingBase } from './CyclogonCalculator.js';
+import LoopService from './LoopService.js';
+import Optimizer from './Optimizer.js';
+
+/**
+ * Condiciones que puede resolver el diseño inverso
+ */
+export const InverseTarget = {
+    MAX_HEIGHT: 'maxHeight',        // La curva alcanza una altura dada
+    LOOPS_TOUCH: 'loopsTouch',      // Los bucles consecutivos se tocan sin cruzarse
+    MIN_ARC_LENGTH: 'minArcLength'  // Longitud de arco mínima
+};
+
+export class InverseDesignService {
+    /**
+     * @param {CyclogonCalculator} calculator - Calculador con el que se generan las curvas
+     * @param {LoopService} loopService - Análisis con el que se miden los bucles
+     */
+    constructor(calculator = null, loopService = null) {
+        this._calculator = calculator ?? new CyclogonCalculator();
+        this._loopService = loopService ?? new LoopService();
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - RESOLUCIÓN
+    // ==========================================
+
+    /**
+     * Busca el punto de dibujo que cumple una condición
+     * @param {Polygon|Circle|PolarShape} shape - Forma que rueda
+     * @param {Object} drawPoint - Punto de partida {x, y} relativo al centro (fija la dirección del radio)
+     * @param {string} target - Valor de InverseTarget
+     * @param {Object} options - { value (altura pedida), cycles, generateOptions (base, camino...) }
+     * @returns {Object} { target, drawPoint, distance, angle, value }
+     *                   value es la altura alcanzada, la distancia al centro con la que los
+     *                   bucles se tocan o la longitud de arco mínima
+     */
+    solve(shape, drawPoint, target, options = {}) {
+        const { cycles = CONFIG.CYCLOGON.DEFAULT_CYCLES, generateOptions = {} } = options;
+        const generate = (point, curveCycles = cycles) =>
+            this._calculator.generate(shape, point, curveCycles, generateOptions);
+
+        let point;
+        let value;
+        switch (target) {
+            case InverseTarget.MAX_HEIGHT: {
+                if (!Number.isFinite(options.value)) {
+                    throw new Error('Falta la altura que debe alcanzar la curva');
+                }
+                point = this._solveHeight(shape, drawPoint, options.value, generate);
+                value = generate(point).getBoundingBox().maxY;
+                break;
+            }
+            case InverseTarget.LOOPS_TOUCH:
+                point = this._solveLoopsTouch(shape, drawPoint, this._getLoopCycles(shape, generateOptions), generate);
+                value = Math.hypot(point.x, point.y);
+                break;
+            case InverseTarget.MIN_ARC_LENGTH:
+                point = this._solveMinArcLength(shape, drawPoint, generate);
+                value = generate(point).getArcLength();
+                break;
+            default:
+                throw new Error(`Condición de diseño inverso no soportada: ${target}`);
+        }
+
+        return {
+            target,
+            drawPoint: point,
+            distance: Math.hypot(point.x, point.y),
+            angle: Math.atan2(point.y, point.x),
+            value
+        };
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS - CONDICIONES
+    // ==========================================
+
+    /**
+     * Distancia sobre el radio con la que la altura máxima de la curva vale h
+     * Entre las raíces del barrido se toma la más cercana al punto actual
+     * @private
+     */
+    _solveHeight(shape, drawPoint, height, generate) {
+        const ray = this._getRay(shape, drawPoint);
+        const excess = distance => generate(ray.pointAt(distance)).getBoundingBox().maxY - height;
+        const samples = this._scanRay(ray, excess);
+
+        let best = null;
+        for (let i = 1; i < samples.length; i++) {
+            const a = samples[i - 1];
+            const b = samples[i];
+            if ((a.value < 0) !== (b.value < 0)) {
+                const rising = b.value > a.value;
+                const root = Optimizer.bisect(
+                    distance => (excess(distance) >= 0) === rising,
+                    a.distance, b.distance, this._bisectOptions(shape)
+                );
+                if (best === null || Math.abs(root - ray.start) < Math.abs(best - ray.start)) best = root;
+            }
+        }
+
+        if (best === null) {
+            const heights = samples.map(sample => sample.value + height);
+            const min = heights.reduce((a, b) => Math.min(a, b));
+            const max = heights.reduce((a, b) => Math.max(a, b));
+            throw new Error(
+                `En esta dirección la altura máxima va de ${min.toFixed(3)} a ${max.toFixed(3)}`
+            );
+        }
+        return ray.pointAt(best);
+    }
+
+    /**
+     * Menor distancia sobre el radio con la que dos bucles se cruzan entre sí
+     * (en ella se tocan). El cruce entre dos bucles abre uno nuevo que empieza
+     * en el tramo del primero y acaba en el del segundo: sus tramos solapan sin
+     * que uno contenga al otro (el bucle que cierra una curva periódica los
+     * contiene a todos y no cuenta).
+     * @private
+     */
+    _solveLoopsTouch(shape, drawPoint, cycles, generate) {
+        const ray = this._getRay(shape, drawPoint);
+        const overlaps = distance => {
+            const curve = generate(ray.pointAt(distance), cycles);
+            const loops = this._loopService.analyze(curve).loops;
+            return loops.some(a => loops.some(b =>
+                a.startIndex < b.startIndex && b.startIndex <= a.endIndex && a.endIndex < b.endIndex));
+        };
+
+        const samples = this._scanRay(ray, overlaps);
+        const first = samples.findIndex(sample => sample.value);
+        if (first < 0) {
+            throw new Error('En esta dirección los bucles no llegan a tocarse');
+        }
+        if (first === 0) {
+            throw new Error('Los bucles ya se cruzan con el punto en el centro');
+        }
+
+        const distance = Optimizer.bisect(
+            overlaps, samples[first - 1].distance, samples[first].distance, this._bisectOptions(shape)
+        );
+        return ray.pointAt(distance);
+    }
+
+    /**
+     * Ciclos con los que se buscan los bucles: LOOP_CYCLES sin pasar de una vuelta
+     * a la base circular, porque después la curva repite sus tramos y se cruza
+     * consigo misma. Cada lado de un polígono apoya como una cuerda de la base.
+     * @private
+     */
+    _getLoopCycles(shape, { base = RollingBase.FLOOR, baseRadius = CONFIG.BASE.DEFAULT_RADIUS }) {
+        if (base === RollingBase.FLOOR) return CONFIG.INVERSE.LOOP_CYCLES;
+
+        const turnPerCycle = shape instanceof Polygon
+            ? shape.getConvexHull().edges.reduce((sum, edge) =>
+                sum + 2 * Math.asin(Math.min(1, edge.getLength() / (2 * baseRadius))), 0)
+            : MATH.TWO_PI * shape.radius / baseRadius;
+        return Math.min(CONFIG.INVERSE.LOOP_CYCLES, MATH.TWO_PI / turnPerCycle);
+    }
+
+    /**
+     * Posición de la forma con la menor longitud de arco, partiendo del punto actual
+     * @private
+     */
+    _solveMinArcLength(shape, drawPoint, generate) {
+        const step = CONFIG.INVERSE.START_STEP * shape.radius;
+        const best = Optimizer.nelderMead(
+            ([x, y]) => generate({ x, y }).getArcLength(),
+            [drawPoint.x, drawPoint.y],
+            [step, step],
+            { maxIterations: CONFIG.INVERSE.MAX_ITERATIONS, tolerance: CONFIG.INVERSE.TOLERANCE }
+        );
+        return { x: best.point[0], y: best.point[1] };
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS - BÚSQUEDA SOBRE EL RADIO
+    // ==========================================
+
+    /**
+     * Radio del centro hacia el punto actual (hacia abajo si el punto está en el centro)
+     * @private
+     * @returns {Object} { start (distancia actual), max, pointAt(distance) }
+     */
+    _getRay(shape, drawPoint) {
+        const start = Math.hypot(drawPoint.x, drawPoint.y);
+        const angle = start > 0 ? Math.atan2(drawPoint.y, drawPoint.x) : -MATH.HALF_PI;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        return {
+            start,
+            max: CONFIG.INVERSE.MAX_DISTANCE_RATIO * shape.radius,
+            pointAt: distance => ({ x: distance * cos, y: distance * sin })
+        };
+    }
+
+    /**
+     * Evalúa una función en distancias equiespaciadas del centro al alcance máximo
+     * @private
+     * @returns {Array} [{distance, value}, ...]
+     */
+    _scanRay(ray, evaluate) {
+        const steps = CONFIG.INVERSE.SCAN_STEPS;
+        const samples = [];
+        for (let i = 0; i <= steps; i++) {
+            const distance = ray.max * i / steps;
+            samples.push({ distance, value: evaluate(distance) });
+        }
+        return samples;
+    }
+
+    /**
+     * Opciones de la bisección, con la tolerancia relativa al tamaño de la forma
+     * @private
+     */
+    _bisectOptions(shape) {
+        return {
+            maxIterations: CONFIG.INVERSE.MAX_ITERATIONS,
+            tolerance: CONFIG.INVERSE.TOLERANCE * shape.radius
+        };
+    }
+}
+
+export default InverseDesignService;
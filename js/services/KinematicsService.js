@@ -0,0 +1,225 @@
+/**
+ * ============================================
+ * KINEMATICSSERVICE.JS - Servicio de Cinemática de la Rodadura
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Anota en cada punto de una curva generada el tiempo, la
+ * velocidad, la aceleración y el centro instantáneo de rotación
+ * según una ley de movimiento: velocidad angular constante,
+ * velocidad de avance constante o rodadura con gravedad por un
+ * plano inclinado (resuelta por DynamicsService).
+ */
+
+import { CONFIG } from '../config/constants.js';
+import { RollingBase } from './CyclogonCalculator.js';
+import DynamicsService from './DynamicsService.js';
+import RollingGeometry from './RollingGeometry.js';
+
+/**
+ * Leyes de movimiento para la cinemática de la rodadura
+ */
+export const KinematicsMode = {
+    ANGULAR_VELOCITY: 'angular',    // La forma gira con velocidad angular constante ω
+    ROLLING_SPEED: 'speed',         // El centro avanza a velocidad constante v en la dirección de la base
+    DYNAMICS: 'dynamics'            // Rueda por un plano inclinado bajo la gravedad, con impactos en los vértices
+};
+
+export class KinematicsService {
+    /**
+     * @param {DynamicsService} dynamics - Simulador de la rodadura con gravedad
+     */
+    constructor(dynamics = null) {
+        this._dynamics = dynamics ?? new DynamicsService();
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - CINEMÁTICA
+    // ==========================================
+
+    /**
+     * Calcula la cinemática de la rodadura en cada punto de la curva
+     *
+     * Sin deslizamiento, el centro instantáneo de rotación (CIR) es el punto de
+     * contacto con la base (el pivote en las esquinas). Con φ el ángulo girado en
+     * sentido horario y r = P - CIR:
+     *   v = φ' · J(r)                             J(x, y) = (y, -x)
+     *   a = φ'' · J(r) - φ'² · r - φ'² · J(dCIR/dφ)
+     * El último término recoge el avance del contacto (en el círculo, dCIR/dφ = (R, 0)
+     * y la aceleración apunta al centro). Con velocidad angular constante φ' = ω;
+     * con velocidad de avance constante, φ' = v / (ê · J(C - CIR)), siendo ê la
+     * dirección de la base (horizontal en el suelo, tangente en las bases circulares).
+     *
+     * Las derivadas respecto a φ se toman por diferencias finitas dentro de cada tramo
+     * (lado, arco o esquina), así que los saltos de pivote no se suavizan. Los saltos
+     * verticales de los caminos (φ constante) se recorren en un instante.
+     *
+     * Con deslizamiento λ el CIR no es el contacto sino el punto λ·k por encima de él,
+     * siendo k lo que avanzaría el contacto por radián sin deslizar (R en el círculo);
+     * el generador lo guarda en instantCenter y las mismas fórmulas siguen valiendo.
+     *
+     * En el modo DYNAMICS φ' no se impone: sale de la gravedad (ver DynamicsService).
+     *
+     * Si la forma rueda hacia la izquierda (metadata.direction) φ crece en sentido
+     * antihorario y los términos con J cambian de signo.
+     *
+     * Cada punto recibe {time, angularVelocity, velocity, speed, acceleration, instantCenter}.
+     *
+     * @param {Cyclogon} cyclogon - Curva generada (sus puntos llevan contacto o pivote)
+     * @param {Object} kinematics - Ley de movimiento
+     * @param {string} kinematics.mode - KinematicsMode
+     * @param {number} kinematics.angularVelocity - ω en rad/s (modo ANGULAR_VELOCITY; ω inicial en DYNAMICS)
+     * @param {number} kinematics.rollingSpeed - v en unidades/s (modo ROLLING_SPEED)
+     * @param {number} kinematics.incline - Inclinación del plano en radianes (modo DYNAMICS)
+     * @param {number} kinematics.gravity - Gravedad en unidades/s² (modo DYNAMICS)
+     * @returns {Cyclogon} La misma curva, con los puntos anotados
+     */
+    compute(cyclogon, kinematics = {}) {
+        const mode = kinematics.mode || CONFIG.CYCLOGON.KINEMATICS.MODE;
+        if (!Object.values(KinematicsMode).includes(mode)) {
+            throw new Error(`Modo de cinemática no soportado: ${mode}`);
+        }
+
+        const motion = mode === KinematicsMode.DYNAMICS
+            ? this._dynamics.simulate(cyclogon, kinematics)
+            : this._getSteadyMotion(cyclogon, mode, kinematics);
+        if (!motion) return cyclogon;
+
+        const duration = this._annotateMotion(cyclogon, cyclogon.getPoints(), motion.samples);
+
+        cyclogon.setMetadata({
+            kinematics: { mode, ...motion.metadata, duration }
+        });
+
+        return cyclogon;
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS
+    // ==========================================
+
+    /**
+     * Ángulo girado, centro instantáneo y velocidad angular de cada punto con
+     * velocidad angular o de avance constante
+     * @private
+     * @returns {Object|null} { samples, metadata } (null si la curva no tiene puntos)
+     */
+    _getSteadyMotion(cyclogon, mode, kinematics) {
+        const isAngular = mode === KinematicsMode.ANGULAR_VELOCITY;
+        const rate = isAngular
+            ? kinematics.angularVelocity ?? CONFIG.CYCLOGON.KINEMATICS.ANGULAR_VELOCITY
+            : kinematics.rollingSpeed ?? CONFIG.CYCLOGON.KINEMATICS.ROLLING_SPEED;
+        if (!(rate > 0)) {
+            throw new Error('La velocidad de la rodadura debe ser positiva');
+        }
+
+        const points = cyclogon.getPoints();
+        if (points.length === 0) return null;
+
+        const travelDirection = this._getTravelDirection(cyclogon.metadata);
+
+        const samples = points.map(p => {
+            const instantCenter = RollingGeometry.getInstantCenter(p);
+            if (!instantCenter || !Number.isFinite(instantCenter.x)) {
+                throw new Error('La curva no tiene puntos de contacto para calcular la cinemática');
+            }
+
+            let angularVelocity = rate;
+            if (!isAngular) {
+                // Velocidad del centro por unidad de giro, proyectada sobre la base
+                const direction = travelDirection(p.center);
+                const advance = direction.x * (p.center.y - instantCenter.y) -
+                    direction.y * (p.center.x - instantCenter.x);
+                angularVelocity = advance > 1e-12 ? rate / advance : 0;
+            }
+
+            return { angle: p.theta ?? p.rotation, instantCenter, angularVelocity };
+        });
+
+        return {
+            samples,
+            metadata: isAngular ? { angularVelocity: rate } : { rollingSpeed: rate }
+        };
+    }
+
+    /**
+     * Anota en cada punto su tiempo, velocidad, aceleración y centro instantáneo
+     * a partir del ángulo, el CIR y la velocidad angular de cada muestra
+     * @private
+     * @param {Cyclogon} cyclogon - Curva a anotar
+     * @param {Array} points - Puntos de la curva (definen los tramos)
+     * @param {Array} samples - [{angle, instantCenter, angularVelocity, arrivalVelocity?}]
+     *                          (arrivalVelocity: ω al llegar al punto, antes de un impacto)
+     * @returns {number} Duración total
+     */
+    _annotateMotion(cyclogon, points, samples) {
+        // 1. Derivadas respecto al ángulo dentro de cada tramo
+        const icX = RollingGeometry.differentiateByAngle(points, samples, s => s.instantCenter.x);
+        const icY = RollingGeometry.differentiateByAngle(points, samples, s => s.instantCenter.y);
+        const omegaRate = RollingGeometry.differentiateByAngle(points, samples, s => s.angularVelocity);
+
+        // 2. Velocidad, aceleración y tiempo: regla del trapecio sobre dt = dφ / φ', o
+        //    dt = 2·Δφ / (ω₀ + ω₁) si la velocidad angular varía con la dinámica (exacto
+        //    con aceleración constante y válido al arrancar desde el reposo)
+        const sign = RollingGeometry.getRollingSign(cyclogon.metadata);
+        let time = 0;
+        cyclogon.annotatePoints((p, i) => {
+            const { instantCenter, angularVelocity: w, arrivalVelocity } = samples[i];
+
+            if (i > 0) {
+                const previous = samples[i - 1];
+                const deltaAngle = samples[i].angle - previous.angle;
+                if (arrivalVelocity !== undefined) {
+                    const meanVelocity = previous.angularVelocity + arrivalVelocity;
+                    if (deltaAngle > 0 && meanVelocity > 0) {
+                        time += 2 * deltaAngle / meanVelocity;
+                    }
+                } else if (deltaAngle > 0 && w > 0 && previous.angularVelocity > 0) {
+                    time += deltaAngle * (1 / previous.angularVelocity + 1 / w) / 2;
+                }
+            }
+
+            const r = { x: p.x - instantCenter.x, y: p.y - instantCenter.y };
+            const angularAcceleration = w * omegaRate[i];
+            const velocity = { x: sign * w * r.y, y: -sign * w * r.x };
+
+            return {
+                time,
+                angularVelocity: w,
+                velocity,
+                speed: Math.hypot(velocity.x, velocity.y),
+                acceleration: {
+                    x: sign * (angularAcceleration * r.y - w * w * icY[i]) - w * w * r.x,
+                    y: sign * (-angularAcceleration * r.x + w * w * icX[i]) - w * w * r.y
+                },
+                instantCenter: { x: instantCenter.x, y: instantCenter.y }
+            };
+        });
+
+        return time;
+    }
+
+    /**
+     * Dirección de avance del centro: horizontal sobre el suelo y los caminos,
+     * tangente a la órbita del centro en las bases circulares
+     * @private
+     * @returns {Function} centro → vector unitario
+     */
+    _getTravelDirection(metadata) {
+        if (metadata.base !== RollingBase.OUTSIDE && metadata.base !== RollingBase.INSIDE) {
+            return () => ({ x: 1, y: 0 });
+        }
+
+        // Por fuera se avanza en sentido horario alrededor de la base; por dentro, antihorario
+        const sign = metadata.base === RollingBase.OUTSIDE ? 1 : -1;
+        const baseCenter = metadata.baseCenter;
+        return (center) => {
+            const dx = center.x - baseCenter.x;
+            const dy = center.y - baseCenter.y;
+            const length = Math.hypot(dx, dy) || 1;
+            return { x: sign * dy / length, y: -sign * dx / length };
+        };
+    }
+}
+
+export default KinematicsService;
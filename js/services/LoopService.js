@@ -0,0 +1,62 @@
+/**
+ * ============================================
+ * LOOPSERVICE.JS - Servicio de Autointersecciones y Bucles
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Busca los cruces de la curva consigo misma y mide el área de
+ * los bucles que cierran. La clasificación de la curva (acortada,
+ * común o alargada) la calcula el generador a partir del punto
+ * de dibujo y se devuelve junto a los bucles.
+ */
+
+import { CONFIG } from '../config/constants.js';
+import Polygon from '../models/Polygon.js';
+import CurveGeometry from './CurveGeometry.js';
+
+export class LoopService {
+    // ==========================================
+    // MÉTODOS PÚBLICOS - ANÁLISIS
+    // ==========================================
+
+    /**
+     * Busca las autointersecciones de la curva con un barrido por X y mide los bucles
+     *
+     * Cada cruce entre los tramos i < j cierra un bucle: el cruce, los puntos i+1..j
+     * y de nuevo el cruce, cuya área se calcula con la fórmula del polígono.
+     *
+     * @param {Cyclogon} cyclogon - Curva a analizar
+     * @returns {Object} { intersections: [{x, y, segments: [i, j]}],
+     *                     loops: [{intersection, startIndex, endIndex, area}],
+     *                     classification, totalLoopArea }
+     */
+    analyze(cyclogon) {
+        const points = cyclogon.getPoints();
+
+        // 1. Barrido: cruces entre tramos no consecutivos
+        const intersections = CurveGeometry.findCrossings(points);
+
+        // 2. Bucles: el tramo de curva entre las dos pasadas por el cruce
+        // Los cruces sin área (el punto toca la base sobre el pivote) no son bucles y se descartan
+        const crossings = [];
+        const loops = [];
+        intersections.forEach(crossing => {
+            const [i, j] = crossing.segments;
+            const outline = [crossing, ...points.slice(i + 1, j + 1)];
+            const area = Math.abs(Polygon.getSignedArea(outline));
+            if (area > CONFIG.CYCLOGON.LOOPS.MIN_LOOP_AREA) {
+                loops.push({ intersection: crossings.length, startIndex: i + 1, endIndex: j, area });
+                crossings.push({ x: crossing.x, y: crossing.y, segments: crossing.segments });
+            }
+        });
+
+        return {
+            intersections: crossings,
+            loops,
+            classification: cyclogon.getMetadataValue('classification') ?? null,
+            totalLoopArea: loops.reduce((sum, loop) => sum + loop.area, 0)
+        };
+    }
+}
+
+export default LoopService;
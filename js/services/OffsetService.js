@@ -0,0 +1,296 @@
+/**
+ * ============================================
+ * OFFSETSERVICE.JS - Servicio de Curvas Paralelas
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Desplaza la curva una distancia fija a cada lado (con uniones
+ * redondas en los vértices) y construye el contorno de la banda
+ * que las une, recortando los trozos que las cúspides y los
+ * bucles de la curva original meten dentro de la banda.
+ */
+
+import { CONFIG } from '../config/constants.js';
+import Cyclogon from '../models/Cyclogon.js';
+import { CurveType } from './CyclogonCalculator.js';
+import CurveGeometry from './CurveGeometry.js';
+import SegmentGrid from './SegmentGrid.js';
+
+export class OffsetService {
+    // ==========================================
+    // MÉTODOS PÚBLICOS - CURVAS PARALELAS
+    // ==========================================
+
+    /**
+     * Genera las curvas paralelas a una distancia fija a cada lado de la curva
+     * y el contorno cerrado de la banda que las une
+     *
+     * Cada tramo de la polilínea se desplaza d a lo largo de su normal; en el lado
+     * convexo de cada vértice se añade un arco de radio d (unión redonda) y en el
+     * cóncavo los tramos se unen en su corte. Las cúspides y los bucles de la curva original
+     * producen cruces en el desplazamiento: la polilínea se corta por ellos y se
+     * descartan los trozos que quedan a menos de d de la curva.
+     *
+     * El contorno recorre el lado izquierdo, un remate semicircular en el final,
+     * el lado derecho al revés y otro remate en el inicio; tras el recorte queda el
+     * borde de la banda (la curva engrosada d), con un contorno por cada hueco.
+     *
+     * La distancia de cada trozo a la curva original se mide con una rejilla de
+     * tramos (SegmentGrid): con muchos ciclos alrededor de una base circular la curva
+     * pasa muchas veces por la misma zona y hay un trozo que comprobar por cada cruce.
+     *
+     * @param {Cyclogon} cyclogon - Curva a desplazar
+     * @param {number} distance - Distancia a cada lado
+     * @returns {Object} { left: Cyclogon, right: Cyclogon, outline: Cyclogon, distance }
+     */
+    generate(cyclogon, distance) {
+        if (!(distance > 0)) {
+            throw new Error('La distancia de la curva paralela debe ser positiva');
+        }
+
+        // Los puntos repetidos (punto parado sobre el pivote) no tienen dirección
+        const minLength = distance * CONFIG.CYCLOGON.OFFSET.TRIM_TOLERANCE;
+        const source = [];
+        cyclogon.getPoints().forEach(p => {
+            const last = source[source.length - 1];
+            if (!last || Math.hypot(p.x - last.x, p.y - last.y) > minLength) source.push(p);
+        });
+        if (source.length < 2) {
+            throw new Error('La curva necesita al menos dos puntos distintos para desplazarla');
+        }
+
+        const left = this._offsetPolyline(source, distance, 1);
+        const right = this._offsetPolyline(source, distance, -1);
+
+        // Remates: semicírculos en sentido horario de un lado al otro
+        const first = source[0];
+        const last = source[source.length - 1];
+        const endCap = this._sampleArc(last, left[left.length - 1], -Math.PI);
+        const startCap = this._sampleArc(first, right[0], -Math.PI);
+        const outline = [...left, ...endCap, ...right.slice().reverse(), ...startCap];
+
+        const build = (side, branches) => {
+            const curve = new Cyclogon(CurveType.OFFSET, cyclogon.sourceShape);
+            branches.forEach((points, branch) => {
+                points.forEach(p => curve.addPoint({ x: p.x, y: p.y, branch }));
+            });
+            curve.setMetadata({
+                source: cyclogon.type,
+                side,
+                distance,
+                branches: branches.length,
+                closed: side === 'outline'
+            });
+            return curve;
+        };
+
+        // Los cruces se buscan sobre el contorno completo: cada lado también se corta
+        // donde entra en la banda atravesando el otro lado o un remate
+        const crossings = CurveGeometry.findCrossings(outline, true);
+        const cutsBetween = (from, to) => {
+            const cuts = [];
+            crossings.forEach((crossing, id) => {
+                crossing.segments.forEach((segment, k) => {
+                    if (segment >= from && segment < to) {
+                        cuts.push({ id, segment: segment - from, t: crossing.params[k], point: { x: crossing.x, y: crossing.y } });
+                    }
+                });
+            });
+            return cuts;
+        };
+
+        // Rejilla de la curva original para medir a qué distancia queda cada trozo
+        const sourceGrid = new SegmentGrid(source);
+
+        // El lado derecho se recorta en el sentido del contorno y se devuelve al del avance
+        const rightStart = left.length + endCap.length;
+        const rightBranches = this._trimOffset(
+            outline.slice(rightStart, rightStart + right.length),
+            cutsBetween(rightStart, rightStart + right.length - 1), false, sourceGrid, distance
+        ).map(points => points.reverse()).reverse();
+
+        return {
+            left: build('left', this._trimOffset(left, cutsBetween(0, left.length - 1), false, sourceGrid, distance)),
+            right: build('right', rightBranches),
+            outline: build('outline', this._trimOffset(outline, cutsBetween(0, outline.length), true, sourceGrid, distance)),
+            distance
+        };
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS
+    // ==========================================
+
+    /**
+     * Desplazamiento sin recortar de una polilínea hacia un lado
+     * @private
+     * @param {Array} points - Vértices sin repetidos
+     * @param {number} distance - Distancia
+     * @param {number} side - 1 a la izquierda del avance, -1 a la derecha
+     * @returns {Array} Puntos {x, y}
+     */
+    _offsetPolyline(points, distance, side) {
+        const normals = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            const dx = points[i + 1].x - points[i].x;
+            const dy = points[i + 1].y - points[i].y;
+            const length = Math.hypot(dx, dy);
+            normals.push({ x: -dy * side / length, y: dx * side / length });
+        }
+
+        const shift = (p, n) => ({ x: p.x + n.x * distance, y: p.y + n.y * distance });
+        const result = [];
+        normals.forEach((normal, i) => {
+            const start = shift(points[i], normal);
+            const end = shift(points[i + 1], normal);
+            if (i > 0) {
+                const previous = normals[i - 1];
+                const cross = previous.x * normal.y - previous.y * normal.x;
+                const dot = previous.x * normal.x + previous.y * normal.y;
+                // Giro entre las dos normales; en una vuelta atrás exacta (cross = ±0) el signo
+                // del cero elige el lado que se remata, así que siempre hay uno convexo
+                const turn = Math.atan2(cross, dot);
+                if (side * turn < 0) {
+                    // Vértice convexo por este lado: unión redonda entre las dos normales
+                    result.push(...this._sampleArc(points[i], shift(points[i], previous), turn));
+                } else {
+                    // Vértice cóncavo: si los dos tramos se cortan, el corte sustituye al solape
+                    const crossing = CurveGeometry.intersectSegments(result[result.length - 2], result[result.length - 1], start, end);
+                    if (crossing) {
+                        result[result.length - 1] = { x: crossing.x, y: crossing.y };
+                        result.push(end);
+                        return;
+                    }
+                }
+            }
+            result.push(start, end);
+        });
+
+        return result;
+    }
+
+    /**
+     * Puntos interiores de un arco alrededor de un centro, sin los extremos
+     * @private
+     * @param {Object} center - Centro {x, y}
+     * @param {Object} start - Punto inicial del arco {x, y}
+     * @param {number} sweep - Ángulo recorrido (positivo antihorario)
+     * @returns {Array} Puntos {x, y}
+     */
+    _sampleArc(center, start, sweep) {
+        const radius = Math.hypot(start.x - center.x, start.y - center.y);
+        const startAngle = Math.atan2(start.y - center.y, start.x - center.x);
+        const steps = Math.ceil(Math.abs(sweep) / CONFIG.CYCLOGON.OFFSET.JOIN_STEP);
+        const points = [];
+        for (let k = 1; k < steps; k++) {
+            const angle = startAngle + sweep * k / steps;
+            points.push({ x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+        }
+        return points;
+    }
+
+    /**
+     * Recorta un desplazamiento por sus autointersecciones
+     *
+     * La polilínea se corta en trozos por los cruces; se conservan los trozos cuyo
+     * punto central está a la distancia del desplazamiento de la curva original y
+     * se encadenan de cruce en cruce. Si la polilínea es cerrada, cada cadena sigue
+     * hasta volver a su inicio, de modo que todos los contornos salen cerrados.
+     *
+     * @private
+     * @param {Array} raw - Desplazamiento sin recortar
+     * @param {Array} cuts - Cortes [{id, segment, t, point}], id del cruce y tramo cortado
+     * @param {boolean} isClosed - Si el último punto se une con el primero
+     * @param {SegmentGrid} sourceGrid - Rejilla de la polilínea original
+     * @param {number} distance - Distancia del desplazamiento
+     * @returns {Array} Ramas (arrays de puntos); las cerradas repiten el primer punto al final
+     */
+    _trimOffset(raw, cuts, isClosed, sourceGrid, distance) {
+        const n = raw.length;
+        const count = isClosed ? n : n - 1;
+        cuts.sort((a, b) => a.segment - b.segment || a.t - b.t);
+
+        if (cuts.length === 0) {
+            return [isClosed ? [...raw, raw[0]] : raw];
+        }
+
+        // Trozos entre cortes consecutivos: los puntos cortados y los vértices intermedios
+        const between = (fromSegment, toSegment) => {
+            const points = [];
+            for (let k = fromSegment + 1; k <= toSegment; k++) points.push(raw[k % n]);
+            return points;
+        };
+        const pieces = [];
+        if (!isClosed) {
+            pieces.push({ start: null, end: cuts[0].id, points: [...between(-1, cuts[0].segment), cuts[0].point] });
+        }
+        for (let k = 0; k < cuts.length - 1; k++) {
+            const [from, to] = [cuts[k], cuts[k + 1]];
+            pieces.push({ start: from.id, end: to.id, points: [from.point, ...between(from.segment, to.segment), to.point] });
+        }
+        const lastCut = cuts[cuts.length - 1];
+        pieces.push(isClosed
+            ? { start: lastCut.id, end: cuts[0].id, points: [lastCut.point, ...between(lastCut.segment, cuts[0].segment + count), cuts[0].point] }
+            : { start: lastCut.id, end: null, points: [lastCut.point, ...between(lastCut.segment, count)] });
+
+        // Se conservan los trozos que no entran en la banda de la curva original
+        // (solo se miden los tramos de las celdas a menos de d, hasta dar con uno dentro)
+        const threshold = distance * (1 - CONFIG.CYCLOGON.OFFSET.TRIM_TOLERANCE);
+        const isInsideBand = (p) => sourceGrid.some(
+            { minX: p.x - distance, maxX: p.x + distance, minY: p.y - distance, maxY: p.y + distance },
+            segment => CurveGeometry.distanceToSegment(p, segment.a, segment.b) < threshold
+        );
+        const probe = (points) => points.length > 2
+            ? points[Math.floor(points.length / 2)]
+            : { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 };
+        const kept = pieces.filter(piece => !isInsideBand(probe(piece.points)));
+
+        // Encadenado: de cada cruce sale un único trozo conservado
+        const byStart = new Map();
+        kept.forEach(piece => {
+            if (piece.start !== null && !byStart.has(piece.start)) byStart.set(piece.start, piece);
+        });
+        const used = new Set();
+        const gap = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+        const follow = (piece) => {
+            const points = [...piece.points];
+            used.add(piece);
+            let next = byStart.get(piece.end);
+            for (;;) {
+                if (!next || used.has(next)) {
+                    if (!isClosed) break;
+                    // En las cúspides dos cruces casi coincidentes dejan entre ellos un trozo
+                    // descartado y el cruce final no tiene sucesor: se sigue por el trozo libre
+                    // que empieza más cerca, salvo que el propio contorno cierre antes
+                    const end = points[points.length - 1];
+                    next = null;
+                    let nearest = gap(end, points[0]);
+                    kept.forEach(candidate => {
+                        if (used.has(candidate) || gap(end, candidate.points[0]) >= nearest) return;
+                        next = candidate;
+                        nearest = gap(end, candidate.points[0]);
+                    });
+                    if (!next) break;
+                }
+                used.add(next);
+                const [first, ...rest] = next.points;
+                points.push(...(gap(first, points[points.length - 1]) === 0 ? rest : next.points));
+                next = byStart.get(next.end);
+            }
+            // Los contornos cerrados repiten el primer punto al final
+            if (isClosed && gap(points[0], points[points.length - 1]) > 0) points.push(points[0]);
+            return points;
+        };
+
+        // Primero las ramas abiertas (desde el inicio sin cortar), después los contornos cerrados
+        const branches = [];
+        kept.filter(piece => piece.start === null).forEach(piece => branches.push(follow(piece)));
+        kept.forEach(piece => {
+            if (!used.has(piece)) branches.push(follow(piece));
+        });
+
+        return branches.filter(points => points.length > 1);
+    }
+}
+
+export default OffsetService;
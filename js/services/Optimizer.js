@@ -0,0 +1,94 @@
+/**
+ * ============================================
+ * OPTIMIZER.JS - Métodos Numéricos de Búsqueda
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Minimización sin derivadas (Nelder-Mead) y bisección sobre
+ * una condición, compartidas por el ajuste a datos medidos y
+ * el diseño inverso del punto de dibujo.
+ */
+
+export class Optimizer {
+    /**
+     * Minimiza una función con el método simplex de Nelder-Mead
+     * @param {Function} f - Función a minimizar
+     * @param {Array} start - Punto inicial
+     * @param {Array} steps - Tamaño inicial del simplex en cada dimensión
+     * @param {Object} options - { maxIterations, tolerance (relativa entre el mejor y el peor vértice) }
+     * @returns {Object} { point, cost }
+     */
+    static nelderMead(f, start, steps, { maxIterations = 200, tolerance = 1e-6 } = {}) {
+        const n = start.length;
+        let simplex = [{ point: start, cost: f(start) }];
+        for (let i = 0; i < n; i++) {
+            const point = [...start];
+            point[i] += steps[i];
+            simplex.push({ point, cost: f(point) });
+        }
+
+        const combine = (a, b, t) => a.map((value, i) => value + t * (b[i] - value));
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            simplex.sort((a, b) => a.cost - b.cost);
+            const best = simplex[0];
+            const worst = simplex[n];
+            if (worst.cost - best.cost <= tolerance * (Math.abs(best.cost) + 1e-12)) break;
+
+            // Centroide de todos menos el peor
+            const centroid = new Array(n).fill(0);
+            simplex.slice(0, n).forEach(({ point }) => point.forEach((value, i) => { centroid[i] += value / n; }));
+
+            const reflected = combine(centroid, worst.point, -1);
+            const reflectedCost = f(reflected);
+
+            if (reflectedCost < best.cost) {
+                const expanded = combine(centroid, worst.point, -2);
+                const expandedCost = f(expanded);
+                simplex[n] = expandedCost < reflectedCost
+                    ? { point: expanded, cost: expandedCost }
+                    : { point: reflected, cost: reflectedCost };
+            } else if (reflectedCost < simplex[n - 1].cost) {
+                simplex[n] = { point: reflected, cost: reflectedCost };
+            } else {
+                const contracted = combine(centroid, worst.point, 0.5);
+                const contractedCost = f(contracted);
+                if (contractedCost < worst.cost) {
+                    simplex[n] = { point: contracted, cost: contractedCost };
+                } else {
+                    // Encoger hacia el mejor
+                    simplex = simplex.map((vertex, i) => {
+                        if (i === 0) return vertex;
+                        const point = combine(best.point, vertex.point, 0.5);
+                        return { point, cost: f(point) };
+                    });
+                }
+            }
+        }
+
+        simplex.sort((a, b) => a.cost - b.cost);
+        return simplex[0];
+    }
+
+    /**
+     * Busca por bisección dónde empieza a cumplirse una condición
+     * @param {Function} predicate - Condición falsa en low y cierta en high
+     * @param {number} low - Extremo en el que no se cumple
+     * @param {number} high - Extremo en el que se cumple
+     * @param {Object} options - { maxIterations, tolerance (anchura final del intervalo) }
+     * @returns {number} Punto medio del intervalo final
+     */
+    static bisect(predicate, low, high, { maxIterations = 60, tolerance = 1e-9 } = {}) {
+        for (let iteration = 0; iteration < maxIterations && Math.abs(high - low) > tolerance; iteration++) {
+            const middle = (low + high) / 2;
+            if (predicate(middle)) {
+                high = middle;
+            } else {
+                low = middle;
+            }
+        }
+        return (low + high) / 2;
+    }
+}
+
+export default Optimizer;
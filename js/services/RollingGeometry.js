@@ -0,0 +1,80 @@
+/**
+ * ============================================
+ * ROLLINGGEOMETRY.JS - Magnitudes de la Rodadura
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Lectura de la información de rodadura que el generador deja
+ * en los puntos de la curva (contacto, pivote, ángulo girado y
+ * tramo), compartida por la cinemática, la dinámica y los
+ * análisis de curvatura y de áreas.
+ */
+
+import { RollingDirection } from './CyclogonCalculator.js';
+import CurveGeometry from './CurveGeometry.js';
+
+export class RollingGeometry {
+    /**
+     * Centro instantáneo de rotación de un punto de la curva: el contacto o el pivote,
+     * salvo que la forma deslice (el generador lo sitúa entonces en instantCenter)
+     * @param {Object} p - Punto de la curva
+     * @returns {Object|undefined} {x, y}
+     */
+    static getInstantCenter(p) {
+        return p.instantCenter ?? p.contact ?? p.pivot;
+    }
+
+    /**
+     * Signo del giro: 1 si la forma rueda hacia la derecha (horario), -1 hacia la izquierda
+     * @param {Object} metadata - Metadatos de la curva
+     * @returns {number}
+     */
+    static getRollingSign(metadata) {
+        return metadata.direction === RollingDirection.LEFT ? -1 : 1;
+    }
+
+    /**
+     * Tramo (lado, arco o esquina) al que pertenece un punto de la curva
+     * @param {Object} p - Punto de la curva
+     * @returns {number}
+     */
+    static getSegment(p) {
+        return p.sideIndex ?? p.segmentIndex ?? 0;
+    }
+
+    /**
+     * Deriva una magnitud respecto al ángulo girado con diferencias finitas de
+     * tres puntos (no uniformes), sin cruzar los límites entre tramos
+     * @param {Array} points - Puntos de la curva (definen los tramos)
+     * @param {Array} samples - Muestras con su ángulo
+     * @param {Function} value - muestra → número
+     * @returns {Array<number>} Derivada en cada punto (0 en tramos de un solo punto)
+     */
+    static differentiateByAngle(points, samples, value) {
+        const derivatives = new Array(samples.length).fill(0);
+        const segmentOf = RollingGeometry.getSegment;
+
+        let start = 0;
+        while (start < samples.length) {
+            // Un tramo termina al cambiar de lado/arco o si el ángulo no avanza
+            let end = start;
+            while (end + 1 < samples.length &&
+                   segmentOf(points[end + 1]) === segmentOf(points[start]) &&
+                   samples[end + 1].angle - samples[end].angle > 1e-12) {
+                end++;
+            }
+
+            const angles = samples.slice(start, end + 1).map(s => s.angle);
+            const values = samples.slice(start, end + 1).map(value);
+            CurveGeometry.threePointDerivative(angles, values).forEach((derivative, k) => {
+                derivatives[start + k] = derivative;
+            });
+
+            start = end + 1;
+        }
+
+        return derivatives;
+    }
+}
+
+export default RollingGeometry;
@@ -0,0 +1,140 @@
+/**
+ * ============================================
+ * SEGMENTGRID.JS - Índice Espacial de Polilíneas
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Reparte los tramos de una polilínea en una rejilla uniforme
+ * de celdas cuadradas: cada tramo se apunta en todas las celdas
+ * que toca su caja. Las búsquedas de distancias solo miran los
+ * tramos de las celdas cercanas, así que su coste depende de
+ * cuántos tramos se acumulan en cada zona y no del total.
+ */
+
+export class SegmentGrid {
+    /**
+     * Crea la rejilla de una polilínea
+     * @param {Array} points - Vértices de la polilínea
+     * @param {Object} options - Opciones
+     * @param {boolean} options.isClosed - Si el último vértice se une con el primero
+     * @param {number} options.cellSize - Lado de las celdas (por defecto, el doble del tramo medio)
+     */
+    constructor(points, { isClosed = false, cellSize = null } = {}) {
+        const n = points.length;
+        const count = isClosed ? n : Math.max(0, n - 1);
+        this._segments = [];
+        this._cells = new Map();
+        this._queryId = 0;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        let totalLength = 0;
+        for (let i = 0; i < count; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % n];
+            // Los tramos de longitud nula (punto parado sobre el pivote) ya los cubren sus vecinos
+            if (a.x === b.x && a.y === b.y) continue;
+            const segment = {
+                index: i, a, b,
+                minX: Math.min(a.x, b.x), maxX: Math.max(a.x, b.x),
+                minY: Math.min(a.y, b.y), maxY: Math.max(a.y, b.y),
+                queryId: 0
+            };
+            this._segments.push(segment);
+            minX = Math.min(minX, segment.minX);
+            minY = Math.min(minY, segment.minY);
+            maxX = Math.max(maxX, segment.maxX);
+            maxY = Math.max(maxY, segment.maxY);
+            totalLength += Math.hypot(b.x - a.x, b.y - a.y);
+        }
+        if (this._segments.length === 0) return;
+
+        // Como mucho unas cuatro celdas por tramo, para no llenar la memoria de celdas vacías
+        const width = maxX - minX;
+        const height = maxY - minY;
+        this._cellSize = Math.max(
+            cellSize ?? 2 * totalLength / this._segments.length,
+            Math.sqrt(width * height / (4 * this._segments.length)),
+            1e-12 * Math.max(1, width, height)
+        );
+        this._minX = minX;
+        this._minY = minY;
+        this._columns = Math.floor(width / this._cellSize) + 1;
+        this._rows = Math.floor(height / this._cellSize) + 1;
+
+        this._segments.forEach(segment => {
+            this._forEachCellKey(segment, key => {
+                const cell = this._cells.get(key);
+                if (cell) {
+                    cell.push(segment);
+                } else {
+                    this._cells.set(key, [segment]);
+                }
+            });
+        });
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - CONSULTAS
+    // ==========================================
+
+    /**
+     * Indica si algún tramo de las celdas que toca una caja cumple una condición
+     * Cada tramo se comprueba una sola vez y la búsqueda para en el primero que la cumple
+     * @param {Object} box - { minX, maxX, minY, maxY }
+     * @param {Function} predicate - tramo {index, a, b, minX, maxX, minY, maxY} → boolean
+     * @returns {boolean}
+     */
+    some(box, predicate) {
+        if (this._segments.length === 0) return false;
+
+        const queryId = ++this._queryId;
+        let found = false;
+        this._forEachCellKey(box, key => {
+            const cell = this._cells.get(key);
+            if (found || !cell) return;
+            found = cell.some(segment => {
+                if (segment.queryId === queryId) return false;
+                segment.queryId = queryId;
+                return predicate(segment);
+            });
+        });
+        return found;
+    }
+
+    // ==========================================
+    // MÉTODOS PRIVADOS
+    // ==========================================
+
+    /**
+     * Recorre las claves de las celdas que toca una caja (recortada a la rejilla)
+     * @private
+     */
+    _forEachCellKey(box, callback) {
+        const fromColumn = Math.max(0, this._getColumn(box.minX));
+        const toColumn = Math.min(this._columns - 1, this._getColumn(box.maxX));
+        const fromRow = Math.max(0, this._getRow(box.minY));
+        const toRow = Math.min(this._rows - 1, this._getRow(box.maxY));
+        for (let column = fromColumn; column <= toColumn; column++) {
+            for (let row = fromRow; row <= toRow; row++) {
+                callback(this._getKey(column, row));
+            }
+        }
+    }
+
+    /** @private */
+    _getColumn(x) {
+        return Math.floor((x - this._minX) / this._cellSize);
+    }
+
+    /** @private */
+    _getRow(y) {
+        return Math.floor((y - this._minY) / this._cellSize);
+    }
+
+    /** @private */
+    _getKey(column, row) {
+        return row * this._columns + column;
+    }
+}
+
+export default SegmentGrid;
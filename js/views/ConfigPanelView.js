@@ -6,8 +6,9 @@
  * 
  * Clase que maneja la visualización y renderizado
  * del panel de configuración usando Three.js.
- * Incluye la forma (círculo/polígono), el punto de
- * dibujo y toda la interacción visual.
+ * Incluye la forma (círculo/polígono), los puntos de
+ * dibujo, el editor de vértices de polígonos libres
+ * y toda la interacción visual.
  * 
  * FASE 3: Mejorado con feedback visual avanzado y animaciones
  */
@@ -16,7 +17,19 @@ import * as THREE from 'three';
 import { CONFIG, MATH } from '../config/constants.js';
 import Polygon from '../models/Polygon.js';
 import Circle from '../models/Circle.js';
-import DrawPoint, { DrawPointState } from '../models/DrawPoint.js';
+import Ellipse from '../models/Ellipse.js';
+import PolarShape from '../models/PolarShape.js';
+import ReuleauxPolygon from '../models/ReuleauxPolygon.js';
+import DrawPoint, { DrawPointState, DrawPointAnchor } from '../models/DrawPoint.js';
+
+/**
+ * Objetivos interactivos del panel (resultado del hit test)
+ * @enum {string}
+ */
+export const PanelTarget = {
+    DRAW_POINT: 'drawPoint',
+    VERTEX: 'vertex'
+};
 
 /**
  * Vista del panel de configuración
@@ -41,7 +54,9 @@ export class ConfigPanelView {
 
         // Modelos
         this._shapeModel = null;  // Polygon o Circle
-        this._drawPointModel = null;
+        this._drawPointModel = null;     // Punto activo (el que se arrastra)
+        this._drawPoints = [];           // Todos los puntos, cada uno traza su propia curva
+        this._drawPointCounter = 0;      // Para numerar los nombres por defecto
 
         // Objetos 3D
         this._shapeGroup = null;
@@ -49,6 +64,8 @@ export class ConfigPanelView {
         this._shapeOutline = null;
         this._drawPointMesh = null;
         this._drawPointRing = null;
+        this._seriesGroup = null;        // Marcadores de los puntos inactivos
+        this._familyGroup = null;        // Marcadores de los puntos de la familia de curvas
         this._gridHelper = null;
 
         // FASE 3: Nuevos objetos visuales
@@ -57,6 +74,18 @@ export class ConfigPanelView {
         this._glowMesh = null;           // Efecto de glow en el punto
         this._snapGuideLines = null;     // Líneas guía para snap
 
+        // Editor de vértices (polígono libre)
+        this._isVertexEditMode = false;
+        this._editVertices = [];         // Vértices mostrados (sus lados pueden cruzarse al arrastrar)
+        this._validVertices = [];        // Últimos vértices válidos
+        this._isEditShapeValid = true;
+        this._shapeOffset = { x: 0, y: 0 }; // Centroide de la forma en el canvas mientras se edita
+        this._hoveredVertexIndex = -1;
+        this._activeVertexIndex = -1;
+
+        // Redondeo de las esquinas de los polígonos regulares (fracción del máximo)
+        this._filletRatio = 0;
+
         // Estado de renderizado
         this._needsUpdate = true;
         this._animationFrameId = null;
@@ -101,11 +130,31 @@ export class ConfigPanelView {
         return this._shapeModel;
     }
 
-    /** @returns {DrawPoint|null} Modelo del punto de dibujo */
+    /** @returns {DrawPoint|null} Modelo del punto de dibujo activo */
     get drawPointModel() {
         return this._drawPointModel;
     }
 
+    /** @returns {Array<DrawPoint>} Copia de la lista de puntos de dibujo */
+    get drawPoints() {
+        return [...this._drawPoints];
+    }
+
+    /** @returns {number} Índice del punto de dibujo activo */
+    get activeDrawPointIndex() {
+        return this._drawPoints.indexOf(this._drawPointModel);
+    }
+
+    /** @returns {boolean} Si el editor de vértices está activo */
+    get isVertexEditMode() {
+        return this._isVertexEditMode;
+    }
+
+    /** @returns {boolean} Si los vértices editados forman un polígono válido (sin lados cruzados) */
+    get isEditShapeValid() {
+        return this._isEditShapeValid;
+    }
+
     // ==========================================
     // MÉTODOS DE INICIALIZACIÓN
     // ==========================================
@@ -243,7 +292,13 @@ export class ConfigPanelView {
      * @private
      */
     _initDrawPoint() {
-        this._drawPointModel = new DrawPoint(0, CONFIG.SHAPES.DEFAULT_RADIUS);
+        this._seriesGroup = new THREE.Group();
+        this._scene.add(this._seriesGroup);
+        this._familyGroup = new THREE.Group();
+        this._scene.add(this._familyGroup);
+
+        this._drawPointModel = this._createDrawPoint(DrawPointAnchor.VERTEX, 0, CONFIG.SHAPES.DEFAULT_RADIUS);
+        this._drawPoints = [this._drawPointModel];
         this._createDrawPointVisual();
     }
 
@@ -320,6 +375,8 @@ export class ConfigPanelView {
             this._createCircleVisual();
         } else if (this._shapeModel instanceof Polygon) {
             this._createPolygonVisual();
+        } else if (this._shapeModel instanceof PolarShape) {
+            this._createPolarShapeVisual();
         }
 
         this._scene.add(this._shapeGroup);
@@ -358,17 +415,55 @@ export class ConfigPanelView {
         this._addCenterMarker();
     }
 
+    /**
+     * Crea la visualización de una forma curva (elipse, Reuleaux, r(φ))
+     * @private
+     */
+    _createPolarShapeVisual() {
+        const outline = this._shapeModel.getPoints();
+
+        // Relleno de la forma (muy sutil)
+        const shape = new THREE.Shape(outline.map(p => new THREE.Vector2(p.x, p.y)));
+        const fillMaterial = new THREE.MeshBasicMaterial({
+            color: CONFIG.COLORS.POLYGON,
+            transparent: true,
+            opacity: 0.1,
+            side: THREE.DoubleSide
+        });
+        this._shapeFill = new THREE.Mesh(new THREE.ShapeGeometry(shape), fillMaterial);
+        this._shapeGroup.add(this._shapeFill);
+
+        // Borde de la forma
+        const points = outline.map(p => new THREE.Vector3(p.x, p.y, 0));
+        points.push(points[0].clone());
+
+        const outlineGeometry = new THREE.BufferGeometry().setFromPoints(points);
+        const outlineMaterial = new THREE.LineBasicMaterial({
+            color: CONFIG.COLORS.POLYGON,
+            linewidth: 2
+        });
+        this._shapeOutline = new THREE.Line(outlineGeometry, outlineMaterial);
+        this._shapeOutline.position.z = 0.01;
+        this._shapeGroup.add(this._shapeOutline);
+
+        this._addCenterMarker();
+    }
+
     /**
      * Crea la visualización de un polígono
      * @private
      */
     _createPolygonVisual() {
         const polygon = this._shapeModel;
-        const vertices = polygon.vertices;
+        // En el editor se muestran los vértices tal como los coloca el usuario
+        const vertices = this._isVertexEditMode ? this._editVertices : polygon.vertices;
+        const color = this._isEditShapeValid ? CONFIG.COLORS.POLYGON : CONFIG.COLORS.INVALID_SHAPE;
+        // Contorno real (con las esquinas redondeadas si las hay)
+        const outline = this._isVertexEditMode ? vertices : polygon.getOutlinePoints();
 
         // Crear shape para el relleno
         const shape = new THREE.Shape();
-        vertices.forEach((v, i) => {
+        outline.forEach((v, i) => {
             if (i === 0) {
                 shape.moveTo(v.x, v.y);
             } else {
@@ -380,7 +475,7 @@ export class ConfigPanelView {
         // Relleno del polígono (muy sutil)
         const fillGeometry = new THREE.ShapeGeometry(shape);
         const fillMaterial = new THREE.MeshBasicMaterial({
-            color: CONFIG.COLORS.POLYGON,
+            color: color,
             transparent: true,
             opacity: 0.15,
             side: THREE.DoubleSide
@@ -389,20 +484,27 @@ export class ConfigPanelView {
         this._shapeGroup.add(this._shapeFill);
 
         // Borde del polígono (líneas más gruesas)
-        const points = vertices.map(v => new THREE.Vector3(v.x, v.y, 0));
+        const points = outline.map(v => new THREE.Vector3(v.x, v.y, 0));
         points.push(points[0].clone()); // Cerrar el polígono
 
         const outlineGeometry = new THREE.BufferGeometry().setFromPoints(points);
         const outlineMaterial = new THREE.LineBasicMaterial({
-            color: CONFIG.COLORS.POLYGON,
+            color: color,
             linewidth: 2
         });
         this._shapeOutline = new THREE.Line(outlineGeometry, outlineMaterial);
         this._shapeOutline.position.z = 0.01;
         this._shapeGroup.add(this._shapeOutline);
 
-        // Añadir marcadores de vértices
-        this._addVertexMarkers(vertices);
+        // Envolvente convexa sobre la que rueda la forma
+        if (!polygon.isConvex && this._isEditShapeValid) {
+            this._addHullOutline(polygon);
+        }
+
+        // Añadir marcadores de vértices (las esquinas redondeadas no tienen vértice)
+        if (polygon.filletRadius === 0) {
+            this._addVertexMarkers(vertices, color);
+        }
 
         // Añadir centro
         this._addCenterMarker();
@@ -410,24 +512,53 @@ export class ConfigPanelView {
 
     /**
      * Añade marcadores visuales en los vértices del polígono
+     * En el editor son más grandes y se resalta el vértice bajo el cursor
      * @param {Array} vertices - Array de vértices
+     * @param {number} color - Color de los marcadores
      * @private
      */
-    _addVertexMarkers(vertices) {
-        const markerGeometry = new THREE.CircleGeometry(0.04, 16);
+    _addVertexMarkers(vertices, color = CONFIG.COLORS.POLYGON) {
+        const radius = this._isVertexEditMode ? CONFIG.SHAPES.VERTEX_HIT_RADIUS * 0.6 : 0.04;
+        const markerGeometry = new THREE.CircleGeometry(radius, 16);
         const markerMaterial = new THREE.MeshBasicMaterial({
-            color: CONFIG.COLORS.POLYGON,
+            color: color,
             transparent: true,
             opacity: 0.7
         });
+        const highlightMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
 
-        vertices.forEach(v => {
-            const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+        vertices.forEach((v, i) => {
+            const isHighlighted = this._isVertexEditMode &&
+                (i === this._hoveredVertexIndex || i === this._activeVertexIndex);
+            const marker = new THREE.Mesh(markerGeometry, isHighlighted ? highlightMaterial : markerMaterial);
             marker.position.set(v.x, v.y, 0.02);
             this._shapeGroup.add(marker);
         });
     }
 
+    /**
+     * Añade la envolvente convexa de un polígono no convexo (línea discontinua)
+     * @param {Polygon} polygon - Polígono centrado en el origen
+     * @private
+     */
+    _addHullOutline(polygon) {
+        const points = polygon.getConvexHull().vertices.map(v => new THREE.Vector3(v.x, v.y, 0));
+        points.push(points[0].clone());
+
+        const hullGeometry = new THREE.BufferGeometry().setFromPoints(points);
+        const hullMaterial = new THREE.LineDashedMaterial({
+            color: CONFIG.COLORS.UI_ELEMENTS,
+            dashSize: 0.06,
+            gapSize: 0.04,
+            transparent: true,
+            opacity: 0.5
+        });
+        const hullLine = new THREE.Line(hullGeometry, hullMaterial);
+        hullLine.computeLineDistances();
+        hullLine.position.set(this._shapeOffset.x, this._shapeOffset.y, 0.005);
+        this._shapeGroup.add(hullLine);
+    }
+
     /**
      * Añade un marcador en el centro de la forma
      * @private
@@ -453,6 +584,7 @@ export class ConfigPanelView {
         });
         
         const centerLines = new THREE.LineSegments(lineGeometry, lineMaterial);
+        centerLines.position.set(this._shapeOffset.x, this._shapeOffset.y, 0);
         this._shapeGroup.add(centerLines);
     }
 
@@ -579,6 +711,96 @@ export class ConfigPanelView {
         }
     }
 
+    /**
+     * Crea un punto de dibujo con el siguiente nombre y color libres de la paleta
+     * @private
+     */
+    _createDrawPoint(anchor, x = 0, y = 0) {
+        const palette = CONFIG.DRAW_POINT.SERIES_COLORS;
+        const usedColors = this._drawPoints.map(point => point.seriesColor);
+        const seriesColor = palette.find(color => !usedColors.includes(color)) ??
+            palette[this._drawPoints.length % palette.length];
+
+        this._drawPointCounter++;
+        return new DrawPoint(x, y, {
+            name: `Punto ${this._drawPointCounter}`,
+            seriesColor,
+            anchor
+        });
+    }
+
+    /**
+     * Crea los marcadores de los puntos inactivos (disco del color de su curva)
+     * @private
+     */
+    _createSeriesVisual() {
+        this._clearSeriesVisual();
+
+        this._drawPoints
+            .filter(point => point !== this._drawPointModel)
+            .forEach(point => {
+                const radius = point.radius * 0.75;
+                const marker = new THREE.Mesh(
+                    new THREE.CircleGeometry(radius, 24),
+                    new THREE.MeshBasicMaterial({ color: point.seriesColor })
+                );
+                const ring = new THREE.Mesh(
+                    new THREE.RingGeometry(radius + 0.01, radius + 0.025, 24),
+                    new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.6 })
+                );
+                marker.add(ring);
+                marker.userData.drawPoint = point;
+                marker.position.set(point.x, point.y, 0.09);
+                this._seriesGroup.add(marker);
+            });
+
+        this._needsUpdate = true;
+    }
+
+    /**
+     * Limpia los marcadores de los puntos inactivos
+     * @private
+     */
+    _clearSeriesVisual() {
+        if (!this._seriesGroup) return;
+
+        while (this._seriesGroup.children.length > 0) {
+            const marker = this._seriesGroup.children[0];
+            this._seriesGroup.remove(marker);
+            marker.traverse((obj) => {
+                if (obj.geometry) obj.geometry.dispose();
+                if (obj.material) obj.material.dispose();
+            });
+        }
+    }
+
+    /**
+     * Reposiciona los marcadores de los puntos inactivos
+     * @private
+     */
+    _updateSeriesVisual() {
+        if (!this._seriesGroup) return;
+
+        this._seriesGroup.children.forEach(marker => {
+            const point = marker.userData.drawPoint;
+            marker.position.set(point.x, point.y, 0.09);
+        });
+    }
+
+    /**
+     * Recoloca todos los puntos de dibujo sobre la forma actual según su referencia
+     * @private
+     */
+    _resetDrawPoints() {
+        // Resetear estados del punto activo antes de reposicionar
+        this._drawPointModel.isDragging = false;
+        this._drawPointModel.isHovered = false;
+        this._isSnapModeActive = false;
+
+        this._drawPoints.forEach(point => point.resetToAnchor(this._shapeModel));
+        this.updateDrawPointPosition();
+    }
+
     // ==========================================
     // MÉTODOS PÚBLICOS - ACTUALIZACIÓN DE FORMA
     // ==========================================
@@ -588,67 +810,304 @@ export class ConfigPanelView {
      * @param {number} radius - Radio del círculo
      */
     setCircle(radius = CONFIG.SHAPES.DEFAULT_RADIUS) {
+        this._exitVertexEditMode();
         this._shapeModel = new Circle(radius);
         this._createShapeVisual();
         
-        // Resetear estados del punto de dibujo antes de reposicionar
-        this._drawPointModel.isDragging = false;
-        this._drawPointModel.isHovered = false;
-        this._isSnapModeActive = false;
+        // Reposicionar los puntos de dibujo sobre la nueva forma
+        this._resetDrawPoints();
+    }
+
+    /**
+     * Cambia la forma a una elipse
+     * @param {number} radiusX - Semieje horizontal
+     * @param {number} radiusY - Semieje vertical
+     */
+    setEllipse(radiusX = CONFIG.SHAPES.DEFAULT_RADIUS, radiusY = CONFIG.SHAPES.DEFAULT_RADIUS * CONFIG.SHAPES.DEFAULT_ELLIPSE_RATIO) {
+        this.setPolarShape(new Ellipse(radiusX, radiusY));
+    }
+
+    /**
+     * Cambia la forma a un polígono de Reuleaux (vértice superior, apoyado sobre un arco)
+     * @param {number} sides - Número de lados (impar)
+     * @param {number} radius - Radio circunscrito del polígono base
+     */
+    setReuleaux(sides = CONFIG.SHAPES.DEFAULT_REULEAUX_SIDES, radius = CONFIG.SHAPES.DEFAULT_RADIUS) {
+        this.setPolarShape(new ReuleauxPolygon(sides, radius));
+    }
+
+    /**
+     * Cambia la forma a una forma convexa suave definida por r(φ)
+     * @param {PolarShape} shape - Forma ya construida
+     */
+    setPolarShape(shape) {
+        this._exitVertexEditMode();
+        this._shapeModel = shape;
+        this._createShapeVisual();
         
-        // Reposicionar punto de dibujo
-        this._drawPointModel.resetToCircleTop(this._shapeModel);
-        this.updateDrawPointPosition();
+        // Reposicionar los puntos de dibujo sobre la nueva forma
+        this._resetDrawPoints();
     }
 
     /**
      * Cambia la forma a un polígono
-     * @param {number} sides - Número de lados
+     * @param {number} sides - Número de lados (puntas si es una estrella)
      * @param {number} radius - Radio circunscrito
+     * @param {number} density - Salto k del polígono estrellado {n/k} (1 = polígono regular)
      */
-    setPolygon(sides, radius = CONFIG.SHAPES.DEFAULT_RADIUS) {
-        // Calcular rotación para que el polígono descanse sobre un lado
-        const rotationOffset = -Math.PI / 2 + Math.PI / sides;
-        this._shapeModel = new Polygon(sides, radius, rotationOffset);
+    setPolygon(sides, radius = CONFIG.SHAPES.DEFAULT_RADIUS, density = 1) {
+        this._exitVertexEditMode();
+        this._shapeModel = this._createRegularPolygon(sides, radius, density);
         this._createShapeVisual();
         
-        // Resetear estados del punto de dibujo antes de reposicionar
-        this._drawPointModel.isDragging = false;
-        this._drawPointModel.isHovered = false;
-        this._isSnapModeActive = false;
-        
-        // Reposicionar punto de dibujo
-        this._drawPointModel.resetToPolygonTop(this._shapeModel);
-        this.updateDrawPointPosition();
+        // Reposicionar los puntos de dibujo sobre la nueva forma
+        this._resetDrawPoints();
     }
 
     /**
      * Actualiza el número de lados del polígono actual
      * @param {number} sides - Nuevo número de lados
+     * @param {number} density - Salto k del polígono estrellado {n/k} (1 = polígono regular)
      */
-    updatePolygonSides(sides) {
-        if (!(this._shapeModel instanceof Polygon)) {
-            console.warn('La forma actual no es un polígono');
+    updatePolygonSides(sides, density = 1) {
+        if (!(this._shapeModel instanceof Polygon) || this._isVertexEditMode) {
+            console.warn('La forma actual no es un polígono regular');
             return;
         }
         
         // Recalcular polígono con nueva rotación para mantenerlo sobre un lado
         const radius = this._shapeModel.radius;
-        const rotationOffset = -Math.PI / 2 + Math.PI / sides;
-        this._shapeModel = new Polygon(sides, radius, rotationOffset);
+        this._shapeModel = this._createRegularPolygon(sides, radius, density);
         
         this._createShapeVisual();
         
-        // Resetear estados del punto de dibujo antes de reposicionar
-        this._drawPointModel.isDragging = false;
-        this._drawPointModel.isHovered = false;
-        this._isSnapModeActive = false;
-        
-        // Reposicionar punto de dibujo
-        this._drawPointModel.resetToPolygonTop(this._shapeModel);
+        // Reposicionar los puntos de dibujo sobre la nueva forma
+        this._resetDrawPoints();
+    }
+
+    /**
+     * Crea un polígono regular o estrellado apoyado sobre un lado (de su envolvente)
+     * @private
+     */
+    _createRegularPolygon(sides, radius, density) {
+        const rotationOffset = -Math.PI / 2 + Math.PI / sides;
+        if (density > 1) {
+            return Polygon.createStar(sides, density, radius, rotationOffset);
+        }
+
+        const polygon = new Polygon(sides, radius, rotationOffset);
+        polygon.filletRadius = this._filletRatio * polygon.getMaxFilletRadius();
+        return polygon;
+    }
+
+    /**
+     * Cambia el redondeo de las esquinas de los polígonos regulares
+     * Se conserva al cambiar el número de lados; las estrellas no se redondean
+     * @param {number} ratio - Fracción del radio máximo (0 = esquinas vivas, 1 = círculo inscrito)
+     */
+    setPolygonFillet(ratio) {
+        this._filletRatio = Math.min(1, Math.max(0, ratio));
+
+        const polygon = this._shapeModel;
+        if (!(polygon instanceof Polygon) || this._isVertexEditMode || !polygon.isConvex) return;
+
+        polygon.filletRadius = this._filletRatio * polygon.getMaxFilletRadius();
+        this._createShapeVisual();
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - EDITOR DE VÉRTICES
+    // ==========================================
+
+    /**
+     * Cambia la forma a un polígono libre editable
+     * @param {Array|Polygon} source - Vértices [{x, y}, ...] o polígono ya construido
+     */
+    setCustomPolygon(source) {
+        const polygon = source instanceof Polygon
+            ? source
+            : Polygon.fromVertices(source, { allowConcave: true });
+
+        this._isVertexEditMode = true;
+        this._hoveredVertexIndex = -1;
+        this._activeVertexIndex = -1;
+        this._applyPolygon(polygon);
+
+        // Reposicionar los puntos de dibujo sobre la nueva forma
+        this._resetDrawPoints();
+    }
+
+    /**
+     * Busca el vértice editable más cercano a un punto
+     * @param {Object} worldPoint - { x, y }
+     * @param {number} tolerance - Distancia máxima
+     * @returns {number} Índice del vértice o -1
+     */
+    getVertexAt(worldPoint, tolerance = CONFIG.SHAPES.VERTEX_HIT_RADIUS) {
+        if (!this._isVertexEditMode) return -1;
+
+        let bestIndex = -1;
+        let bestDistance = tolerance;
+        this._editVertices.forEach((v, i) => {
+            const distance = Math.hypot(v.x - worldPoint.x, v.y - worldPoint.y);
+            if (distance <= bestDistance) {
+                bestDistance = distance;
+                bestIndex = i;
+            }
+        });
+        return bestIndex;
+    }
+
+    /**
+     * Añade un vértice en el lado más cercano al punto
+     * @param {Object} worldPoint - { x, y }
+     * @returns {boolean} Si el polígono resultante es válido y se aplicó
+     */
+    addVertex(worldPoint) {
+        if (!this._isVertexEditMode) return false;
+        if (this._editVertices.length >= CONFIG.SHAPES.MAX_POLYGON_SIDES) return false;
+
+        // Insertar entre los extremos del lado más cercano
+        const edge = this._shapeModel.findClosestEdge({
+            x: worldPoint.x - this._shapeOffset.x,
+            y: worldPoint.y - this._shapeOffset.y
+        });
+        const vertices = this._editVertices.map(v => ({ ...v }));
+        vertices.splice(edge.edgeIndex + 1, 0, { x: worldPoint.x, y: worldPoint.y });
+
+        const polygon = this._tryBuildPolygon(vertices);
+        if (!polygon) return false;
+
+        this._commitPolygon(polygon, vertices);
+        return true;
+    }
+
+    /**
+     * Elimina un vértice (el polígono conserva al menos 3)
+     * @param {number} index - Índice del vértice
+     * @returns {boolean} Si se eliminó
+     */
+    removeVertex(index) {
+        if (!this._isVertexEditMode) return false;
+        if (this._editVertices.length <= CONFIG.SHAPES.MIN_POLYGON_SIDES) return false;
+
+        const vertices = this._editVertices.filter((_, i) => i !== index);
+        const polygon = this._tryBuildPolygon(vertices);
+        if (!polygon) return false;
+
+        this._hoveredVertexIndex = -1;
+        this._commitPolygon(polygon, vertices);
+        return true;
+    }
+
+    /**
+     * Mueve un vértice durante el arrastre
+     * Si sus lados se cruzan se muestra en rojo y se conserva el último
+     * polígono válido como modelo
+     * @param {number} index - Índice del vértice
+     * @param {Object} worldPoint - { x, y }
+     * @returns {boolean} Si el polígono resultante es válido
+     */
+    moveVertex(index, worldPoint) {
+        if (!this._isVertexEditMode || !this._editVertices[index]) return false;
+
+        this._activeVertexIndex = index;
+        this._editVertices[index] = { x: worldPoint.x, y: worldPoint.y };
+
+        const polygon = this._tryBuildPolygon(this._editVertices);
+        this._isEditShapeValid = polygon !== null;
+
+        if (polygon) {
+            // La forma no se recentra hasta soltar el vértice: el centro se desplaza
+            this._shapeModel = polygon;
+            this._validVertices = this._editVertices.map(v => ({ ...v }));
+            this._shapeOffset = Polygon.getCentroid(this._editVertices);
+        }
+
+        this._createShapeVisual();
+        this.updateDrawPointPosition();
+        return this._isEditShapeValid;
+    }
+
+    /**
+     * Termina el arrastre de un vértice: descarta el cambio si los lados se cruzan
+     * y recentra la forma en su centroide
+     */
+    endVertexDrag() {
+        if (!this._isVertexEditMode) return;
+
+        this._activeVertexIndex = -1;
+        const vertices = this._validVertices;
+        this._commitPolygon(Polygon.fromVertices(vertices, { allowConcave: true }), vertices);
+    }
+
+    /**
+     * Resalta el vértice bajo el cursor
+     * @param {number} index - Índice del vértice o -1
+     */
+    setVertexHovered(index) {
+        if (!this._isVertexEditMode || this._hoveredVertexIndex === index) return;
+        this._hoveredVertexIndex = index;
+        this._createShapeVisual();
+    }
+
+    /**
+     * Intenta construir un polígono simple (convexo o cóncavo)
+     * @private
+     * @returns {Polygon|null} Polígono o null si los vértices no son válidos
+     */
+    _tryBuildPolygon(vertices) {
+        try {
+            return Polygon.fromVertices(vertices, { allowConcave: true });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Aplica un polígono editado y lo recentra en el origen
+     * Los puntos de dibujo se desplazan con la forma para conservar su posición relativa
+     * @private
+     * @param {Polygon} polygon - Polígono ya centrado
+     * @param {Array} vertices - Vértices en coordenadas del canvas
+     */
+    _commitPolygon(polygon, vertices) {
+        const centroid = Polygon.getCentroid(vertices);
+        this._drawPoints.forEach(point => {
+            point.setPosition(point.x - centroid.x, point.y - centroid.y, true);
+        });
+
+        this._applyPolygon(polygon);
         this.updateDrawPointPosition();
     }
 
+    /**
+     * Establece un polígono centrado como modelo y vértices editables
+     * @private
+     */
+    _applyPolygon(polygon) {
+        this._shapeModel = polygon;
+        this._editVertices = polygon.vertices.map(v => ({ x: v.x, y: v.y }));
+        this._validVertices = this._editVertices.map(v => ({ ...v }));
+        this._isEditShapeValid = true;
+        this._shapeOffset = { x: 0, y: 0 };
+        this._createShapeVisual();
+    }
+
+    /**
+     * Desactiva el editor de vértices
+     * @private
+     */
+    _exitVertexEditMode() {
+        this._isVertexEditMode = false;
+        this._editVertices = [];
+        this._validVertices = [];
+        this._isEditShapeValid = true;
+        this._shapeOffset = { x: 0, y: 0 };
+        this._hoveredVertexIndex = -1;
+        this._activeVertexIndex = -1;
+    }
+
     // ==========================================
     // MÉTODOS PÚBLICOS - PUNTO DE DIBUJO
     // ==========================================
@@ -688,6 +1147,8 @@ export class ConfigPanelView {
         // Actualizar línea al centro
         if (this._drawPointLine) {
             const positions = this._drawPointLine.geometry.attributes.position.array;
+            positions[0] = this._shapeOffset.x;
+            positions[1] = this._shapeOffset.y;
             positions[3] = point.x;
             positions[4] = point.y;
             this._drawPointLine.geometry.attributes.position.needsUpdate = true;
@@ -716,6 +1177,9 @@ export class ConfigPanelView {
         // Actualizar trail
         this._updateTrailVisual();
 
+        // Marcadores de los demás puntos
+        this._updateSeriesVisual();
+
         this._needsUpdate = true;
     }
 
@@ -804,6 +1268,18 @@ export class ConfigPanelView {
         this.updateDrawPointPosition();
     }
 
+    /**
+     * Coloca el punto activo, sin animación, en una posición relativa al centro de la forma
+     * @param {number} x - Coordenada X relativa al centro
+     * @param {number} y - Coordenada Y relativa al centro
+     */
+    setDrawPointPosition(x, y) {
+        if (!this._drawPointModel) return;
+
+        this._drawPointModel.setPosition(x + this._shapeOffset.x, y + this._shapeOffset.y, true);
+        this.updateDrawPointPosition();
+    }
+
     /**
      * Establece el estado de hover del punto
      * @param {boolean} isHovered
@@ -839,21 +1315,192 @@ export class ConfigPanelView {
     }
 
     /**
-     * Obtiene la información actual del punto de dibujo
+     * Obtiene la información actual del punto de dibujo activo
      * @returns {Object} { x, y, distanceFromCenter, angle }
      */
     getDrawPointInfo() {
         if (!this._drawPointModel) return null;
+        return this._getPointInfo(this._drawPointModel);
+    }
+
+    /**
+     * Obtiene la información de todos los puntos de dibujo, en orden de creación
+     * @returns {Array} [{ name, color, anchor, isActive, x, y, distanceFromCenter, angle, isSnapped }, ...]
+     */
+    getDrawPointsInfo() {
+        return this._drawPoints.map(point => ({
+            name: point.name,
+            color: point.seriesColor,
+            anchor: point.anchor,
+            isActive: point === this._drawPointModel,
+            ...this._getPointInfo(point)
+        }));
+    }
+
+    /**
+     * Coordenadas de un punto relativas al centro de la forma (desplazado al editar vértices)
+     * @private
+     */
+    _getPointInfo(point) {
+        const x = point.x - this._shapeOffset.x;
+        const y = point.y - this._shapeOffset.y;
 
         return {
-            x: this._drawPointModel.x,
-            y: this._drawPointModel.y,
-            distanceFromCenter: this._drawPointModel.getDistanceFromOrigin(),
-            angle: this._drawPointModel.getAngleFromOrigin(),
-            isSnapped: this._drawPointModel.isSnappedToEdge
+            x: x,
+            y: y,
+            distanceFromCenter: Math.sqrt(x * x + y * y),
+            angle: Math.atan2(y, x),
+            isSnapped: point.isSnappedToEdge
         };
     }
 
+    // ==========================================
+    // MÉTODOS PÚBLICOS - VARIOS PUNTOS DE DIBUJO
+    // ==========================================
+
+    /**
+     * Añade un punto de dibujo sobre la forma y lo deja activo
+     * @param {DrawPointAnchor} anchor - Posición de referencia (vértice, punto medio de un lado o centro)
+     * @returns {DrawPoint|null} Punto creado o null si ya se alcanzó el máximo
+     */
+    addDrawPoint(anchor = DrawPointAnchor.VERTEX) {
+        if (this._drawPoints.length >= CONFIG.DRAW_POINT.MAX_SERIES) return null;
+
+        const point = this._createDrawPoint(anchor);
+        point.resetToAnchor(this._shapeModel);
+        this._drawPoints.push(point);
+        this.setActiveDrawPoint(this._drawPoints.length - 1);
+        return point;
+    }
+
+    /**
+     * Elimina un punto de dibujo (siempre queda al menos uno)
+     * Si era el activo pasa a serlo el siguiente de la lista
+     * @param {number} index - Índice del punto
+     * @returns {boolean} Si se eliminó
+     */
+    removeDrawPoint(index) {
+        if (this._drawPoints.length <= 1 || !this._drawPoints[index]) return false;
+
+        const [removed] = this._drawPoints.splice(index, 1);
+        const nextIndex = removed === this._drawPointModel
+            ? Math.min(index, this._drawPoints.length - 1)
+            : this.activeDrawPointIndex;
+        this.setActiveDrawPoint(nextIndex);
+        return true;
+    }
+
+    /**
+     * Cambia el punto que se arrastra y cuya curva es la principal
+     * @param {number} index - Índice del punto
+     * @returns {boolean} Si el índice es válido
+     */
+    setActiveDrawPoint(index) {
+        const point = this._drawPoints[index];
+        if (!point) return false;
+
+        if (this._drawPointModel && point !== this._drawPointModel) {
+            this._drawPointModel.isDragging = false;
+            this._drawPointModel.isHovered = false;
+        }
+        this._drawPointModel = point;
+
+        this._createDrawPointVisual();
+        this._createSeriesVisual();
+        this.updateDrawPointPosition();
+        return true;
+    }
+
+    /**
+     * Cambia el nombre de la serie de un punto
+     * @param {number} index - Índice del punto
+     * @param {string} name - Nombre nuevo (vacío conserva el anterior)
+     */
+    setDrawPointName(index, name) {
+        const point = this._drawPoints[index];
+        if (point && String(name).trim()) {
+            point.name = name;
+        }
+    }
+
+    /**
+     * Cambia el color de la curva de un punto
+     * @param {number} index - Índice del punto
+     * @param {number} color - Color hexadecimal
+     */
+    setDrawPointColor(index, color) {
+        const point = this._drawPoints[index];
+        if (!point) return;
+
+        point.seriesColor = color;
+        this._createSeriesVisual();
+    }
+
+    /**
+     * Devuelve el punto activo a su posición de referencia sobre la forma
+     */
+    resetActiveDrawPoint() {
+        if (!this._drawPointModel) return;
+
+        this._drawPointModel.isDragging = false;
+        this._isSnapModeActive = false;
+        this._drawPointModel.resetToAnchor(this._shapeModel);
+        this.updateDrawPointPosition();
+    }
+
+    /**
+     * Descarta los puntos añadidos y deja uno solo en el vértice superior
+     */
+    resetDrawPoints() {
+        this._drawPoints = [];
+        this._drawPointCounter = 0;
+        this._drawPointModel = null;
+
+        const point = this._createDrawPoint(DrawPointAnchor.VERTEX);
+        point.resetToAnchor(this._shapeModel);
+        this._drawPoints = [point];
+        this.setActiveDrawPoint(0);
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - FAMILIA DE CURVAS
+    // ==========================================
+
+    /**
+     * Muestra los puntos del barrido de la familia sobre la forma
+     * @param {Array} points - [{ x, y, color }, ...] relativos al centro de la forma (vacío para ocultarlos)
+     */
+    setFamilyPoints(points = []) {
+        if (!this._familyGroup) return;
+
+        this._clearFamilyVisual();
+
+        const radius = CONFIG.DRAW_POINT.RADIUS * 0.45;
+        points.forEach(point => {
+            const marker = new THREE.Mesh(
+                new THREE.CircleGeometry(radius, 16),
+                new THREE.MeshBasicMaterial({ color: point.color })
+            );
+            marker.position.set(point.x + this._shapeOffset.x, point.y + this._shapeOffset.y, 0.085);
+            this._familyGroup.add(marker);
+        });
+
+        this._needsUpdate = true;
+    }
+
+    /**
+     * Limpia los marcadores de la familia de curvas
+     * @private
+     */
+    _clearFamilyVisual() {
+        while (this._familyGroup.children.length > 0) {
+            const marker = this._familyGroup.children[0];
+            this._familyGroup.remove(marker);
+            marker.geometry.dispose();
+            marker.material.dispose();
+        }
+    }
+
     // ==========================================
     // MÉTODOS DE UTILIDAD - COORDENADAS
     // ==========================================
@@ -894,6 +1541,19 @@ export class ConfigPanelView {
         return this._drawPointModel.containsPoint(worldPoint, tolerance);
     }
 
+    /**
+     * Busca el punto de dibujo bajo el cursor (el activo tiene prioridad)
+     * @param {Object} worldPoint - { x, y }
+     * @param {number} tolerance - Tolerancia adicional
+     * @returns {number} Índice del punto o -1
+     */
+    getDrawPointAt(worldPoint, tolerance = 0.1) {
+        if (this.isPointOverDrawPoint(worldPoint, tolerance)) {
+            return this.activeDrawPointIndex;
+        }
+        return this._drawPoints.findIndex(point => point.containsPoint(worldPoint, tolerance));
+    }
+
     // ==========================================
     // MÉTODOS DE RENDERIZADO (FASE 3 - Mejorado)
     // ==========================================
@@ -987,6 +1647,10 @@ export class ConfigPanelView {
 
         this._clearShapeVisual();
         this._clearDrawPointVisual();
+        this._clearSeriesVisual();
+        if (this._familyGroup) {
+            this._clearFamilyVisual();
+        }
 
         if (this._gridHelper) {
             this._scene.remove(this._gridHelper);
@@ -1020,6 +1684,7 @@ export class ConfigPanelView {
         this._renderer = null;
         this._shapeModel = null;
         this._drawPointModel = null;
+        this._drawPoints = [];
     }
 }
 
@@ -16,6 +16,7 @@ import * as THREE from 'three';
 import { CONFIG, MATH } from '../config/constants.js';
 import Polygon from '../models/Polygon.js';
 import Circle from '../models/Circle.js';
+import PolarShape from '../models/PolarShape.js';
 
 /**
  * Estados posibles del panel gráfico
@@ -51,10 +52,24 @@ export class GraphPanelView {
         // Objetos 3D
         this._cyclogonLine = null;
         this._floorLine = null;
+        this._baseCircleLine = null;     // Círculo fijo (epitrocoide/hipotrocoide)
         this._gridHelper = null;
         this._animatedShapeMesh = null;  // Polígono/Círculo animado
         this._animatedPointMesh = null;  // Punto de dibujo animado
         this._animatedRadiusLine = null; // Línea del radio animada
+        this._extraSeries = [];          // Curvas de los demás puntos de dibujo {line, points, drawPoint, color, marker}
+        this._curvatureGroup = null;     // Evoluta, cúspides e inflexiones
+        this._osculatingCircle = null;   // Círculo osculador del punto bajo el ratón
+        this._curvatureAnalysis = null;  // Resultado de CurvatureService.analyze
+        this._intersectionGroup = null;  // Marcas de las autointersecciones
+        this._offsetGroup = null;        // Contorno de las curvas paralelas
+        this._fitGroup = null;           // Muestras medidas y curva ajustada
+        this._measuredPoints = [];       // Muestras medidas (se incluyen al ajustar la vista)
+        this._beadGroup = null;          // Rampas y cuentas del descenso por gravedad
+        this._beadSimulation = null;     // Resultado de BeadSimulationService.compare
+        this._beads = [];                // Cuentas animadas {mesh, track, origin}
+        this._beadPoints = [];           // Vértices de las rampas (se incluyen al ajustar la vista)
+        this._beadStartTime = 0;
 
         // Estado de la vista
         this._state = GraphPanelState.IDLE;
@@ -64,6 +79,7 @@ export class GraphPanelView {
         // Datos de la curva actual
         this._currentCyclogon = null;
         this._curvePoints = [];
+        this._curveTimes = null;        // Fracción del tiempo total en cada punto (curvas con cinemática)
 
         // Estado de animación
         this._animation = {
@@ -91,13 +107,17 @@ export class GraphPanelView {
             showGrid: true,
             showFloor: true,
             lineGlow: true,
-            animateDrawing: false
+            animateDrawing: false,
+            showEvolute: false,
+            showOsculatingCircle: false,
+            showIntersections: false
         };
 
         // Bind de métodos
         this._onMouseDown = this._onMouseDown.bind(this);
         this._onMouseMove = this._onMouseMove.bind(this);
         this._onMouseUp = this._onMouseUp.bind(this);
+        this._onMouseLeave = this._onMouseLeave.bind(this);
         this._onWheel = this._onWheel.bind(this);
         this._onResize = this._onResize.bind(this);
 
@@ -269,12 +289,7 @@ export class GraphPanelView {
      * @private
      */
     _initFloorLine() {
-        const points = [
-            new THREE.Vector3(-100, 0, 0),
-            new THREE.Vector3(100, 0, 0)
-        ];
-
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const geometry = new THREE.BufferGeometry().setFromPoints(this._getFloorPoints(null));
         const material = new THREE.LineBasicMaterial({
             color: CONFIG.COLORS.FLOOR_LINE,
             linewidth: 2,
@@ -287,6 +302,22 @@ export class GraphPanelView {
         this._scene.add(this._floorLine);
     }
 
+    /**
+     * Obtiene los puntos de la línea del piso
+     * @param {Object|null} road - Metadatos del camino {type, params, points} o null para el suelo recto
+     * @returns {Array} Puntos THREE.Vector3
+     * @private
+     */
+    _getFloorPoints(road) {
+        if (!road || !road.points) {
+            return [
+                new THREE.Vector3(-100, 0, 0),
+                new THREE.Vector3(100, 0, 0)
+            ];
+        }
+        return road.points.map(p => new THREE.Vector3(p.x, p.y, 0));
+    }
+
     /**
      * Inicializa la grilla de referencia
      * @private
@@ -343,7 +374,7 @@ export class GraphPanelView {
         this._canvas.addEventListener('mousedown', this._onMouseDown);
         this._canvas.addEventListener('mousemove', this._onMouseMove);
         this._canvas.addEventListener('mouseup', this._onMouseUp);
-        this._canvas.addEventListener('mouseleave', this._onMouseUp);
+        this._canvas.addEventListener('mouseleave', this._onMouseLeave);
         this._canvas.addEventListener('wheel', this._onWheel, { passive: false });
 
         // Touch events
@@ -357,7 +388,65 @@ export class GraphPanelView {
     // ==========================================
 
     /**
-     * Establece el modelo de ciclógono y actualiza la visualización
+     * Muestra las curvas de varios puntos de dibujo sobre la misma forma
+     * La serie principal usa la línea con glow y guía la animación; las demás
+     * se dibujan con su color y avanzan con la misma forma rodante
+     * @param {Array} series - [{ name, color, cyclogon, drawPoint }, ...] (drawPoint relativo al centro)
+     * @param {number} primaryIndex - Índice de la serie principal
+     */
+    setCyclogonSeries(series, primaryIndex = 0) {
+        this._clearExtraSeries();
+
+        series.forEach((entry, index) => {
+            if (index === primaryIndex || !entry.cyclogon || entry.cyclogon.isEmpty) return;
+
+            const points = entry.cyclogon.getPoints().map(p => new THREE.Vector3(p.x, p.y, 0));
+            const line = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(points),
+                new THREE.LineBasicMaterial({
+                    color: entry.color,
+                    linewidth: CONFIG.CYCLOGON.LINE_WIDTH,
+                    transparent: true,
+                    opacity: 0.9
+                })
+            );
+            line.position.z = 0.08;
+            this._scene.add(line);
+
+            this._extraSeries.push({
+                line,
+                points,
+                drawPoint: { x: entry.drawPoint.x, y: entry.drawPoint.y },
+                color: entry.color,
+                marker: null
+            });
+        });
+
+        const primary = series[primaryIndex];
+        this.setCurveColor(primary ? primary.color : CONFIG.COLORS.CYCLOGON_LINE);
+        this.setCyclogon(primary ? primary.cyclogon : null);
+    }
+
+    /**
+     * Elimina las curvas de los puntos de dibujo secundarios
+     * @private
+     */
+    _clearExtraSeries() {
+        this._extraSeries.forEach(entry => {
+            this._scene.remove(entry.line);
+            entry.line.geometry.dispose();
+            entry.line.material.dispose();
+            if (entry.marker) {
+                this._scene.remove(entry.marker);
+                entry.marker.geometry.dispose();
+                entry.marker.material.dispose();
+            }
+        });
+        this._extraSeries = [];
+    }
+
+    /**
+     * Establece el modelo de ciclógono (curva principal) y actualiza la visualización
      * @param {Cyclogon} cyclogon - Modelo de ciclógono
      */
     setCyclogon(cyclogon) {
@@ -369,13 +458,21 @@ export class GraphPanelView {
         }
 
         // Convertir puntos a THREE.Vector3
-        this._curvePoints = cyclogon.getPoints().map(
+        const points = cyclogon.getPoints();
+        this._curvePoints = points.map(
             p => new THREE.Vector3(p.x, p.y, 0)
         );
 
+        // Con cinemática el progreso de la animación es la fracción del tiempo transcurrido
+        const duration = cyclogon.metadata.kinematics?.duration;
+        this._curveTimes = duration > 0 ? points.map(p => p.time / duration) : null;
+
         // Actualizar geometría de la curva
         this._updateCurveGeometry();
 
+        // Mostrar la base de rodadura correspondiente (suelo o círculo fijo)
+        this._updateBaseGeometry(cyclogon);
+
         // Ajustar vista automáticamente
         this.fitView();
 
@@ -398,6 +495,72 @@ export class GraphPanelView {
             this._cyclogonGlow.geometry.dispose();
             this._cyclogonGlow.geometry = new THREE.BufferGeometry().setFromPoints(this._curvePoints);
         }
+
+        // Curvas completas de los demás puntos
+        this._extraSeries.forEach(entry => {
+            entry.line.geometry.dispose();
+            entry.line.geometry = new THREE.BufferGeometry().setFromPoints(entry.points);
+        });
+    }
+
+    /**
+     * Muestra el camino (suelo recto o perfil) o el círculo fijo según los metadatos de la curva
+     * @param {Cyclogon} cyclogon - Curva actual
+     * @private
+     */
+    _updateBaseGeometry(cyclogon) {
+        this._clearBaseCircle();
+
+        this._floorLine.geometry.dispose();
+        this._floorLine.geometry = new THREE.BufferGeometry().setFromPoints(
+            this._getFloorPoints(cyclogon.getMetadataValue('road'))
+        );
+
+        const baseRadius = cyclogon.getMetadataValue('baseRadius');
+        const baseCenter = cyclogon.getMetadataValue('baseCenter');
+
+        if (!baseRadius || !baseCenter) {
+            this._floorLine.visible = this._config.showFloor;
+            return;
+        }
+
+        const segments = 256;
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            const angle = (i / segments) * MATH.TWO_PI;
+            points.push(new THREE.Vector3(
+                baseCenter.x + baseRadius * Math.cos(angle),
+                baseCenter.y + baseRadius * Math.sin(angle),
+                0
+            ));
+        }
+
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const material = new THREE.LineBasicMaterial({
+            color: CONFIG.COLORS.FLOOR_LINE,
+            linewidth: 2,
+            transparent: true,
+            opacity: 0.8
+        });
+
+        this._baseCircleLine = new THREE.Line(geometry, material);
+        this._baseCircleLine.visible = this._config.showFloor;
+        this._scene.add(this._baseCircleLine);
+
+        this._floorLine.visible = false;
+    }
+
+    /**
+     * Elimina el círculo fijo de la escena
+     * @private
+     */
+    _clearBaseCircle() {
+        if (this._baseCircleLine) {
+            this._scene.remove(this._baseCircleLine);
+            this._baseCircleLine.geometry.dispose();
+            this._baseCircleLine.material.dispose();
+            this._baseCircleLine = null;
+        }
     }
 
     /**
@@ -406,6 +569,7 @@ export class GraphPanelView {
      */
     _clearCurve() {
         this._curvePoints = [];
+        this._curveTimes = null;
         this._cyclogonLine.geometry.dispose();
         this._cyclogonLine.geometry = new THREE.BufferGeometry();
 
@@ -415,6 +579,382 @@ export class GraphPanelView {
         }
     }
 
+    // ==========================================
+    // MÉTODOS PÚBLICOS - CURVATURA
+    // ==========================================
+
+    /**
+     * Muestra la evoluta, las cúspides y las inflexiones de la curva principal
+     * y guarda el análisis para el círculo osculador
+     * @param {Object|null} analysis - Resultado de CurvatureService.analyze
+     */
+    setCurvatureAnalysis(analysis) {
+        this._clearCurvatureVisual();
+        this._hideOsculatingCircle();
+        this._curvatureAnalysis = analysis;
+
+        if (!analysis) {
+            this._needsUpdate = true;
+            return;
+        }
+
+        this._curvatureGroup = new THREE.Group();
+        this._curvatureGroup.position.z = 0.09;
+        this._curvatureGroup.visible = this._config.showEvolute;
+
+        // Evoluta: una polilínea por rama; las ramas de un solo punto (pivotes) como marcas
+        const branches = new Map();
+        analysis.evolute.getPoints().forEach(p => {
+            if (!branches.has(p.branch)) branches.set(p.branch, []);
+            branches.get(p.branch).push(new THREE.Vector3(p.x, p.y, 0));
+        });
+
+        const segments = [];
+        const pivots = [];
+        branches.forEach(points => {
+            if (points.length === 1) {
+                pivots.push(points[0]);
+                return;
+            }
+            for (let i = 0; i < points.length - 1; i++) {
+                segments.push(points[i], points[i + 1]);
+            }
+        });
+
+        if (segments.length > 0) {
+            this._curvatureGroup.add(new THREE.LineSegments(
+                new THREE.BufferGeometry().setFromPoints(segments),
+                new THREE.LineBasicMaterial({ color: CONFIG.COLORS.EVOLUTE, transparent: true, opacity: 0.8 })
+            ));
+        }
+
+        this._addMarkers(this._curvatureGroup, pivots, CONFIG.COLORS.EVOLUTE);
+        this._addMarkers(this._curvatureGroup, analysis.cusps, CONFIG.COLORS.CUSP);
+        this._addMarkers(this._curvatureGroup, analysis.inflections, CONFIG.COLORS.INFLECTION);
+
+        this._scene.add(this._curvatureGroup);
+        this._needsUpdate = true;
+    }
+
+    /**
+     * Muestra/oculta la evoluta con sus cúspides e inflexiones
+     * @param {boolean} show
+     */
+    setEvoluteVisible(show) {
+        this._config.showEvolute = show;
+        if (this._curvatureGroup) {
+            this._curvatureGroup.visible = show;
+        }
+        this._needsUpdate = true;
+    }
+
+    /**
+     * Activa/desactiva el círculo osculador al pasar el ratón sobre la curva
+     * @param {boolean} show
+     */
+    setOsculatingCircleVisible(show) {
+        this._config.showOsculatingCircle = show;
+        if (!show) {
+            this._hideOsculatingCircle();
+        }
+        this._needsUpdate = true;
+    }
+
+    /**
+     * Marca los cruces de la curva consigo misma
+     * @param {Object|null} analysis - Resultado de LoopService.analyze
+     */
+    setLoopAnalysis(analysis) {
+        this._disposeGroup(this._intersectionGroup);
+        this._intersectionGroup = null;
+
+        if (analysis && analysis.intersections.length > 0) {
+            this._intersectionGroup = new THREE.Group();
+            this._intersectionGroup.position.z = 0.092;
+            this._intersectionGroup.visible = this._config.showIntersections;
+            this._addMarkers(this._intersectionGroup, analysis.intersections, CONFIG.COLORS.SELF_INTERSECTION);
+            this._scene.add(this._intersectionGroup);
+        }
+
+        this._needsUpdate = true;
+    }
+
+    /**
+     * Muestra/oculta las marcas de las autointersecciones
+     * @param {boolean} show
+     */
+    setIntersectionsVisible(show) {
+        this._config.showIntersections = show;
+        if (this._intersectionGroup) {
+            this._intersectionGroup.visible = show;
+        }
+        this._needsUpdate = true;
+    }
+
+    /**
+     * Dibuja el contorno de la banda entre las curvas paralelas
+     * @param {Object|null} offset - Resultado de OffsetService.generate (null lo quita)
+     */
+    setOffset(offset) {
+        this._disposeGroup(this._offsetGroup);
+        this._offsetGroup = null;
+
+        if (offset) {
+            const segments = [];
+            const contours = new Map();
+            offset.outline.getPoints().forEach(p => {
+                const previous = contours.get(p.branch);
+                if (previous) {
+                    segments.push(new THREE.Vector3(previous.x, previous.y, 0), new THREE.Vector3(p.x, p.y, 0));
+                }
+                contours.set(p.branch, p);
+            });
+
+            this._offsetGroup = new THREE.Group();
+            this._offsetGroup.position.z = 0.085;
+            this._offsetGroup.add(new THREE.LineSegments(
+                new THREE.BufferGeometry().setFromPoints(segments),
+                new THREE.LineBasicMaterial({ color: CONFIG.COLORS.OFFSET, transparent: true, opacity: 0.8 })
+            ));
+            this._scene.add(this._offsetGroup);
+        }
+
+        this._needsUpdate = true;
+    }
+
+    /**
+     * Superpone las muestras medidas y la curva ajustada a ellas
+     * @param {Object|null} fit - Resultado de CurveFitService.fit (null lo quita)
+     */
+    setFit(fit) {
+        this._disposeGroup(this._fitGroup);
+        this._fitGroup = null;
+        this._measuredPoints = [];
+
+        if (fit) {
+            this._measuredPoints = fit.samples.map(p => new THREE.Vector3(p.x, p.y, 0));
+            const fitted = fit.cyclogon.getPoints().map(p => new THREE.Vector3(p.x, p.y, 0));
+
+            this._fitGroup = new THREE.Group();
+            this._fitGroup.position.z = 0.095;
+            this._fitGroup.add(new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(fitted),
+                new THREE.LineBasicMaterial({ color: CONFIG.COLORS.FITTED_CURVE })
+            ));
+            this._fitGroup.add(new THREE.Points(
+                new THREE.BufferGeometry().setFromPoints(this._measuredPoints),
+                new THREE.PointsMaterial({ color: CONFIG.COLORS.MEASURED_POINTS, size: 4, sizeAttenuation: false })
+            ));
+            this._scene.add(this._fitGroup);
+            this.fitView();
+        }
+
+        this._needsUpdate = true;
+    }
+
+    // ==========================================
+    // MÉTODOS PÚBLICOS - DESCENSO DE CUENTAS
+    // ==========================================
+
+    /**
+     * Dibuja bajo las curvas, una junto a otra, las rampas de la simulación con
+     * sus rampas rectas y las cuentas, que bajan en tiempo real y se repiten
+     * @param {Object|null} simulation - Resultado de BeadSimulationService.compare (null lo quita)
+     */
+    setBeadSimulation(simulation) {
+        this._disposeGroup(this._beadGroup);
+        this._beadGroup = null;
+        this._beadSimulation = simulation;
+        this._beads = [];
+        this._beadPoints = [];
+
+        if (simulation) {
+            // Las rampas empiezan bajo el suelo y bajo la curva más baja
+            let minX = Infinity;
+            let minY = 0;
+            for (const points of [this._curvePoints, ...this._extraSeries.map(entry => entry.points)]) {
+                for (const p of points) {
+                    minX = Math.min(minX, p.x);
+                    minY = Math.min(minY, p.y);
+                }
+            }
+
+            const gap = CONFIG.BEADS.LANE_GAP;
+            const radius = (this._camera.top - this._camera.bottom) * CONFIG.BEADS.BEAD_SIZE;
+            const beadGeometry = new THREE.CircleGeometry(radius, 16);
+            const straightMaterial = new THREE.LineBasicMaterial({
+                color: CONFIG.COLORS.STRAIGHT_RAMP, transparent: true, opacity: 0.8
+            });
+            const straightBeadMaterial = new THREE.MeshBasicMaterial({ color: CONFIG.COLORS.STRAIGHT_RAMP });
+            const releaseMaterial = new THREE.MeshBasicMaterial({ color: CONFIG.COLORS.BEAD });
+
+            this._beadGroup = new THREE.Group();
+            this._beadGroup.position.z = 0.097;
+
+            let originX = Number.isFinite(minX) ? minX : 0;
+            simulation.lanes.forEach(lane => {
+                const origin = { x: originX, y: minY - gap };
+                const ramp = lane.ramp.points.map(p => new THREE.Vector3(origin.x + p.x, origin.y + p.y, 0));
+                const straight = lane.straight.points.map(p => new THREE.Vector3(origin.x + p.x, origin.y + p.y, 0));
+                this._beadPoints.push(...ramp);
+
+                this._beadGroup.add(new THREE.Line(
+                    new THREE.BufferGeometry().setFromPoints(ramp),
+                    new THREE.LineBasicMaterial({ color: lane.color })
+                ));
+                this._beadGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(straight), straightMaterial));
+
+                // La salida desde arriba es la propia cuenta del arco
+                this._addBead(lane.tracks.curve, origin, beadGeometry, new THREE.MeshBasicMaterial({ color: lane.color }));
+                this._addBead(lane.tracks.straight, origin, beadGeometry, straightBeadMaterial);
+                lane.releases
+                    .filter(release => release.fraction < 1)
+                    .forEach(release => this._addBead(release.track, origin, beadGeometry, releaseMaterial));
+
+                originX += lane.ramp.width + gap;
+            });
+
+            this._scene.add(this._beadGroup);
+            this._beadStartTime = performance.now();
+            this._updateBeads();
+        }
+
+        this._needsUpdate = true;
+    }
+
+    /**
+     * Añade una cuenta que sigue las posiciones de un track
+     * @private
+     */
+    _addBead(track, origin, geometry, material) {
+        const mesh = new THREE.Mesh(geometry, material);
+        this._beadGroup.add(mesh);
+        this._beads.push({ mesh, track, origin });
+    }
+
+    /**
+     * Coloca las cuentas en el instante actual: bajan durante la simulación,
+     * esperan abajo REST_TIME segundos y vuelven a salir
+     * @private
+     */
+    _updateBeads() {
+        if (!this._beadSimulation || this._beads.length === 0) return;
+
+        const { duration, frameTime } = this._beadSimulation;
+        const elapsed = ((performance.now() - this._beadStartTime) / 1000) % (duration + CONFIG.BEADS.REST_TIME);
+        const frame = frameTime > 0 ? Math.min(elapsed, duration) / frameTime : 0;
+        const index = Math.floor(frame);
+        const t = frame - index;
+
+        this._beads.forEach(({ mesh, track, origin }) => {
+            const last = track.length - 1;
+            const a = track[Math.min(index, last)];
+            const b = track[Math.min(index + 1, last)];
+            mesh.position.set(origin.x + a.x + (b.x - a.x) * t, origin.y + a.y + (b.y - a.y) * t, 0);
+        });
+    }
+
+    /**
+     * Añade marcas circulares en posiciones de la curva
+     * @param {THREE.Group} group - Grupo al que se añaden
+     * @param {Array} positions - [{x, y}, ...]
+     * @param {number} color - Color hexadecimal
+     * @private
+     */
+    _addMarkers(group, positions, color) {
+        if (positions.length === 0) return;
+
+        const radius = (this._camera.top - this._camera.bottom) * 0.006;
+        const geometry = new THREE.CircleGeometry(radius, 16);
+        const material = new THREE.MeshBasicMaterial({ color });
+
+        positions.forEach(p => {
+            const marker = new THREE.Mesh(geometry, material);
+            marker.position.set(p.x, p.y, 0.01);
+            group.add(marker);
+        });
+    }
+
+    /**
+     * Elimina la evoluta y sus marcas de la escena
+     * @private
+     */
+    _clearCurvatureVisual() {
+        this._disposeGroup(this._curvatureGroup);
+        this._curvatureGroup = null;
+    }
+
+    /**
+     * Quita un grupo de la escena y libera sus recursos
+     * Las marcas de un mismo tipo comparten geometría y material
+     * @param {THREE.Group|null} group
+     * @private
+     */
+    _disposeGroup(group) {
+        if (!group) return;
+
+        const resources = new Set();
+        group.traverse(child => {
+            if (child.geometry) resources.add(child.geometry);
+            if (child.material) resources.add(child.material);
+        });
+        resources.forEach(resource => resource.dispose());
+
+        this._scene.remove(group);
+    }
+
+    /**
+     * Dibuja el círculo osculador en el punto de la curva más cercano al cursor
+     * @param {number} screenX - Coordenada X del cursor
+     * @param {number} screenY - Coordenada Y del cursor
+     * @private
+     */
+    _updateOsculatingCircle(screenX, screenY) {
+        if (!this._config.showOsculatingCircle || !this._curvatureAnalysis || !this._currentCyclogon) return;
+
+        const closest = this._currentCyclogon.findClosestPoint(this.screenToWorld(screenX, screenY));
+        const pixelSize = (this._camera.right - this._camera.left) / this._container.clientWidth;
+        const sample = closest && this._curvatureAnalysis.points[closest.index];
+
+        if (!sample || closest.distance > CONFIG.CYCLOGON.CURVATURE.HOVER_DISTANCE * pixelSize ||
+            !sample.curvatureCenter || !isFinite(sample.curvature) || sample.curvature === 0) {
+            this._hideOsculatingCircle();
+            return;
+        }
+
+        if (!this._osculatingCircle) {
+            const segments = 128;
+            const unitCircle = [];
+            for (let i = 0; i <= segments; i++) {
+                const angle = (i / segments) * MATH.TWO_PI;
+                unitCircle.push(new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0));
+            }
+            this._osculatingCircle = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(unitCircle),
+                new THREE.LineBasicMaterial({ color: CONFIG.COLORS.OSCULATING_CIRCLE, transparent: true, opacity: 0.9 })
+            );
+            this._scene.add(this._osculatingCircle);
+        }
+
+        // Círculo unidad escalado al radio de curvatura
+        const radius = 1 / Math.abs(sample.curvature);
+        this._osculatingCircle.position.set(sample.curvatureCenter.x, sample.curvatureCenter.y, 0.095);
+        this._osculatingCircle.scale.set(radius, radius, 1);
+        this._osculatingCircle.visible = true;
+        this._needsUpdate = true;
+    }
+
+    /**
+     * Oculta el círculo osculador
+     * @private
+     */
+    _hideOsculatingCircle() {
+        if (this._osculatingCircle && this._osculatingCircle.visible) {
+            this._osculatingCircle.visible = false;
+            this._needsUpdate = true;
+        }
+    }
+
     /**
      * Obtiene información de la curva actual
      * @returns {Object|null} Información de la curva
@@ -448,11 +988,26 @@ export class GraphPanelView {
         let minX = Infinity, maxX = -Infinity;
         let minY = Infinity, maxY = -Infinity;
 
-        for (const p of this._curvePoints) {
-            minX = Math.min(minX, p.x);
-            maxX = Math.max(maxX, p.x);
-            minY = Math.min(minY, p.y);
-            maxY = Math.max(maxY, p.y);
+        const allPoints = [
+            this._curvePoints, ...this._extraSeries.map(entry => entry.points), this._measuredPoints, this._beadPoints
+        ];
+        for (const points of allPoints) {
+            for (const p of points) {
+                minX = Math.min(minX, p.x);
+                maxX = Math.max(maxX, p.x);
+                minY = Math.min(minY, p.y);
+                maxY = Math.max(maxY, p.y);
+            }
+        }
+
+        // Incluir el tramo del camino bajo la curva
+        const road = this._currentCyclogon && this._currentCyclogon.getMetadataValue('road');
+        if (road && road.points) {
+            for (const p of road.points) {
+                if (p.x < minX || p.x > maxX) continue;
+                minY = Math.min(minY, p.y);
+                maxY = Math.max(maxY, p.y);
+            }
         }
 
         // Incluir el piso (y=0)
@@ -616,6 +1171,9 @@ export class GraphPanelView {
         if (this._animatedShapeMesh) this._animatedShapeMesh.visible = false;
         if (this._animatedPointMesh) this._animatedPointMesh.visible = false;
         if (this._animatedRadiusLine) this._animatedRadiusLine.visible = false;
+        this._extraSeries.forEach(entry => {
+            if (entry.marker) entry.marker.visible = false;
+        });
     }
 
     /**
@@ -629,6 +1187,9 @@ export class GraphPanelView {
         if (this._animatedShapeMesh) this._animatedShapeMesh.visible = true;
         if (this._animatedPointMesh) this._animatedPointMesh.visible = true;
         if (this._animatedRadiusLine) this._animatedRadiusLine.visible = true;
+        this._extraSeries.forEach(entry => {
+            if (entry.marker) entry.marker.visible = true;
+        });
         
         this._updateAnimatedCurve();
         this._needsUpdate = true;
@@ -705,7 +1266,11 @@ export class GraphPanelView {
 
         // 1. Actualizar Curva Progresiva
         const totalPoints = this._curvePoints.length;
-        const currentPointIndex = Math.floor((totalPoints - 1) * this._animation.progress);
+        const currentPointIndex = this._getAnimatedPointIndex();
+        // Las demás curvas avanzan en la misma fracción de puntos que la principal
+        const seriesProgress = this._curveTimes && totalPoints > 1
+            ? currentPointIndex / (totalPoints - 1)
+            : this._animation.progress;
         const partialPoints = this._curvePoints.slice(0, currentPointIndex + 1);
 
         this._cyclogonLine.geometry.dispose();
@@ -727,22 +1292,13 @@ export class GraphPanelView {
             this._animatedShapeMesh.position.set(currentPointData.center.x, currentPointData.center.y, 0);
             
             // Rotación
-            // Para Círculo: theta
-            // Para Polígono: rotation
-            let rotation = 0;
-            if (this._currentCyclogon.sourceShape instanceof Circle) {
-                // En cicloide, theta es positivo, pero la rotación visual es negativa (horaria) si avanza a la derecha
-                // CyclogonCalculator: const pointAngle = alpha - theta;
-                // La rotación del cuerpo es -theta
-                rotation = -currentPointData.theta;
-            } else {
-                // En polígono, rotation es acumulada
-                // CyclogonCalculator: rotation: currentTotalRotation
-                // La rotación es negativa (horaria)
-                // Además, debemos aplicar la rotación inicial de ajuste (adjustmentRotation)
-                const adjustmentRotation = this._currentCyclogon.getMetadataValue('adjustmentRotation') || 0;
-                rotation = -currentPointData.rotation + adjustmentRotation;
-            }
+            // theta (formas suaves) o rotation (polígonos) es el ángulo rodado, creciente;
+            // adjustmentRotation orienta la forma en el primer punto. Hacia la derecha la
+            // forma gira en sentido horario y hacia la izquierda en sentido antihorario
+            const rolledAngle = currentPointData.theta ?? currentPointData.rotation ?? 0;
+            const adjustmentRotation = this._currentCyclogon.getMetadataValue('adjustmentRotation') || 0;
+            const sense = this._currentCyclogon.getMetadataValue('direction') === 'left' ? -1 : 1;
+            const rotation = sense * (adjustmentRotation - rolledAngle);
             
             this._animatedShapeMesh.rotation.z = rotation;
 
@@ -756,9 +1312,51 @@ export class GraphPanelView {
             ];
             this._animatedRadiusLine.geometry.dispose();
             this._animatedRadiusLine.geometry = new THREE.BufferGeometry().setFromPoints(radiusPoints);
+
+            // Demás puntos: solidarios con la forma (centro + rotación de la serie principal)
+            const cos = Math.cos(rotation);
+            const sin = Math.sin(rotation);
+            this._extraSeries.forEach(entry => {
+                const index = Math.floor((entry.points.length - 1) * seriesProgress);
+                entry.line.geometry.dispose();
+                entry.line.geometry = new THREE.BufferGeometry().setFromPoints(entry.points.slice(0, index + 1));
+
+                if (entry.marker) {
+                    const { x, y } = entry.drawPoint;
+                    entry.marker.position.set(
+                        currentPointData.center.x + x * cos - y * sin,
+                        currentPointData.center.y + x * sin + y * cos,
+                        0.02
+                    );
+                }
+            });
         }
     }
 
+    /**
+     * Índice del punto de la curva principal que corresponde al progreso: por
+     * número de puntos o, con cinemática, el último alcanzado a esa fracción del tiempo
+     * @private
+     */
+    _getAnimatedPointIndex() {
+        const progress = this._animation.progress;
+        if (!this._curveTimes) {
+            return Math.floor((this._curvePoints.length - 1) * progress);
+        }
+
+        let low = 0;
+        let high = this._curveTimes.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this._curveTimes[mid] <= progress) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
     /**
      * Crea la geometría para la forma animada
      * @private
@@ -805,17 +1403,33 @@ export class GraphPanelView {
             const line = new THREE.Line(lineGeo, lineMat);
             this._animatedShapeMesh.add(line);
 
+        } else if (shape instanceof PolarShape) {
+            // Contorno muestreado (cerrado, con las esquinas exactas en Reuleaux) y una línea para ver la rotación
+            const points = shape.getPoints().map(p => new THREE.Vector3(p.x, p.y, 0));
+            points.push(points[0].clone());
+
+            const geometry = new THREE.BufferGeometry().setFromPoints(points);
+            const material = new THREE.LineBasicMaterial({ color: color });
+            this._animatedShapeMesh = new THREE.Line(geometry, material);
+
+            const lineGeo = new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(0, 0, 0),
+                new THREE.Vector3(shape.getRadius(0), 0, 0)
+            ]);
+            this._animatedShapeMesh.add(new THREE.Line(lineGeo, new THREE.LineBasicMaterial({ color: color })));
+
         } else if (shape instanceof Polygon) {
             const points = [];
-            // Usar los vértices del modelo original para mantener la orientación correcta
-            const vertices = shape.vertices;
+            // Usar el contorno del modelo original para mantener la orientación correcta
+            // (con las esquinas redondeadas si las hay)
+            const outline = shape.getOutlinePoints();
             
-            vertices.forEach(v => {
+            outline.forEach(v => {
                 points.push(new THREE.Vector3(v.x, v.y, 0));
             });
             // Cerrar el polígono
-            if (vertices.length > 0) {
-                points.push(new THREE.Vector3(vertices[0].x, vertices[0].y, 0));
+            if (outline.length > 0) {
+                points.push(new THREE.Vector3(outline[0].x, outline[0].y, 0));
             }
             
             const geometry = new THREE.BufferGeometry().setFromPoints(points);
@@ -843,6 +1457,21 @@ export class GraphPanelView {
         });
         this._animatedRadiusLine = new THREE.Line(radiusGeo, radiusMat);
         this._scene.add(this._animatedRadiusLine);
+
+        // Puntos de dibujo secundarios, del color de su curva
+        this._extraSeries.forEach(entry => {
+            if (entry.marker) {
+                this._scene.remove(entry.marker);
+                entry.marker.geometry.dispose();
+                entry.marker.material.dispose();
+            }
+            entry.marker = new THREE.Mesh(
+                new THREE.CircleGeometry(0.06, 16),
+                new THREE.MeshBasicMaterial({ color: entry.color })
+            );
+            entry.marker.position.z = 0.02;
+            this._scene.add(entry.marker);
+        });
     }
 
     // ==========================================
@@ -867,7 +1496,10 @@ export class GraphPanelView {
      * @private
      */
     _onMouseMove(event) {
-        if (!this._isPanning) return;
+        if (!this._isPanning) {
+            this._updateOsculatingCircle(event.clientX, event.clientY);
+            return;
+        }
 
         const dx = event.clientX - this._lastPanPosition.x;
         const dy = event.clientY - this._lastPanPosition.y;
@@ -891,6 +1523,15 @@ export class GraphPanelView {
         this._canvas.style.cursor = 'grab';
     }
 
+    /**
+     * Manejador de mouse leave: termina el pan y oculta el círculo osculador
+     * @private
+     */
+    _onMouseLeave(event) {
+        this._onMouseUp(event);
+        this._hideOsculatingCircle();
+    }
+
     /**
      * Manejador de wheel para zoom
      * @private
@@ -971,7 +1612,9 @@ export class GraphPanelView {
      */
     setFloorVisible(show) {
         this._config.showFloor = show;
-        if (this._floorLine) {
+        if (this._baseCircleLine) {
+            this._baseCircleLine.visible = show;
+        } else if (this._floorLine) {
             this._floorLine.visible = show;
         }
         this._needsUpdate = true;
@@ -1022,6 +1665,7 @@ export class GraphPanelView {
         if (this._animation.enabled) {
             this._updateAnimation(deltaTime);
         }
+        this._updateBeads();
 
         // Renderizar
         this._renderer.render(this._scene, this._camera);
@@ -1039,7 +1683,7 @@ export class GraphPanelView {
      * @returns {boolean} Si la vista necesita actualización
      */
     needsUpdate() {
-        return this._needsUpdate || this._animation.enabled;
+        return this._needsUpdate || this._animation.enabled || this._beads.length > 0;
     }
 
     // ==========================================
@@ -1097,7 +1741,7 @@ export class GraphPanelView {
         this._canvas.removeEventListener('mousedown', this._onMouseDown);
         this._canvas.removeEventListener('mousemove', this._onMouseMove);
         this._canvas.removeEventListener('mouseup', this._onMouseUp);
-        this._canvas.removeEventListener('mouseleave', this._onMouseUp);
+        this._canvas.removeEventListener('mouseleave', this._onMouseLeave);
         this._canvas.removeEventListener('wheel', this._onWheel);
 
         // Limpiar objetos 3D
@@ -1119,6 +1763,19 @@ export class GraphPanelView {
             this._floorLine.material.dispose();
         }
 
+        this._clearBaseCircle();
+        this._clearExtraSeries();
+        this._clearCurvatureVisual();
+        this._disposeGroup(this._intersectionGroup);
+        this._disposeGroup(this._offsetGroup);
+        this._disposeGroup(this._fitGroup);
+        this._disposeGroup(this._beadGroup);
+        this._hideOsculatingCircle();
+        if (this._osculatingCircle) {
+            this._osculatingCircle.geometry.dispose();
+            this._osculatingCircle.material.dispose();
+        }
+
         if (this._gridHelper) {
             this._scene.remove(this._gridHelper);
             this._gridHelper.geometry.dispose();
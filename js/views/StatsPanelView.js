@@ -0,0 +1,290 @@
+/**
+ * ============================================
+ * STATSPANELVIEW.JS - Vista de Estadísticas
+ * Generador de Ciclógonos 2D
+ * ============================================
+ *
+ * Panel superpuesto al gráfico con el área bajo cada
+ * arco de la curva y el centroide de esa región, la
+ * clasificación de la curva con sus bucles, el ajuste
+ * a las muestras medidas y los tiempos de bajada de las
+ * cuentas por los arcos invertidos.
+ */
+
+import { CONFIG } from '../config/constants.js';
+
+/**
+ * Etiquetas del método de cálculo del área
+ */
+const METHOD_LABELS = {
+    'closed-form': 'Exacto (forma cerrada)',
+    'arc-sectors': 'Exacto (sectores circulares)',
+    'polyline': 'Aproximado (polilínea)'
+};
+
+/**
+ * Etiquetas de la clasificación de la curva
+ */
+const CLASS_LABELS = {
+    curtate: 'Acortada',
+    common: 'Común',
+    prolate: 'Alargada'
+};
+
+export class StatsPanelView {
+    /**
+     * @param {HTMLElement} container - Elemento contenedor
+     * @param {Object} options - Opciones
+     * @param {number} options.precision - Decimales mostrados
+     * @param {number} options.maxArchRows - Arcos a partir de los que la tabla se resume
+     */
+    constructor(container, options = {}) {
+        this._container = container;
+        this._precision = options.precision ?? 4;
+        this._maxArchRows = options.maxArchRows ?? CONFIG.CYCLOGON.ARCHES.MAX_ROWS;
+        this._isArchListOpen = false;
+        this._render();
+    }
+
+    /**
+     * Renderiza la estructura del panel
+     * @private
+     */
+    _render() {
+        this._container.innerHTML = `
+            <div class="stats-header">
+                <span class="stats-title">Área bajo los arcos</span>
+                <span class="stats-method" id="statsMethod"></span>
+            </div>
+            <div class="stats-body" id="statsBody"></div>
+            <div class="stats-loops" id="statsLoops"></div>
+            <div class="stats-fit" id="statsFit"></div>
+            <div class="stats-beads" id="statsBeads"></div>
+        `;
+
+        this._methodLabel = this._container.querySelector('#statsMethod');
+        this._body = this._container.querySelector('#statsBody');
+        this._loops = this._container.querySelector('#statsLoops');
+        this._fit = this._container.querySelector('#statsFit');
+        this._beads = this._container.querySelector('#statsBeads');
+    }
+
+    /**
+     * Muestra las áreas y centroides de la curva
+     * @param {Object|null} arches - Resultado de ArchService.analyze
+     */
+    setArches(arches) {
+        if (!arches) {
+            this._methodLabel.textContent = '';
+            this._methodLabel.classList.remove('exact');
+            this._body.innerHTML = '<p class="stats-empty">Solo disponible sobre el suelo recto</p>';
+            return;
+        }
+
+        this._methodLabel.textContent = METHOD_LABELS[arches.method] ?? arches.method;
+        this._methodLabel.classList.toggle('exact', arches.isExact);
+
+        // Con muchos ciclos se resumen los arcos y la lista completa se despliega a petición
+        const isSummary = arches.cycles.length > this._maxArchRows;
+        const rows = isSummary
+            ? this._formatSummaryRows(arches.cycles)
+            : this._formatCycleRows(arches.cycles);
+        if (arches.cycles.length > 1) {
+            rows.push(this._formatRow('Total', arches.total, 'stats-total'));
+        }
+
+        this._body.innerHTML = `
+            ${this._formatTable(rows)}
+            ${isSummary ? `
+                <details class="stats-details" ${this._isArchListOpen ? 'open' : ''}>
+                    <summary>Ver los ${arches.cycles.length} arcos</summary>
+                    <div class="stats-arch-list"></div>
+                </details>
+            ` : ''}
+        `;
+
+        if (isSummary) {
+            const details = this._body.querySelector('.stats-details');
+            const list = details.querySelector('.stats-arch-list');
+            const fill = () => {
+                if (details.open && !list.hasChildNodes()) {
+                    list.innerHTML = this._formatTable(this._formatCycleRows(arches.cycles));
+                }
+            };
+            details.addEventListener('toggle', () => {
+                this._isArchListOpen = details.open;
+                fill();
+            });
+            fill();
+        }
+    }
+
+    /**
+     * Muestra la clasificación de la curva y sus bucles
+     * Sin análisis (curvas de más de LOOPS.MAX_POINTS puntos) se muestra solo la
+     * clasificación, que viene de los metadatos de la curva
+     * @param {Object|null} analysis - Resultado de LoopService.analyze
+     * @param {string|null} classification - CurveClass de la curva
+     */
+    setLoops(analysis, classification = analysis?.classification ?? null) {
+        if (!analysis && !classification) {
+            this._loops.innerHTML = '';
+            return;
+        }
+
+        const label = CLASS_LABELS[classification] ?? '—';
+        const count = analysis?.loops.length;
+        let loops = 'Sin bucles';
+        if (!analysis) {
+            loops = `Bucles sin buscar (más de ${CONFIG.CYCLOGON.LOOPS.MAX_POINTS} puntos)`;
+        } else if (count > 0) {
+            loops = `${count} ${count === 1 ? 'bucle' : 'bucles'} · área ${analysis.totalLoopArea.toFixed(this._precision)}`;
+        }
+
+        this._loops.innerHTML = `
+            <span class="stats-class">${label}</span>
+            <span>${loops}</span>
+        `;
+    }
+
+    /**
+     * Muestra la forma ajustada a las muestras medidas y sus residuos
+     * @param {Object|null} fit - Resultado de CurveFitService.fit
+     */
+    setFit(fit) {
+        if (!fit) {
+            this._fit.innerHTML = '';
+            return;
+        }
+
+        const format = (value) => value.toFixed(this._precision);
+        const shape = fit.sides ? `Polígono de ${fit.sides} lados` : 'Círculo';
+        const degrees = (angle) => `${(angle * 180 / Math.PI).toFixed(1)}°`;
+        const { residuals } = fit;
+
+        this._fit.innerHTML = `
+            <span class="stats-class">Ajuste: ${shape}</span>
+            <span>R ${format(fit.radius)} · d ${format(fit.drawPointDistance)} · α ${degrees(fit.drawPointAngle)} · fase ${degrees(fit.phase)}</span>
+            <span>${residuals.count} muestras · RMS ${format(residuals.rms)} · máx ${format(residuals.max)}</span>
+        `;
+    }
+
+    /**
+     * Muestra los tiempos de bajada por el arco invertido de cada curva, por la rampa
+     * recta y por la braquistócrona entre los mismos extremos, y los de las cuentas
+     * soltadas a distintas alturas en la curva principal
+     * @param {Object|null} simulation - Resultado de BeadSimulationService.compare
+     */
+    setBeads(simulation) {
+        if (!simulation) {
+            this._beads.innerHTML = '';
+            return;
+        }
+
+        // Las cuentas que no arrancan o se detienen no tienen tiempo
+        const time = (value) => Number.isFinite(value) ? `${value.toFixed(3)} s` : '—';
+        const rows = simulation.lanes.map(lane => `
+            <tr>
+                <td>${this._escape(lane.name)}</td>
+                <td>${time(lane.curveTime)}</td>
+                <td>${time(lane.straightTime)}</td>
+                <td>${time(lane.optimalTime)}</td>
+            </tr>
+        `);
+        const primary = simulation.lanes.find(lane => lane.isPrimary);
+        const releases = primary
+            ? primary.releases.map(release => `${Math.round(release.fraction * 100)} % ${time(release.time)}`).join(' · ')
+            : '';
+
+        this._beads.innerHTML = `
+            <span class="stats-class">Descenso (g = ${simulation.gravity})</span>
+            <table class="stats-table">
+                <thead>
+                    <tr><th>Curva</th><th>Arco</th><th>Recta</th><th>Óptimo</th></tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+            ${releases ? `<span>Desde la altura: ${releases}</span>` : ''}
+        `;
+    }
+
+    /**
+     * Muestra/oculta el panel
+     * @param {boolean} show
+     */
+    setVisible(show) {
+        this._container.style.display = show ? 'flex' : 'none';
+    }
+
+    /**
+     * Escapa un texto del usuario (nombre de la serie) para insertarlo en el HTML
+     * @private
+     */
+    _escape(text) {
+        const span = document.createElement('span');
+        span.textContent = text;
+        return span.innerHTML;
+    }
+
+    /**
+     * Tabla de áreas y centroides con las filas dadas
+     * @private
+     */
+    _formatTable(rows) {
+        return `
+            <table class="stats-table">
+                <thead>
+                    <tr><th>Ciclo</th><th>Área</th><th>x̄</th><th>ȳ</th></tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Una fila por ciclo (los incompletos se marcan con un asterisco)
+     * @private
+     */
+    _formatCycleRows(cycles) {
+        return cycles.map(cycle => this._formatRow(
+            `${cycle.index + 1}${cycle.isComplete ? '' : '*'}`, cycle
+        ));
+    }
+
+    /**
+     * Filas del arco de menor y de mayor área y del área media
+     * Los ciclos incompletos solo cuentan si no hay ninguno completo
+     * @private
+     */
+    _formatSummaryRows(cycles) {
+        const complete = cycles.filter(cycle => cycle.isComplete);
+        const pool = complete.length > 0 ? complete : cycles;
+        const min = pool.reduce((best, cycle) => cycle.area < best.area ? cycle : best);
+        const max = pool.reduce((best, cycle) => cycle.area > best.area ? cycle : best);
+        const mean = pool.reduce((sum, cycle) => sum + cycle.area, 0) / pool.length;
+
+        return [
+            this._formatRow(`Mín (${min.index + 1})`, min),
+            this._formatRow(`Máx (${max.index + 1})`, max),
+            this._formatRow(`Media (${pool.length})`, { area: mean, centroid: null })
+        ];
+    }
+
+    /**
+     * Fila de la tabla para un ciclo o el total
+     * @private
+     */
+    _formatRow(label, { area, centroid }, className = '') {
+        const format = (value) => value.toFixed(this._precision);
+        return `
+            <tr class="${className}">
+                <td>${label}</td>
+                <td>${format(area)}</td>
+                <td>${centroid ? format(centroid.x) : '—'}</td>
+                <td>${centroid ? format(centroid.y) : '—'}</td>
+            </tr>
+        `;
+    }
+}
+
+export default StatsPanelView;